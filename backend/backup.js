@@ -0,0 +1,339 @@
+// backup.js - Portable backup archives for SQLite and PostgreSQL
+//
+// An archive holds every data table as plain JSON, so a backup taken from one
+// database can be restored into the other; this is also the way to move from
+// SQLite to PostgreSQL. Two layouts are written and read:
+//
+//   NDJSON (default)  a header line, one {"table", "row"} line per row and an
+//                     {"end": true, "counts"} line that shows the file is complete
+//   JSON              one document: the header fields plus "data": { table: [rows] }
+//
+// Either may be gzipped. Login sessions are never backed up, and restoring
+// replaces all data, so everyone has to sign in again afterwards.
+//
+// From the command line:
+//   node backup.js create [file]        Write an archive (.json, .ndjson or either + .gz)
+//   node backup.js restore <file> --yes Replace all data with an archive's
+//   node backup.js rotate               Write a backup to BACKUP_DIR and prune old ones
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { USE_SQLITE, queryDB, transaction, closeDB } = require('./db');
+const { runMigrations } = require('./migrate');
+
+const ARCHIVE_FORMAT = 'budget-tracker-backup';
+const ARCHIVE_VERSION = 1;
+
+// Data tables in an order where every foreign key points at an earlier table
+const BACKUP_TABLES = [
+  'households',
+  'users',
+  'accounts',
+  'categories',
+  'budgets',
+  'categorization_rules',
+  'import_profiles',
+  'recurring_transactions',
+  'payments',
+  'merchants',
+  'merchant_aliases',
+  'transactions',
+  'transaction_splits',
+  'alert_states'
+];
+
+// Columns that reference their own table; restored in a second pass once every row exists
+const SELF_REFERENCES = { categories: ['parent_id'] };
+
+// Rows are read and inserted this many at a time
+const BATCH_SIZE = 50;
+
+const DEFAULT_BACKUP_KEEP = 7;
+const BACKUP_FILE_PATTERN = /^budget-backup-[\dTZ-]+\.ndjson\.gz$/;
+
+const quoteIdentifier = (name) => `"${name}"`;
+
+// Latest applied migration, so a restore can tell whether the schemas match
+const loadSchemaVersion = async (runner = { queryDB }) => {
+  const rows = await runner.queryDB('SELECT MAX(version) as version FROM schema_migrations');
+  return rows[0].version;
+};
+
+const loadColumns = async (runner, table) => {
+  if (USE_SQLITE) {
+    return (await runner.queryDB(`PRAGMA table_info(${table})`)).map(column => column.name);
+  }
+  const rows = await runner.queryDB(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+    [table]
+  );
+  return rows.map(row => row.column_name);
+};
+
+// Write an archive of every table to a writable stream, resolving to the row counts.
+// Tables are read inside one transaction so they are consistent with each other.
+// Writes are not held back for a slow reader: with SQLite the transaction blocks
+// every other query, so it should finish as soon as the rows are read.
+const writeBackup = async (stream, { format = 'ndjson' } = {}) => {
+  if (!['ndjson', 'json'].includes(format)) {
+    throw new Error('format must be ndjson or json');
+  }
+
+  const counts = {};
+  await transaction(async (tx) => {
+    if (!USE_SQLITE) await tx.run('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+
+    const header = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      created_at: new Date().toISOString(),
+      source: USE_SQLITE ? 'sqlite' : 'postgres',
+      schema_version: await loadSchemaVersion(tx),
+      tables: BACKUP_TABLES
+    };
+    stream.write(format === 'ndjson' ? `${JSON.stringify(header)}\n` : `${JSON.stringify(header).slice(0, -1)},"data":{`);
+
+    for (const [tableIndex, table] of BACKUP_TABLES.entries()) {
+      counts[table] = 0;
+      if (format === 'json') stream.write(`${tableIndex > 0 ? ',' : ''}${JSON.stringify(table)}:[`);
+
+      let lastId = null;
+      while (true) {
+        const rows = await tx.queryDB(
+          `SELECT * FROM ${table} ${lastId === null ? '' : 'WHERE id > ?'} ORDER BY id LIMIT ${BATCH_SIZE}`,
+          lastId === null ? [] : [lastId]
+        );
+        for (const row of rows) {
+          stream.write(format === 'ndjson'
+            ? `${JSON.stringify({ table, row })}\n`
+            : `${counts[table] > 0 ? ',' : ''}${JSON.stringify(row)}`);
+          counts[table]++;
+        }
+        if (rows.length < BATCH_SIZE) break;
+        lastId = rows[rows.length - 1].id;
+      }
+
+      if (format === 'json') stream.write(']');
+    }
+
+    stream.write(format === 'ndjson' ? `${JSON.stringify({ end: true, counts })}\n` : `},"counts":${JSON.stringify(counts)}}\n`);
+  });
+
+  return counts;
+};
+
+// Parse an archive (Buffer or string, optionally gzipped) into { header, data },
+// throwing if it is not a complete archive this version can read
+const parseArchive = (input) => {
+  let buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+  const text = buffer.toString('utf8').trim();
+  const lines = text.split('\n');
+
+  let header;
+  let data;
+  let counts;
+  try {
+    if (lines.length === 1) {
+      ({ data, counts, ...header } = JSON.parse(text));
+    } else {
+      header = JSON.parse(lines[0]);
+      data = {};
+      for (const line of lines.slice(1)) {
+        const entry = JSON.parse(line);
+        if (entry.end) {
+          counts = entry.counts;
+        } else if (counts) {
+          throw new Error('rows found after the end of the archive');
+        } else {
+          (data[entry.table] = data[entry.table] || []).push(entry.row);
+        }
+      }
+    }
+  } catch (error) {
+    throw new Error(`Not a valid backup archive: ${error.message}`);
+  }
+
+  if (!header || header.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a valid backup archive: missing the archive header');
+  }
+  if (header.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${header.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+  }
+  if (!data || !counts) {
+    throw new Error('Backup archive is incomplete: it has no end marker');
+  }
+
+  const unknown = Object.keys(data).filter(table => !BACKUP_TABLES.includes(table));
+  if (unknown.length > 0) {
+    throw new Error(`Backup archive has unknown tables: ${unknown.join(', ')}`);
+  }
+  for (const table of BACKUP_TABLES) {
+    const rows = data[table] || [];
+    if (rows.length !== (counts[table] || 0)) {
+      throw new Error(`Backup archive is incomplete: ${table} has ${rows.length} of ${counts[table]} rows`);
+    }
+    data[table] = rows;
+  }
+
+  return { header, data };
+};
+
+// Insert rows with only the given columns, several rows per statement
+const insertRows = async (tx, table, columns, rows) => {
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    const params = [];
+    const values = batch.map(row => `(${columns.map(column => {
+      params.push(row[column] === undefined ? null : row[column]);
+      return '?';
+    }).join(', ')})`);
+    await tx.run(
+      `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values.join(', ')}`,
+      params
+    );
+  }
+};
+
+// Replace every table's rows with the archive's, in one transaction. The database
+// must already be migrated; archives from an older schema restore into a newer one
+// (new columns take their defaults) but not the other way round. Resolves to the
+// restored row counts.
+const restoreBackup = async (input) => {
+  const { header, data } = parseArchive(input);
+
+  return transaction(async (tx) => {
+    const schemaVersion = await loadSchemaVersion(tx);
+    if (header.schema_version && parseInt(header.schema_version) > parseInt(schemaVersion)) {
+      throw new Error(`Archive schema ${header.schema_version} is newer than this database (${schemaVersion}); upgrade the server first`);
+    }
+
+    // Sessions belong to the users being replaced
+    await tx.run('DELETE FROM sessions');
+    for (const table of [...BACKUP_TABLES].reverse()) {
+      await tx.run(`DELETE FROM ${table}`);
+    }
+
+    const counts = {};
+    for (const table of BACKUP_TABLES) {
+      const rows = data[table];
+      const targetColumns = await loadColumns(tx, table);
+      const archiveColumns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      const missing = archiveColumns.filter(column => !targetColumns.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`Column(s) ${missing.join(', ')} of ${table} do not exist in this database`);
+      }
+
+      const deferred = SELF_REFERENCES[table] || [];
+      const columns = archiveColumns.filter(column => !deferred.includes(column));
+      if (rows.length > 0) await insertRows(tx, table, columns, rows);
+
+      for (const column of deferred) {
+        for (const row of rows.filter(r => r[column] !== null && r[column] !== undefined)) {
+          await tx.run(`UPDATE ${table} SET ${quoteIdentifier(column)} = ? WHERE id = ?`, [row[column], row.id]);
+        }
+      }
+
+      // Rows keep their ids, so move PostgreSQL's id sequence past them
+      if (!USE_SQLITE) {
+        await tx.queryDB(
+          `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL) FROM ${table}`
+        );
+      }
+      counts[table] = rows.length;
+    }
+
+    return counts;
+  });
+};
+
+// Timestamped file name that sorts in creation order
+const backupFileName = (date = new Date()) => (
+  `budget-backup-${date.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`
+);
+
+// Write an archive to `file`, resolving to the row counts. The extension picks the
+// layout (.json or .ndjson) and a trailing .gz compresses it.
+const writeBackupFile = async (file) => {
+  const gzip = file.endsWith('.gz');
+  const format = file.replace(/\.gz$/, '').endsWith('.json') ? 'json' : 'ndjson';
+  const output = fs.createWriteStream(file);
+  const stream = gzip ? zlib.createGzip() : output;
+  if (gzip) stream.pipe(output);
+
+  const counts = await writeBackup(stream, { format });
+  stream.end();
+  await once(output, 'finish');
+  return counts;
+};
+
+// Write a backup into `dir` and delete all but the newest `keep` backups there.
+// Resolves to { file, removed }.
+const rotateBackups = async (dir, keep = DEFAULT_BACKUP_KEEP) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, backupFileName());
+  await writeBackupFile(file);
+
+  const backups = fs.readdirSync(dir).filter(name => BACKUP_FILE_PATTERN.test(name)).sort();
+  const removed = backups.slice(0, Math.max(backups.length - keep, 0));
+  for (const name of removed) {
+    fs.unlinkSync(path.join(dir, name));
+  }
+
+  return { file, removed };
+};
+
+const printUsage = () => {
+  console.log('Usage:');
+  console.log('  node backup.js create [file]         Write an archive (.json, .ndjson or either + .gz)');
+  console.log('  node backup.js restore <file> --yes  Replace all data with an archive\'s');
+  console.log('  node backup.js rotate                Write a backup to BACKUP_DIR and prune old ones');
+};
+
+const formatCounts = (counts) => Object.entries(counts).map(([table, count]) => `${table} ${count}`).join(', ');
+
+const runCLI = async ([command, ...args]) => {
+  if (command === 'create') {
+    await runMigrations();
+    const file = args[0] || backupFileName();
+    const counts = await writeBackupFile(file);
+    console.log(`✓ Backup written to ${file} (${formatCounts(counts)})`);
+  } else if (command === 'restore' && args[0]) {
+    if (!args.includes('--yes')) {
+      throw new Error('Restoring deletes all current data; run again with --yes to continue');
+    }
+    await runMigrations();
+    const counts = await restoreBackup(fs.readFileSync(args[0]));
+    console.log(`✓ Restored ${args[0]} (${formatCounts(counts)})`);
+  } else if (command === 'rotate') {
+    if (!process.env.BACKUP_DIR) {
+      throw new Error('Set BACKUP_DIR to the directory backups are kept in');
+    }
+    await runMigrations();
+    const { file, removed } = await rotateBackups(process.env.BACKUP_DIR, parseInt(process.env.BACKUP_KEEP) || DEFAULT_BACKUP_KEEP);
+    console.log(`✓ Backup written to ${file}${removed.length > 0 ? `; removed ${removed.length} old backup(s)` : ''}`);
+  } else {
+    printUsage();
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2))
+    .catch(error => {
+      console.error('Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(closeDB);
+}
+
+module.exports = {
+  BACKUP_TABLES,
+  DEFAULT_BACKUP_KEEP,
+  writeBackup,
+  parseArchive,
+  restoreBackup,
+  rotateBackups
+};
@@ -0,0 +1,235 @@
+// db.js - Data access shared by the API server and the migration CLI
+// For SQLite (development) or PostgreSQL (production)
+//
+// SQL is written once with ? placeholders; they are rewritten to $1, $2, ...
+// for PostgreSQL. Rows come back the same from both drivers: boolean columns
+// as true/false, DECIMAL and COUNT values as numbers and DATE columns as
+// YYYY-MM-DD strings.
+
+require('dotenv').config();
+
+const sqlite3 = require('sqlite3').verbose();
+const { Pool, types } = require('pg'); // For PostgreSQL
+
+// Database configuration
+const USE_SQLITE = process.env.DB_TYPE === 'sqlite' || !process.env.DATABASE_URL;
+
+// Columns stored as INTEGER 0/1 in SQLite and BOOLEAN in PostgreSQL
+const BOOLEAN_COLUMNS = new Set(['payedOff', 'archived', 'active']);
+
+// pg returns NUMERIC and BIGINT (COUNT) as strings and DATE as a local-time Date
+const PG_NUMERIC = 1700;
+const PG_INT8 = 20;
+const PG_DATE = 1082;
+types.setTypeParser(PG_NUMERIC, value => parseFloat(value));
+types.setTypeParser(PG_INT8, value => parseInt(value, 10));
+types.setTypeParser(PG_DATE, value => value);
+
+let db;
+if (USE_SQLITE) {
+  // SQLite configuration (development); SQLITE_PATH=:memory: gives a throwaway database
+  db = new sqlite3.Database(process.env.SQLITE_PATH || '../database/transactions.db', (err) => {
+    if (err) {
+      console.error('Error connecting to SQLite:', err);
+    } else {
+      console.log('✓ Connected to SQLite database');
+    }
+  });
+} else {
+  // PostgreSQL configuration (production)
+  db = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  console.log('✓ Connected to PostgreSQL database');
+}
+
+// Rewrite ? placeholders to $1, $2, ... leaving quoted strings and identifiers alone
+const toPostgresPlaceholders = (sql) => {
+  let index = 0;
+  let quote = null;
+  let result = '';
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+      result += char;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      result += char;
+    } else if (char === '?') {
+      result += '$' + (++index);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+};
+
+const normalizeRow = (row) => {
+  if (USE_SQLITE) {
+    for (const column of Object.keys(row)) {
+      if (BOOLEAN_COLUMNS.has(column) && row[column] !== null) {
+        row[column] = Boolean(row[column]);
+      }
+    }
+  }
+  return row;
+};
+
+const quoteIdentifier = (name) => `"${name}"`;
+
+// Build query helpers on top of a driver-level executor. The same helpers are
+// used for the shared connection and inside transaction().
+const createRunner = (executor) => {
+  const queryDB = async (sql, params = []) => {
+    const rows = await executor.all(sql, params);
+    return rows.map(normalizeRow);
+  };
+
+  const queryOne = async (sql, params = []) => {
+    const rows = await queryDB(sql, params);
+    return rows[0] || null;
+  };
+
+  // Run a statement for its side effects, resolving to the number of rows changed
+  const run = (sql, params = []) => executor.run(sql, params);
+
+  // Run a script of several statements without parameters (migrations)
+  const exec = (sql) => executor.exec(sql);
+
+  // INSERT one row from a column -> value object, resolving to the stored row
+  const insert = (table, values) => {
+    const columns = Object.keys(values);
+    return queryOne(
+      `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`,
+      columns.map(column => values[column])
+    );
+  };
+
+  const whereClause = (where) => Object.keys(where).map(column => `${quoteIdentifier(column)} = ?`).join(' AND ');
+
+  // UPDATE rows matching every column in `where`, resolving to the first updated row (or null)
+  const update = (table, values, where) => {
+    const columns = Object.keys(values);
+    return queryOne(
+      `UPDATE ${table} SET ${columns.map(column => `${quoteIdentifier(column)} = ?`).join(', ')}
+       WHERE ${whereClause(where)} RETURNING *`,
+      [...columns.map(column => values[column]), ...Object.values(where)]
+    );
+  };
+
+  // DELETE rows matching every column in `where`, resolving to the number deleted
+  const remove = (table, where) => run(`DELETE FROM ${table} WHERE ${whereClause(where)}`, Object.values(where));
+
+  return { queryDB, queryOne, run, exec, insert, update, remove };
+};
+
+const sqliteExecutor = {
+  all: (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  }),
+  run: (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  }),
+  exec: (sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  })
+};
+
+const postgresExecutor = (client) => ({
+  all: (sql, params) => client.query(toPostgresPlaceholders(sql), params).then(result => result.rows),
+  run: (sql, params) => client.query(toPostgresPlaceholders(sql), params).then(result => result.rowCount),
+  exec: (sql) => client.query(sql).then(() => undefined)
+});
+
+// SQLite has a single connection, so statements issued while a transaction is
+// open would become part of it. Transactions queue on a promise chain that each
+// caller joins synchronously, so only one of them runs BEGIN at a time; queries
+// outside a transaction wait until none is open or queued.
+let sqliteTransactionQueue = Promise.resolve();
+let pendingSQLiteTransactions = 0;
+
+const waitForSQLiteTransaction = async () => {
+  while (pendingSQLiteTransactions > 0) {
+    await sqliteTransactionQueue;
+  }
+};
+
+const sharedExecutor = USE_SQLITE
+  ? {
+    all: async (sql, params) => { await waitForSQLiteTransaction(); return sqliteExecutor.all(sql, params); },
+    run: async (sql, params) => { await waitForSQLiteTransaction(); return sqliteExecutor.run(sql, params); },
+    exec: async (sql) => { await waitForSQLiteTransaction(); return sqliteExecutor.exec(sql); }
+  }
+  : postgresExecutor(db);
+
+// Run callback(tx) inside a transaction; tx has the same helpers as this module.
+// Commits when the callback resolves and rolls back if it throws.
+const transaction = async (callback) => {
+  if (USE_SQLITE) {
+    let release;
+    const lock = new Promise(resolve => { release = resolve; });
+    const previous = sqliteTransactionQueue;
+    sqliteTransactionQueue = previous.then(() => lock);
+    pendingSQLiteTransactions++;
+
+    try {
+      await previous;
+      await sqliteExecutor.exec('BEGIN');
+      try {
+        const result = await callback(createRunner(sqliteExecutor));
+        await sqliteExecutor.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await sqliteExecutor.exec('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      pendingSQLiteTransactions--;
+      release();
+    }
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(createRunner(postgresExecutor(client)));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// YYYY-MM of a DATE column
+const monthOf = (column) => (USE_SQLITE ? `strftime('%Y-%m', ${column})` : `TO_CHAR(${column}, 'YYYY-MM')`);
+
+const closeDB = () => {
+  if (USE_SQLITE) {
+    db.close();
+  } else {
+    db.end();
+  }
+};
+
+module.exports = {
+  db,
+  USE_SQLITE,
+  ...createRunner(sharedExecutor),
+  transaction,
+  monthOf,
+  closeDB
+};
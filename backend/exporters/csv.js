@@ -0,0 +1,24 @@
+// exporters/csv.js - RFC 4180 CSV writing for exports
+
+// Spreadsheet apps run cells starting with these as formulas; prefix a quote so
+// a transaction named "=HYPERLINK(...)" opens as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV field. Numbers and booleans are written as is;
+// strings are quoted when they contain the delimiter, quotes or line breaks.
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format an array of values as one CRLF-terminated CSV line
+const formatRow = (values) => values.map(formatField).join(',') + '\r\n';
+
+module.exports = {
+  formatField,
+  formatRow
+};
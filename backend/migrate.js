@@ -0,0 +1,213 @@
+// migrate.js - Versioned schema migrations for SQLite and PostgreSQL
+//
+// Migrations are plain SQL files in migrations/sqlite and migrations/postgres,
+// named NNN_description.sql. Both folders carry the same versions so either
+// database ends up with the same schema. Applied versions are recorded in the
+// schema_migrations table and each migration runs in its own transaction.
+//
+// The server applies pending migrations on startup. From the command line:
+//   node migrate.js up              Apply pending migrations
+//   node migrate.js status          Show applied and pending migrations
+//   node migrate.js create <name>   Add an empty migration for both databases
+//   node migrate.js schema          Regenerate database/postgres-schema.sql
+
+const fs = require('fs');
+const path = require('path');
+const { USE_SQLITE, queryDB, transaction, closeDB } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DIALECTS = ['sqlite', 'postgres'];
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const POSTGRES_SCHEMA_FILE = path.join(__dirname, '..', 'database', 'postgres-schema.sql');
+
+const MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`;
+
+const currentDialect = () => (USE_SQLITE ? 'sqlite' : 'postgres');
+
+// List a dialect's migration files in version order
+const listMigrations = (dialect = currentDialect()) => {
+  const dir = path.join(MIGRATIONS_DIR, dialect);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      return match ? { version: match[1], name: match[2], file: path.join(dir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+const ensureMigrationsTable = () => queryDB(MIGRATIONS_TABLE_SQL);
+
+const loadAppliedMigrations = async () => {
+  await ensureMigrationsTable();
+  return queryDB('SELECT * FROM schema_migrations ORDER BY version');
+};
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so drop ALTER TABLE ... ADD COLUMN
+// lines for columns that already exist (databases created before migrations)
+const skipExistingSQLiteColumns = async (tx, sql) => {
+  const lines = [];
+  for (const line of sql.split('\n')) {
+    const match = line.match(/^\s*ALTER TABLE\s+(\w+)\s+ADD COLUMN\s+"?(\w+)"?/i);
+    if (match) {
+      const columns = await tx.queryDB(`PRAGMA table_info(${match[1]})`);
+      if (columns.some(column => column.name === match[2])) continue;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+};
+
+// Run one migration and record it, rolling back both if anything fails
+const applyMigration = (migration) => transaction(async (tx) => {
+  const sql = fs.readFileSync(migration.file, 'utf8');
+  await tx.exec(USE_SQLITE ? await skipExistingSQLiteColumns(tx, sql) : sql);
+  await tx.insert('schema_migrations', { version: migration.version, name: migration.name });
+});
+
+// Apply every migration that has not been applied yet, returning the ones that ran
+const runMigrations = async () => {
+  const applied = new Set((await loadAppliedMigrations()).map(row => row.version));
+  const pending = listMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    try {
+      await applyMigration(migration);
+    } catch (error) {
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+    console.log(`✓ Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return pending;
+};
+
+// Every known migration with when it was applied (null if still pending).
+// Versions recorded in the database but missing on disk are listed too.
+const migrationStatus = async () => {
+  const appliedRows = await loadAppliedMigrations();
+  const appliedByVersion = {};
+  for (const row of appliedRows) {
+    appliedByVersion[row.version] = row;
+  }
+
+  const status = listMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: appliedByVersion[migration.version] ? appliedByVersion[migration.version].applied_at : null
+  }));
+
+  const known = new Set(status.map(migration => migration.version));
+  for (const row of appliedRows) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, applied_at: row.applied_at, missing: true });
+    }
+  }
+
+  return status;
+};
+
+// Create the next-numbered empty migration in every dialect folder
+const createMigration = (description) => {
+  const name = (description || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name) {
+    throw new Error('A migration name is required, e.g. node migrate.js create add_notes_to_budgets');
+  }
+
+  const lastVersion = Math.max(0, ...DIALECTS.flatMap(dialect => listMigrations(dialect).map(m => parseInt(m.version))));
+  const version = String(lastVersion + 1).padStart(3, '0');
+
+  return DIALECTS.map(dialect => {
+    const dir = path.join(MIGRATIONS_DIR, dialect);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${version}_${name}.sql`);
+    fs.writeFileSync(file, `-- ${version}_${name} (${dialect === 'sqlite' ? 'SQLite' : 'PostgreSQL'})\n\n`);
+    return file;
+  });
+};
+
+// The schema docker-compose loads into a new PostgreSQL database: every
+// postgres migration in order, then their versions recorded as applied so the
+// server does not run them again. Generated, so it cannot drift from the migrations.
+const buildPostgresSchema = () => {
+  const migrations = listMigrations('postgres');
+  const header = [
+    '-- PostgreSQL schema for a new database, loaded by docker-compose.',
+    '-- Generated from backend/migrations/postgres by `npm run migrate:schema`;',
+    '-- do not edit by hand.',
+    ''
+  ].join('\n');
+  const steps = migrations.map(migration => fs.readFileSync(migration.file, 'utf8').trimEnd() + '\n');
+  const versions = migrations.map(migration => `    ('${migration.version}', '${migration.name}')`).join(',\n');
+  const record = [
+    '-- Record the migrations above as applied',
+    `${MIGRATIONS_TABLE_SQL};`,
+    `INSERT INTO schema_migrations (version, name) VALUES\n${versions};`,
+    ''
+  ].join('\n');
+  return [header, ...steps, record].join('\n');
+};
+
+const writePostgresSchema = () => {
+  fs.writeFileSync(POSTGRES_SCHEMA_FILE, buildPostgresSchema());
+  return POSTGRES_SCHEMA_FILE;
+};
+
+const printUsage = () => {
+  console.log('Usage:');
+  console.log('  node migrate.js up              Apply pending migrations');
+  console.log('  node migrate.js status          Show applied and pending migrations');
+  console.log('  node migrate.js create <name>   Add an empty migration for both databases');
+  console.log('  node migrate.js schema          Regenerate database/postgres-schema.sql');
+};
+
+const runCLI = async ([command, ...args]) => {
+  if (command === 'up') {
+    const applied = await runMigrations();
+    console.log(applied.length > 0 ? `✓ ${applied.length} migration(s) applied` : '✓ Database is up to date');
+  } else if (command === 'status') {
+    const status = await migrationStatus();
+    console.log(`Migrations (${currentDialect()}):`);
+    for (const migration of status) {
+      const state = migration.missing
+        ? `applied ${migration.applied_at}, file missing`
+        : migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`  ${migration.version}_${migration.name}  ${state}`);
+    }
+    console.log(`${status.filter(migration => !migration.applied_at).length} pending`);
+  } else if (command === 'create') {
+    for (const file of createMigration(args.join('_'))) {
+      console.log(`✓ Created ${path.relative(process.cwd(), file)}`);
+    }
+  } else if (command === 'schema') {
+    console.log(`✓ Wrote ${path.relative(process.cwd(), writePostgresSchema())}`);
+  } else {
+    printUsage();
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2))
+    .catch(error => {
+      console.error('Error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(closeDB);
+}
+
+module.exports = {
+  listMigrations,
+  runMigrations,
+  migrationStatus,
+  createMigration,
+  buildPostgresSchema,
+  POSTGRES_SCHEMA_FILE
+};
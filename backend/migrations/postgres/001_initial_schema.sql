@@ -0,0 +1,17 @@
+-- 001_initial_schema (PostgreSQL)
+
+-- Transactions table the app started with
+CREATE TABLE IF NOT EXISTS transactions (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    name VARCHAR(255),
+    description TEXT,
+    budget_type VARCHAR(100),
+    amount DECIMAL(10, 2) NOT NULL,
+    "payedOff" BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+CREATE INDEX IF NOT EXISTS idx_transactions_budget_type ON transactions(budget_type);
+CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
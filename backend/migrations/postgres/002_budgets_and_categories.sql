@@ -0,0 +1,22 @@
+-- 002_budgets_and_categories (PostgreSQL)
+
+-- Monthly spending limit per category
+CREATE TABLE IF NOT EXISTS budgets (
+    id SERIAL PRIMARY KEY,
+    budget_type VARCHAR(100) NOT NULL UNIQUE,
+    monthly_limit DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Managed list of budget categories
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    color VARCHAR(20),
+    icon VARCHAR(50),
+    archived BOOLEAN DEFAULT FALSE,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
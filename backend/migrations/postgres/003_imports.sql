@@ -0,0 +1,39 @@
+-- 003_imports (PostgreSQL)
+
+-- Auto-categorization rules for imported transactions
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255),
+    budget_type VARCHAR(100) NOT NULL,
+    match_field VARCHAR(20) NOT NULL DEFAULT 'any',
+    match_type VARCHAR(20) NOT NULL DEFAULT 'contains',
+    pattern TEXT,
+    amount_min DECIMAL(10, 2),
+    amount_max DECIMAL(10, 2),
+    priority INTEGER DEFAULT 0,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved CSV column mappings per bank export
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    delimiter VARCHAR(1) NOT NULL DEFAULT ',',
+    skip_rows INTEGER NOT NULL DEFAULT 1,
+    date_format VARCHAR(20) NOT NULL DEFAULT 'YYYY-MM-DD',
+    amount_sign VARCHAR(20) NOT NULL DEFAULT 'expense_positive',
+    date_column INTEGER NOT NULL,
+    name_column INTEGER,
+    description_column INTEGER,
+    category_column INTEGER,
+    amount_column INTEGER,
+    debit_column INTEGER,
+    credit_column INTEGER,
+    external_id_column INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bank-provided transaction ids, used to skip duplicates on re-import
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_transactions_external_id ON transactions(external_id);
@@ -0,0 +1,15 @@
+-- 004_accounts (PostgreSQL)
+
+-- Checking, credit cards, cash, ...
+CREATE TABLE IF NOT EXISTS accounts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'checking',
+    institution VARCHAR(100),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    opening_balance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
@@ -0,0 +1,5 @@
+-- 005_transaction_kind (PostgreSQL)
+
+-- expense or income; amount is always stored as a positive value
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS kind VARCHAR(10) NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'income'));
+CREATE INDEX IF NOT EXISTS idx_transactions_kind ON transactions(kind);
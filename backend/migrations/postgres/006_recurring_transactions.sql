@@ -0,0 +1,24 @@
+-- 006_recurring_transactions (PostgreSQL)
+
+-- Templates the scheduler turns into transactions on each due date
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    budget_type VARCHAR(100) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'income')),
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    cadence VARCHAR(20) NOT NULL DEFAULT 'monthly',
+    next_due_date DATE NOT NULL,
+    anchor_day INTEGER NOT NULL,
+    end_date DATE,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_next_due_date ON recurring_transactions(next_due_date);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+-- One posted transaction per template per due date keeps the scheduler idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_id, date);
@@ -0,0 +1,14 @@
+-- 007_transaction_splits (PostgreSQL)
+
+-- Category lines of a split transaction; amounts add up to the parent amount
+CREATE TABLE IF NOT EXISTS transaction_splits (
+    id SERIAL PRIMARY KEY,
+    transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    budget_type VARCHAR(100) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_budget_type ON transaction_splits(budget_type);
@@ -0,0 +1,10 @@
+-- 011_transaction_search (PostgreSQL)
+
+-- Word search over names and descriptions (the query must use the same expression)
+CREATE INDEX IF NOT EXISTS idx_transactions_search ON transactions
+    USING GIN (to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(description, '')));
+
+-- Trigram indexes so substring matches (ILIKE '%uber%') can use an index too
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_transactions_name_trgm ON transactions USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_transactions_description_trgm ON transactions USING GIN (description gin_trgm_ops);
@@ -0,0 +1,17 @@
+-- 012_payments (PostgreSQL)
+
+-- A payment settles a set of unpaid transactions on a date (e.g. paying down a card)
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    paid_on DATE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_paid_on ON payments(paid_on);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_payment_id ON transactions(payment_id);
@@ -0,0 +1,21 @@
+-- 014_merchants (PostgreSQL)
+
+-- Canonical merchants; raw bank names and descriptions are mapped to them
+-- through alias patterns
+CREATE TABLE IF NOT EXISTS merchants (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS merchant_aliases (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    pattern TEXT NOT NULL,
+    match_type VARCHAR(20) NOT NULL DEFAULT 'contains'
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_aliases_merchant_id ON merchant_aliases(merchant_id);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS merchant_id INTEGER REFERENCES merchants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant_id ON transactions(merchant_id);
@@ -0,0 +1,6 @@
+-- 015_drop_search_trigram_indexes (PostgreSQL)
+
+-- Search prefix-matches words on both databases now, so nothing runs
+-- substring (ILIKE) matches against these any more
+DROP INDEX IF EXISTS idx_transactions_name_trgm;
+DROP INDEX IF EXISTS idx_transactions_description_trgm;
@@ -0,0 +1,17 @@
+-- 001_initial_schema (SQLite)
+
+-- Transactions table the app started with
+CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT NOT NULL,
+    name TEXT,
+    description TEXT,
+    budget_type TEXT,
+    amount REAL NOT NULL,
+    payedOff INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+CREATE INDEX IF NOT EXISTS idx_transactions_budget_type ON transactions(budget_type);
+CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
@@ -0,0 +1,22 @@
+-- 002_budgets_and_categories (SQLite)
+
+-- Monthly spending limit per category
+CREATE TABLE IF NOT EXISTS budgets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    budget_type TEXT NOT NULL UNIQUE,
+    monthly_limit REAL NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Managed list of budget categories
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    color TEXT,
+    icon TEXT,
+    archived INTEGER DEFAULT 0,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
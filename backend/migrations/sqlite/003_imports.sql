@@ -0,0 +1,39 @@
+-- 003_imports (SQLite)
+
+-- Auto-categorization rules for imported transactions
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    budget_type TEXT NOT NULL,
+    match_field TEXT NOT NULL DEFAULT 'any',
+    match_type TEXT NOT NULL DEFAULT 'contains',
+    pattern TEXT,
+    amount_min REAL,
+    amount_max REAL,
+    priority INTEGER DEFAULT 0,
+    active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved CSV column mappings per bank export
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    delimiter TEXT NOT NULL DEFAULT ',',
+    skip_rows INTEGER NOT NULL DEFAULT 1,
+    date_format TEXT NOT NULL DEFAULT 'YYYY-MM-DD',
+    amount_sign TEXT NOT NULL DEFAULT 'expense_positive',
+    date_column INTEGER NOT NULL,
+    name_column INTEGER,
+    description_column INTEGER,
+    category_column INTEGER,
+    amount_column INTEGER,
+    debit_column INTEGER,
+    credit_column INTEGER,
+    external_id_column INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bank-provided transaction ids, used to skip duplicates on re-import
+ALTER TABLE transactions ADD COLUMN external_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_transactions_external_id ON transactions(external_id);
@@ -0,0 +1,15 @@
+-- 004_accounts (SQLite)
+
+-- Checking, credit cards, cash, ...
+CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'checking',
+    institution TEXT,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    opening_balance REAL NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions ADD COLUMN account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
@@ -0,0 +1,24 @@
+-- 006_recurring_transactions (SQLite)
+
+-- Templates the scheduler turns into transactions on each due date
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    budget_type TEXT NOT NULL,
+    amount REAL NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'income')),
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    cadence TEXT NOT NULL DEFAULT 'monthly',
+    next_due_date TEXT NOT NULL,
+    anchor_day INTEGER NOT NULL,
+    end_date TEXT,
+    active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_next_due_date ON recurring_transactions(next_due_date);
+
+ALTER TABLE transactions ADD COLUMN recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+-- One posted transaction per template per due date keeps the scheduler idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_id, date);
@@ -0,0 +1,52 @@
+-- 010_reporting_views (SQLite)
+
+-- Reporting views for ad-hoc queries (the API builds its own queries)
+DROP VIEW IF EXISTS monthly_summary;
+DROP VIEW IF EXISTS budget_summary;
+DROP VIEW IF EXISTS monthly_cash_flow;
+DROP VIEW IF EXISTS transaction_category_lines;
+
+-- One row per category line (split lines replace their parent)
+CREATE VIEW transaction_category_lines AS
+SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, t.budget_type, t.amount
+FROM transactions t
+WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, s.budget_type, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id;
+
+CREATE VIEW monthly_summary AS
+SELECT
+    strftime('%Y-%m', date) as month,
+    budget_type,
+    COUNT(*) as transaction_count,
+    SUM(amount) as total_amount,
+    AVG(amount) as avg_amount
+FROM transaction_category_lines
+WHERE kind = 'expense'
+GROUP BY strftime('%Y-%m', date), budget_type
+ORDER BY month DESC, total_amount DESC;
+
+CREATE VIEW budget_summary AS
+SELECT
+    budget_type,
+    COUNT(*) as transaction_count,
+    SUM(amount) as total_amount,
+    AVG(amount) as avg_amount,
+    MIN(amount) as min_amount,
+    MAX(amount) as max_amount
+FROM transaction_category_lines
+WHERE kind = 'expense'
+GROUP BY budget_type
+ORDER BY total_amount DESC;
+
+CREATE VIEW monthly_cash_flow AS
+SELECT
+    strftime('%Y-%m', date) as month,
+    COALESCE(SUM(CASE WHEN kind = 'income' THEN amount END), 0) as income,
+    COALESCE(SUM(CASE WHEN kind = 'expense' THEN amount END), 0) as expenses,
+    COALESCE(SUM(CASE WHEN kind = 'income' THEN amount ELSE -amount END), 0) as net
+FROM transactions
+GROUP BY strftime('%Y-%m', date)
+ORDER BY month DESC;
@@ -0,0 +1,26 @@
+-- 011_transaction_search (SQLite)
+
+-- Full-text index over transaction names and descriptions, kept in step with
+-- the transactions table by triggers (external-content FTS5 table)
+CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(
+    name,
+    description,
+    content='transactions',
+    content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS transactions_fts_insert AFTER INSERT ON transactions BEGIN
+    INSERT INTO transactions_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS transactions_fts_delete AFTER DELETE ON transactions BEGIN
+    INSERT INTO transactions_fts(transactions_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS transactions_fts_update AFTER UPDATE OF name, description ON transactions BEGIN
+    INSERT INTO transactions_fts(transactions_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+    INSERT INTO transactions_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+-- Index the transactions that already exist
+INSERT INTO transactions_fts(transactions_fts) VALUES ('rebuild');
@@ -0,0 +1,14 @@
+-- 013_alert_states (SQLite)
+
+-- Anomaly alerts are worked out on the fly; only a household's acknowledge or
+-- dismiss decision for each alert key is stored
+CREATE TABLE IF NOT EXISTS alert_states (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+    alert_key TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'acknowledged',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_states_household_key ON alert_states(household_id, alert_key);
@@ -0,0 +1,3 @@
+-- 015_drop_search_trigram_indexes (SQLite)
+
+-- Nothing to do: the trigram indexes only ever existed on PostgreSQL
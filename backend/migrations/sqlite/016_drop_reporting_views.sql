@@ -0,0 +1,8 @@
+-- 016_drop_reporting_views (SQLite)
+
+-- Nothing read these views, and they repeated the split-line logic the API
+-- keeps in CATEGORY_LINES_SQL; drop them so that logic lives in one place
+DROP VIEW IF EXISTS monthly_summary;
+DROP VIEW IF EXISTS budget_summary;
+DROP VIEW IF EXISTS monthly_cash_flow;
+DROP VIEW IF EXISTS transaction_category_lines;
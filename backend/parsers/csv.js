@@ -0,0 +1,207 @@
+// parsers/csv.js - RFC 4180 CSV parsing and bank export mapping
+// Turns raw CSV text into transaction rows using an import profile
+
+// Matches the layout the Import tab has always expected:
+// Date, Description, Original Description, Category, Amount, Status
+const DEFAULT_IMPORT_PROFILE = {
+  name: 'Default',
+  delimiter: ',',
+  skip_rows: 1,
+  date_column: 0,
+  date_format: 'YYYY-MM-DD',
+  name_column: 1,
+  description_column: 2,
+  category_column: null,
+  amount_column: 4,
+  debit_column: null,
+  credit_column: null,
+  amount_sign: 'expense_positive',
+  external_id_column: null
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+const AMOUNT_SIGNS = ['expense_positive', 'expense_negative'];
+
+// Parse CSV text into an array of string arrays.
+// Handles quoted fields with embedded delimiters, doubled quotes and newlines,
+// CRLF/LF line endings and a leading byte order mark.
+const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // Last record without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse a date string in the given format into YYYY-MM-DD, or null if invalid
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  if (!value) return null;
+
+  const parts = value.trim().split(/[^0-9]+/).filter(Boolean);
+  const tokens = format.split(/[^A-Za-z]+/).filter(Boolean);
+  if (parts.length < tokens.length) return null;
+
+  let year;
+  let month;
+  let day;
+  tokens.forEach((token, index) => {
+    const number = parseInt(parts[index], 10);
+    if (token.startsWith('Y')) year = parts[index].length <= 2 ? 2000 + number : number;
+    else if (token.startsWith('M')) month = number;
+    else if (token.startsWith('D')) day = number;
+  });
+
+  if (!year || !month || !day || month > 12) return null;
+  const lastDay = new Date(year, month, 0).getDate();
+  if (day > lastDay) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Parse a bank amount like "$1,234.56", "-12.00" or "(12.00)"
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/[$€£,\s]/g, '');
+  if (text.endsWith('-')) {
+    negative = !negative;
+    text = text.slice(0, -1);
+  }
+
+  const number = parseFloat(text);
+  if (isNaN(number)) return null;
+  return negative ? -number : number;
+};
+
+// Validate a profile payload, returning an error message or null
+const validateProfile = (profile) => {
+  if (!profile.name) return 'Missing required field: name is required';
+  if (profile.delimiter !== undefined && (typeof profile.delimiter !== 'string' || profile.delimiter.length !== 1)) {
+    return 'Delimiter must be a single character';
+  }
+  if (!DATE_FORMATS.includes(profile.date_format)) {
+    return `date_format must be one of: ${DATE_FORMATS.join(', ')}`;
+  }
+  if (!AMOUNT_SIGNS.includes(profile.amount_sign)) {
+    return `amount_sign must be one of: ${AMOUNT_SIGNS.join(', ')}`;
+  }
+  if (!Number.isInteger(profile.date_column)) {
+    return 'date_column is required';
+  }
+  const hasAmount = Number.isInteger(profile.amount_column);
+  const hasDebitCredit = Number.isInteger(profile.debit_column) || Number.isInteger(profile.credit_column);
+  if (!hasAmount && !hasDebitCredit) {
+    return 'Either amount_column or debit_column/credit_column is required';
+  }
+  return null;
+};
+
+// Apply a profile to parsed CSV rows, producing transactions and per-row errors.
+// Amounts come out with spending positive, matching the rest of the app.
+const mapRows = (rows, profile) => {
+  const transactions = [];
+  const errors = [];
+  const cell = (row, column) => (Number.isInteger(column) && row[column] !== undefined ? row[column].trim() : '');
+
+  rows.slice(profile.skip_rows || 0).forEach((row, index) => {
+    const rowNumber = index + (profile.skip_rows || 0) + 1;
+
+    const date = parseDate(cell(row, profile.date_column), profile.date_format);
+    if (!date) {
+      errors.push({ row: rowNumber, error: `Invalid date "${cell(row, profile.date_column)}"`, data: row });
+      return;
+    }
+
+    let amount;
+    if (Number.isInteger(profile.amount_column)) {
+      amount = parseAmount(cell(row, profile.amount_column));
+      if (amount !== null && profile.amount_sign === 'expense_negative') amount = -amount;
+    } else {
+      const debit = parseAmount(cell(row, profile.debit_column));
+      const credit = parseAmount(cell(row, profile.credit_column));
+      amount = debit === null && credit === null ? null : Math.abs(debit || 0) - Math.abs(credit || 0);
+    }
+
+    if (amount === null) {
+      errors.push({ row: rowNumber, error: 'Missing or invalid amount', data: row });
+      return;
+    }
+
+    const name = cell(row, profile.name_column);
+    const description = cell(row, profile.description_column);
+
+    transactions.push({
+      row: rowNumber,
+      date,
+      name: name || description || 'Unknown',
+      description: description || name || '',
+      budget_type: cell(row, profile.category_column),
+      amount,
+      external_id: cell(row, profile.external_id_column) || null
+    });
+  });
+
+  return { transactions, errors };
+};
+
+module.exports = {
+  DEFAULT_IMPORT_PROFILE,
+  DATE_FORMATS,
+  AMOUNT_SIGNS,
+  parseCSV,
+  parseDate,
+  parseAmount,
+  validateProfile,
+  mapRows
+};
@@ -0,0 +1,78 @@
+// parsers/ofx.js - OFX/QFX statement parsing
+// Handles both OFX 1.x (SGML, unclosed element tags) and OFX 2.x (XML)
+
+// Read a single element value from an OFX aggregate, e.g. <TRNAMT>-12.50
+const readElement = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]
+const parseOFXDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+// Some banks use a comma as the decimal separator
+const parseOFXAmount = (value) => {
+  const number = parseFloat((value || '').replace(',', '.'));
+  return isNaN(number) ? null : number;
+};
+
+// Detect whether text looks like an OFX/QFX document
+const isOFX = (text) => /<OFX>/i.test(text) || /OFXHEADER/i.test(text);
+
+// Parse an OFX/QFX document into transactions and per-row errors.
+// OFX amounts are negative for money leaving the account, so they are
+// inverted to match the app's spending-positive convention.
+const parseOFX = (text) => {
+  const transactions = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  blocks.forEach((block, index) => {
+    const row = index + 1;
+    const date = parseOFXDate(readElement(block, 'DTPOSTED') || readElement(block, 'DTUSER'));
+    const rawAmount = parseOFXAmount(readElement(block, 'TRNAMT'));
+
+    if (!date) {
+      errors.push({ row, error: 'Missing or invalid DTPOSTED', data: block });
+      return;
+    }
+    if (rawAmount === null) {
+      errors.push({ row, error: 'Missing or invalid TRNAMT', data: block });
+      return;
+    }
+
+    const name = readElement(block, 'NAME') || readElement(block, 'PAYEE');
+    const memo = readElement(block, 'MEMO');
+
+    transactions.push({
+      row,
+      date,
+      name: name || memo || 'Unknown',
+      description: memo || name || '',
+      budget_type: '',
+      amount: -rawAmount,
+      external_id: readElement(block, 'FITID') || null
+    });
+  });
+
+  return { transactions, errors };
+};
+
+module.exports = {
+  isOFX,
+  parseOFX,
+  parseOFXDate
+};
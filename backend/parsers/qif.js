@@ -0,0 +1,95 @@
+// parsers/qif.js - Quicken Interchange Format (QIF) statement parsing
+// Records are one field per line (code letter + value), terminated by "^"
+
+const { parseDate, parseAmount } = require('./csv');
+
+// Only cash-style account sections contain transactions we can import
+const SUPPORTED_TYPES = ['bank', 'ccard', 'cash', 'oth a', 'oth l'];
+
+// Detect whether text looks like a QIF document. Multi-account exports start
+// with an account list or an !Option header instead of !Type.
+const isQIF = (text) => /^\s*!(Type:|Account|Option:|Clear:)/i.test(text);
+
+// QIF dates vary by exporter: 10/5/2025, 10/05'25, 10-05-2025
+const parseQIFDate = (value, dateFormat = 'MM/DD/YYYY') => {
+  return parseDate((value || '').replace(/'/g, '/').replace(/\s+/g, ''), dateFormat);
+};
+
+// Parse a QIF document into transactions and per-row errors.
+// QIF amounts are negative for money leaving the account, so they are
+// inverted to match the app's spending-positive convention.
+const parseQIF = (text, dateFormat = 'MM/DD/YYYY') => {
+  const transactions = [];
+  const errors = [];
+  // null until the first !Type: header; other headers (!Account lists and the
+  // !Option/!Clear switches around them) hold account records, not transactions
+  let type = null;
+  let record = {};
+  let row = 0;
+
+  const finishRecord = () => {
+    if (Object.keys(record).length === 0) return;
+    if (type === null) {
+      record = {};
+      return;
+    }
+    row++;
+
+    if (!SUPPORTED_TYPES.includes(type)) {
+      record = {};
+      return;
+    }
+
+    const date = parseQIFDate(record.D, dateFormat);
+    const rawAmount = parseAmount(record.T !== undefined ? record.T : record.U);
+
+    if (!date) {
+      errors.push({ row, error: `Invalid date "${record.D || ''}"`, data: record });
+    } else if (rawAmount === null) {
+      errors.push({ row, error: 'Missing or invalid amount', data: record });
+    } else {
+      transactions.push({
+        row,
+        date,
+        name: record.P || record.M || 'Unknown',
+        description: record.M || record.P || '',
+        budget_type: '',
+        amount: -rawAmount,
+        external_id: null
+      });
+    }
+    record = {};
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('!')) {
+      finishRecord();
+      const typeMatch = line.match(/^!Type:(.*)$/i);
+      type = typeMatch ? typeMatch[1].trim().toLowerCase() : null;
+      continue;
+    }
+
+    if (line === '^') {
+      finishRecord();
+      continue;
+    }
+
+    const code = line[0];
+    // Split lines (S/E/$) belong to the parent record; only the first value of each code is kept
+    if (record[code] === undefined) {
+      record[code] = line.slice(1).trim();
+    }
+  }
+  finishRecord();
+
+  return { transactions, errors };
+};
+
+module.exports = {
+  isQIF,
+  parseQIF,
+  parseQIFDate
+};
@@ -3,10 +3,18 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const sqlite3 = require('sqlite3').verbose();
-const { Pool } = require('pg'); // For PostgreSQL
+const multer = require('multer');
+const { USE_SQLITE, queryDB, run, insert, update, remove, transaction, monthOf, closeDB } = require('./db');
+const { runMigrations } = require('./migrate');
+const { writeBackup, restoreBackup, rotateBackups, DEFAULT_BACKUP_KEEP } = require('./backup');
+const csvParser = require('./parsers/csv');
+const ofxParser = require('./parsers/ofx');
+const qifParser = require('./parsers/qif');
+const { formatRow } = require('./exporters/csv');
+const { buildWorkbook } = require('./exporters/xlsx');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -33,541 +41,4683 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'], // lets the browser read export filenames
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // CSV previews and large imports
 
-// Database configuration
-const USE_SQLITE = process.env.DB_TYPE === 'sqlite' || !process.env.DATABASE_URL;
+// Statement files are parsed in memory, never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// ============ AUTHENTICATION ============
+
+// Sessions last 30 days unless SESSION_TTL_DAYS says otherwise
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Routes reachable without a session (paths are relative to /api)
+const PUBLIC_API_PATHS = ['/health', '/auth/status', '/auth/login', '/auth/register'];
+
+// Hash a password with scrypt and a random salt, stored as "salt:hash"
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+    if (err) reject(err);
+    else resolve(`${salt}:${derivedKey.toString('hex')}`);
+  });
+});
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return resolve(false);
+  crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+    if (err) reject(err);
+    else {
+      // A malformed stored hash decodes to the wrong length; timingSafeEqual would throw
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    }
+  });
+});
+
+// Only a SHA-256 of each session token is stored, so a leaked database can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  household_id: user.household_id,
+  created_at: user.created_at
+});
+
+// Create a household and return its id
+const createHousehold = async (name) => {
+  const household = await insert('households', { name });
+  return household.id;
+};
+
+// Users created before households existed get a household of their own on first use
+const ensureHousehold = async (user) => {
+  if (user.household_id) return user;
+  const householdId = await createHousehold(`${user.username}'s household`);
+  await update('users', { household_id: householdId }, { id: user.id });
+  return { ...user, household_id: householdId };
+};
+
+const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await insert('sessions', { token_hash: hashToken(token), user_id: userId, expires_at: expiresAt });
+  return { token, expires_at: expiresAt };
+};
+
+const findSessionUser = async (token) => {
+  const rows = await queryDB(
+    'SELECT u.*, s.expires_at FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.token_hash = ?',
+    [hashToken(token)]
+  );
+  if (rows.length === 0) return null;
+  if (new Date(rows[0].expires_at) <= new Date()) {
+    await remove('sessions', { token_hash: hashToken(token) });
+    return null;
+  }
+  return rows[0];
+};
+
+// Validate a username/password payload, returning an error message or null
+const validateCredentials = (username, password) => {
+  if (!username || !password) {
+    return 'Missing required fields: username and password are required';
+  }
+  if (typeof password !== 'string') {
+    return 'Password must be a string';
+  }
+  if (!/^[a-z0-9._-]{3,50}$/.test(username)) {
+    return 'Username must be 3-50 characters: letters, numbers, dots, dashes or underscores';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Attach the session user to the request, rejecting anonymous calls to non-public routes
+const authenticate = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+    const user = token ? await findSessionUser(token) : null;
+    req.user = user ? await ensureHousehold(user) : null;
+    req.sessionToken = req.user ? token : null;
+
+    if (req.user || PUBLIC_API_PATHS.includes(req.path)) {
+      return next();
+    }
+
+    res.status(401).json({ success: false, error: 'Authentication required' });
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+app.use('/api', authenticate);
+
+// Tell the login screen whether the first account still needs to be created
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    const rows = await queryDB('SELECT COUNT(*) as count FROM users');
+    res.json({
+      success: true,
+      data: {
+        setup_required: parseInt(rows[0].count) === 0,
+        authenticated: Boolean(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching auth status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a user. The first account can be created by anyone (initial setup) and
+// starts a new household; after that only a signed-in user can add more, and
+// they join that user's household.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim().toLowerCase();
+    const { password } = req.body;
+
+    const countRows = await queryDB('SELECT COUNT(*) as count FROM users');
+    const isFirstUser = parseInt(countRows[0].count) === 0;
+    if (!isFirstUser && !req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const validationError = validateCredentials(username, password);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const existing = await queryDB(
+      'SELECT id FROM users WHERE username = ?',
+      [username]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ success: false, error: 'Username is already taken' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const householdId = isFirstUser
+      ? await createHousehold(`${username}'s household`)
+      : req.user.household_id;
+    const user = await insert('users', { username, password_hash: passwordHash, household_id: householdId });
+
+    // Sign the first user straight in; users added by someone else log in themselves
+    const session = isFirstUser ? await createSession(user.id) : null;
+
+    res.status(201).json({
+      success: true,
+      data: publicUser(user),
+      ...(session && { token: session.token, expires_at: session.expires_at }),
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Exchange a username and password for a session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim().toLowerCase();
+    const { password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: username and password are required' });
+    }
+    if (typeof password !== 'string') {
+      return res.status(400).json({ success: false, error: 'Password must be a string' });
+    }
+
+    const users = await queryDB(
+      'SELECT * FROM users WHERE username = ?',
+      [username]
+    );
+
+    if (users.length === 0 || !(await verifyPassword(password, users[0].password_hash))) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    const session = await createSession(users[0].id);
+
+    res.json({
+      success: true,
+      data: publicUser(users[0]),
+      token: session.token,
+      expires_at: session.expires_at,
+      message: 'Logged in successfully'
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// End the current session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await remove('sessions', { token_hash: hashToken(req.sessionToken) });
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, data: publicUser(req.user) });
+});
+
+// Change the signed-in user's password and sign out their other sessions
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: current_password and new_password are required' });
+    }
+    if (typeof current_password !== 'string' || typeof new_password !== 'string') {
+      return res.status(400).json({ success: false, error: 'Passwords must be strings' });
+    }
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!(await verifyPassword(current_password, req.user.password_hash))) {
+      return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await hashPassword(new_password);
+    await update('users', { password_hash: passwordHash }, { id: req.user.id });
+    await run(
+      'DELETE FROM sessions WHERE user_id = ? AND token_hash != ?',
+      [req.user.id, hashToken(req.sessionToken)]
+    );
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ HOUSEHOLDS ============
+
+const VISIBILITY_OPTIONS = ['shared', 'private'];
+
+// Push a bound parameter and return its placeholder
+const addParam = (params, value) => {
+  params.push(value);
+  return '?';
+};
+
+// SQL condition for transactions or accounts (by table alias) the user may see:
+// their own rows, shared rows owned by anyone in their household, and rows from
+// before households existed, which have no owner and stay visible to everyone.
+const visibleTo = (user, params, alias) => `(
+  ${alias}.owner_id IS NULL
+  OR ${alias}.owner_id = ${addParam(params, user.id)}
+  OR (${alias}.visibility = 'shared'
+    AND ${alias}.owner_id IN (SELECT id FROM users WHERE household_id = ${addParam(params, user.household_id)}))
+)`;
+
+// WHERE fragment (starting with AND) limiting rows to what the signed-in user may
+// see and, with ?member_id=, to one household member's transactions
+const householdScope = (req, params, alias) => {
+  let sql = ` AND ${visibleTo(req.user, params, alias)}`;
+  if (req.query.member_id) {
+    sql += ` AND ${alias}.owner_id = ${addParam(params, parseInt(req.query.member_id) || 0)}`;
+  }
+  return sql;
+};
+
+const loadHouseholdMembers = (householdId) => queryDB(
+  'SELECT id, username, created_at FROM users WHERE household_id = ? ORDER BY id',
+  [householdId]
+);
+
+// Make sure an optional owner_id is a member of the user's household
+const validateOwnerId = async (ownerId, user) => {
+  if (ownerId === undefined || ownerId === null || ownerId === '') return null;
+  const members = await loadHouseholdMembers(user.household_id);
+  return members.some(member => member.id === parseInt(ownerId)) ? null : 'owner_id must be a member of your household';
+};
+
+// Transaction visibility: an explicit choice wins, otherwise it follows the account
+const resolveVisibility = async (visibility, accountId) => {
+  if (visibility) return visibility;
+  if (!accountId) return 'shared';
+  const rows = await queryDB(
+    'SELECT visibility FROM accounts WHERE id = ?',
+    [accountId]
+  );
+  return rows.length > 0 && rows[0].visibility ? rows[0].visibility : 'shared';
+};
+
+// Load a transaction by id, or no rows if the user may not see it
+const loadVisibleTransaction = (id, user) => {
+  const params = [];
+  return queryDB(
+    `SELECT * FROM transactions t WHERE t.id = ${addParam(params, id)} AND ${visibleTo(user, params, 't')}`,
+    params
+  );
+};
+
+// Get the signed-in user's household and its members
+app.get('/api/household', async (req, res) => {
+  try {
+    const households = await queryDB(
+      'SELECT * FROM households WHERE id = ?',
+      [req.user.household_id]
+    );
+    const members = await loadHouseholdMembers(req.user.household_id);
+    res.json({ success: true, data: { ...households[0], members } });
+  } catch (error) {
+    console.error('Error fetching household:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename the household
+app.put('/api/household', async (req, res) => {
+  try {
+    const name = req.body.name ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Missing required field: name is required' });
+    }
+
+    const household = await update('households', { name }, { id: req.user.household_id });
+
+    res.json({ success: true, data: household, message: 'Household updated successfully' });
+  } catch (error) {
+    console.error('Error updating household:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Work out who owes whom for unpaid shared expenses. Each expense was paid by its
+// owner and is split evenly across the household; a member's balance is what they
+// paid minus their share, and transfers settle the balances with as few payments
+// as the greedy largest-debtor-to-largest-creditor match gives.
+app.get('/api/household/settle-up', async (req, res) => {
+  try {
+    const members = await loadHouseholdMembers(req.user.household_id);
+    const params = [];
+    const sql = `
+      SELECT t.owner_id, SUM(t.amount) as paid, COUNT(*) as transaction_count
+      FROM transactions t
+      WHERE t.kind = 'expense'
+        AND t."payedOff" = FALSE
+        AND t.visibility = 'shared'
+        AND t.owner_id IN (SELECT id FROM users WHERE household_id = ${addParam(params, req.user.household_id)})
+      GROUP BY t.owner_id
+    `;
+    const rows = await queryDB(sql, params);
+
+    // Work in cents; leftover cents of the even split go to the earliest members
+    const paidCents = {};
+    let transactionCount = 0;
+    for (const row of rows) {
+      paidCents[row.owner_id] = Math.round(parseFloat(row.paid) * 100);
+      transactionCount += parseInt(row.transaction_count);
+    }
+    const totalCents = Object.values(paidCents).reduce((sum, cents) => sum + cents, 0);
+    const baseShare = Math.floor(totalCents / members.length);
+    const leftover = totalCents - baseShare * members.length;
+
+    const balances = members.map((member, index) => {
+      const paid = paidCents[member.id] || 0;
+      const share = baseShare + (index < leftover ? 1 : 0);
+      return { user_id: member.id, username: member.username, paid, share, balance: paid - share };
+    });
+
+    const debtors = balances.filter(b => b.balance < 0).map(b => ({ ...b, remaining: -b.balance }));
+    const creditors = balances.filter(b => b.balance > 0).map(b => ({ ...b, remaining: b.balance }));
+    const transfers = [];
+
+    while (debtors.length > 0 && creditors.length > 0) {
+      debtors.sort((a, b) => b.remaining - a.remaining);
+      creditors.sort((a, b) => b.remaining - a.remaining);
+      const debtor = debtors[0];
+      const creditor = creditors[0];
+      const amount = Math.min(debtor.remaining, creditor.remaining);
+
+      transfers.push({
+        from_user_id: debtor.user_id,
+        from_username: debtor.username,
+        to_user_id: creditor.user_id,
+        to_username: creditor.username,
+        amount: amount / 100
+      });
+
+      debtor.remaining -= amount;
+      creditor.remaining -= amount;
+      if (debtor.remaining === 0) debtors.shift();
+      if (creditor.remaining === 0) creditors.shift();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        members: balances.map(b => ({ ...b, paid: b.paid / 100, share: b.share / 100, balance: b.balance / 100 })),
+        transfers,
+        total: totalCents / 100,
+        transaction_count: transactionCount
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating settle-up:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ API ROUTES ============
+
+// Amounts are always stored positive; kind says which way the money moved
+const TRANSACTION_KINDS = ['expense', 'income'];
+
+// Words of letters and digits in a search string
+const searchTerms = (q) => (typeof q === 'string' && q.match(/[\p{L}\p{N}]+/gu)) || [];
+
+// WHERE fragment matching every word of q against name and description. Each
+// word matches as a prefix, through the FTS5 index on SQLite and the tsvector
+// index on PostgreSQL, so both databases return the same rows.
+const searchSql = (q, params) => {
+  const terms = searchTerms(q);
+  if (terms.length === 0) return '';
+
+  if (USE_SQLITE) {
+    const match = terms.map(term => `"${term}"*`).join(' ');
+    return ` AND id IN (SELECT rowid FROM transactions_fts WHERE transactions_fts MATCH ${addParam(params, match)})`;
+  }
+
+  const tsquery = terms.map(term => `${term}:*`).join(' & ');
+  return ` AND to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(description, '')) @@ to_tsquery('simple', ${addParam(params, tsquery)})`;
+};
+
+// Check the list filters that need a specific format, returning an error message or null
+const validateTransactionFilters = ({ amount_min, amount_max, payedOff }) => {
+  for (const value of [amount_min, amount_max]) {
+    if (value !== undefined && value !== '' && isNaN(parseFloat(value))) {
+      return 'amount_min and amount_max must be numbers';
+    }
+  }
+  if (payedOff !== undefined && payedOff !== '' && ![true, false, 'true', 'false'].includes(payedOff)) {
+    return 'payedOff must be true or false';
+  }
+  return null;
+};
+
+// WHERE fragment (starting with AND) for the transaction list filters.
+// A split transaction matches any of its line categories.
+const transactionFilterSql = ({ q, budget_type, account_id, kind, start_date, end_date, amount_min, amount_max, payedOff }, params) => {
+  let sql = searchSql(q, params);
+
+  if (budget_type) {
+    sql += ' AND (budget_type = ? OR id IN (SELECT transaction_id FROM transaction_splits WHERE budget_type = ?))';
+    params.push(budget_type, budget_type);
+  }
+
+  if (account_id) {
+    sql += ' AND account_id = ?';
+    params.push(account_id);
+  }
+
+  if (kind) {
+    sql += ' AND kind = ?';
+    params.push(kind);
+  }
+
+  if (start_date) {
+    sql += ' AND date >= ?';
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    sql += ' AND date <= ?';
+    params.push(end_date);
+  }
+
+  if (amount_min !== undefined && amount_min !== '') {
+    sql += ' AND amount >= ?';
+    params.push(parseFloat(amount_min));
+  }
+
+  if (amount_max !== undefined && amount_max !== '') {
+    sql += ' AND amount <= ?';
+    params.push(parseFloat(amount_max));
+  }
+
+  if (payedOff !== undefined && payedOff !== '') {
+    sql += ' AND "payedOff" = ?';
+    params.push(payedOff === true || payedOff === 'true');
+  }
+
+  return sql;
+};
+
+// Sort keys for the transaction list; ties are broken by id in the same direction.
+// Expressions never yield NULL so they can be compared against a cursor.
+const TRANSACTION_SORTS = {
+  date: 'date',
+  amount: 'amount',
+  name: "LOWER(COALESCE(name, ''))",
+  budget_type: 'LOWER(budget_type)'
+};
+
+const MAX_PAGE_SIZE = 1000;
+
+// A cursor points just past the last row of a page: its sort value and id, plus
+// the sort it was made for. Encoded as base64url JSON so clients treat it as opaque.
+const encodeCursor = (sort, order, row) => Buffer.from(
+  JSON.stringify({ sort, order, value: row.sort_value, id: row.id })
+).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && decoded.id !== undefined && decoded.value !== undefined ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Keyset condition (starting with AND) for rows strictly after `after` in
+// (sort value, id) order
+const keysetSql = (sortExpr, order, after, params) => {
+  const comparison = order === 'desc' ? '<' : '>';
+  return ` AND (${sortExpr} ${comparison} ${addParam(params, after.value)}
+    OR (${sortExpr} = ${addParam(params, after.value)} AND id ${comparison} ${addParam(params, after.id)}))`;
+};
+
+// Get transactions with optional filters, search (q) and sorting, one page at a
+// time. Pass the returned next_cursor as ?cursor= to get the following page;
+// total counts every transaction matching the filters.
+app.get('/api/transactions', async (req, res) => {
+  try {
+    const { sort = 'date', order = 'desc', cursor, offset = 0 } = req.query; // member_id is applied by householdScope
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PAGE_SIZE);
+
+    const filterError = validateTransactionFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ success: false, error: filterError });
+    }
+    if (!TRANSACTION_SORTS[sort]) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${Object.keys(TRANSACTION_SORTS).join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ success: false, error: 'order must be asc or desc' });
+    }
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      if (after.sort !== sort || after.order !== order) {
+        return res.status(400).json({ success: false, error: 'cursor was made for a different sort order' });
+      }
+    }
+
+    const sortExpr = TRANSACTION_SORTS[sort];
+    const direction = order.toUpperCase();
+
+    const params = [];
+    const filters = transactionFilterSql(req.query, params) + householdScope(req, params, 'transactions');
+    const countParams = [...params];
+
+    let sql = `
+      SELECT transactions.*, ${sortExpr} as sort_value,
+        (SELECT COUNT(*) FROM transaction_splits s WHERE s.transaction_id = transactions.id) as split_count,
+        (SELECT m.name FROM merchants m WHERE m.id = transactions.merchant_id) as merchant_name
+      FROM transactions WHERE 1=1 ${filters}
+    `;
+
+    if (after) sql += keysetSql(sortExpr, order, after, params);
+
+    sql += ` ORDER BY ${sortExpr} ${direction}, id ${direction}`;
+
+    // One extra row tells us whether there is a next page
+    sql += ` LIMIT ${addParam(params, limit + 1)}`;
+    if (!after) sql += ` OFFSET ${addParam(params, parseInt(offset) || 0)}`;
+
+    const [rows, countRows] = await Promise.all([
+      queryDB(sql, params),
+      queryDB(`SELECT COUNT(*) as total FROM transactions WHERE 1=1 ${filters}`, countParams)
+    ]);
+
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(sort, order, page[page.length - 1]) : null;
+
+    res.json({
+      success: true,
+      data: page.map(({ sort_value, ...tx }) => tx),
+      count: page.length,
+      total: countRows[0].total,
+      next_cursor: nextCursor
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ BULK TRANSACTION CHANGES ============
+
+// Fields a bulk update may change. Amounts are left out because split lines
+// have to add up to them.
+const BULK_UPDATE_FIELDS = ['budget_type', 'payedOff', 'kind', 'account_id', 'owner_id', 'visibility'];
+const BULK_FILTER_FIELDS = ['q', 'budget_type', 'account_id', 'kind', 'start_date', 'end_date', 'amount_min', 'amount_max', 'payedOff', 'member_id'];
+
+// Resolve the { ids } or { filter } of a bulk request to the ids it targets,
+// returning { error } or { ids, missing } (requested ids the user cannot see)
+const resolveBulkTargets = async (body, user) => {
+  const { ids, filter } = body;
+  const params = [];
+  let sql = `SELECT id FROM transactions WHERE ${visibleTo(user, params, 'transactions')}`;
+
+  if (ids !== undefined) {
+    if (filter !== undefined) {
+      return { error: 'Send either ids or filter, not both' };
+    }
+    const parsedIds = Array.isArray(ids) ? [...new Set(ids.map(id => parseInt(id)))] : [];
+    if (parsedIds.length === 0 || parsedIds.some(id => isNaN(id))) {
+      return { error: 'ids must be a non-empty array of transaction ids' };
+    }
+    sql += ` AND id IN (${parsedIds.map(id => addParam(params, id)).join(', ')})`;
+
+    const found = new Set((await queryDB(sql, params)).map(row => row.id));
+    return { ids: parsedIds.filter(id => found.has(id)), missing: parsedIds.filter(id => !found.has(id)) };
+  }
+
+  // An empty filter would match everything, so at least one field is required
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'Send ids (an array of transaction ids) or a filter object' };
+  }
+  const filterFields = Object.keys(filter).filter(field => filter[field] !== undefined && filter[field] !== '');
+  const unknownFilter = filterFields.find(field => !BULK_FILTER_FIELDS.includes(field));
+  if (unknownFilter) {
+    return { error: `Unknown filter field "${unknownFilter}". Allowed: ${BULK_FILTER_FIELDS.join(', ')}` };
+  }
+  if (filterFields.length === 0) {
+    return { error: 'filter needs at least one field' };
+  }
+  const filterError = validateTransactionFilters(filter);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  sql += transactionFilterSql(filter, params);
+  if (filter.member_id) {
+    sql += ` AND owner_id = ${addParam(params, parseInt(filter.member_id) || 0)}`;
+  }
+  sql += ' ORDER BY date DESC, id DESC';
+
+  const rows = await queryDB(sql, params);
+  return { ids: rows.map(row => row.id), missing: [] };
+};
+
+// Validate a partial set of transaction fields, returning { error } or { values }
+// with only the supplied columns. Fields outside allowedFields are rejected.
+const parseTransactionChanges = async (changes, user, allowedFields, what = 'changed') => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Send an object of fields to change' };
+  }
+
+  const fields = Object.keys(changes);
+  const unknownField = fields.find(field => !allowedFields.includes(field));
+  if (unknownField) {
+    return { error: `Field "${unknownField}" cannot be ${what}. Allowed: ${allowedFields.join(', ')}` };
+  }
+  if (fields.length === 0) {
+    return { error: 'Send at least one field to change' };
+  }
+
+  const values = {};
+  if ('date' in changes) {
+    if (!isValidDateString(changes.date)) {
+      return { error: 'date must be a valid date (YYYY-MM-DD)' };
+    }
+    values.date = changes.date;
+  }
+  for (const field of ['name', 'description']) {
+    if (field in changes) {
+      if (changes[field] !== null && typeof changes[field] !== 'string') {
+        return { error: `${field} must be text` };
+      }
+      values[field] = changes[field] || null;
+    }
+  }
+  if ('budget_type' in changes) {
+    const budgetType = typeof changes.budget_type === 'string' ? changes.budget_type.trim() : '';
+    if (!budgetType) {
+      return { error: 'budget_type cannot be empty' };
+    }
+    values.budget_type = budgetType;
+  }
+  if ('amount' in changes) {
+    const amount = parseFloat(changes.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return { error: 'Amount must be a number greater than 0' };
+    }
+    values.amount = amount;
+  }
+  if ('payedOff' in changes) {
+    if (typeof changes.payedOff !== 'boolean') {
+      return { error: 'payedOff must be true or false' };
+    }
+    values.payedOff = changes.payedOff;
+    // Reopening a transaction takes it out of the payment that settled it
+    if (!changes.payedOff) values.payment_id = null;
+  }
+  if ('kind' in changes) {
+    if (!TRANSACTION_KINDS.includes(changes.kind)) {
+      return { error: `kind must be one of: ${TRANSACTION_KINDS.join(', ')}` };
+    }
+    values.kind = changes.kind;
+  }
+  if ('visibility' in changes) {
+    if (!VISIBILITY_OPTIONS.includes(changes.visibility)) {
+      return { error: `visibility must be one of: ${VISIBILITY_OPTIONS.join(', ')}` };
+    }
+    values.visibility = changes.visibility;
+  }
+  if ('account_id' in changes) {
+    const accountError = await validateAccountId(changes.account_id, user);
+    if (accountError) {
+      return { error: accountError };
+    }
+    values.account_id = changes.account_id || null;
+  }
+  if ('owner_id' in changes) {
+    if (!changes.owner_id) {
+      return { error: 'owner_id cannot be empty' };
+    }
+    const ownerError = await validateOwnerId(changes.owner_id, user);
+    if (ownerError) {
+      return { error: ownerError };
+    }
+    values.owner_id = parseInt(changes.owner_id);
+  }
+
+  return { values };
+};
+
+// One result per requested id; ids the user cannot see are reported, not fatal
+const bulkResults = (ids, missing, buildResult) => [
+  ...ids.map(buildResult),
+  ...missing.map(id => ({ id, success: false, error: 'Transaction not found' }))
+];
+
+// Change the same fields on many transactions at once.
+// Body: { ids: [1, 2] } or { filter: { budget_type, payedOff, ... } }, plus { changes: { ... } }.
+// Every matching transaction is updated in one database transaction.
+app.patch('/api/transactions/bulk', async (req, res) => {
+  try {
+    const { error: changesError, values } = await parseTransactionChanges(req.body.changes, req.user, BULK_UPDATE_FIELDS, 'changed in bulk');
+    if (changesError) {
+      return res.status(400).json({ success: false, error: changesError });
+    }
+
+    const { error, ids, missing } = await resolveBulkTargets(req.body, req.user);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Reports read a split transaction's categories from its lines, so a new
+    // parent label would change nothing there; recategorize those one by one
+    if ('budget_type' in values && ids.length > 0) {
+      const splitParams = [];
+      const split = await queryDB(
+        `SELECT DISTINCT transaction_id FROM transaction_splits
+         WHERE transaction_id IN (${ids.map(id => addParam(splitParams, id)).join(', ')})
+         ORDER BY transaction_id`,
+        splitParams
+      );
+      if (split.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `budget_type cannot be changed in bulk on split transactions: ${split.map(row => row.transaction_id).join(', ')}`
+        });
+      }
+    }
+
+    const updatedRows = await transaction(async (tx) => {
+      const rows = {};
+      for (const id of ids) {
+        rows[id] = await tx.update('transactions', values, { id });
+      }
+      return rows;
+    });
+
+    const results = bulkResults(ids, missing, id => ({ id, success: true, data: updatedRows[id] }));
+
+    res.json({
+      success: true,
+      data: results,
+      updated: ids.length,
+      failed: missing.length,
+      message: `Updated ${ids.length} transaction(s)`
+    });
+  } catch (error) {
+    console.error('Error bulk updating transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete many transactions at once; same { ids } or { filter } body as the bulk update
+app.delete('/api/transactions/bulk', async (req, res) => {
+  try {
+    const { error, ids, missing } = await resolveBulkTargets(req.body || {}, req.user);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await transaction(async (tx) => {
+      for (const id of ids) {
+        await tx.remove('transaction_splits', { transaction_id: id });
+        await tx.remove('transactions', { id });
+      }
+    });
+
+    const results = bulkResults(ids, missing, id => ({ id, success: true }));
+
+    res.json({
+      success: true,
+      data: results,
+      deleted: ids.length,
+      failed: missing.length,
+      message: `Deleted ${ids.length} transaction(s)`
+    });
+  } catch (error) {
+    console.error('Error bulk deleting transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get transaction by ID
+app.get('/api/transactions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transactions = await loadVisibleTransaction(id, req.user);
+
+    if (transactions.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const splits = await loadSplits(id);
+    res.json({ success: true, data: { ...transactions[0], splits } });
+  } catch (error) {
+    console.error('Error fetching transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a new transaction
+app.post('/api/transactions', async (req, res) => {
+  try {
+    const { date, name, description, budget_type, amount, payedOff, account_id, kind = 'expense', owner_id, visibility } = req.body;
+
+    // Validate required fields
+    if (!date || !amount || !budget_type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: date, amount, and budget_type are required'
+      });
+    }
+
+    // Amounts are stored positive; kind carries the direction
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a number greater than 0'
+      });
+    }
+
+    if (!TRANSACTION_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be one of: ${TRANSACTION_KINDS.join(', ')}`
+      });
+    }
+
+    if (visibility && !VISIBILITY_OPTIONS.includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        error: `visibility must be one of: ${VISIBILITY_OPTIONS.join(', ')}`
+      });
+    }
+
+    const accountError = await validateAccountId(account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
+    }
+
+    const ownerError = await validateOwnerId(owner_id, req.user);
+    if (ownerError) {
+      return res.status(400).json({ success: false, error: ownerError });
+    }
+
+    // Default payedOff to true if not provided
+    const payedOffValue = payedOff !== undefined ? payedOff : true;
+    const visibilityValue = await resolveVisibility(visibility, account_id);
+    const merchantId = findMerchantId(await loadMerchantAliases(), { name, description });
+
+    // Insert transaction (owned by whoever entered it unless owner_id says otherwise)
+    const newTransaction = await insert('transactions', {
+      date,
+      name: name || null,
+      description: description || null,
+      budget_type,
+      amount: parsedAmount,
+      payedOff: payedOffValue,
+      account_id: account_id || null,
+      kind,
+      merchant_id: merchantId,
+      created_by: req.user.id,
+      owner_id: owner_id || req.user.id,
+      visibility: visibilityValue
+    });
+
+    res.status(201).json({
+      success: true,
+      data: newTransaction,
+      message: 'Transaction created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a transaction
+app.put('/api/transactions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, name, description, budget_type, amount, payedOff, account_id, kind, splits, owner_id, visibility } = req.body;
+
+    // Validate required fields
+    if (!date || !amount || !budget_type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: date, amount, and budget_type are required'
+      });
+    }
+
+    // Amounts are stored positive; kind carries the direction
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a number greater than 0'
+      });
+    }
+
+    if (kind !== undefined && !TRANSACTION_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be one of: ${TRANSACTION_KINDS.join(', ')}`
+      });
+    }
+
+    if (visibility && !VISIBILITY_OPTIONS.includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        error: `visibility must be one of: ${VISIBILITY_OPTIONS.join(', ')}`
+      });
+    }
+
+    const existing = await loadVisibleTransaction(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const accountError = await validateAccountId(account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
+    }
+
+    const ownerError = await validateOwnerId(owner_id, req.user);
+    if (ownerError) {
+      return res.status(400).json({ success: false, error: ownerError });
+    }
+
+    // Kind, owner and visibility are only changed when sent
+    const kindValue = kind !== undefined ? kind : existing[0].kind;
+    const ownerValue = owner_id || existing[0].owner_id;
+    const visibilityValue = visibility || existing[0].visibility;
+
+    // Split lines sent with the update replace the existing ones; otherwise the
+    // existing lines must still add up to the new amount
+    let splitLines = null;
+    if (splits !== undefined) {
+      const { error, lines } = validateSplits(splits, parsedAmount);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      splitLines = lines;
+    } else {
+      const existingSplits = await loadSplits(id);
+      if (existingSplits.length > 0 && !splitsMatchAmount(existingSplits, parsedAmount)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Amount no longer matches the split lines. Update the splits along with the amount.'
+        });
+      }
+    }
+
+    // Keep the stored paid status unless one was sent; reopening drops the payment link
+    const payedOffValue = payedOff !== undefined ? payedOff : existing[0].payedOff;
+    const paymentId = payedOffValue ? existing[0].payment_id : null;
+    const merchantId = findMerchantId(await loadMerchantAliases(), { name, description });
+
+    // Update the transaction and replace its split lines together
+    const updatedTransaction = await transaction(async (tx) => {
+      const row = await tx.update('transactions', {
+        date,
+        name: name || null,
+        description: description || null,
+        budget_type,
+        amount: parsedAmount,
+        payedOff: payedOffValue,
+        payment_id: paymentId,
+        account_id: account_id || null,
+        kind: kindValue,
+        merchant_id: merchantId,
+        owner_id: ownerValue,
+        visibility: visibilityValue
+      }, { id });
+      if (row && splitLines) await saveSplits(tx, id, splitLines);
+      return row;
+    });
+
+    if (!updatedTransaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { ...updatedTransaction, splits: await loadSplits(id) },
+      message: 'Transaction updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fields a partial update may change (split lines are sent as "splits")
+const PATCH_FIELDS = ['date', 'name', 'description', 'budget_type', 'amount', 'payedOff', 'kind', 'account_id', 'owner_id', 'visibility'];
+
+// Update only the fields sent; everything else keeps its stored value
+app.patch('/api/transactions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { splits, ...changes } = req.body;
+
+    const existing = await loadVisibleTransaction(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const hasChanges = Object.keys(changes).length > 0;
+    if (!hasChanges && splits === undefined) {
+      return res.status(400).json({ success: false, error: 'Send at least one field to change' });
+    }
+
+    let values = {};
+    if (hasChanges) {
+      const parsed = await parseTransactionChanges(changes, req.user, PATCH_FIELDS);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      values = parsed.values;
+    }
+
+    // A new name or description may belong to a different merchant
+    if ('name' in values || 'description' in values) {
+      values.merchant_id = findMerchantId(await loadMerchantAliases(), { ...existing[0], ...values });
+    }
+
+    // Same rule as a full update: split lines must add up to the (new) amount
+    const amount = values.amount !== undefined ? values.amount : existing[0].amount;
+    let splitLines = null;
+    if (splits !== undefined) {
+      const { error, lines } = validateSplits(splits, amount);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      splitLines = lines;
+    } else if (values.amount !== undefined) {
+      const existingSplits = await loadSplits(id);
+      if (existingSplits.length > 0 && !splitsMatchAmount(existingSplits, amount)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Amount no longer matches the split lines. Update the splits along with the amount.'
+        });
+      }
+    }
+
+    const updatedTransaction = await transaction(async (tx) => {
+      const row = Object.keys(values).length > 0
+        ? await tx.update('transactions', values, { id })
+        : existing[0];
+      if (splitLines) await saveSplits(tx, id, splitLines);
+      return row;
+    });
+
+    res.json({
+      success: true,
+      data: { ...updatedTransaction, splits: await loadSplits(id) },
+      message: 'Transaction updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a transaction
+app.delete('/api/transactions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if transaction exists (and is visible to this user) first
+    const existing = await loadVisibleTransaction(id, req.user);
+
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    // SQLite does not enforce ON DELETE CASCADE unless foreign keys are enabled
+    await transaction(async (tx) => {
+      await tx.remove('transaction_splits', { transaction_id: id });
+      await tx.remove('transactions', { id });
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ SPLIT TRANSACTIONS ============
+
+// One row per category line: split transactions contribute their split lines,
+// everything else contributes itself. Category summaries read from this so a
+// Costco run split across groceries and household lands in both.
+const CATEGORY_LINES_SQL = `(
+  SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, t.recurring_id, t.budget_type, t.amount
+  FROM transactions t
+  WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+  UNION ALL
+  SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, t.recurring_id, s.budget_type, s.amount
+  FROM transaction_splits s
+  JOIN transactions t ON t.id = s.transaction_id
+) lines`;
+
+const loadSplits = (transactionId) => queryDB(
+  'SELECT * FROM transaction_splits WHERE transaction_id = ? ORDER BY id',
+  [transactionId]
+);
+
+// Compare in cents so 33.33 + 33.33 + 33.34 matches 100.00
+const splitsMatchAmount = (lines, amount) => {
+  const totalCents = lines.reduce((sum, line) => sum + Math.round(parseFloat(line.amount) * 100), 0);
+  return totalCents === Math.round(parseFloat(amount) * 100);
+};
+
+// Validate split lines against the parent amount, returning { error } or { lines }.
+// An empty array removes the split.
+const validateSplits = (splits, parentAmount) => {
+  if (!Array.isArray(splits)) {
+    return { error: 'splits must be an array' };
+  }
+  if (splits.length === 0) {
+    return { lines: [] };
+  }
+  if (splits.length < 2) {
+    return { error: 'A split needs at least two lines' };
+  }
+
+  const lines = [];
+  for (let i = 0; i < splits.length; i++) {
+    const line = splits[i];
+    const amount = parseFloat(line.amount);
+    if (!line.budget_type) {
+      return { error: `Split line ${i + 1} is missing a category` };
+    }
+    if (isNaN(amount) || amount <= 0) {
+      return { error: `Split line ${i + 1} needs an amount greater than 0` };
+    }
+    lines.push({ budget_type: line.budget_type, amount, note: line.note || null });
+  }
+
+  if (!splitsMatchAmount(lines, parentAmount)) {
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    return { error: `Split lines add up to ${total.toFixed(2)} but the transaction amount is ${parseFloat(parentAmount).toFixed(2)}` };
+  }
+
+  return { lines };
+};
+
+// Replace all split lines of a transaction
+const saveSplits = async (tx, transactionId, lines) => {
+  await tx.remove('transaction_splits', { transaction_id: transactionId });
+  for (const line of lines) {
+    await tx.insert('transaction_splits', {
+      transaction_id: transactionId,
+      budget_type: line.budget_type,
+      amount: line.amount,
+      note: line.note
+    });
+  }
+};
+
+// Get the split lines of a transaction
+app.get('/api/transactions/:id/splits', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transactions = await loadVisibleTransaction(id, req.user);
+
+    if (transactions.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    res.json({ success: true, data: await loadSplits(id) });
+  } catch (error) {
+    console.error('Error fetching splits:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace the split lines of a transaction (send an empty array to unsplit)
+app.put('/api/transactions/:id/splits', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transactions = await loadVisibleTransaction(id, req.user);
+
+    if (transactions.length === 0) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const { error, lines } = validateSplits(req.body.splits, transactions[0].amount);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await transaction(tx => saveSplits(tx, id, lines));
+
+    res.json({
+      success: true,
+      data: await loadSplits(id),
+      message: lines.length > 0 ? 'Splits saved successfully' : 'Split removed successfully'
+    });
+  } catch (error) {
+    console.error('Error saving splits:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get summary by budget type
+app.get('/api/summary/budget-types', async (req, res) => {
+  try {
+    const { account_id } = req.query;
+    const params = [];
+
+    const sql = `
+      SELECT 
+        budget_type,
+        COUNT(*) as transaction_count,
+        SUM(amount) as total_amount,
+        AVG(amount) as avg_amount,
+        MIN(amount) as min_amount,
+        MAX(amount) as max_amount
+      FROM ${CATEGORY_LINES_SQL}
+      WHERE kind = 'expense'
+      ${account_id ? `AND account_id = ${addParam(params, account_id)}` : ''}
+      ${householdScope(req, params, 'lines')}
+      GROUP BY budget_type
+      ORDER BY total_amount DESC
+    `;
+    
+    const summary = await queryDB(sql, params);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error fetching budget summary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get monthly summary
+// Expense totals per month and category (?account_id=, ?member_id=)
+const loadMonthlySummary = (req) => {
+  const { account_id } = req.query;
+  const params = [];
+  let filters = account_id ? `AND account_id = ${addParam(params, account_id)}` : '';
+  filters += householdScope(req, params, 'lines');
+
+  const sql = `
+    SELECT 
+      ${monthOf('date')} as month,
+      budget_type,
+      COUNT(*) as transaction_count,
+      SUM(amount) as total_amount,
+      AVG(amount) as avg_amount
+    FROM ${CATEGORY_LINES_SQL}
+    WHERE kind = 'expense'
+    ${filters}
+    GROUP BY ${monthOf('date')}, budget_type
+    ORDER BY month DESC, total_amount DESC
+  `;
+
+  return queryDB(sql, params);
+};
+
+app.get('/api/summary/monthly', async (req, res) => {
+  try {
+    const summary = await loadMonthlySummary(req);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error fetching monthly summary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get category breakdown by month
+// Expense totals per category for one month (?month=YYYY-MM, ?account_id=, ?member_id=)
+const loadCategoryBreakdown = (req) => {
+  const { month, account_id } = req.query;
+  const params = [];
+  const monthExpr = monthOf('date');
+
+  const sql = `
+    SELECT
+      budget_type,
+      COUNT(*) as transaction_count,
+      SUM(amount) as total_amount
+    FROM ${CATEGORY_LINES_SQL}
+    WHERE ${monthExpr} = ${addParam(params, month)} AND kind = 'expense'
+    ${account_id ? `AND account_id = ${addParam(params, account_id)}` : ''}
+    ${householdScope(req, params, 'lines')}
+    GROUP BY budget_type
+    ORDER BY total_amount DESC
+  `;
+
+  return queryDB(sql, params);
+};
+
+app.get('/api/analytics/category-breakdown', async (req, res) => {
+  try {
+    const { month } = req.query; // Expected format: YYYY-MM
+
+    if (!month) {
+      return res.status(400).json({ success: false, error: 'Month parameter is required (format: YYYY-MM)' });
+    }
+
+    const categoryData = await loadCategoryBreakdown(req);
+    res.json({ success: true, data: categoryData });
+  } catch (error) {
+    console.error('Error fetching category breakdown:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add net savings and savings rate (% of income kept) to a month of totals
+const withNetSavings = (row) => {
+  const income = parseFloat(row.total_income) || 0;
+  const spending = parseFloat(row.total_spending) || 0;
+  const netSavings = Math.round((income - spending) * 100) / 100;
+  return {
+    ...row,
+    total_income: income,
+    total_spending: spending,
+    net_savings: netSavings,
+    savings_rate: income > 0 ? Math.round((netSavings / income) * 1000) / 10 : null
+  };
+};
+
+// Get spending trends
+app.get('/api/analytics/trends', async (req, res) => {
+  try {
+    const { account_id } = req.query;
+    const params = [];
+    let filters = account_id ? `AND account_id = ${addParam(params, account_id)}` : '';
+    filters += householdScope(req, params, 'transactions');
+
+    // Spending columns only count expenses; income feeds net savings
+    const sql = `
+      SELECT 
+        ${monthOf('date')} as month,
+        COALESCE(SUM(CASE WHEN kind = 'expense' THEN amount END), 0) as total_spending,
+        COUNT(CASE WHEN kind = 'expense' THEN 1 END) as transaction_count,
+        AVG(CASE WHEN kind = 'expense' THEN amount END) as avg_transaction,
+        COALESCE(SUM(CASE WHEN kind = 'income' THEN amount END), 0) as total_income
+      FROM transactions
+      WHERE 1=1 ${filters}
+      GROUP BY ${monthOf('date')}
+      ORDER BY month ASC
+    `;
+    
+    const trends = await queryDB(sql, params);
+    res.json({ success: true, data: trends.map(withNetSavings) });
+  } catch (error) {
+    console.error('Error fetching trends:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get income, expenses and net cash flow per month
+app.get('/api/analytics/cash-flow', async (req, res) => {
+  try {
+    const { start_month, end_month, account_id } = req.query; // Expected format: YYYY-MM
+
+    for (const month of [start_month, end_month]) {
+      if (month && !/^\d{4}-\d{2}$/.test(month)) {
+        return res.status(400).json({ success: false, error: 'start_month and end_month must use the format YYYY-MM' });
+      }
+    }
+
+    const monthExpr = monthOf('date');
+    let sql = `
+      SELECT
+        ${monthExpr} as month,
+        COALESCE(SUM(CASE WHEN kind = 'income' THEN amount END), 0) as income,
+        COALESCE(SUM(CASE WHEN kind = 'expense' THEN amount END), 0) as expenses
+      FROM transactions
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (start_month) {
+      sql += ` AND ${monthExpr} >= ?`;
+      params.push(start_month);
+    }
+
+    if (end_month) {
+      sql += ` AND ${monthExpr} <= ?`;
+      params.push(end_month);
+    }
+
+    if (account_id) {
+      sql += ' AND account_id = ?';
+      params.push(account_id);
+    }
+
+    sql += householdScope(req, params, 'transactions');
+    sql += ` GROUP BY ${monthExpr} ORDER BY month ASC`;
+
+    const rows = await queryDB(sql, params);
+    const data = rows.map(row => {
+      const { total_income, total_spending, net_savings, savings_rate } = withNetSavings({
+        total_income: row.income,
+        total_spending: row.expenses
+      });
+      return { month: row.month, income: total_income, expenses: total_spending, net: net_savings, savings_rate };
+    });
+
+    const totals = withNetSavings({
+      total_income: data.reduce((sum, row) => sum + row.income, 0),
+      total_spending: data.reduce((sum, row) => sum + row.expenses, 0)
+    });
+
+    res.json({
+      success: true,
+      data,
+      totals: {
+        income: totals.total_income,
+        expenses: totals.total_spending,
+        net: totals.net_savings,
+        savings_rate: totals.savings_rate
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching cash flow:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get total statistics
+app.get('/api/stats/overview', async (req, res) => {
+  try {
+    const { account_id } = req.query;
+    const params = [];
+
+    const sql = `
+      SELECT 
+        COUNT(*) as total_transactions,
+        SUM(CASE WHEN kind = 'expense' THEN amount END) as total_amount,
+        AVG(CASE WHEN kind = 'expense' THEN amount END) as avg_amount,
+        COALESCE(SUM(CASE WHEN kind = 'income' THEN amount END), 0) as total_income,
+        MIN(date) as first_transaction,
+        MAX(date) as last_transaction,
+        COUNT(DISTINCT budget_type) as budget_types_count
+      FROM transactions
+      WHERE 1=1
+      ${account_id ? `AND account_id = ${addParam(params, account_id)}` : ''}
+      ${householdScope(req, params, 'transactions')}
+    `;
+    
+    const stats = await queryDB(sql, params);
+    res.json({ success: true, data: stats[0] });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get available months with data
+app.get('/api/available-months', async (req, res) => {
+  try {
+    const params = [];
+    const sql = `
+      SELECT DISTINCT ${monthOf('date')} as month
+      FROM transactions
+      WHERE 1=1 ${householdScope(req, params, 'transactions')}
+      ORDER BY month DESC
+    `;
+
+    const months = await queryDB(sql, params);
+    res.json({ success: true, data: months.map(m => m.month) });
+  } catch (error) {
+    console.error('Error fetching available months:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get unique budget types (active managed categories plus any legacy labels still on transactions)
+app.get('/api/budget-types', async (req, res) => {
+  try {
+    const params = [];
+    const sql = `
+      SELECT name as budget_type FROM categories WHERE archived = FALSE
+      UNION
+      SELECT DISTINCT budget_type FROM ${CATEGORY_LINES_SQL}
+      WHERE budget_type IS NOT NULL AND budget_type != ''
+        AND budget_type NOT IN (SELECT name FROM categories)
+        ${householdScope(req, params, 'lines')}
+      ORDER BY budget_type
+    `;
+    const types = await queryDB(sql, params);
+    res.json({ success: true, data: types.map(t => t.budget_type) });
+  } catch (error) {
+    console.error('Error fetching budget types:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ UNPAID BALANCE AND PAYMENTS ============
+
+// WHERE clause for the unpaid expenses the user can see, optionally on one account
+// (?account_id=) or for one member (?member_id=)
+const unpaidWhere = (req, params) => {
+  let sql = `WHERE t.kind = 'expense' AND t."payedOff" = FALSE ${householdScope(req, params, 't')}`;
+  if (req.query.account_id) {
+    sql += ` AND t.account_id = ${addParam(params, parseInt(req.query.account_id) || 0)}`;
+  }
+  return sql;
+};
+
+// Load a payment by id, or no rows if it was recorded outside the user's household
+const loadVisiblePayment = (id, user) => queryDB(
+  `SELECT * FROM payments
+   WHERE id = ? AND created_by IN (SELECT id FROM users WHERE household_id = ?)`,
+  [id, user.household_id]
+);
+
+const roundCents = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Unpaid expenses grouped by category, with group and overall totals from SQL.
+// Split transactions are grouped by their split lines, like budget vs actual,
+// so one can appear under several categories with category_amount as its share.
+app.get('/api/unpaid', async (req, res) => {
+  try {
+    const params = [];
+    const where = unpaidWhere(req, params);
+    const unpaidLines = `FROM ${CATEGORY_LINES_SQL} JOIN transactions t ON t.id = lines.transaction_id ${where}`;
+
+    const [groups, totals, transactions, lines] = await Promise.all([
+      queryDB(`
+        SELECT lines.budget_type, COUNT(DISTINCT lines.transaction_id) as transaction_count, SUM(lines.amount) as total_amount
+        ${unpaidLines}
+        GROUP BY lines.budget_type
+        ORDER BY SUM(lines.amount) DESC, lines.budget_type
+      `, params),
+      queryDB(`SELECT COUNT(*) as transaction_count, SUM(t.amount) as total_amount FROM transactions t ${where}`, params),
+      queryDB(`SELECT t.* FROM transactions t ${where} ORDER BY t.date DESC, t.id DESC`, params),
+      queryDB(`SELECT lines.transaction_id, lines.budget_type, lines.amount ${unpaidLines}`, params)
+    ]);
+
+    const categories = groups.map(group => {
+      const shares = new Map();
+      for (const line of lines) {
+        if (line.budget_type !== group.budget_type) continue;
+        shares.set(line.transaction_id, (shares.get(line.transaction_id) || 0) + parseFloat(line.amount));
+      }
+      return {
+        budget_type: group.budget_type,
+        transaction_count: parseInt(group.transaction_count),
+        total_amount: roundCents(group.total_amount),
+        transactions: transactions
+          .filter(tx => shares.has(tx.id))
+          .map(tx => ({ ...tx, category_amount: roundCents(shares.get(tx.id)) }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        categories,
+        totals: {
+          transaction_count: parseInt(totals[0].transaction_count),
+          total_amount: roundCents(totals[0].total_amount)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching unpaid balance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List payments recorded in the household, newest first (?account_id= for one account)
+app.get('/api/payments', async (req, res) => {
+  try {
+    const params = [req.user.household_id];
+    let sql = `
+      SELECT p.*, u.username as created_by_username,
+        (SELECT COUNT(*) FROM transactions t WHERE t.payment_id = p.id) as transaction_count
+      FROM payments p
+      LEFT JOIN users u ON u.id = p.created_by
+      WHERE p.created_by IN (SELECT id FROM users WHERE household_id = ?)
+    `;
+    if (req.query.account_id) {
+      sql += ` AND p.account_id = ${addParam(params, parseInt(req.query.account_id) || 0)}`;
+    }
+    sql += ' ORDER BY p.paid_on DESC, p.id DESC';
+
+    const payments = await queryDB(sql, params);
+    res.json({ success: true, data: payments, count: payments.length });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a payment with the transactions it settled
+app.get('/api/payments/:id', async (req, res) => {
+  try {
+    const rows = await loadVisiblePayment(req.params.id, req.user);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    const params = [];
+    const transactions = await queryDB(
+      `SELECT t.* FROM transactions t
+       WHERE t.payment_id = ${addParam(params, rows[0].id)} AND ${visibleTo(req.user, params, 't')}
+       ORDER BY t.date DESC, t.id DESC`,
+      params
+    );
+
+    res.json({ success: true, data: { ...rows[0], transactions } });
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Record a payment that settles a set of unpaid expenses.
+// Body: { transaction_ids: [1, 2], paid_on?, amount?, account_id?, note? }. paid_on
+// defaults to today and amount to the total of the settled transactions.
+app.post('/api/payments', async (req, res) => {
+  try {
+    const { transaction_ids, account_id, note } = req.body;
+    const paidOn = req.body.paid_on || toDateString(new Date());
+
+    if (!Array.isArray(transaction_ids) || transaction_ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'transaction_ids must be a non-empty array' });
+    }
+    const ids = [...new Set(transaction_ids.map(id => parseInt(id)))];
+    if (ids.some(id => isNaN(id))) {
+      return res.status(400).json({ success: false, error: 'transaction_ids must be numbers' });
+    }
+    if (!isValidDateString(paidOn)) {
+      return res.status(400).json({ success: false, error: 'paid_on must be a valid date (YYYY-MM-DD)' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ success: false, error: 'note must be a string' });
+    }
+    let amount = null;
+    if (req.body.amount !== undefined && req.body.amount !== null && req.body.amount !== '') {
+      amount = parseFloat(req.body.amount);
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, error: 'Amount must be a number greater than 0' });
+      }
+    }
+    const accountError = await validateAccountId(account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
+    }
+
+    const params = [];
+    const visible = await queryDB(
+      `SELECT t.id FROM transactions t
+       WHERE t.id IN (${ids.map(id => addParam(params, id)).join(', ')}) AND ${visibleTo(req.user, params, 't')}`,
+      params
+    );
+    const found = new Set(visible.map(tx => tx.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, error: `Transactions not found: ${missing.join(', ')}` });
+    }
+
+    // Check and settle inside one transaction, and only flip rows that are
+    // still unpaid, so two payments racing for the same rows cannot both win
+    const outcome = await transaction(async (tx) => {
+      const selectParams = [];
+      const transactions = await tx.queryDB(
+        `SELECT * FROM transactions WHERE id IN (${ids.map(id => addParam(selectParams, id)).join(', ')})`,
+        selectParams
+      );
+      const settled = transactions.filter(row => row.kind !== 'expense' || row.payedOff);
+      if (settled.length > 0) return { settled };
+
+      const total = transactions.reduce((sum, row) => sum + Math.round(parseFloat(row.amount) * 100), 0) / 100;
+      const payment = await tx.insert('payments', {
+        paid_on: paidOn,
+        amount: amount === null ? total : amount,
+        account_id: account_id || null,
+        note: note && note.trim() ? note.trim() : null,
+        created_by: req.user.id
+      });
+      const updateParams = [true, payment.id];
+      const changed = await tx.run(
+        `UPDATE transactions SET "payedOff" = ?, payment_id = ?
+         WHERE id IN (${ids.map(id => addParam(updateParams, id)).join(', ')})
+           AND "payedOff" = ${addParam(updateParams, false)}`,
+        updateParams
+      );
+      if (changed !== ids.length) {
+        // Another payment settled some of them first; throw to roll this one back
+        throw Object.assign(new Error('Some of these transactions were settled by another payment'), { conflict: true });
+      }
+      return { payment, total };
+    }).catch(error => {
+      if (error.conflict) return { conflict: error.message };
+      throw error;
+    });
+
+    if (outcome.settled) {
+      return res.status(400).json({
+        success: false,
+        error: `Only unpaid expenses can be settled: ${outcome.settled.map(tx => tx.id).join(', ')}`
+      });
+    }
+    if (outcome.conflict) {
+      return res.status(409).json({ success: false, error: outcome.conflict });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...outcome.payment, transaction_count: ids.length, transactions_total: outcome.total },
+      message: `Payment recorded for ${ids.length} transaction(s)`
+    });
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a payment, putting the transactions it settled back to unpaid
+app.delete('/api/payments/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await loadVisiblePayment(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    const reopened = await transaction(async (tx) => {
+      const count = await tx.run(
+        'UPDATE transactions SET "payedOff" = ?, payment_id = NULL WHERE payment_id = ?',
+        [false, id]
+      );
+      await tx.remove('payments', { id });
+      return count;
+    });
+
+    res.json({
+      success: true,
+      message: `Payment deleted; ${reopened} transaction(s) marked unpaid again`,
+      data: { id: parseInt(id), reopened }
+    });
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ ACCOUNTS ============
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'other'];
+
+// Make sure an optional account_id refers to an existing account the user can see
+const validateAccountId = async (accountId, user) => {
+  if (accountId === undefined || accountId === null || accountId === '') return null;
+  const rows = await loadVisibleAccount(accountId, user);
+  return rows.length === 0 ? 'Account not found' : null;
+};
+
+// Load an account by id, or no rows if the user may not see it
+const loadVisibleAccount = (id, user) => {
+  const params = [];
+  return queryDB(
+    `SELECT * FROM accounts a WHERE a.id = ${addParam(params, id)} AND ${visibleTo(user, params, 'a')}`,
+    params
+  );
+};
+
+// Validate and normalize an account payload, returning { error } or { values }
+const parseAccountInput = (body) => {
+  const name = body.name ? body.name.trim() : '';
+  const type = body.type || 'checking';
+  const visibility = body.visibility || 'shared';
+  const currency = (body.currency || 'USD').toUpperCase();
+  const openingBalance = body.opening_balance === undefined || body.opening_balance === '' || body.opening_balance === null
+    ? 0
+    : parseFloat(body.opening_balance);
+
+  if (!name) {
+    return { error: 'Missing required field: name is required' };
+  }
+  if (!ACCOUNT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a 3-letter ISO code (e.g., USD)' };
+  }
+  if (isNaN(openingBalance)) {
+    return { error: 'Opening balance must be a valid number' };
+  }
+  if (!VISIBILITY_OPTIONS.includes(visibility)) {
+    return { error: `visibility must be one of: ${VISIBILITY_OPTIONS.join(', ')}` };
+  }
+
+  return {
+    values: {
+      name,
+      type,
+      institution: body.institution || null,
+      currency,
+      opening_balance: openingBalance,
+      visibility
+    }
+  };
+};
+
+// Expenses reduce the account balance and income adds to it
+const withBalance = (account) => {
+  const openingBalance = parseFloat(account.opening_balance) || 0;
+  const totalSpent = parseFloat(account.total_spent) || 0;
+  const totalIncome = parseFloat(account.total_income) || 0;
+  return {
+    ...account,
+    transaction_count: parseInt(account.transaction_count) || 0,
+    total_spent: totalSpent,
+    total_income: totalIncome,
+    current_balance: openingBalance + totalIncome - totalSpent
+  };
+};
+
+const ACCOUNT_TOTALS_SQL = `
+  COUNT(t.id) as transaction_count,
+  COALESCE(SUM(CASE WHEN t.kind = 'expense' THEN t.amount END), 0) as total_spent,
+  COALESCE(SUM(CASE WHEN t.kind = 'income' THEN t.amount END), 0) as total_income
+`;
+
+// Get all accounts the user can see with current balances
+// (balances count every transaction in the account, private ones included)
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const params = [];
+    const sql = `
+      SELECT a.*, ${ACCOUNT_TOTALS_SQL}
+      FROM accounts a
+      LEFT JOIN transactions t ON t.account_id = a.id
+      WHERE ${visibleTo(req.user, params, 'a')}
+      GROUP BY a.id
+      ORDER BY a.name
+    `;
+    const accounts = await queryDB(sql, params);
+    res.json({ success: true, data: accounts.map(withBalance) });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get account by ID with current balance
+app.get('/api/accounts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const params = [];
+    const sql = `
+      SELECT a.*, ${ACCOUNT_TOTALS_SQL}
+      FROM accounts a
+      LEFT JOIN transactions t ON t.account_id = a.id
+      WHERE a.id = ${addParam(params, id)} AND ${visibleTo(req.user, params, 'a')}
+      GROUP BY a.id
+    `;
+    const accounts = await queryDB(sql, params);
+
+    if (accounts.length === 0) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    res.json({ success: true, data: withBalance(accounts[0]) });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get an account's transactions with a running balance after each one.
+// Other members' private transactions still move the balance but are not listed.
+app.get('/api/accounts/:id/register', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const accounts = await loadVisibleAccount(id, req.user);
+
+    if (accounts.length === 0) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    const params = [];
+    const transactions = await queryDB(
+      `SELECT t.*, CASE WHEN ${visibleTo(req.user, params, 't')} THEN 1 ELSE 0 END as is_visible
+      FROM transactions t
+      WHERE t.account_id = ${addParam(params, id)}
+      ORDER BY t.date ASC, t.id ASC`,
+      params
+    );
+
+    let balance = parseFloat(accounts[0].opening_balance) || 0;
+    const register = [];
+    for (const { is_visible, ...tx } of transactions) {
+      balance += tx.kind === 'income' ? parseFloat(tx.amount) : -parseFloat(tx.amount);
+      if (parseInt(is_visible) === 1) register.push({ ...tx, running_balance: balance });
+    }
+
+    res.json({
+      success: true,
+      data: register,
+      account: accounts[0],
+      opening_balance: parseFloat(accounts[0].opening_balance) || 0,
+      current_balance: balance
+    });
+  } catch (error) {
+    console.error('Error fetching account register:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an account
+app.post('/api/accounts', async (req, res) => {
+  try {
+    const { error, values } = parseAccountInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const newAccount = await insert('accounts', { ...values, owner_id: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: newAccount,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update an account
+app.put('/api/accounts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, values } = parseAccountInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existing = await loadVisibleAccount(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    const updatedAccount = await update('accounts', values, { id });
+
+    if (!updatedAccount) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    res.json({
+      success: true,
+      data: updatedAccount,
+      message: 'Account updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an account (its transactions are kept but unassigned)
+app.delete('/api/accounts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await loadVisibleAccount(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    await transaction(async (tx) => {
+      await tx.run('UPDATE transactions SET account_id = NULL WHERE account_id = ?', [id]);
+      await tx.run('UPDATE payments SET account_id = NULL WHERE account_id = ?', [id]);
+      await tx.remove('accounts', { id });
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ CATEGORIES ============
+
+// Make sure a parent category exists and would not create a cycle
+const validateCategoryParent = async (categoryId, parentId) => {
+  if (parentId === null || parentId === undefined || parentId === '') return null;
+
+  let currentId = parseInt(parentId);
+  const visited = new Set();
+  while (currentId) {
+    if (categoryId && currentId === parseInt(categoryId)) {
+      return 'A category cannot be its own parent or descendant';
+    }
+    if (visited.has(currentId)) break;
+    visited.add(currentId);
+
+    const rows = await queryDB(
+      'SELECT id, parent_id FROM categories WHERE id = ?',
+      [currentId]
+    );
+    if (rows.length === 0) {
+      return currentId === parseInt(parentId) ? 'Parent category not found' : null;
+    }
+    currentId = rows[0].parent_id;
+  }
+  return null;
+};
+
+// Get all categories with their transaction counts
+app.get('/api/categories', async (req, res) => {
+  try {
+    const { include_archived } = req.query;
+    const params = [];
+    const unmanagedParams = [];
+
+    let sql = `
+      SELECT c.*, COUNT(lines.transaction_id) as transaction_count
+      FROM categories c
+      LEFT JOIN ${CATEGORY_LINES_SQL} ON lines.budget_type = c.name ${householdScope(req, params, 'lines')}
+    `;
+    if (include_archived !== 'true') {
+      sql += ` WHERE c.archived = FALSE`;
+    }
+    sql += ' GROUP BY c.id ORDER BY c.name';
+
+    // Labels used on transactions that have no managed category yet
+    const unmanagedSql = `
+      SELECT budget_type, COUNT(*) as transaction_count
+      FROM ${CATEGORY_LINES_SQL}
+      WHERE budget_type IS NOT NULL AND budget_type != ''
+        AND budget_type NOT IN (SELECT name FROM categories)
+        ${householdScope(req, unmanagedParams, 'lines')}
+      GROUP BY budget_type
+      ORDER BY budget_type
+    `;
+
+    const [categories, unmanaged] = await Promise.all([queryDB(sql, params), queryDB(unmanagedSql, unmanagedParams)]);
+    res.json({ success: true, data: categories, unmanaged });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get category by ID
+app.get('/api/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = 'SELECT * FROM categories WHERE id = ?';
+    const categories = await queryDB(sql, [id]);
+
+    if (categories.length === 0) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+
+    res.json({ success: true, data: categories[0] });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a new category
+app.post('/api/categories', async (req, res) => {
+  try {
+    const { color, icon, archived, parent_id } = req.body;
+    const name = req.body.name ? req.body.name.trim() : '';
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Missing required field: name is required' });
+    }
+
+    const existing = await queryDB(
+      'SELECT id FROM categories WHERE name = ?',
+      [name]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ success: false, error: `Category "${name}" already exists` });
+    }
+
+    const parentError = await validateCategoryParent(null, parent_id);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+
+    const newCategory = await insert('categories', {
+      name,
+      color: color || null,
+      icon: icon || null,
+      archived: archived === true,
+      parent_id: parent_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: newCategory,
+      message: 'Category created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a category (renaming rewrites existing transactions and budgets)
+app.put('/api/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { color, icon, archived, parent_id } = req.body;
+    const name = req.body.name ? req.body.name.trim() : '';
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Missing required field: name is required' });
+    }
+
+    const existing = await queryDB(
+      'SELECT * FROM categories WHERE id = ?',
+      [id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+    const oldName = existing[0].name;
+
+    if (name !== oldName) {
+      const conflict = await queryDB(
+        'SELECT id FROM categories WHERE name = ? AND id != ?',
+        [name, id]
+      );
+      if (conflict.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Category "${name}" already exists. Merge the categories instead.`
+        });
+      }
+
+      // Budgets are unique per category name, so both names having one would collide
+      const budgets = await queryDB('SELECT id FROM budgets WHERE budget_type IN (?, ?)', [oldName, name]);
+      if (budgets.length > 1) {
+        return res.status(409).json({
+          success: false,
+          error: `A budget for "${name}" already exists. Delete one of the two budgets before renaming.`
+        });
+      }
+    }
+
+    const parentError = await validateCategoryParent(id, parent_id);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+
+    // Renaming carries the new name over to transactions, split lines, budgets, rules and recurring templates
+    const { updatedCategory, renamedTransactions } = await transaction(async (tx) => {
+      const row = await tx.update('categories', {
+        name,
+        color: color || null,
+        icon: icon || null,
+        archived: archived === true,
+        parent_id: parent_id || null
+      }, { id });
+
+      let renamed = 0;
+      if (name !== oldName) {
+        renamed = await tx.run('UPDATE transactions SET budget_type = ? WHERE budget_type = ?', [name, oldName]);
+        await tx.run('UPDATE transaction_splits SET budget_type = ? WHERE budget_type = ?', [name, oldName]);
+        await tx.run('UPDATE budgets SET budget_type = ? WHERE budget_type = ?', [name, oldName]);
+        await tx.run('UPDATE categorization_rules SET budget_type = ? WHERE budget_type = ?', [name, oldName]);
+        await tx.run('UPDATE recurring_transactions SET budget_type = ? WHERE budget_type = ?', [name, oldName]);
+      }
+      return { updatedCategory: row, renamedTransactions: renamed };
+    });
+
+    res.json({
+      success: true,
+      data: updatedCategory,
+      renamed_transactions: renamedTransactions,
+      message: 'Category updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merge one category into another, moving all of its transactions
+app.post('/api/categories/:id/merge', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { target_id } = req.body;
+
+    if (!target_id) {
+      return res.status(400).json({ success: false, error: 'Missing required field: target_id is required' });
+    }
+
+    if (parseInt(target_id) === parseInt(id)) {
+      return res.status(400).json({ success: false, error: 'Cannot merge a category into itself' });
+    }
+
+    const selectSql = 'SELECT * FROM categories WHERE id = ?';
+    const [sources, targets] = await Promise.all([
+      queryDB(selectSql, [id]),
+      queryDB(selectSql, [target_id])
+    ]);
+
+    if (sources.length === 0) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+    if (targets.length === 0) {
+      return res.status(404).json({ success: false, error: 'Target category not found' });
+    }
+
+    const source = sources[0];
+    const target = targets[0];
+
+    const movedTransactions = await transaction(async (tx) => {
+      const moved = await tx.run('UPDATE transactions SET budget_type = ? WHERE budget_type = ?', [target.name, source.name]);
+      await tx.run('UPDATE transaction_splits SET budget_type = ? WHERE budget_type = ?', [target.name, source.name]);
+      await tx.run('UPDATE categorization_rules SET budget_type = ? WHERE budget_type = ?', [target.name, source.name]);
+      await tx.run('UPDATE recurring_transactions SET budget_type = ? WHERE budget_type = ?', [target.name, source.name]);
+
+      // Keep the target's budget if it has one, otherwise take over the source's
+      const targetBudget = await tx.queryOne('SELECT id FROM budgets WHERE budget_type = ?', [target.name]);
+      if (targetBudget) {
+        await tx.remove('budgets', { budget_type: source.name });
+      } else {
+        await tx.run('UPDATE budgets SET budget_type = ? WHERE budget_type = ?', [target.name, source.name]);
+      }
+
+      // Re-parent any children of the merged category
+      await tx.run('UPDATE categories SET parent_id = ? WHERE parent_id = ?', [target.id, source.id]);
+      await tx.remove('categories', { id: source.id });
+      return moved;
+    });
+
+    res.json({
+      success: true,
+      data: target,
+      moved_transactions: movedTransactions,
+      message: `Merged "${source.name}" into "${target.name}"`
+    });
+  } catch (error) {
+    console.error('Error merging categories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a category (only when no transactions use it)
+app.delete('/api/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await queryDB(
+      'SELECT * FROM categories WHERE id = ?',
+      [id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+
+    const countRows = await queryDB(
+      `SELECT
+        (SELECT COUNT(*) FROM transactions WHERE budget_type = ?) +
+        (SELECT COUNT(*) FROM transaction_splits WHERE budget_type = ?) as count`,
+      [existing[0].name, existing[0].name]
+    );
+    if (parseInt(countRows[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Category is used by existing transactions. Archive or merge it instead.'
+      });
+    }
+
+    await transaction(async (tx) => {
+      await tx.run('UPDATE categories SET parent_id = NULL WHERE parent_id = ?', [id]);
+      await tx.remove('categories', { id });
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ BUDGETS ============
+
+// Get all budget limits
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const sql = 'SELECT * FROM budgets ORDER BY budget_type';
+    const budgets = await queryDB(sql);
+    res.json({ success: true, data: budgets });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get budget by ID
+app.get('/api/budgets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = 'SELECT * FROM budgets WHERE id = ?';
+    const budgets = await queryDB(sql, [id]);
+
+    if (budgets.length === 0) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    res.json({ success: true, data: budgets[0] });
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a monthly budget limit for a category
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const { budget_type, monthly_limit } = req.body;
+
+    if (!budget_type || monthly_limit === undefined || monthly_limit === null || monthly_limit === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: budget_type and monthly_limit are required'
+      });
+    }
+
+    const parsedLimit = parseFloat(monthly_limit);
+    if (isNaN(parsedLimit) || parsedLimit < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Monthly limit must be a valid non-negative number'
+      });
+    }
+
+    // Only one limit per category
+    const checkSql = 'SELECT id FROM budgets WHERE budget_type = ?';
+    const existing = await queryDB(checkSql, [budget_type]);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `A budget for "${budget_type}" already exists`
+      });
+    }
+
+    const newBudget = await insert('budgets', { budget_type, monthly_limit: parsedLimit });
+
+    res.status(201).json({
+      success: true,
+      data: newBudget,
+      message: 'Budget created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a budget limit
+app.put('/api/budgets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { budget_type, monthly_limit } = req.body;
+
+    if (!budget_type || monthly_limit === undefined || monthly_limit === null || monthly_limit === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: budget_type and monthly_limit are required'
+      });
+    }
+
+    const parsedLimit = parseFloat(monthly_limit);
+    if (isNaN(parsedLimit) || parsedLimit < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Monthly limit must be a valid non-negative number'
+      });
+    }
+
+    // Make sure we are not renaming onto another category's budget
+    const checkSql = 'SELECT id FROM budgets WHERE budget_type = ? AND id != ?';
+    const conflict = await queryDB(checkSql, [budget_type, id]);
+    if (conflict.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `A budget for "${budget_type}" already exists`
+      });
+    }
+
+    const updatedBudget = await update('budgets', { budget_type, monthly_limit: parsedLimit }, { id });
+
+    if (!updatedBudget) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    res.json({
+      success: true,
+      data: updatedBudget,
+      message: 'Budget updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a budget limit
+app.delete('/api/budgets/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const checkSql = 'SELECT * FROM budgets WHERE id = ?';
+    const existing = await queryDB(checkSql, [id]);
+
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    await remove('budgets', { id });
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get budget vs actual spending for a month
+app.get('/api/analytics/budget-vs-actual', async (req, res) => {
+  try {
+    const { month, account_id } = req.query; // Expected format: YYYY-MM
+
+    if (!month) {
+      return res.status(400).json({ success: false, error: 'Month parameter is required (format: YYYY-MM)' });
+    }
+
+    const params = [];
+    const monthExpr = monthOf('date');
+
+    const spendingSql = `
+      SELECT
+        budget_type,
+        COUNT(*) as transaction_count,
+        SUM(amount) as total_amount
+      FROM ${CATEGORY_LINES_SQL}
+      WHERE ${monthExpr} = ${addParam(params, month)} AND kind = 'expense'
+      ${account_id ? `AND account_id = ${addParam(params, account_id)}` : ''}
+      ${householdScope(req, params, 'lines')}
+      GROUP BY budget_type
+    `;
+
+    const [budgets, spending] = await Promise.all([
+      queryDB('SELECT * FROM budgets ORDER BY budget_type'),
+      queryDB(spendingSql, params)
+    ]);
+
+    const spendingByType = {};
+    for (const row of spending) {
+      spendingByType[row.budget_type] = row;
+    }
+
+    // Every budgeted category, even with no spending yet this month
+    const data = budgets.map(budget => {
+      const actual = spendingByType[budget.budget_type];
+      const limit = parseFloat(budget.monthly_limit);
+      const spent = actual ? parseFloat(actual.total_amount) : 0;
+      delete spendingByType[budget.budget_type];
+
+      return {
+        budget_id: budget.id,
+        budget_type: budget.budget_type,
+        monthly_limit: limit,
+        spent,
+        remaining: limit - spent,
+        percent_used: limit > 0 ? (spent / limit) * 100 : null,
+        transaction_count: actual ? parseInt(actual.transaction_count) : 0,
+        status: spent > limit ? 'over' : 'under'
+      };
+    });
+
+    // Categories with spending but no limit set
+    for (const row of Object.values(spendingByType)) {
+      data.push({
+        budget_id: null,
+        budget_type: row.budget_type,
+        monthly_limit: null,
+        spent: parseFloat(row.total_amount),
+        remaining: null,
+        percent_used: null,
+        transaction_count: parseInt(row.transaction_count),
+        status: 'unbudgeted'
+      });
+    }
+
+    const totalLimit = data.reduce((sum, row) => sum + (row.monthly_limit || 0), 0);
+    const totalBudgetedSpent = data
+      .filter(row => row.monthly_limit !== null)
+      .reduce((sum, row) => sum + row.spent, 0);
+
+    res.json({
+      success: true,
+      data,
+      totals: {
+        monthly_limit: totalLimit,
+        spent: totalBudgetedSpent,
+        remaining: totalLimit - totalBudgetedSpent,
+        over_budget_count: data.filter(row => row.status === 'over').length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching budget vs actual:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ CATEGORIZATION RULES ============
+
+const RULE_MATCH_FIELDS = ['name', 'description', 'any'];
+const RULE_MATCH_TYPES = ['contains', 'regex'];
+
+// Validate and normalize a rule payload, returning { error } or { values }
+const parseRuleInput = (body) => {
+  const { name, budget_type, match_field = 'any', match_type = 'contains', pattern, amount_min, amount_max, priority, active } = body;
+
+  if (!budget_type) {
+    return { error: 'Missing required field: budget_type is required' };
+  }
+
+  if (!RULE_MATCH_FIELDS.includes(match_field)) {
+    return { error: `match_field must be one of: ${RULE_MATCH_FIELDS.join(', ')}` };
+  }
+
+  if (!RULE_MATCH_TYPES.includes(match_type)) {
+    return { error: `match_type must be one of: ${RULE_MATCH_TYPES.join(', ')}` };
+  }
+
+  const hasAmountMin = amount_min !== undefined && amount_min !== null && amount_min !== '';
+  const hasAmountMax = amount_max !== undefined && amount_max !== null && amount_max !== '';
+
+  if (!pattern && !hasAmountMin && !hasAmountMax) {
+    return { error: 'A rule needs a pattern, an amount range, or both' };
+  }
+
+  if (pattern && match_type === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  const parsedMin = hasAmountMin ? parseFloat(amount_min) : null;
+  const parsedMax = hasAmountMax ? parseFloat(amount_max) : null;
+  if ((hasAmountMin && isNaN(parsedMin)) || (hasAmountMax && isNaN(parsedMax))) {
+    return { error: 'Amount range must be valid numbers' };
+  }
+  if (parsedMin !== null && parsedMax !== null && parsedMin > parsedMax) {
+    return { error: 'amount_min cannot be greater than amount_max' };
+  }
+
+  return {
+    values: {
+      name: name || null,
+      budget_type,
+      match_field,
+      match_type,
+      pattern: pattern || null,
+      amount_min: parsedMin,
+      amount_max: parsedMax,
+      priority: priority !== undefined && priority !== '' ? parseInt(priority) || 0 : 0,
+      active: active !== undefined ? active === true || active === 1 : true
+    }
+  };
+};
+
+// Case-insensitive match of one text value against a contains or regex pattern
+const patternMatches = (matchType, pattern, value) => {
+  if (!value) return false;
+  if (matchType === 'regex') {
+    try {
+      return new RegExp(pattern, 'i').test(value);
+    } catch (err) {
+      return false;
+    }
+  }
+  return value.toLowerCase().includes(pattern.toLowerCase());
+};
+
+// Check whether a single rule matches a transaction
+const ruleMatches = (rule, tx) => {
+  const amount = parseFloat(tx.amount);
+  if (rule.amount_min !== null && rule.amount_min !== undefined && amount < parseFloat(rule.amount_min)) return false;
+  if (rule.amount_max !== null && rule.amount_max !== undefined && amount > parseFloat(rule.amount_max)) return false;
+
+  if (!rule.pattern) return true;
+
+  const fields = rule.match_field === 'any'
+    ? [tx.name, tx.description]
+    : [tx[rule.match_field]];
+
+  return fields.some(value => patternMatches(rule.match_type, rule.pattern, value));
+};
+
+// Load active rules in the order they should be evaluated (first match wins)
+const loadActiveRules = () => {
+  return queryDB(`
+    SELECT * FROM categorization_rules
+    WHERE active = TRUE
+    ORDER BY priority DESC, id ASC
+  `);
+};
+
+const findMatchingRule = (rules, tx) => rules.find(rule => ruleMatches(rule, tx)) || null;
+
+// Get all categorization rules
+app.get('/api/rules', async (req, res) => {
+  try {
+    const sql = 'SELECT * FROM categorization_rules ORDER BY priority DESC, id ASC';
+    const rules = await queryDB(sql);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get rule by ID
+app.get('/api/rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = 'SELECT * FROM categorization_rules WHERE id = ?';
+    const rules = await queryDB(sql, [id]);
+
+    if (rules.length === 0) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    res.json({ success: true, data: rules[0] });
+  } catch (error) {
+    console.error('Error fetching rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a categorization rule
+app.post('/api/rules', async (req, res) => {
+  try {
+    const { error, values } = parseRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const newRule = await insert('categorization_rules', values);
+
+    res.status(201).json({
+      success: true,
+      data: newRule,
+      message: 'Rule created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a categorization rule
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, values } = parseRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updatedRule = await update('categorization_rules', values, { id });
+
+    if (!updatedRule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    res.json({
+      success: true,
+      data: updatedRule,
+      message: 'Rule updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a categorization rule
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const checkSql = 'SELECT * FROM categorization_rules WHERE id = ?';
+    const existing = await queryDB(checkSql, [id]);
+
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    await remove('categorization_rules', { id });
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ MERCHANTS ============
+
+// Spend changing by more than this share of the previous period counts as a trend
+const MERCHANT_TREND_THRESHOLD = 0.1;
+const MERCHANT_SORTS = { spend: 'total_amount', frequency: 'transaction_count' };
+
+// Validate and normalize a merchant payload, returning { error } or { values }.
+// Aliases are plain strings (matched as "contains") or { pattern, match_type }.
+const parseMerchantInput = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'Missing required field: name is required' };
+  }
+  if (!Array.isArray(body.aliases) || body.aliases.length === 0) {
+    return { error: 'aliases must be a non-empty array of patterns' };
+  }
+
+  const aliases = [];
+  for (const alias of body.aliases) {
+    const { pattern, match_type = 'contains' } = typeof alias === 'string' ? { pattern: alias } : (alias || {});
+    const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!trimmed) {
+      return { error: 'Every alias needs a pattern' };
+    }
+    if (!RULE_MATCH_TYPES.includes(match_type)) {
+      return { error: `match_type must be one of: ${RULE_MATCH_TYPES.join(', ')}` };
+    }
+    if (match_type === 'regex') {
+      try {
+        new RegExp(trimmed, 'i');
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+    aliases.push({ pattern: trimmed, match_type });
+  }
+
+  return { values: { name, aliases } };
+};
+
+// Aliases in the order they are tried: oldest merchant first, then each
+// merchant's aliases in the order they were saved
+const loadMerchantAliases = () => queryDB(`
+  SELECT a.* FROM merchant_aliases a
+  JOIN merchants m ON m.id = a.merchant_id
+  ORDER BY m.id, a.id
+`);
+
+// Merchant id for a transaction whose name or description matches an alias, or null
+const findMerchantId = (aliases, tx) => {
+  const alias = aliases.find(a => [tx.name, tx.description].some(value => patternMatches(a.match_type, a.pattern, value)));
+  return alias ? alias.merchant_id : null;
+};
+
+// Merchants with their aliases and how many visible transactions each has
+const loadMerchants = async (user, id = null) => {
+  const params = [];
+  const merchants = await queryDB(`
+    SELECT m.*,
+      (SELECT COUNT(*) FROM transactions t WHERE t.merchant_id = m.id AND ${visibleTo(user, params, 't')}) as transaction_count
+    FROM merchants m
+    ${id !== null ? `WHERE m.id = ${addParam(params, id)}` : ''}
+    ORDER BY m.name
+  `, params);
+
+  const aliases = await queryDB('SELECT id, merchant_id, pattern, match_type FROM merchant_aliases ORDER BY id');
+  return merchants.map(merchant => ({
+    ...merchant,
+    aliases: aliases
+      .filter(alias => alias.merchant_id === merchant.id)
+      .map(({ merchant_id, ...alias }) => alias)
+  }));
+};
+
+const saveMerchantAliases = async (tx, merchantId, aliases) => {
+  await tx.remove('merchant_aliases', { merchant_id: merchantId });
+  for (const alias of aliases) {
+    await tx.insert('merchant_aliases', { merchant_id: merchantId, ...alias });
+  }
+};
+
+// Match existing transactions again after a merchant's aliases change or it is
+// deleted. Only transactions without a merchant or on merchantId are looked at,
+// so other merchants keep what they have.
+const rematchMerchants = async (merchantId) => {
+  const aliases = await loadMerchantAliases();
+  const rows = await queryDB(
+    'SELECT id, name, description, merchant_id FROM transactions WHERE merchant_id IS NULL OR merchant_id = ?',
+    [merchantId]
+  );
+
+  const changed = rows
+    .map(row => ({ id: row.id, before: row.merchant_id, after: findMerchantId(aliases, row) }))
+    .filter(row => row.before !== row.after);
+
+  await transaction(async (tx) => {
+    for (const row of changed) {
+      await tx.update('transactions', { merchant_id: row.after }, { id: row.id });
+    }
+  });
+  return changed.length;
+};
+
+// Get all merchants with their aliases
+app.get('/api/merchants', async (req, res) => {
+  try {
+    res.json({ success: true, data: await loadMerchants(req.user) });
+  } catch (error) {
+    console.error('Error fetching merchants:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get merchant by ID
+app.get('/api/merchants/:id', async (req, res) => {
+  try {
+    const [merchant] = await loadMerchants(req.user, parseInt(req.params.id) || 0);
+    if (!merchant) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+
+    res.json({ success: true, data: merchant });
+  } catch (error) {
+    console.error('Error fetching merchant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a merchant; existing transactions without a merchant that match its
+// aliases are assigned to it
+app.post('/api/merchants', async (req, res) => {
+  try {
+    const { error, values } = parseMerchantInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existing = await queryDB('SELECT id FROM merchants WHERE name = ?', [values.name]);
+    if (existing.length > 0) {
+      return res.status(409).json({ success: false, error: `Merchant "${values.name}" already exists` });
+    }
+
+    const { id } = await transaction(async (tx) => {
+      const merchant = await tx.insert('merchants', { name: values.name });
+      await saveMerchantAliases(tx, merchant.id, values.aliases);
+      return merchant;
+    });
+    await rematchMerchants(id);
+
+    const [merchant] = await loadMerchants(req.user, id);
+    res.status(201).json({
+      success: true,
+      data: merchant,
+      message: 'Merchant created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating merchant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename a merchant and replace its aliases, then match transactions again
+app.put('/api/merchants/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id) || 0;
+    const { error, values } = parseMerchantInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existing = await queryDB('SELECT id FROM merchants WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+    const sameName = await queryDB('SELECT id FROM merchants WHERE name = ? AND id != ?', [values.name, id]);
+    if (sameName.length > 0) {
+      return res.status(409).json({ success: false, error: `Merchant "${values.name}" already exists` });
+    }
+
+    await transaction(async (tx) => {
+      await tx.update('merchants', { name: values.name }, { id });
+      await saveMerchantAliases(tx, id, values.aliases);
+    });
+    await rematchMerchants(id);
+
+    const [merchant] = await loadMerchants(req.user, id);
+    res.json({
+      success: true,
+      data: merchant,
+      message: 'Merchant updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating merchant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a merchant; its transactions go back to their raw names (or to
+// another merchant whose aliases match)
+app.delete('/api/merchants/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id) || 0;
+
+    const existing = await queryDB('SELECT id FROM merchants WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+
+    // SQLite does not enforce the foreign keys, so clear the references here
+    await transaction(async (tx) => {
+      await tx.update('transactions', { merchant_id: null }, { merchant_id: id });
+      await tx.remove('merchant_aliases', { merchant_id: id });
+      await tx.remove('merchants', { id });
+    });
+    await rematchMerchants(null);
+
+    res.json({
+      success: true,
+      message: 'Merchant deleted successfully',
+      data: { id }
+    });
+  } catch (error) {
+    console.error('Error deleting merchant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 'new' when nothing was spent in the previous period, otherwise up, down or flat
+const merchantTrend = (current, previous) => {
+  if (previous === 0) return 'new';
+  const change = (current - previous) / previous;
+  if (change > MERCHANT_TREND_THRESHOLD) return 'up';
+  if (change < -MERCHANT_TREND_THRESHOLD) return 'down';
+  return 'flat';
+};
+
+// Top merchants by expense spend (?sort=spend) or number of charges
+// (?sort=frequency) over the ?months= (default 6) ending with ?end_month=
+// (default this month), with a monthly series and the change against the
+// months before. Transactions without a merchant are grouped by their name.
+app.get('/api/analytics/merchants', async (req, res) => {
+  try {
+    const months = req.query.months !== undefined ? parseInt(req.query.months) : 6;
+    if (isNaN(months) || months < 1 || months > 36) {
+      return res.status(400).json({ success: false, error: 'months must be between 1 and 36' });
+    }
+    const endMonth = req.query.end_month || toDateString(new Date()).slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(endMonth)) {
+      return res.status(400).json({ success: false, error: 'end_month must use the format YYYY-MM' });
+    }
+    const sort = req.query.sort || 'spend';
+    if (!MERCHANT_SORTS[sort]) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${Object.keys(MERCHANT_SORTS).join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const startMonth = shiftMonth(endMonth, 1 - months);
+    const previousStart = shiftMonth(startMonth, -months);
+    const periodMonths = Array.from({ length: months }, (_, index) => shiftMonth(startMonth, index));
+
+    const params = [];
+    const monthExpr = monthOf('t.date');
+    const merchantExpr = 'COALESCE(m.name, t.name)';
+    const rows = await queryDB(`
+      SELECT
+        t.merchant_id,
+        ${merchantExpr} as merchant,
+        ${monthExpr} as month,
+        COUNT(*) as transaction_count,
+        SUM(t.amount) as total_amount,
+        MAX(t.date) as last_date
+      FROM transactions t
+      LEFT JOIN merchants m ON m.id = t.merchant_id
+      WHERE t.kind = 'expense'
+        AND ${merchantExpr} IS NOT NULL
+        AND t.date >= ${addParam(params, `${previousStart}-01`)}
+        AND t.date < ${addParam(params, `${shiftMonth(endMonth, 1)}-01`)}
+        ${req.query.account_id ? `AND t.account_id = ${addParam(params, req.query.account_id)}` : ''}
+        ${householdScope(req, params, 't')}
+      GROUP BY t.merchant_id, ${merchantExpr}, ${monthExpr}
+    `, params);
+
+    const byMerchant = new Map();
+    for (const row of rows) {
+      const key = row.merchant_id ? `id:${row.merchant_id}` : `name:${row.merchant}`;
+      if (!byMerchant.has(key)) {
+        byMerchant.set(key, {
+          merchant_id: row.merchant_id || null,
+          merchant: row.merchant,
+          transaction_count: 0,
+          total_amount: 0,
+          previous_amount: 0,
+          last_date: null,
+          monthly: new Map()
+        });
+      }
+
+      const entry = byMerchant.get(key);
+      const amount = parseFloat(row.total_amount);
+      if (row.month < startMonth) {
+        entry.previous_amount += amount;
+        continue;
+      }
+      entry.transaction_count += parseInt(row.transaction_count);
+      entry.total_amount += amount;
+      entry.monthly.set(row.month, amount);
+      const lastDate = toDateString(row.last_date);
+      if (!entry.last_date || lastDate > entry.last_date) entry.last_date = lastDate;
+    }
+
+    const merchants = [...byMerchant.values()]
+      .filter(entry => entry.transaction_count > 0)
+      .map(entry => ({
+        merchant_id: entry.merchant_id,
+        merchant: entry.merchant,
+        transaction_count: entry.transaction_count,
+        total_amount: roundCents(entry.total_amount),
+        avg_amount: roundCents(entry.total_amount / entry.transaction_count),
+        last_date: entry.last_date,
+        previous_amount: roundCents(entry.previous_amount),
+        change_percent: entry.previous_amount > 0
+          ? Math.round(((entry.total_amount - entry.previous_amount) / entry.previous_amount) * 1000) / 10
+          : null,
+        trend: merchantTrend(entry.total_amount, entry.previous_amount),
+        monthly: periodMonths.map(month => ({ month, total_amount: roundCents(entry.monthly.get(month)) }))
+      }));
+
+    const sortKey = MERCHANT_SORTS[sort];
+    merchants.sort((a, b) => b[sortKey] - a[sortKey] || b.total_amount - a.total_amount || a.merchant.localeCompare(b.merchant));
+
+    res.json({
+      success: true,
+      data: merchants.slice(0, limit),
+      start_month: startMonth,
+      end_month: endMonth,
+      months,
+      sort,
+      totals: {
+        merchant_count: merchants.length,
+        transaction_count: merchants.reduce((sum, item) => sum + item.transaction_count, 0),
+        total_amount: roundCents(merchants.reduce((sum, item) => sum + item.total_amount, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching merchant analytics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ DUPLICATE DETECTION ============
+
+// Normalize a date value (string or Date) to YYYY-MM-DD
+const toDateString = (value) => {
+  if (!value) return '';
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+// Lowercase and strip punctuation/extra whitespace so "AMZN Mktp US*123" ~ "amzn mktp us 123"
+const normalizeText = (value) => {
+  return (value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+// Fingerprint used to recognise the same transaction across overlapping imports
+const transactionFingerprint = (tx) => {
+  const label = normalizeText(tx.name) || normalizeText(tx.description);
+  return `${toDateString(tx.date)}|${tx.kind || 'expense'}|${parseFloat(tx.amount).toFixed(2)}|${label}`;
+};
+
+// Bank transaction ids are only unique within one account, so key them by both
+const externalIdKey = (accountId, externalId) => `${accountId || ''}|${externalId}`;
+
+// Load existing transactions in a date range, indexed by fingerprint and by
+// account plus external id
+const loadDuplicateIndex = async (startDate, endDate) => {
+  const sql = 'SELECT id, date, name, description, amount, kind, external_id, account_id FROM transactions WHERE date >= ? AND date <= ?';
+  const rows = await queryDB(sql, [startDate, endDate]);
+
+  const byFingerprint = {};
+  const byExternalId = {};
+  for (const row of rows) {
+    const fingerprint = transactionFingerprint(row);
+    if (!byFingerprint[fingerprint]) byFingerprint[fingerprint] = [];
+    byFingerprint[fingerprint].push(row.id);
+    if (row.external_id) byExternalId[externalIdKey(row.account_id, row.external_id)] = row.id;
+  }
+  return { byFingerprint, byExternalId };
+};
+
+// ============ IMPORT PROFILES ============
+
+const PROFILE_COLUMNS = [
+  'date_column', 'name_column', 'description_column', 'category_column',
+  'amount_column', 'debit_column', 'credit_column', 'external_id_column'
+];
+
+// Normalize an import profile payload (column indexes are 0-based)
+const parseProfileInput = (body) => {
+  const profile = {
+    name: body.name ? body.name.trim() : '',
+    delimiter: body.delimiter || ',',
+    skip_rows: body.skip_rows !== undefined && body.skip_rows !== '' ? parseInt(body.skip_rows) : 1,
+    date_format: body.date_format || 'YYYY-MM-DD',
+    amount_sign: body.amount_sign || 'expense_positive'
+  };
+
+  for (const column of PROFILE_COLUMNS) {
+    const value = body[column];
+    profile[column] = value === undefined || value === null || value === '' ? null : parseInt(value);
+    if (profile[column] !== null && (isNaN(profile[column]) || profile[column] < 0)) {
+      return { error: `${column} must be a column index of 0 or more` };
+    }
+  }
+
+  if (isNaN(profile.skip_rows) || profile.skip_rows < 0) {
+    return { error: 'skip_rows must be 0 or more' };
+  }
+
+  const error = csvParser.validateProfile(profile);
+  return error ? { error } : { values: profile };
+};
+
+// Get all import profiles
+app.get('/api/import-profiles', async (req, res) => {
+  try {
+    const profiles = await queryDB('SELECT * FROM import_profiles ORDER BY name');
+    res.json({ success: true, data: profiles, default_profile: csvParser.DEFAULT_IMPORT_PROFILE });
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an import profile
+app.post('/api/import-profiles', async (req, res) => {
+  try {
+    const { error, values } = parseProfileInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const newProfile = await insert('import_profiles', values);
+
+    res.status(201).json({
+      success: true,
+      data: newProfile,
+      message: 'Import profile created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating import profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update an import profile
+app.put('/api/import-profiles/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, values } = parseProfileInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updatedProfile = await update('import_profiles', values, { id });
+
+    if (!updatedProfile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    res.json({
+      success: true,
+      data: updatedProfile,
+      message: 'Import profile updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating import profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an import profile
+app.delete('/api/import-profiles/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await queryDB(
+      'SELECT * FROM import_profiles WHERE id = ?',
+      [id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    await remove('import_profiles', { id });
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Parse raw CSV text with a profile without saving anything
+app.post('/api/import/preview', async (req, res) => {
+  try {
+    const { csv, profile_id } = req.body;
+
+    if (typeof csv !== 'string' || csv.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Invalid request: csv text is required' });
+    }
+
+    let profile = csvParser.DEFAULT_IMPORT_PROFILE;
+    if (profile_id) {
+      const profiles = await queryDB(
+        'SELECT * FROM import_profiles WHERE id = ?',
+        [profile_id]
+      );
+      if (profiles.length === 0) {
+        return res.status(404).json({ success: false, error: 'Import profile not found' });
+      }
+      profile = profiles[0];
+    }
+
+    const rows = csvParser.parseCSV(csv, profile.delimiter || ',');
+    const { transactions, errors } = csvParser.mapRows(rows, profile);
+
+    res.json({
+      success: true,
+      data: transactions,
+      errors,
+      headers: profile.skip_rows > 0 && rows.length > 0 ? rows[0] : [],
+      profile: { id: profile.id || null, name: profile.name }
+    });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Insert a batch of parsed rows, applying duplicate detection and rules.
+// Shared by the CSV (JSON rows) and statement file (OFX/QIF) import endpoints.
+// Negative amounts (paychecks, refunds, reimbursements) are stored as income
+// unless negativeAmounts is 'skip'. Rows belong to the importing user and take
+// the account's visibility.
+const importTransactionRows = async (transactions, onDuplicate = 'skip', accountId = null, negativeAmounts = 'income', user) => {
+  const imported = [];
+  const errors = [];
+  const duplicates = [];
+  const rules = await loadActiveRules();
+  const merchantAliases = await loadMerchantAliases();
+  const visibility = await resolveVisibility(null, accountId);
+
+  // Only rows inside the file's date range can collide with existing data
+  const dates = transactions.map(tx => toDateString(tx.date)).filter(Boolean).sort();
+  const duplicateIndex = dates.length > 0
+    ? await loadDuplicateIndex(dates[0], dates[dates.length - 1])
+    : { byFingerprint: {}, byExternalId: {} };
+  const seenExternalIds = new Set();
+  // How many times each fingerprint has appeared in this file so far, so two
+  // identical coffees on the same day only count as duplicates if the
+  // database already has two of them
+  const fingerprintOccurrences = {};
+
+  for (let i = 0; i < transactions.length; i++) {
+    const tx = transactions[i];
+    const rowNumber = tx.row || i + 1;
+
+    try {
+      // Skip transactions with invalid amounts or missing required fields
+      if (!tx.date || !tx.amount) {
+        errors.push({ row: rowNumber, error: 'Missing required fields', data: tx });
+        continue;
+      }
+
+      const parsedAmount = parseFloat(tx.amount);
+      if (isNaN(parsedAmount) || parsedAmount === 0) {
+        errors.push({ row: rowNumber, error: 'Invalid or zero amount', data: tx });
+        continue;
+      }
+
+      if (parsedAmount < 0 && negativeAmounts === 'skip') {
+        continue;
+      }
+
+      const kind = parsedAmount < 0 ? 'income' : 'expense';
+      const amount = Math.abs(parsedAmount);
+
+      // Check for likely duplicates of existing rows
+      let duplicateOf = null;
+      if (tx.external_id) {
+        const existingId = duplicateIndex.byExternalId[externalIdKey(accountId, tx.external_id)];
+        if (existingId) {
+          duplicateOf = { reason: 'Same bank transaction id', existing_id: existingId };
+        } else if (seenExternalIds.has(tx.external_id)) {
+          duplicateOf = { reason: 'Bank transaction id repeated in file', existing_id: null };
+        }
+        seenExternalIds.add(tx.external_id);
+      } else {
+        const fingerprint = transactionFingerprint({ ...tx, amount, kind });
+        const occurrence = fingerprintOccurrences[fingerprint] || 0;
+        fingerprintOccurrences[fingerprint] = occurrence + 1;
+        const existingIds = duplicateIndex.byFingerprint[fingerprint] || [];
+        if (occurrence < existingIds.length) {
+          duplicateOf = { reason: 'Same date, amount and name', existing_id: existingIds[occurrence] };
+        }
+      }
+
+      if (duplicateOf) {
+        duplicates.push({ row: rowNumber, ...duplicateOf, imported: onDuplicate === 'import', data: tx });
+        if (onDuplicate === 'skip') continue;
+      }
+
+      // Categorize rows that came in without a category
+      const matchedRule = tx.budget_type ? null : findMatchingRule(rules, { ...tx, amount });
+      const budgetType = matchedRule ? matchedRule.budget_type : tx.budget_type;
+      const ruleInfo = matchedRule ? { id: matchedRule.id, name: matchedRule.name } : null;
+
+      // Insert transaction (expenses marked as unpaid; income has nothing to pay)
+      const newTransaction = await insert('transactions', {
+        date: tx.date,
+        name: tx.name || null,
+        description: tx.description || null,
+        budget_type: budgetType,
+        amount,
+        payedOff: kind === 'income',
+        external_id: tx.external_id || null,
+        account_id: accountId,
+        kind,
+        merchant_id: findMerchantId(merchantAliases, tx),
+        created_by: user.id,
+        owner_id: user.id,
+        visibility
+      });
+      imported.push({ ...newTransaction, matched_rule: ruleInfo });
+    } catch (error) {
+      errors.push({ row: rowNumber, error: error.message, data: tx });
+    }
+  }
 
-let db;
-if (USE_SQLITE) {
-  // SQLite configuration (development)
-  db = new sqlite3.Database('../database/transactions.db', (err) => {
-    if (err) {
-      console.error('Error connecting to SQLite:', err);
-    } else {
-      console.log('✓ Connected to SQLite database');
+  return { imported, duplicates, errors };
+};
+
+// Shape an import result the way the Import tab expects it
+const importResponse = ({ imported, duplicates, errors }, extra = {}) => ({
+  success: true,
+  ...extra,
+  imported: imported.length,
+  categorized: imported.filter(tx => tx.matched_rule).length,
+  duplicates: duplicates.length,
+  errors: errors.length,
+  details: { imported, duplicates, errors }
+});
+
+// Import transactions from CSV
+app.post('/api/transactions/import', async (req, res) => {
+  try {
+    const { transactions, on_duplicate = 'skip', negative_amounts = 'income', account_id } = req.body;
+
+    if (!transactions || !Array.isArray(transactions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: transactions array is required'
+      });
+    }
+
+    if (!['skip', 'import'].includes(on_duplicate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'on_duplicate must be either "skip" or "import"'
+      });
+    }
+
+    if (!['income', 'skip'].includes(negative_amounts)) {
+      return res.status(400).json({
+        success: false,
+        error: 'negative_amounts must be either "income" or "skip"'
+      });
+    }
+
+    const accountError = await validateAccountId(account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
     }
-  });
-} else {
-  // PostgreSQL configuration (production)
-  db = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-  });
-  console.log('✓ Connected to PostgreSQL database');
-}
 
-// Helper function to run queries
-const queryDB = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    if (USE_SQLITE) {
-      db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+    const result = await importTransactionRows(transactions, on_duplicate, account_id || null, negative_amounts, req.user);
+    res.json(importResponse(result));
+  } catch (error) {
+    console.error('Error importing transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import an OFX/QFX or QIF statement file (multipart field "file")
+app.post('/api/transactions/import/statement', statementUpload.single('file'), async (req, res) => {
+  try {
+    const { on_duplicate = 'skip', negative_amounts = 'income', date_format = 'MM/DD/YYYY', account_id } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Invalid request: a statement file is required' });
+    }
+
+    if (!['skip', 'import'].includes(on_duplicate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'on_duplicate must be either "skip" or "import"'
+      });
+    }
+
+    if (!['income', 'skip'].includes(negative_amounts)) {
+      return res.status(400).json({
+        success: false,
+        error: 'negative_amounts must be either "income" or "skip"'
       });
+    }
+
+    const accountError = await validateAccountId(account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const extension = (req.file.originalname.split('.').pop() || '').toLowerCase();
+
+    let format;
+    let parsed;
+    if (['ofx', 'qfx'].includes(extension) || ofxParser.isOFX(text)) {
+      format = 'ofx';
+      parsed = ofxParser.parseOFX(text);
+    } else if (extension === 'qif' || qifParser.isQIF(text)) {
+      format = 'qif';
+      parsed = qifParser.parseQIF(text, date_format);
     } else {
-      db.query(sql, params)
-        .then(result => resolve(result.rows))
-        .catch(err => reject(err));
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type. Upload an .ofx, .qfx or .qif statement.'
+      });
     }
-  });
+
+    if (parsed.transactions.length === 0 && parsed.errors.length === 0) {
+      return res.status(400).json({ success: false, error: 'No transactions found in statement file' });
+    }
+
+    const result = await importTransactionRows(parsed.transactions, on_duplicate, account_id || null, negative_amounts, req.user);
+    result.errors = [...parsed.errors, ...result.errors];
+
+    res.json(importResponse(result, { format, file: req.file.originalname }));
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ RECURRING TRANSACTIONS ============
+
+const RECURRING_CADENCES = ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'];
+
+// How often the scheduler checks for due occurrences while the server is running
+const RECURRING_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const isValidDateString = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
 };
 
-// ============ API ROUTES ============
+// Add one cadence step to a YYYY-MM-DD date. Month-based cadences keep the
+// template's anchor day, clamped to short months, so a bill due on the 31st
+// lands on Feb 28 and goes back to the 31st in March.
+const advanceDueDate = (dateString, cadence, anchorDay) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+
+  if (cadence === 'weekly' || cadence === 'biweekly') {
+    const next = new Date(Date.UTC(year, month - 1, day + (cadence === 'weekly' ? 7 : 14)));
+    return next.toISOString().slice(0, 10);
+  }
+
+  const monthsToAdd = { monthly: 1, quarterly: 3, yearly: 12 }[cadence];
+  const next = new Date(Date.UTC(year, month - 1 + monthsToAdd, 1));
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay || day, lastDay));
+  return next.toISOString().slice(0, 10);
+};
+
+// Validate and normalize a recurring template payload, returning { error } or { values }
+const parseRecurringInput = (body) => {
+  const name = body.name ? body.name.trim() : '';
+  const amount = parseFloat(body.amount);
+  const kind = body.kind || 'expense';
+  const cadence = body.cadence || 'monthly';
+
+  if (!name || !body.budget_type || !body.next_due_date) {
+    return { error: 'Missing required fields: name, budget_type, amount and next_due_date are required' };
+  }
+  if (isNaN(amount) || amount <= 0) {
+    return { error: 'Amount must be a number greater than 0' };
+  }
+  if (!TRANSACTION_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${TRANSACTION_KINDS.join(', ')}` };
+  }
+  if (!RECURRING_CADENCES.includes(cadence)) {
+    return { error: `cadence must be one of: ${RECURRING_CADENCES.join(', ')}` };
+  }
+  if (!isValidDateString(body.next_due_date)) {
+    return { error: 'next_due_date must be a valid date (YYYY-MM-DD)' };
+  }
+  if (body.end_date && !isValidDateString(body.end_date)) {
+    return { error: 'end_date must be a valid date (YYYY-MM-DD)' };
+  }
+  if (body.end_date && body.end_date < body.next_due_date) {
+    return { error: 'end_date cannot be before next_due_date' };
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return { error: 'active must be true or false' };
+  }
+
+  return {
+    values: {
+      name,
+      description: body.description || null,
+      budget_type: body.budget_type,
+      amount,
+      kind,
+      account_id: body.account_id || null,
+      cadence,
+      next_due_date: body.next_due_date,
+      anchor_day: parseInt(body.next_due_date.slice(8, 10)),
+      end_date: body.end_date || null,
+      active: body.active !== undefined ? body.active : true
+    }
+  };
+};
+
+// SQL condition for recurring templates the user may see: templates of their
+// household, except those on an account that is private to another member
+// (occurrences take the account's visibility when posted)
+const visibleRecurring = (user, params, alias) => `(
+  (${alias}.owner_id IS NULL
+    OR ${alias}.owner_id IN (SELECT id FROM users WHERE household_id = ${addParam(params, user.household_id)}))
+  AND (${alias}.account_id IS NULL
+    OR ${alias}.account_id IN (SELECT a.id FROM accounts a WHERE ${visibleTo(user, params, 'a')}))
+)`;
+
+const loadVisibleTemplate = (id, user) => {
+  const params = [];
+  return queryDB(
+    `SELECT * FROM recurring_transactions r WHERE r.id = ${addParam(params, id)} AND ${visibleRecurring(user, params, 'r')}`,
+    params
+  );
+};
+
+// Post every occurrence that is due on or before asOf and move each template's
+// next_due_date forward. Safe to run any number of times: an occurrence is only
+// inserted if no transaction with the same recurring_id and date exists, and
+// the template is advanced after each occurrence, so restarts never double-post.
+const postDueRecurringTransactions = async (asOf) => {
+  const posted = [];
+
+  const templates = await queryDB(
+    'SELECT * FROM recurring_transactions WHERE active = TRUE AND next_due_date <= ?',
+    [asOf]
+  );
+
+  for (const template of templates) {
+    const endDate = template.end_date ? toDateString(template.end_date) : null;
+    let dueDate = toDateString(template.next_due_date);
+    const visibility = await resolveVisibility(null, template.account_id);
+
+    while (dueDate <= asOf && (!endDate || dueDate <= endDate)) {
+      const occurrenceDate = dueDate;
+      dueDate = advanceDueDate(dueDate, template.cadence, template.anchor_day);
+
+      // Post the occurrence and move the template on together
+      const postedTransaction = await transaction(async (tx) => {
+        const existing = await tx.queryOne(
+          'SELECT id FROM transactions WHERE recurring_id = ? AND date = ?',
+          [template.id, occurrenceDate]
+        );
+
+        // Expenses are posted unpaid so they show up in the Unpaid tab
+        const row = existing ? null : await tx.insert('transactions', {
+          date: occurrenceDate,
+          name: template.name,
+          description: template.description,
+          budget_type: template.budget_type,
+          amount: template.amount,
+          payedOff: template.kind === 'income',
+          account_id: template.account_id,
+          kind: template.kind,
+          recurring_id: template.id,
+          created_by: template.owner_id,
+          owner_id: template.owner_id,
+          visibility
+        });
+        await tx.update('recurring_transactions', { next_due_date: dueDate }, { id: template.id });
+        return row;
+      });
+
+      if (postedTransaction) {
+        posted.push({ id: postedTransaction.id, recurring_id: template.id, date: occurrenceDate, name: template.name, amount: template.amount });
+      }
+    }
+  }
+
+  if (posted.length > 0) {
+    console.log(`✓ Posted ${posted.length} recurring transaction(s)`);
+  }
+  return posted;
+};
+
+let recurringRun = null;
+
+// Runs never overlap. A call made while a run is in progress waits for it,
+// runs again for templates saved in the meantime, and reports what both posted.
+const materializeRecurringTransactions = async (asOf = toDateString(new Date())) => {
+  const inProgress = recurringRun;
+  const run = (async () => {
+    const earlier = inProgress ? await inProgress.catch(() => []) : [];
+    return [...earlier, ...(await postDueRecurringTransactions(asOf))];
+  })();
+  recurringRun = run;
 
-// Get all transactions with optional filters
-app.get('/api/transactions', async (req, res) => {
   try {
-    const { budget_type, start_date, end_date, limit = 100, offset = 0 } = req.query;
-    
-    let sql = 'SELECT * FROM transactions WHERE 1=1';
+    return await run;
+  } finally {
+    if (recurringRun === run) recurringRun = null;
+  }
+};
+
+// Get all recurring templates
+app.get('/api/recurring', async (req, res) => {
+  try {
     const params = [];
-    
-    if (budget_type) {
-      sql += ` AND budget_type = ${USE_SQLITE ? '?' : '$' + (params.length + 1)}`;
-      params.push(budget_type);
+    const templates = await queryDB(
+      `SELECT * FROM recurring_transactions r WHERE ${visibleRecurring(req.user, params, 'r')} ORDER BY next_due_date ASC, name ASC`,
+      params
+    );
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    console.error('Error fetching recurring transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get expected charges for the next N days (default 30)
+app.get('/api/recurring/upcoming', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+    if (isNaN(days) || days < 1 || days > 366) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 366' });
     }
-    
-    if (start_date) {
-      sql += ` AND date >= ${USE_SQLITE ? '?' : '$' + (params.length + 1)}`;
-      params.push(start_date);
+
+    const start = toDateString(new Date());
+    const endDate = new Date(`${start}T00:00:00Z`);
+    endDate.setUTCDate(endDate.getUTCDate() + days);
+    const end = endDate.toISOString().slice(0, 10);
+
+    const params = [];
+    const templates = await queryDB(
+      `SELECT * FROM recurring_transactions r WHERE active = TRUE AND ${visibleRecurring(req.user, params, 'r')}`,
+      params
+    );
+
+    const upcoming = [];
+    for (const template of templates) {
+      const templateEnd = template.end_date ? toDateString(template.end_date) : null;
+      let dueDate = toDateString(template.next_due_date);
+
+      while (dueDate <= end && (!templateEnd || dueDate <= templateEnd)) {
+        upcoming.push({
+          recurring_id: template.id,
+          date: dueDate,
+          name: template.name,
+          description: template.description,
+          budget_type: template.budget_type,
+          amount: parseFloat(template.amount),
+          kind: template.kind,
+          account_id: template.account_id,
+          cadence: template.cadence
+        });
+        dueDate = advanceDueDate(dueDate, template.cadence, template.anchor_day);
+      }
     }
-    
-    if (end_date) {
-      sql += ` AND date <= ${USE_SQLITE ? '?' : '$' + (params.length + 1)}`;
-      params.push(end_date);
+
+    upcoming.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+
+    const sumKind = (kind) => upcoming
+      .filter(item => item.kind === kind)
+      .reduce((sum, item) => sum + item.amount, 0);
+
+    res.json({
+      success: true,
+      data: upcoming,
+      start,
+      end,
+      totals: {
+        count: upcoming.length,
+        expenses: sumKind('expense'),
+        income: sumKind('income')
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming recurring transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Post any due occurrences now instead of waiting for the scheduler
+app.post('/api/recurring/run', async (req, res) => {
+  try {
+    // Every due template is posted, but only the caller's own are reported
+    const posted = await materializeRecurringTransactions();
+    const params = [];
+    const visibleIds = new Set((await queryDB(
+      `SELECT id FROM recurring_transactions r WHERE ${visibleRecurring(req.user, params, 'r')}`,
+      params
+    )).map(row => row.id));
+    const visiblePosted = posted.filter(tx => visibleIds.has(tx.recurring_id));
+
+    res.json({
+      success: true,
+      data: visiblePosted,
+      message: `Posted ${visiblePosted.length} recurring transaction(s)`
+    });
+  } catch (error) {
+    console.error('Error running recurring transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get recurring template by ID
+app.get('/api/recurring/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const templates = await loadVisibleTemplate(id, req.user);
+
+    if (templates.length === 0) {
+      return res.status(404).json({ success: false, error: 'Recurring transaction not found' });
     }
-    
-    sql += ' ORDER BY date DESC';
-    sql += ` LIMIT ${USE_SQLITE ? '?' : '$' + (params.length + 1)}`;
-    params.push(parseInt(limit));
-    
-    sql += ` OFFSET ${USE_SQLITE ? '?' : '$' + (params.length + 1)}`;
-    params.push(parseInt(offset));
-    
-    const transactions = await queryDB(sql, params);
-    res.json({ success: true, data: transactions, count: transactions.length });
+
+    res.json({ success: true, data: templates[0] });
   } catch (error) {
-    console.error('Error fetching transactions:', error);
+    console.error('Error fetching recurring transaction:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get transaction by ID
-app.get('/api/transactions/:id', async (req, res) => {
+// Create a recurring template; occurrences already due are posted right away
+app.post('/api/recurring', async (req, res) => {
+  try {
+    const { error, values } = parseRecurringInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const accountError = await validateAccountId(values.account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
+    }
+
+    const { id } = await insert('recurring_transactions', { ...values, owner_id: req.user.id });
+
+    const posted = await materializeRecurringTransactions();
+    const template = await queryDB(
+      'SELECT * FROM recurring_transactions WHERE id = ?',
+      [id]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: template[0],
+      posted: posted.filter(tx => tx.recurring_id === id).length,
+      message: 'Recurring transaction created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating recurring transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a recurring template (already posted transactions are left as they are)
+app.put('/api/recurring/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const sql = `SELECT * FROM transactions WHERE id = ${USE_SQLITE ? '?' : '$1'}`;
-    const transactions = await queryDB(sql, [id]);
+    const { error, values } = parseRecurringInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    if (transactions.length === 0) {
-      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    const accountError = await validateAccountId(values.account_id, req.user);
+    if (accountError) {
+      return res.status(400).json({ success: false, error: accountError });
     }
 
-    res.json({ success: true, data: transactions[0] });
+    const existing = await loadVisibleTemplate(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Recurring transaction not found' });
+    }
+
+    // Keep the original day of month unless the schedule itself was moved
+    const anchorDay = toDateString(existing[0].next_due_date) === values.next_due_date
+      ? existing[0].anchor_day
+      : values.anchor_day;
+
+    await update('recurring_transactions', { ...values, anchor_day: anchorDay }, { id });
+
+    const posted = await materializeRecurringTransactions();
+    const template = await queryDB(
+      'SELECT * FROM recurring_transactions WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: template[0],
+      posted: posted.filter(tx => String(tx.recurring_id) === String(id)).length,
+      message: 'Recurring transaction updated successfully'
+    });
   } catch (error) {
-    console.error('Error fetching transaction:', error);
+    console.error('Error updating recurring transaction:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Create a new transaction
-app.post('/api/transactions', async (req, res) => {
+// Delete a recurring template (posted transactions are kept)
+app.delete('/api/recurring/:id', async (req, res) => {
   try {
-    const { date, name, description, budget_type, amount, payedOff } = req.body;
+    const { id } = req.params;
 
-    // Validate required fields
-    if (!date || !amount || !budget_type) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: date, amount, and budget_type are required'
-      });
+    const existing = await loadVisibleTemplate(id, req.user);
+    if (existing.length === 0) {
+      return res.status(404).json({ success: false, error: 'Recurring transaction not found' });
     }
 
-    // Validate amount is a number
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Amount must be a valid number'
-      });
+    await transaction(async (tx) => {
+      await tx.run('UPDATE transactions SET recurring_id = NULL WHERE recurring_id = ?', [id]);
+      await tx.remove('recurring_transactions', { id });
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction deleted successfully',
+      data: { id: parseInt(id) }
+    });
+  } catch (error) {
+    console.error('Error deleting recurring transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ ANOMALY ALERTS ============
+
+const ALERT_TYPES = ['merchant_outlier', 'category_outlier', 'duplicate', 'new_merchant'];
+const ALERT_STATUSES = ['acknowledged', 'dismissed'];
+const ALERT_KEY_PATTERN = new RegExp(`^(${ALERT_TYPES.join('|')}):\\d+(-\\d+)*$`);
+
+// Recent charges are judged against the year before them
+const ALERT_HISTORY_DAYS = 365;
+// Outlier tests need at least this many earlier charges to compare against
+const MIN_ALERT_HISTORY = 3;
+// Modified z-score cut-off (Iglewicz and Hoaglin) for median absolute deviation
+const MAD_THRESHOLD = 3.5;
+// Plain z-score cut-off, used when most earlier charges were identical
+const STDDEV_THRESHOLD = 3;
+// With a flat history (a fixed subscription price) a rise of this share is flagged
+const FLAT_HISTORY_RISE = 0.2;
+
+// Merchant of a transaction: its normalized merchant if an alias matched, else
+// its name without punctuation or numbers, so "UBER *TRIP 4821" and
+// "Uber Trip 1170" count as the same merchant
+const merchantKey = (tx) => (tx.merchant_id ? `#${tx.merchant_id}` : (normalizeText(tx.name) || normalizeText(tx.description))
+  .replace(/\d+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim());
+
+const shiftDate = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// { score, expected } when `amount` is unusually high next to `history`, else null.
+// Uses the median absolute deviation; when most of the history is identical (MAD
+// of 0) it falls back to mean/stddev, and when all of it is, to the rise over
+// the usual amount (the score is then that rise as a fraction).
+const outlierScore = (amount, history) => {
+  if (history.length < MIN_ALERT_HISTORY) return null;
+  const expected = median(history);
+  if (amount <= expected) return null;
+
+  const mad = median(history.map(value => Math.abs(value - expected)));
+  if (mad > 0) {
+    const score = 0.6745 * (amount - expected) / mad;
+    return score > MAD_THRESHOLD ? { score, expected } : null;
+  }
+
+  const mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+  const stddev = Math.sqrt(history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / history.length);
+  if (stddev > 0) {
+    const score = (amount - mean) / stddev;
+    return score > STDDEV_THRESHOLD ? { score, expected } : null;
+  }
+
+  const rise = (amount - expected) / expected;
+  return rise >= FLAT_HISTORY_RISE ? { score: rise, expected } : null;
+};
+
+const buildAlert = (type, transactions, message, extra = {}) => {
+  const [tx] = transactions;
+  return {
+    key: `${type}:${transactions.map(t => t.id).join('-')}`,
+    type,
+    date: toDateString(tx.date),
+    transaction_id: tx.id,
+    transaction_ids: transactions.map(t => t.id),
+    name: tx.name,
+    budget_type: tx.budget_type,
+    amount: roundCents(tx.amount),
+    message,
+    ...extra
+  };
+};
+
+// Work out alerts for expenses dated start..end: charges far above what the same
+// merchant (or else the category) usually costs, the same charge more than once
+// on one day, and merchants not seen in the year before. Categories are judged by
+// category line, so each part of a split charge is compared with its own category.
+const findAnomalies = async (req, start, end) => {
+  const historyStart = shiftDate(start, -ALERT_HISTORY_DAYS);
+  const params = [];
+  const lineParams = [];
+  const [rows, lines] = await Promise.all([
+    queryDB(`
+      SELECT t.* FROM transactions t
+      WHERE t.kind = 'expense'
+        AND t.date >= ${addParam(params, historyStart)}
+        AND t.date <= ${addParam(params, end)}
+        ${householdScope(req, params, 't')}
+      ORDER BY t.date, t.id
+    `, params),
+    queryDB(`
+      SELECT lines.transaction_id, lines.date, lines.budget_type, lines.amount
+      FROM ${CATEGORY_LINES_SQL}
+      WHERE lines.kind = 'expense'
+        AND lines.date >= ${addParam(lineParams, historyStart)}
+        AND lines.date <= ${addParam(lineParams, end)}
+        ${householdScope(req, lineParams, 'lines')}
+    `, lineParams)
+  ]);
+
+  const history = rows.filter(tx => toDateString(tx.date) < start);
+  const recent = rows.filter(tx => toDateString(tx.date) >= start);
+
+  const byMerchant = new Map();
+  for (const tx of history) {
+    const merchant = merchantKey(tx);
+    if (merchant) byMerchant.set(merchant, [...(byMerchant.get(merchant) || []), parseFloat(tx.amount)]);
+  }
+
+  const byCategory = new Map();
+  const recentLines = new Map();
+  for (const line of lines) {
+    if (toDateString(line.date) < start) {
+      byCategory.set(line.budget_type, [...(byCategory.get(line.budget_type) || []), parseFloat(line.amount)]);
+    } else {
+      recentLines.set(line.transaction_id, [...(recentLines.get(line.transaction_id) || []), line]);
     }
+  }
 
-    // Default payedOff to true if not provided
-    const payedOffValue = payedOff !== undefined ? payedOff : true;
+  // The category line of tx that stands out most from its category, if any
+  const categoryOutlierOf = (tx) => {
+    let worst = null;
+    for (const line of recentLines.get(tx.id) || []) {
+      const amount = parseFloat(line.amount);
+      const outlier = outlierScore(amount, byCategory.get(line.budget_type) || []);
+      if (outlier && (!worst || outlier.score > worst.score)) {
+        worst = { ...outlier, amount, budget_type: line.budget_type };
+      }
+    }
+    return worst;
+  };
+
+  const alerts = [];
+  const newMerchants = new Set();
+  const sameDay = new Map();
+
+  for (const tx of recent) {
+    const amount = parseFloat(tx.amount);
+    const merchant = merchantKey(tx);
+    const label = tx.name || tx.description || tx.budget_type;
+
+    const merchantOutlier = merchant ? outlierScore(amount, byMerchant.get(merchant) || []) : null;
+    const categoryOutlier = merchantOutlier ? null : categoryOutlierOf(tx);
+    if (merchantOutlier) {
+      alerts.push(buildAlert('merchant_outlier', [tx],
+        `${label} charged ${amount.toFixed(2)}, usually ${merchantOutlier.expected.toFixed(2)}`,
+        { expected: roundCents(merchantOutlier.expected), score: Math.round(merchantOutlier.score * 100) / 100 }));
+    } else if (categoryOutlier) {
+      alerts.push(buildAlert('category_outlier', [tx],
+        `${label} (${categoryOutlier.amount.toFixed(2)}) is unusually high for ${categoryOutlier.budget_type}, usually ${categoryOutlier.expected.toFixed(2)}`,
+        {
+          budget_type: categoryOutlier.budget_type,
+          expected: roundCents(categoryOutlier.expected),
+          score: Math.round(categoryOutlier.score * 100) / 100
+        }));
+    }
+
+    // Only once there is history to compare with, or every merchant would be new
+    if (merchant && history.length > 0 && !byMerchant.has(merchant) && !newMerchants.has(merchant)) {
+      newMerchants.add(merchant);
+      alerts.push(buildAlert('new_merchant', [tx], `First charge from ${label} in the past year`));
+    }
 
-    // Insert transaction
-    const sql = USE_SQLITE
-      ? 'INSERT INTO transactions (date, name, description, budget_type, amount, payedOff) VALUES (?, ?, ?, ?, ?, ?)'
-      : 'INSERT INTO transactions (date, name, description, budget_type, amount, "payedOff") VALUES ($1, $2, $3, $4, $5, $6) RETURNING *';
+    if (merchant) {
+      const key = `${toDateString(tx.date)}|${merchant}|${Math.round(amount * 100)}|${tx.account_id || ''}`;
+      sameDay.set(key, [...(sameDay.get(key) || []), tx]);
+    }
+  }
+
+  for (const group of sameDay.values()) {
+    if (group.length < 2) continue;
+    const label = group[0].name || group[0].description;
+    alerts.push(buildAlert('duplicate', group,
+      `${group.length} charges of ${parseFloat(group[0].amount).toFixed(2)} from ${label} on ${toDateString(group[0].date)}`));
+  }
 
-    const params = [date, name || null, description || null, budget_type, parsedAmount, payedOffValue];
+  return alerts.sort((a, b) => b.date.localeCompare(a.date) || ALERT_TYPES.indexOf(a.type) - ALERT_TYPES.indexOf(b.type));
+};
+
+// Flag unusual spending in the last ?days= (default 30) up to ?as_of= (default
+// today). Each alert carries the household's status for it: open, acknowledged
+// or dismissed; dismissed alerts are left out unless ?include_dismissed=true.
+app.get('/api/analytics/anomalies', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+    if (isNaN(days) || days < 1 || days > 366) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 366' });
+    }
+    const end = req.query.as_of || toDateString(new Date());
+    if (!isValidDateString(end)) {
+      return res.status(400).json({ success: false, error: 'as_of must be a valid date (YYYY-MM-DD)' });
+    }
+    const start = shiftDate(end, 1 - days);
 
-    if (USE_SQLITE) {
-      // SQLite doesn't support RETURNING, so we need to get the inserted row separately
-      const insertResult = await new Promise((resolve, reject) => {
-        db.run(sql, params, function(err) {
-          if (err) reject(err);
-          else resolve({ id: this.lastID });
-        });
-      });
+    const [alerts, states] = await Promise.all([
+      findAnomalies(req, start, end),
+      queryDB('SELECT alert_key, status FROM alert_states WHERE household_id = ?', [req.user.household_id])
+    ]);
+    const statusByKey = new Map(states.map(state => [state.alert_key, state.status]));
 
-      // Fetch the newly created transaction
-      const selectSql = 'SELECT * FROM transactions WHERE id = ?';
-      const newTransaction = await queryDB(selectSql, [insertResult.id]);
+    const withStatus = alerts.map(alert => ({ ...alert, status: statusByKey.get(alert.key) || 'open' }));
+    const data = req.query.include_dismissed === 'true'
+      ? withStatus
+      : withStatus.filter(alert => alert.status !== 'dismissed');
 
-      res.status(201).json({
-        success: true,
-        data: newTransaction[0],
-        message: 'Transaction created successfully'
-      });
-    } else {
-      // PostgreSQL supports RETURNING
-      const result = await queryDB(sql, params);
-      res.status(201).json({
-        success: true,
-        data: result[0],
-        message: 'Transaction created successfully'
-      });
-    }
+    res.json({
+      success: true,
+      data,
+      open: data.filter(alert => alert.status === 'open').length,
+      start,
+      end
+    });
   } catch (error) {
-    console.error('Error creating transaction:', error);
+    console.error('Error detecting anomalies:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Update a transaction
-app.put('/api/transactions/:id', async (req, res) => {
+// Acknowledge or dismiss an alert for the whole household. Body: { status:
+// 'acknowledged' | 'dismissed' | 'open' }; open forgets the earlier decision.
+app.put('/api/analytics/anomalies/:key', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { date, name, description, budget_type, amount, payedOff } = req.body;
+    const { key } = req.params;
+    const { status } = req.body;
 
-    // Validate required fields
-    if (!date || !amount || !budget_type) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: date, amount, and budget_type are required'
-      });
+    if (!ALERT_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert key' });
+    }
+    if (status !== 'open' && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: open, ${ALERT_STATUSES.join(', ')}` });
     }
 
-    // Validate amount is a number
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Amount must be a valid number'
-      });
+    const where = { household_id: req.user.household_id, alert_key: key };
+    if (status === 'open') {
+      await remove('alert_states', where);
+    } else {
+      const values = { status, updated_by: req.user.id, updated_at: new Date().toISOString() };
+      const updated = await update('alert_states', values, where);
+      if (!updated) await insert('alert_states', { ...where, ...values });
     }
 
-    // Default payedOff to true if not provided
-    const payedOffValue = payedOff !== undefined ? payedOff : true;
+    res.json({ success: true, data: { key, status }, message: `Alert marked ${status}` });
+  } catch (error) {
+    console.error('Error updating alert:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Update transaction
-    const sql = USE_SQLITE
-      ? 'UPDATE transactions SET date = ?, name = ?, description = ?, budget_type = ?, amount = ?, payedOff = ? WHERE id = ?'
-      : 'UPDATE transactions SET date = $1, name = $2, description = $3, budget_type = $4, amount = $5, "payedOff" = $6 WHERE id = $7 RETURNING *';
+// ============ SPENDING FORECAST ============
 
-    const params = USE_SQLITE
-      ? [date, name || null, description || null, budget_type, parsedAmount, payedOffValue, id]
-      : [date, name || null, description || null, budget_type, parsedAmount, payedOffValue, id];
+// Complete months before the forecast month that make up a category's usual total
+const FORECAST_HISTORY_MONTHS = 6;
+// The low..high range covers about 80% of outcomes (two-sided z-score below)
+const FORECAST_CONFIDENCE = 0.8;
+const FORECAST_Z = 1.2816;
+// With fewer than two months of history the range is this share of the spending still to come
+const FORECAST_FALLBACK_SPREAD = 0.25;
 
-    if (USE_SQLITE) {
-      await new Promise((resolve, reject) => {
-        db.run(sql, params, function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        });
-      });
+const shiftMonth = (month, months) => {
+  const [year, monthNum] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNum - 1 + months, 1)).toISOString().slice(0, 7);
+};
 
-      // Fetch the updated transaction
-      const selectSql = 'SELECT * FROM transactions WHERE id = ?';
-      const updatedTransaction = await queryDB(selectSql, [id]);
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
 
-      if (updatedTransaction.length === 0) {
-        return res.status(404).json({ success: false, error: 'Transaction not found' });
-      }
+// Expense totals per category for asOf's month up to asOf, with the part posted
+// by recurring templates kept apart
+const loadMonthToDate = (req, asOf) => {
+  const params = [];
+  const sql = `
+    SELECT
+      budget_type,
+      SUM(amount) as total_amount,
+      SUM(CASE WHEN recurring_id IS NOT NULL THEN amount ELSE 0 END) as recurring_amount
+    FROM ${CATEGORY_LINES_SQL}
+    WHERE kind = 'expense'
+      AND date >= ${addParam(params, `${asOf.slice(0, 7)}-01`)}
+      AND date <= ${addParam(params, asOf)}
+      ${req.query.account_id ? `AND account_id = ${addParam(params, req.query.account_id)}` : ''}
+      ${householdScope(req, params, 'lines')}
+    GROUP BY budget_type
+  `;
+  return queryDB(sql, params);
+};
 
-      res.json({
-        success: true,
-        data: updatedTransaction[0],
-        message: 'Transaction updated successfully'
-      });
-    } else {
-      const result = await queryDB(sql, params);
+// Amounts per category that active recurring expense templates will post after
+// asOf and on or before monthEnd
+const loadRecurringRemaining = async (req, asOf, monthEnd) => {
+  const params = [];
+  let filters = req.query.account_id ? `AND r.account_id = ${addParam(params, req.query.account_id)}` : '';
+  if (req.query.member_id) {
+    filters += ` AND r.owner_id = ${addParam(params, parseInt(req.query.member_id) || 0)}`;
+  }
 
-      if (result.length === 0) {
-        return res.status(404).json({ success: false, error: 'Transaction not found' });
-      }
+  const templates = await queryDB(
+    `SELECT * FROM recurring_transactions r
+    WHERE active = TRUE AND kind = 'expense' AND ${visibleRecurring(req.user, params, 'r')} ${filters}`,
+    params
+  );
 
-      res.json({
-        success: true,
-        data: result[0],
-        message: 'Transaction updated successfully'
-      });
+  const remaining = new Map();
+  for (const template of templates) {
+    const templateEnd = template.end_date ? toDateString(template.end_date) : monthEnd;
+    let dueDate = toDateString(template.next_due_date);
+    while (dueDate <= monthEnd && dueDate <= templateEnd) {
+      if (dueDate > asOf) {
+        remaining.set(template.budget_type, (remaining.get(template.budget_type) || 0) + parseFloat(template.amount));
+      }
+      dueDate = advanceDueDate(dueDate, template.cadence, template.anchor_day);
     }
-  } catch (error) {
-    console.error('Error updating transaction:', error);
-    res.status(500).json({ success: false, error: error.message });
   }
-});
+  return remaining;
+};
 
-// Delete a transaction
-app.delete('/api/transactions/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+// Project one category's month-end total. Spending that is not a known recurring
+// charge runs at a rate blended from this month's pace and the usual month (the
+// pace counts for more as the month goes on); the range widens with how much the
+// category's monthly totals have varied.
+const forecastCategory = ({ actual, postedRecurring, recurringRemaining, history }, elapsed) => {
+  const average = history.length > 0 ? history.reduce((sum, value) => sum + value, 0) / history.length : null;
+  const pace = (actual - postedRecurring) / elapsed;
+  // The usual month less this month's recurring charges, which are counted separately
+  const usual = average === null ? pace : Math.max(0, average - postedRecurring - recurringRemaining);
+  const toCome = (1 - elapsed) * (elapsed * pace + (1 - elapsed) * usual);
+  const projected = actual + recurringRemaining + toCome;
 
-    // Check if transaction exists first
-    const checkSql = `SELECT * FROM transactions WHERE id = ${USE_SQLITE ? '?' : '$1'}`;
-    const existing = await queryDB(checkSql, [id]);
+  const spread = history.length >= 2
+    ? FORECAST_Z * standardDeviation(history) * Math.sqrt(1 - elapsed)
+    : FORECAST_FALLBACK_SPREAD * toCome;
+  const floor = actual + recurringRemaining;
 
-    if (existing.length === 0) {
-      return res.status(404).json({ success: false, error: 'Transaction not found' });
+  return {
+    actual: roundCents(actual),
+    recurring_remaining: roundCents(recurringRemaining),
+    average: average === null ? null : roundCents(average),
+    months_of_history: history.length,
+    projected: roundCents(projected),
+    low: roundCents(Math.max(floor, projected - spread)),
+    high: roundCents(projected + spread)
+  };
+};
+
+// Project month-end expense totals per category for the month of ?as_of=
+// (default today) from the month so far, the usual month over the previous
+// FORECAST_HISTORY_MONTHS and recurring charges still to come. Honours
+// ?account_id= and ?member_id= like the other summaries.
+app.get('/api/analytics/forecast', async (req, res) => {
+  try {
+    const asOf = req.query.as_of || toDateString(new Date());
+    if (!isValidDateString(asOf)) {
+      return res.status(400).json({ success: false, error: 'as_of must be a valid date (YYYY-MM-DD)' });
     }
 
-    // Delete the transaction
-    const sql = `DELETE FROM transactions WHERE id = ${USE_SQLITE ? '?' : '$1'}`;
+    const month = asOf.slice(0, 7);
+    const [year, monthNum] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+    const monthEnd = `${month}-${String(daysInMonth).padStart(2, '0')}`;
+    const daysElapsed = parseInt(asOf.slice(8, 10));
+    const elapsed = daysElapsed / daysInMonth;
 
-    if (USE_SQLITE) {
-      await new Promise((resolve, reject) => {
-        db.run(sql, [id], function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        });
+    const firstHistoryMonth = shiftMonth(month, -FORECAST_HISTORY_MONTHS);
+    const [monthToDate, recurringRemaining, summary] = await Promise.all([
+      loadMonthToDate(req, asOf),
+      loadRecurringRemaining(req, asOf, monthEnd),
+      loadMonthlySummary(req)
+    ]);
+
+    // Only months with any spending count, so a household that started
+    // recently is not averaged against empty months
+    const history = summary.filter(row => row.month >= firstHistoryMonth && row.month < month);
+    const historyMonths = [...new Set(history.map(row => row.month))].sort();
+
+    const categories = new Set([
+      ...monthToDate.map(row => row.budget_type),
+      ...history.map(row => row.budget_type),
+      ...recurringRemaining.keys()
+    ]);
+
+    const forecasts = [...categories].map(budgetType => {
+      const current = monthToDate.find(row => row.budget_type === budgetType);
+      // Months before the category's first spending don't count either
+      const totals = historyMonths.map(historyMonth => {
+        const row = history.find(item => item.month === historyMonth && item.budget_type === budgetType);
+        return row ? parseFloat(row.total_amount) : 0;
       });
-    } else {
-      await queryDB(sql, [id]);
-    }
+      const firstSpent = totals.findIndex(total => total > 0);
+      return {
+        budget_type: budgetType,
+        ...forecastCategory({
+          actual: current ? parseFloat(current.total_amount) : 0,
+          postedRecurring: current ? parseFloat(current.recurring_amount) : 0,
+          recurringRemaining: recurringRemaining.get(budgetType) || 0,
+          history: firstSpent === -1 ? [] : totals.slice(firstSpent)
+        }, elapsed)
+      };
+    });
+
+    const sum = (key) => forecasts.reduce((total, item) => total + item[key], 0);
+    const projected = sum('projected');
+    // Categories rarely all land high together, so their spreads add in quadrature
+    const spread = Math.sqrt(forecasts.reduce((total, item) => total + (item.high - item.projected) ** 2, 0));
 
     res.json({
       success: true,
-      message: 'Transaction deleted successfully',
-      data: { id: parseInt(id) }
+      data: forecasts.sort((a, b) => b.projected - a.projected || a.budget_type.localeCompare(b.budget_type)),
+      month,
+      as_of: asOf,
+      days_elapsed: daysElapsed,
+      days_in_month: daysInMonth,
+      confidence: FORECAST_CONFIDENCE,
+      totals: {
+        actual: roundCents(sum('actual')),
+        recurring_remaining: roundCents(sum('recurring_remaining')),
+        projected: roundCents(projected),
+        low: roundCents(Math.max(sum('actual') + sum('recurring_remaining'), projected - spread)),
+        high: roundCents(projected + spread)
+      }
     });
   } catch (error) {
-    console.error('Error deleting transaction:', error);
+    console.error('Error forecasting spending:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get summary by budget type
-app.get('/api/summary/budget-types', async (req, res) => {
-  try {
-    const sql = `
-      SELECT 
-        budget_type,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount,
-        MIN(amount) as min_amount,
-        MAX(amount) as max_amount
-      FROM transactions
-      GROUP BY budget_type
-      ORDER BY total_amount DESC
-    `;
-    
-    const summary = await queryDB(sql);
-    res.json({ success: true, data: summary });
-  } catch (error) {
-    console.error('Error fetching budget summary:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// ============ EXPORT ============
 
-// Get monthly summary
-app.get('/api/summary/monthly', async (req, res) => {
-  try {
-    const sql = USE_SQLITE ? `
-      SELECT 
-        strftime('%Y-%m', date) as month,
-        budget_type,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount
-      FROM transactions
-      GROUP BY strftime('%Y-%m', date), budget_type
-      ORDER BY month DESC, total_amount DESC
-    ` : `
-      SELECT 
-        DATE_TRUNC('month', date) as month,
-        budget_type,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Transactions are read from the database this many rows at a time while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+const toNumber = (value) => (value === null || value === undefined ? null : roundCents(value));
+
+// Report columns: JSON key, spreadsheet header and how to read the value from a row
+const MONTHLY_EXPORT_COLUMNS = [
+  { key: 'month', header: 'Month', value: row => row.month },
+  { key: 'budget_type', header: 'Category', value: row => row.budget_type },
+  { key: 'transaction_count', header: 'Transactions', value: row => parseInt(row.transaction_count) },
+  { key: 'total_amount', header: 'Total', value: row => toNumber(row.total_amount) },
+  { key: 'avg_amount', header: 'Average', value: row => toNumber(row.avg_amount) }
+];
+
+const CATEGORY_EXPORT_COLUMNS = [
+  { key: 'budget_type', header: 'Category', value: row => row.budget_type },
+  { key: 'transaction_count', header: 'Transactions', value: row => parseInt(row.transaction_count) },
+  { key: 'total_amount', header: 'Total', value: row => toNumber(row.total_amount) }
+];
+
+// Transaction columns show account and owner names, looked up once per export
+const transactionExportColumns = (accountNames, memberNames) => [
+  { key: 'id', header: 'ID', value: row => row.id },
+  { key: 'date', header: 'Date', value: row => row.date },
+  { key: 'name', header: 'Name', value: row => row.name },
+  { key: 'description', header: 'Description', value: row => row.description },
+  { key: 'budget_type', header: 'Category', value: row => row.budget_type },
+  { key: 'kind', header: 'Kind', value: row => row.kind },
+  { key: 'amount', header: 'Amount', value: row => toNumber(row.amount) },
+  { key: 'payedOff', header: 'Paid', value: row => row.payedOff },
+  { key: 'account', header: 'Account', value: row => accountNames.get(row.account_id) || null },
+  { key: 'owner', header: 'Owner', value: row => memberNames.get(row.owner_id) || null },
+  { key: 'visibility', header: 'Visibility', value: row => row.visibility }
+];
+
+// Yield every transaction matching the list filters in batches, in the list's
+// sort order, paging by keyset so later batches stay cheap
+const transactionBatches = async function* (req) {
+  const { sort = 'date', order = 'desc' } = req.query;
+  const sortExpr = TRANSACTION_SORTS[sort];
+  let after = null;
+
+  while (true) {
+    const params = [];
+    let sql = `
+      SELECT transactions.*, ${sortExpr} as sort_value
       FROM transactions
-      GROUP BY DATE_TRUNC('month', date), budget_type
-      ORDER BY month DESC, total_amount DESC
+      WHERE 1=1 ${transactionFilterSql(req.query, params)}${householdScope(req, params, 'transactions')}
     `;
-    
-    const summary = await queryDB(sql);
-    res.json({ success: true, data: summary });
-  } catch (error) {
-    console.error('Error fetching monthly summary:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (after) sql += keysetSql(sortExpr, order, after, params);
+    sql += ` ORDER BY ${sortExpr} ${order.toUpperCase()}, id ${order.toUpperCase()}`;
+    sql += ` LIMIT ${addParam(params, EXPORT_BATCH_SIZE)}`;
+
+    const rows = await queryDB(sql, params);
+    if (rows.length > 0) yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    after = { value: rows[rows.length - 1].sort_value, id: rows[rows.length - 1].id };
   }
-});
+};
 
-// Get category breakdown by month
-app.get('/api/analytics/category-breakdown', async (req, res) => {
-  try {
-    const { month } = req.query; // Expected format: YYYY-MM
+// Each report validates its query and returns { error } or what to export:
+// { filename, sheetName, columns, batches } where batches is an (async) iterable
+// of row arrays
+const EXPORT_REPORTS = {
+  transactions: async (req) => {
+    const { sort = 'date', order = 'desc' } = req.query;
+    const filterError = validateTransactionFilters(req.query);
+    if (filterError) return { error: filterError };
+    if (!TRANSACTION_SORTS[sort]) {
+      return { error: `sort must be one of: ${Object.keys(TRANSACTION_SORTS).join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
 
-    if (!month) {
-      return res.status(400).json({ success: false, error: 'Month parameter is required (format: YYYY-MM)' });
+    const accountParams = [];
+    const [accounts, members] = await Promise.all([
+      queryDB(`SELECT a.id, a.name FROM accounts a WHERE ${visibleTo(req.user, accountParams, 'a')}`, accountParams),
+      loadHouseholdMembers(req.user.household_id)
+    ]);
+
+    return {
+      filename: `transactions-${toDateString(new Date())}`,
+      sheetName: 'Transactions',
+      columns: transactionExportColumns(
+        new Map(accounts.map(account => [account.id, account.name])),
+        new Map(members.map(member => [member.id, member.username]))
+      ),
+      batches: transactionBatches(req)
+    };
+  },
+
+  monthly: async (req) => ({
+    filename: `monthly-summary-${toDateString(new Date())}`,
+    sheetName: 'Monthly summary',
+    columns: MONTHLY_EXPORT_COLUMNS,
+    batches: [await loadMonthlySummary(req)]
+  }),
+
+  'category-breakdown': async (req) => {
+    if (!/^\d{4}-\d{2}$/.test(req.query.month || '')) {
+      return { error: 'Month parameter is required (format: YYYY-MM)' };
     }
+    return {
+      filename: `category-breakdown-${req.query.month}`,
+      sheetName: `Categories ${req.query.month}`,
+      columns: CATEGORY_EXPORT_COLUMNS,
+      batches: [await loadCategoryBreakdown(req)]
+    };
+  }
+};
 
-    const sql = USE_SQLITE ? `
-      SELECT
-        budget_type,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount
-      FROM transactions
-      WHERE strftime('%Y-%m', date) = ?
-      GROUP BY budget_type
-      ORDER BY total_amount DESC
-    ` : `
-      SELECT
-        budget_type,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount
-      FROM transactions
-      WHERE TO_CHAR(date, 'YYYY-MM') = $1
-      GROUP BY budget_type
-      ORDER BY total_amount DESC
-    `;
+// Write an export in the requested format. CSV and JSON are streamed as batches
+// arrive; an XLSX workbook can only be built once every row is in.
+const sendExport = async (res, format, { filename, sheetName, columns, batches }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const headers = columns.map(column => column.header);
+  const values = row => columns.map(column => column.value(row));
 
-    const categoryData = await queryDB(sql, [month]);
-    res.json({ success: true, data: categoryData });
-  } catch (error) {
-    console.error('Error fetching category breakdown:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (format === 'xlsx') {
+    const rows = [];
+    for await (const batch of batches) rows.push(...batch.map(values));
+    const workbook = buildWorkbook(sheetName, headers, rows);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    return res.send(workbook);
   }
-});
 
-// Get spending trends
-app.get('/api/analytics/trends', async (req, res) => {
-  try {
-    const sql = USE_SQLITE ? `
-      SELECT 
-        strftime('%Y-%m', date) as month,
-        SUM(amount) as total_spending,
-        COUNT(*) as transaction_count,
-        AVG(amount) as avg_transaction
-      FROM transactions
-      GROUP BY strftime('%Y-%m', date)
-      ORDER BY month ASC
-    ` : `
-      SELECT 
-        DATE_TRUNC('month', date) as month,
-        SUM(amount) as total_spending,
-        COUNT(*) as transaction_count,
-        AVG(amount) as avg_transaction
-      FROM transactions
-      GROUP BY DATE_TRUNC('month', date)
-      ORDER BY month ASC
-    `;
-    
-    const trends = await queryDB(sql);
-    res.json({ success: true, data: trends });
-  } catch (error) {
-    console.error('Error fetching trends:', error);
-    res.status(500).json({ success: false, error: error.message });
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\ufeff' + formatRow(headers));
+    for await (const batch of batches) {
+      res.write(batch.map(row => formatRow(values(row))).join(''));
+    }
+  } else {
+    let separator = '[\n';
+    for await (const batch of batches) {
+      for (const row of batch) {
+        res.write(separator + JSON.stringify(Object.fromEntries(columns.map(column => [column.key, column.value(row)]))));
+        separator = ',\n';
+      }
+    }
+    res.write(separator === '[\n' ? '[]\n' : '\n]\n');
   }
-});
+  res.end();
+};
 
-// Get total statistics
-app.get('/api/stats/overview', async (req, res) => {
+// Download transactions (same filters and sort as GET /api/transactions) or a
+// report as a file. ?report=transactions|monthly|category-breakdown,
+// ?format=csv|xlsx|json
+app.get('/api/export', async (req, res) => {
   try {
-    const sql = `
-      SELECT 
-        COUNT(*) as total_transactions,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount,
-        MIN(date) as first_transaction,
-        MAX(date) as last_transaction,
-        COUNT(DISTINCT budget_type) as budget_types_count
-      FROM transactions
-    `;
-    
-    const stats = await queryDB(sql);
-    res.json({ success: true, data: stats[0] });
+    const { report = 'transactions', format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!EXPORT_REPORTS[report]) {
+      return res.status(400).json({ success: false, error: `report must be one of: ${Object.keys(EXPORT_REPORTS).join(', ')}` });
+    }
+
+    const exported = await EXPORT_REPORTS[report](req);
+    if (exported.error) {
+      return res.status(400).json({ success: false, error: exported.error });
+    }
+
+    await sendExport(res, format, exported);
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error exporting data:', error);
+    // Once a streamed file has started the status can no longer change; cut the
+    // download short so it is not mistaken for a complete file
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get available months with data
-app.get('/api/available-months', async (req, res) => {
-  try {
-    const sql = USE_SQLITE ? `
-      SELECT DISTINCT strftime('%Y-%m', date) as month
-      FROM transactions
-      ORDER BY month DESC
-    ` : `
-      SELECT DISTINCT TO_CHAR(date, 'YYYY-MM') as month
-      FROM transactions
-      ORDER BY month DESC
-    `;
+// ============ BACKUP AND RESTORE ============
 
-    const months = await queryDB(sql);
-    res.json({ success: true, data: months.map(m => m.month) });
-  } catch (error) {
-    console.error('Error fetching available months:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+// How often scheduled backups are written when BACKUP_DIR is set
+const BACKUP_INTERVAL_MS = (parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Archives are parsed in memory; gzipped ones are much smaller than this
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }
 });
 
-// Get unique budget types
-app.get('/api/budget-types', async (req, res) => {
+// Backups hold every household's data, so /api/admin is limited to the
+// comma-separated usernames in ADMIN_USERNAMES (nobody when it is unset)
+const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (admins.includes(req.user.username)) return next();
+  res.status(403).json({ success: false, error: 'Admin access required; list your username in ADMIN_USERNAMES' });
+};
+
+app.use('/api/admin', requireAdmin);
+
+// Download a backup of the whole database (?format=ndjson|json)
+app.get('/api/admin/backup', async (req, res) => {
   try {
-    const sql = 'SELECT DISTINCT budget_type FROM transactions ORDER BY budget_type';
-    const types = await queryDB(sql);
-    res.json({ success: true, data: types.map(t => t.budget_type) });
+    const { format = 'ndjson' } = req.query;
+    if (!['ndjson', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be ndjson or json' });
+    }
+
+    const stamp = new Date().toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="budget-backup-${stamp}.${format}"`);
+    await writeBackup(res, { format });
+    res.end();
   } catch (error) {
-    console.error('Error fetching budget types:', error);
+    console.error('Error creating backup:', error);
+    // A partial archive has no end marker, but cut the download short anyway
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Import transactions from CSV
-app.post('/api/transactions/import', async (req, res) => {
+// Replace all data with an uploaded archive (multipart field "file"). Every
+// session is removed with the old users, including the caller's.
+app.post('/api/admin/restore', backupUpload.single('file'), async (req, res) => {
   try {
-    const { transactions } = req.body;
-
-    if (!transactions || !Array.isArray(transactions)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid request: transactions array is required'
-      });
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Invalid request: a backup file is required' });
     }
 
-    const imported = [];
-    const errors = [];
-
-    for (let i = 0; i < transactions.length; i++) {
-      const tx = transactions[i];
-
-      try {
-        // Skip transactions with invalid amounts or missing required fields
-        if (!tx.date || !tx.amount) {
-          errors.push({ row: i + 1, error: 'Missing required fields', data: tx });
-          continue;
-        }
-
-        const parsedAmount = parseFloat(tx.amount);
-        if (isNaN(parsedAmount) || parsedAmount === 0) {
-          errors.push({ row: i + 1, error: 'Invalid or zero amount', data: tx });
-          continue;
-        }
-
-        // Skip credit card payments (negative amounts)
-        if (parsedAmount < 0) {
-          continue;
-        }
-
-        // Insert transaction (marked as unpaid)
-        const sql = USE_SQLITE
-          ? 'INSERT INTO transactions (date, name, description, budget_type, amount, payedOff) VALUES (?, ?, ?, ?, ?, ?)'
-          : 'INSERT INTO transactions (date, name, description, budget_type, amount, "payedOff") VALUES ($1, $2, $3, $4, $5, $6) RETURNING *';
-
-        const params = [
-          tx.date,
-          tx.name || null,
-          tx.description || null,
-          tx.budget_type,
-          parsedAmount,
-          false // Mark as unpaid
-        ];
-
-        if (USE_SQLITE) {
-          const insertResult = await new Promise((resolve, reject) => {
-            db.run(sql, params, function(err) {
-              if (err) reject(err);
-              else resolve({ id: this.lastID });
-            });
-          });
-          imported.push({ id: insertResult.id, ...tx });
-        } else {
-          const result = await queryDB(sql, params);
-          imported.push(result[0]);
-        }
-      } catch (error) {
-        errors.push({ row: i + 1, error: error.message, data: tx });
-      }
+    let counts;
+    try {
+      counts = await restoreBackup(req.file.buffer);
+    } catch (error) {
+      // Nothing was changed: the archive was unreadable or does not fit this schema
+      return res.status(400).json({ success: false, error: error.message });
     }
 
     res.json({
       success: true,
-      imported: imported.length,
-      errors: errors.length,
-      details: { imported, errors }
+      data: counts,
+      message: 'Backup restored. Sign in again with an account from the backup.'
     });
   } catch (error) {
-    console.error('Error importing transactions:', error);
+    console.error('Error restoring backup:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -581,28 +4731,69 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, HOST, () => {
-  console.log(`\n🚀 Server running on ${HOST}:${PORT}`);
-  console.log(`📊 Database: ${USE_SQLITE ? 'SQLite' : 'PostgreSQL'}`);
-  console.log(`\nAPI Endpoints:`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/health`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/transactions`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/transactions/:id`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/summary/budget-types`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/summary/monthly`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/analytics/trends`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/stats/overview`);
-  console.log(`  GET  http://${HOST}:${PORT}/api/budget-types\n`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down gracefully...');
-  if (USE_SQLITE) {
-    db.close();
-  } else {
-    db.end();
-  }
-  process.exit(0);
-});
+// Bring the schema up to date, then start the server. Only when run directly:
+// tests require the app and listen on their own port.
+if (require.main === module) {
+  runMigrations()
+    .then(() => app.listen(PORT, HOST, () => {
+      console.log(`\n🚀 Server running on ${HOST}:${PORT}`);
+      console.log(`📊 Database: ${USE_SQLITE ? 'SQLite' : 'PostgreSQL'}`);
+      console.log(`\nAPI Endpoints:`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/health`);
+      console.log(`  POST http://${HOST}:${PORT}/api/auth/login`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/transactions`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/transactions/:id`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/summary/budget-types`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/summary/monthly`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/analytics/trends`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/stats/overview`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/budget-types`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/analytics/cash-flow`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/accounts`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/household`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/household/settle-up`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/categories`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/budgets`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/rules`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/import-profiles`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/recurring`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/recurring/upcoming`);
+      console.log(`  GET  http://${HOST}:${PORT}/api/analytics/budget-vs-actual\n`);
+
+      // Post recurring transactions that came due while the server was down, then keep checking
+      const runRecurringJob = () => {
+        materializeRecurringTransactions().catch(error => {
+          console.error('Error posting recurring transactions:', error);
+        });
+      };
+      runRecurringJob();
+      setInterval(runRecurringJob, RECURRING_JOB_INTERVAL_MS);
+
+      // Rotating backups into BACKUP_DIR, keeping the newest BACKUP_KEEP
+      if (process.env.BACKUP_DIR) {
+        const runBackupJob = () => {
+          rotateBackups(process.env.BACKUP_DIR, parseInt(process.env.BACKUP_KEEP) || DEFAULT_BACKUP_KEEP)
+            .then(({ file }) => console.log(`✓ Backup written to ${file}`))
+            .catch(error => {
+              console.error('Error writing scheduled backup:', error);
+            });
+        };
+        runBackupJob();
+        setInterval(runBackupJob, BACKUP_INTERVAL_MS);
+      }
+    }))
+    .catch(error => {
+      console.error('Error running database migrations:', error);
+      closeDB();
+      process.exit(1);
+    });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\nShutting down gracefully...');
+    closeDB();
+    process.exit(0);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('accounts', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  it('creates accounts with defaults', async () => {
+    const { status, body } = await api.post('/accounts', { name: 'Checking' });
+    assert.equal(status, 201);
+    assert.equal(body.data.type, 'checking');
+    assert.equal(body.data.currency, 'USD');
+    assert.equal(body.data.opening_balance, 0);
+    assert.equal(body.data.visibility, 'shared');
+    assert.equal(body.data.owner_id, api.user.id);
+  });
+
+  it('validates the payload', async () => {
+    assert.equal((await api.post('/accounts', {})).status, 400);
+    assert.equal((await api.post('/accounts', { name: 'X', type: 'crypto' })).status, 400);
+    assert.equal((await api.post('/accounts', { name: 'X', currency: 'dollars' })).status, 400);
+    assert.equal((await api.post('/accounts', { name: 'X', opening_balance: 'lots' })).status, 400);
+    assert.equal((await api.post('/accounts', { name: 'X', visibility: 'hidden' })).status, 400);
+  });
+
+  it('keeps a current balance from the opening balance and transactions', async () => {
+    const { body: created } = await api.post('/accounts', { name: 'Savings', type: 'savings', opening_balance: 100 });
+    const { id } = created.data;
+    await createTransaction(api, { account_id: id, amount: 30 });
+    await createTransaction(api, { account_id: id, amount: 50, kind: 'income', budget_type: 'Interest' });
+
+    const { body } = await api.get(`/accounts/${id}`);
+    assert.equal(body.data.transaction_count, 2);
+    assert.equal(body.data.total_spent, 30);
+    assert.equal(body.data.total_income, 50);
+    assert.equal(body.data.current_balance, 120);
+
+    const listed = await api.get('/accounts');
+    assert.equal(listed.body.data.find(account => account.id === id).current_balance, 120);
+    assert.equal((await api.get('/accounts/9999')).status, 404);
+  });
+
+  it('lists the register with a running balance', async () => {
+    const { body: created } = await api.post('/accounts', { name: 'Card', type: 'credit_card', opening_balance: 10 });
+    const { id } = created.data;
+    await createTransaction(api, { account_id: id, date: '2025-10-02', amount: 4 });
+    await createTransaction(api, { account_id: id, date: '2025-10-01', amount: 1 });
+
+    const { body } = await api.get(`/accounts/${id}/register`);
+    assert.deepEqual(body.data.map(tx => [tx.date, tx.running_balance]), [['2025-10-01', 9], ['2025-10-02', 5]]);
+    assert.equal(body.opening_balance, 10);
+    assert.equal(body.current_balance, 5);
+    assert.equal((await api.get('/accounts/9999/register')).status, 404);
+  });
+
+  it('updates an account', async () => {
+    const { body: created } = await api.post('/accounts', { name: 'Wallet', type: 'cash' });
+    const { body } = await api.put(`/accounts/${created.data.id}`, { name: 'Cash wallet', type: 'cash', currency: 'eur' });
+    assert.equal(body.data.name, 'Cash wallet');
+    assert.equal(body.data.currency, 'EUR');
+
+    assert.equal((await api.put('/accounts/9999', { name: 'Nope' })).status, 404);
+  });
+
+  it('deletes an account but keeps its transactions', async () => {
+    const { body: created } = await api.post('/accounts', { name: 'Closed' });
+    const tx = await createTransaction(api, { account_id: created.data.id });
+
+    assert.equal((await api.delete(`/accounts/${created.data.id}`)).status, 200);
+    const { body } = await api.get(`/transactions/${tx.id}`);
+    assert.equal(body.data.account_id, null);
+    assert.equal((await api.delete(`/accounts/${created.data.id}`)).status, 404);
+  });
+});
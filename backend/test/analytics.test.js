@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('summaries and analytics', () => {
+  let api;
+  let checkingId;
+
+  before(async () => {
+    api = await startApi();
+
+    const { body: account } = await api.post('/accounts', { name: 'Checking', type: 'checking' });
+    checkingId = account.data.id;
+
+    await createTransaction(api, { date: '2025-09-05', name: 'Safeway', budget_type: 'Groceries', amount: 80 });
+    await createTransaction(api, { date: '2025-09-20', name: 'Shell', budget_type: 'Gas', amount: 40, account_id: checkingId });
+    await createTransaction(api, { date: '2025-09-30', name: 'Paycheck', budget_type: 'Salary', amount: 1000, kind: 'income' });
+    await createTransaction(api, { date: '2025-10-03', name: 'Safeway', budget_type: 'Groceries', amount: 20 });
+    await createTransaction(api, { date: '2025-10-10', name: 'Paycheck', budget_type: 'Salary', amount: 1000, kind: 'income' });
+
+    // A split expense counts toward each line's category
+    const costco = await createTransaction(api, { date: '2025-10-12', name: 'Costco', budget_type: 'Groceries', amount: 100 });
+    await api.put(`/transactions/${costco.id}/splits`, {
+      splits: [{ budget_type: 'Groceries', amount: 70 }, { budget_type: 'Household', amount: 30 }]
+    });
+  });
+
+  after(() => api.close());
+
+  it('summarizes expenses by category, splits included', async () => {
+    const { body } = await api.get('/summary/budget-types');
+    const totals = Object.fromEntries(body.data.map(row => [row.budget_type, row.total_amount]));
+    assert.deepEqual(totals, { Groceries: 170, Gas: 40, Household: 30 });
+    assert.equal(body.data[0].budget_type, 'Groceries');
+    assert.equal(body.data[0].transaction_count, 3);
+
+    const byAccount = await api.get(`/summary/budget-types?account_id=${checkingId}`);
+    assert.deepEqual(byAccount.body.data.map(row => row.budget_type), ['Gas']);
+  });
+
+  it('summarizes expenses by month and category', async () => {
+    const { body } = await api.get('/summary/monthly');
+    assert.deepEqual(
+      body.data.map(row => [row.month, row.budget_type, row.total_amount]),
+      [
+        ['2025-10', 'Groceries', 90],
+        ['2025-10', 'Household', 30],
+        ['2025-09', 'Groceries', 80],
+        ['2025-09', 'Gas', 40]
+      ]
+    );
+  });
+
+  it('breaks one month down by category', async () => {
+    const { body } = await api.get('/analytics/category-breakdown?month=2025-10');
+    assert.deepEqual(body.data.map(row => [row.budget_type, row.total_amount]), [['Groceries', 90], ['Household', 30]]);
+
+    const empty = await api.get('/analytics/category-breakdown?month=2024-01');
+    assert.deepEqual(empty.body.data, []);
+
+    assert.equal((await api.get('/analytics/category-breakdown')).status, 400);
+  });
+
+  it('reports monthly spending trends with net savings', async () => {
+    const { body } = await api.get('/analytics/trends');
+    assert.deepEqual(body.data.map(row => row.month), ['2025-09', '2025-10']);
+
+    const [september, october] = body.data;
+    assert.equal(september.total_spending, 120);
+    assert.equal(september.total_income, 1000);
+    assert.equal(september.net_savings, 880);
+    assert.equal(september.savings_rate, 88);
+    assert.equal(october.transaction_count, 2);
+  });
+
+  it('reports cash flow for a range of months', async () => {
+    const { body } = await api.get('/analytics/cash-flow?start_month=2025-10&end_month=2025-10');
+    assert.deepEqual(body.data, [{ month: '2025-10', income: 1000, expenses: 120, net: 880, savings_rate: 88 }]);
+    assert.equal(body.totals.net, 880);
+
+    const all = await api.get('/analytics/cash-flow');
+    assert.equal(all.body.totals.income, 2000);
+    assert.equal(all.body.totals.expenses, 240);
+
+    assert.equal((await api.get('/analytics/cash-flow?start_month=2025-1')).status, 400);
+  });
+
+  it('reports overall statistics', async () => {
+    const { body } = await api.get('/stats/overview');
+    assert.equal(body.data.total_transactions, 6);
+    assert.equal(body.data.total_amount, 240);
+    assert.equal(body.data.total_income, 2000);
+    assert.equal(body.data.first_transaction, '2025-09-05');
+    assert.equal(body.data.last_transaction, '2025-10-12');
+  });
+
+  it('lists the months that have transactions, newest first', async () => {
+    const { body } = await api.get('/available-months');
+    assert.deepEqual(body.data, ['2025-10', '2025-09']);
+  });
+
+  it('lists categories in use', async () => {
+    const { body } = await api.get('/budget-types');
+    for (const name of ['Gas', 'Groceries', 'Household', 'Salary']) {
+      assert.ok(body.data.includes(name), `${name} missing from ${body.data}`);
+    }
+    assert.deepEqual(body.data, [...body.data].sort());
+  });
+
+  it('compares spending with budgets', async () => {
+    await api.post('/budgets', { budget_type: 'Groceries', monthly_limit: 80 });
+    await api.post('/budgets', { budget_type: 'Gas', monthly_limit: 50 });
+
+    const { body } = await api.get('/analytics/budget-vs-actual?month=2025-10');
+    const rows = Object.fromEntries(body.data.map(row => [row.budget_type, row]));
+
+    assert.equal(rows.Groceries.spent, 90);
+    assert.equal(rows.Groceries.remaining, -10);
+    assert.equal(rows.Groceries.status, 'over');
+    assert.equal(rows.Gas.spent, 0);
+    assert.equal(rows.Gas.status, 'under');
+    assert.equal(rows.Household.status, 'unbudgeted');
+    assert.equal(body.totals.monthly_limit, 130);
+    assert.equal(body.totals.over_budget_count, 1);
+
+    assert.equal((await api.get('/analytics/budget-vs-actual')).status, 400);
+  });
+});
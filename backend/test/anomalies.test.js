@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+// Alerts for October 2025: history is everything before Oct 2
+const ANOMALIES = '/analytics/anomalies?as_of=2025-10-31&days=30';
+
+describe('anomaly alerts', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+
+    // A subscription at a fixed price, then doubled
+    for (const date of ['2025-06-05', '2025-07-05', '2025-08-05', '2025-09-05']) {
+      await createTransaction(api, { date, name: 'STREAMFLIX 1234', budget_type: 'Subscriptions', amount: 9.99 });
+    }
+    await createTransaction(api, { date: '2025-10-05', name: 'Streamflix 9876', budget_type: 'Subscriptions', amount: 19.98 });
+
+    // Groceries vary; one shop is far above the rest at a store never seen before
+    for (const [date, amount] of [['2025-07-01', 80], ['2025-07-15', 95], ['2025-08-01', 70], ['2025-08-20', 110], ['2025-09-10', 90]]) {
+      await createTransaction(api, { date, name: 'Corner Market', budget_type: 'Groceries', amount });
+    }
+    await createTransaction(api, { date: '2025-10-10', name: 'Corner Market', budget_type: 'Groceries', amount: 100 });
+    await createTransaction(api, { date: '2025-10-12', name: 'Bulk Warehouse', budget_type: 'Groceries', amount: 600 });
+
+    // Charged twice on one day
+    await createTransaction(api, { date: '2025-09-01', name: 'Gas Station', budget_type: 'Fuel', amount: 40 });
+    await createTransaction(api, { date: '2025-10-20', name: 'Gas Station', budget_type: 'Fuel', amount: 45 });
+    await createTransaction(api, { date: '2025-10-20', name: 'Gas Station', budget_type: 'Fuel', amount: 45 });
+  });
+
+  after(() => api.close());
+
+  it('flags price rises, category outliers, duplicates and new merchants', async () => {
+    const { status, body } = await api.get(ANOMALIES);
+    assert.equal(status, 200);
+    assert.equal(body.start, '2025-10-02');
+    assert.equal(body.end, '2025-10-31');
+
+    assert.deepEqual(body.data.map(alert => [alert.type, alert.date, alert.name]), [
+      ['duplicate', '2025-10-20', 'Gas Station'],
+      ['category_outlier', '2025-10-12', 'Bulk Warehouse'],
+      ['new_merchant', '2025-10-12', 'Bulk Warehouse'],
+      ['merchant_outlier', '2025-10-05', 'Streamflix 9876']
+    ]);
+    assert.equal(body.open, 4);
+
+    const streamflix = body.data.find(alert => alert.type === 'merchant_outlier');
+    assert.equal(streamflix.expected, 9.99);
+    assert.equal(streamflix.amount, 19.98);
+    assert.equal(streamflix.status, 'open');
+
+    const duplicate = body.data.find(alert => alert.type === 'duplicate');
+    assert.equal(duplicate.transaction_ids.length, 2);
+    assert.equal(duplicate.key, `duplicate:${duplicate.transaction_ids.join('-')}`);
+  });
+
+  it('acknowledges and dismisses alerts for the household', async () => {
+    const { body } = await api.get(ANOMALIES);
+    const [duplicate, outlier] = body.data;
+
+    const acknowledged = await api.put(`/analytics/anomalies/${encodeURIComponent(duplicate.key)}`, { status: 'acknowledged' });
+    assert.equal(acknowledged.status, 200);
+    await api.put(`/analytics/anomalies/${encodeURIComponent(outlier.key)}`, { status: 'dismissed' });
+
+    const memberToken = await api.addMember('partner');
+    const { body: seen } = await api.get(ANOMALIES, memberToken);
+    assert.equal(seen.data.find(alert => alert.key === duplicate.key).status, 'acknowledged');
+    assert.ok(!seen.data.some(alert => alert.key === outlier.key));
+    assert.equal(seen.open, 2);
+
+    const { body: all } = await api.get(`${ANOMALIES}&include_dismissed=true`);
+    assert.equal(all.data.find(alert => alert.key === outlier.key).status, 'dismissed');
+
+    await api.put(`/analytics/anomalies/${encodeURIComponent(outlier.key)}`, { status: 'open' });
+    const { body: reopened } = await api.get(ANOMALIES);
+    assert.equal(reopened.data.find(alert => alert.key === outlier.key).status, 'open');
+  });
+
+  it('validates the request', async () => {
+    assert.equal((await api.get('/analytics/anomalies?days=0')).status, 400);
+    assert.equal((await api.get('/analytics/anomalies?as_of=2025-13-01')).status, 400);
+    assert.equal((await api.put('/analytics/anomalies/bogus:1', { status: 'dismissed' })).status, 400);
+    assert.equal((await api.put('/analytics/anomalies/duplicate:1-2', { status: 'snoozed' })).status, 400);
+  });
+
+  it('judges each line of a split charge against its own category', async () => {
+    const split = async (values, splits) => {
+      const tx = await createTransaction(api, { name: 'Corner Market', budget_type: 'Groceries', ...values });
+      await api.put(`/transactions/${tx.id}/splits`, { splits });
+      return tx;
+    };
+    for (const [date, amount] of [['2025-07-20', 10], ['2025-08-10', 11], ['2025-08-25', 9]]) {
+      await createTransaction(api, { date, name: 'Pet Store', budget_type: 'Pets', amount });
+    }
+    await split({ date: '2025-09-20', amount: 100 }, [{ budget_type: 'Groceries', amount: 88 }, { budget_type: 'Pets', amount: 12 }]);
+    const mixed = await split({ date: '2025-10-15', amount: 105 }, [{ budget_type: 'Groceries', amount: 45 }, { budget_type: 'Pets', amount: 60 }]);
+
+    const { body } = await api.get(ANOMALIES);
+    const pets = body.data.filter(alert => alert.transaction_ids.includes(mixed.id));
+    assert.deepEqual(pets.map(alert => [alert.type, alert.budget_type, alert.expected]), [['category_outlier', 'Pets', 10.5]]);
+    assert.match(pets[0].message, /\(60\.00\) is unusually high for Pets/);
+
+    // The split history counts 88 towards Groceries, not the whole 100
+    const warehouse = body.data.find(alert => alert.type === 'category_outlier' && alert.name === 'Bulk Warehouse');
+    assert.equal(warehouse.expected, 89);
+  });
+});
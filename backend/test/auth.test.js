@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const { run } = require('../db');
+
+describe('auth', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  it('keeps the health check public', async () => {
+    const { status, body } = await api.get('/health', null);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+  });
+
+  it('rejects API calls without a session', async () => {
+    const { status, body } = await api.get('/transactions', null);
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Authentication required');
+  });
+
+  it('reports that setup is done once the first user exists', async () => {
+    const { body } = await api.get('/auth/status', null);
+    assert.deepEqual(body.data, { setup_required: false, authenticated: false });
+
+    const signedIn = await api.get('/auth/status');
+    assert.equal(signedIn.body.data.authenticated, true);
+  });
+
+  it('signs the first user in with a household of their own', async () => {
+    assert.ok(api.token);
+    assert.equal(api.user.username, 'owner');
+    assert.ok(api.user.household_id);
+    assert.equal(api.user.password_hash, undefined);
+  });
+
+  it('only lets signed-in users register more users', async () => {
+    const anonymous = await api.post('/auth/register', { username: 'stranger', password: 'password123' }, null);
+    assert.equal(anonymous.status, 401);
+
+    const { status, body } = await api.post('/auth/register', { username: 'Member', password: 'password123' });
+    assert.equal(status, 201);
+    assert.equal(body.data.username, 'member');
+    assert.equal(body.data.household_id, api.user.household_id);
+    assert.equal(body.token, undefined);
+  });
+
+  it('validates usernames, passwords and duplicates', async () => {
+    const shortPassword = await api.post('/auth/register', { username: 'someone', password: 'short' });
+    assert.equal(shortPassword.status, 400);
+
+    const badUsername = await api.post('/auth/register', { username: 'no spaces', password: 'password123' });
+    assert.equal(badUsername.status, 400);
+
+    const duplicate = await api.post('/auth/register', { username: 'member', password: 'password123' });
+    assert.equal(duplicate.status, 409);
+
+    for (const password of [12345678, ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], { length: 8 }]) {
+      assert.equal((await api.post('/auth/register', { username: 'typed', password })).status, 400);
+    }
+  });
+
+  it('logs in with a username and password', async () => {
+    const wrong = await api.post('/auth/login', { username: 'member', password: 'wrong-password' }, null);
+    assert.equal(wrong.status, 401);
+
+    const missing = await api.post('/auth/login', { username: 'member' }, null);
+    assert.equal(missing.status, 400);
+    const notString = await api.post('/auth/login', { username: 'member', password: { length: 8 } }, null);
+    assert.equal(notString.status, 400);
+
+    const { status, body } = await api.post('/auth/login', { username: 'MEMBER', password: 'password123' }, null);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.ok(body.expires_at);
+
+    const me = await api.get('/auth/me', body.token);
+    assert.equal(me.body.data.username, 'member');
+  });
+
+  it('changes the password and signs out other sessions', async () => {
+    const first = (await api.post('/auth/login', { username: 'member', password: 'password123' }, null)).body.token;
+    const second = (await api.post('/auth/login', { username: 'member', password: 'password123' }, null)).body.token;
+
+    const wrongCurrent = await api.put('/auth/password', { current_password: 'nope', new_password: 'newpassword1' }, first);
+    assert.equal(wrongCurrent.status, 401);
+    const notString = await api.put('/auth/password', { current_password: 'password123', new_password: 123456789 }, first);
+    assert.equal(notString.status, 400);
+
+    const { status } = await api.put('/auth/password', { current_password: 'password123', new_password: 'newpassword1' }, first);
+    assert.equal(status, 200);
+
+    assert.equal((await api.get('/auth/me', first)).status, 200);
+    assert.equal((await api.get('/auth/me', second)).status, 401);
+
+    const oldPassword = await api.post('/auth/login', { username: 'member', password: 'password123' }, null);
+    assert.equal(oldPassword.status, 401);
+  });
+
+  it('fails the login when the stored hash is malformed', async () => {
+    await api.post('/auth/register', { username: 'broken', password: 'password123' });
+    await run('UPDATE users SET password_hash = ? WHERE username = ?', ['abcd:ef01', 'broken']);
+
+    const { status } = await api.post('/auth/login', { username: 'broken', password: 'password123' }, null);
+    assert.equal(status, 401);
+  });
+
+  it('ends the session on logout', async () => {
+    const { body } = await api.post('/auth/login', { username: 'member', password: 'newpassword1' }, null);
+
+    const logout = await api.post('/auth/logout', undefined, body.token);
+    assert.equal(logout.status, 200);
+    assert.equal((await api.get('/auth/me', body.token)).status, 401);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { USE_POSTGRES, startApi, createTransaction } = require('./helpers');
+const { queryDB } = require('../db');
+const { BACKUP_TABLES, parseArchive, rotateBackups } = require('../backup');
+
+const uploadForm = (buffer, filename = 'backup.ndjson') => {
+  const form = new FormData();
+  form.append('file', new Blob([buffer]), filename);
+  return form;
+};
+
+describe('backup and restore', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+    process.env.ADMIN_USERNAMES = 'someone-else, owner';
+
+    const { body: account } = await api.post('/accounts', { name: 'Card', type: 'credit_card' });
+    // The child category is created first, so restoring it needs its parent to exist later
+    const { body: child } = await api.post('/categories', { name: 'Repairs' });
+    const { body: parent } = await api.post('/categories', { name: 'Home' });
+    await api.put(`/categories/${child.data.id}`, { name: 'Repairs', parent_id: parent.data.id });
+
+    const split = await createTransaction(api, { name: 'Hardware store', budget_type: 'Repairs', amount: 30, account_id: account.data.id });
+    await api.put(`/transactions/${split.id}/splits`, {
+      splits: [{ budget_type: 'Repairs', amount: 20 }, { budget_type: 'Home', amount: 10 }]
+    });
+    const unpaid = await createTransaction(api, { name: 'Plumber', amount: 80, payedOff: false });
+    await api.post('/payments', { transaction_ids: [unpaid.id], paid_on: '2025-10-05', account_id: account.data.id });
+    await api.post('/budgets', { budget_type: 'Repairs', monthly_limit: 100 });
+  });
+
+  after(() => {
+    delete process.env.ADMIN_USERNAMES;
+    return api.close();
+  });
+
+  it('backs up every data table', async () => {
+    const rows = USE_POSTGRES
+      ? await queryDB("SELECT table_name as name FROM information_schema.tables WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'")
+      : await queryDB("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'transactions_fts%'");
+    const tables = rows.map(row => row.name).filter(name => !['schema_migrations', 'sessions'].includes(name));
+    assert.deepEqual([...tables].sort(), [...BACKUP_TABLES].sort());
+  });
+
+  it('is limited to admins', async () => {
+    const memberToken = await api.addMember('partner');
+    assert.equal((await api.get('/admin/backup', memberToken)).status, 403);
+    assert.equal((await api.post('/admin/restore', uploadForm('x'), memberToken)).status, 403);
+  });
+
+  it('restores a backup over changed data', async () => {
+    const { status, headers, body: archive } = await api.download('/admin/backup');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /budget-backup-.+\.ndjson"/);
+
+    const before = (await api.get('/transactions')).body.data;
+    const categoriesBefore = (await api.get('/categories')).body.data;
+
+    await api.delete(`/transactions/${before[0].id}`);
+    await createTransaction(api, { name: 'After the backup' });
+
+    const { status: restoreStatus, body } = await api.post('/admin/restore', uploadForm(archive));
+    assert.equal(restoreStatus, 200);
+    assert.equal(body.data.transactions, before.length);
+    assert.equal(body.data.users, 2);
+
+    // Sessions are not part of a backup
+    assert.equal((await api.get('/transactions')).status, 401);
+    api.token = (await api.post('/auth/login', { username: 'owner', password: 'password123' }, null)).body.token;
+
+    assert.deepEqual((await api.get('/transactions')).body.data, before);
+    assert.deepEqual((await api.get('/categories')).body.data, categoriesBefore);
+    const splitTx = before.find(tx => tx.name === 'Hardware store');
+    assert.equal((await api.get(`/transactions/${splitTx.id}/splits`)).body.data.length, 2);
+    assert.equal((await api.get('/payments')).body.data.length, 1);
+    assert.deepEqual((await api.get('/transactions?q=hardware')).body.data.map(tx => tx.id), [splitTx.id]);
+
+    // New rows get fresh ids after the restored ones
+    const created = await createTransaction(api, { name: 'After the restore' });
+    assert.ok(created.id > Math.max(...before.map(tx => tx.id)));
+  });
+
+  it('writes and reads the single-document JSON layout and gzip', async () => {
+    const { body } = await api.download('/admin/backup?format=json');
+    const { header, data } = parseArchive(body);
+    assert.equal(header.format, 'budget-tracker-backup');
+    assert.equal(data.transactions.length, (await api.get('/transactions')).body.total);
+
+    const { header: gzipped } = parseArchive(zlib.gzipSync(body));
+    assert.equal(gzipped.created_at, header.created_at);
+
+    assert.equal((await api.get('/admin/backup?format=xml')).status, 400);
+  });
+
+  it('rejects incomplete and foreign archives without touching the data', async () => {
+    const { body: archive } = await api.download('/admin/backup');
+    const lines = archive.toString('utf8').trim().split('\n');
+    const truncated = lines.slice(0, -2).join('\n');
+
+    const { status, body } = await api.post('/admin/restore', uploadForm(truncated));
+    assert.equal(status, 400);
+    assert.match(body.error, /incomplete/);
+    assert.equal((await api.post('/admin/restore', uploadForm('{"hello": "world"}'))).status, 400);
+    assert.equal((await api.post('/admin/restore', new FormData())).status, 400);
+
+    const newer = lines.map((line, index) => (index === 0 ? JSON.stringify({ ...JSON.parse(line), schema_version: '999' }) : line));
+    assert.match((await api.post('/admin/restore', uploadForm(newer.join('\n')))).body.error, /newer than this database/);
+
+    // Still signed in, so nothing was restored
+    assert.equal((await api.get('/transactions')).status, 200);
+  });
+
+  it('rotates scheduled backups, keeping the newest', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-backups-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a backup');
+      const written = [];
+      for (let i = 0; i < 3; i++) {
+        written.push((await rotateBackups(dir, 2)).file);
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['notes.txt', ...written.slice(1).map(file => path.basename(file))].sort());
+      const { data } = parseArchive(fs.readFileSync(written[2]));
+      assert.equal(data.users.length, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
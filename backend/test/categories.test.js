@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('categories, budgets and rules', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  describe('categories', () => {
+    it('creates categories with unique names', async () => {
+      const { status, body } = await api.post('/categories', { name: ' Dining ', color: '#ff0000' });
+      assert.equal(status, 201);
+      assert.equal(body.data.name, 'Dining');
+      assert.equal(body.data.archived, false);
+
+      assert.equal((await api.post('/categories', { name: 'Dining' })).status, 409);
+      assert.equal((await api.post('/categories', { name: '' })).status, 400);
+    });
+
+    it('lists categories with usage counts and unmanaged labels', async () => {
+      await createTransaction(api, { budget_type: 'Dining' });
+      await createTransaction(api, { budget_type: 'Legacy label' });
+
+      const { body } = await api.get('/categories');
+      const dining = body.data.find(category => category.name === 'Dining');
+      assert.equal(dining.transaction_count, 1);
+      assert.deepEqual(body.unmanaged.map(row => row.budget_type), ['Legacy label']);
+    });
+
+    it('hides archived categories unless asked', async () => {
+      const { body: created } = await api.post('/categories', { name: 'Old hobby', archived: true });
+      const active = await api.get('/categories');
+      assert.ok(!active.body.data.some(category => category.id === created.data.id));
+
+      const all = await api.get('/categories?include_archived=true');
+      assert.ok(all.body.data.some(category => category.id === created.data.id));
+    });
+
+    it('rejects missing and cyclic parents', async () => {
+      const { body: parent } = await api.post('/categories', { name: 'Home' });
+      const { body: child } = await api.post('/categories', { name: 'Repairs', parent_id: parent.data.id });
+      assert.equal(child.data.parent_id, parent.data.id);
+
+      assert.equal((await api.post('/categories', { name: 'Orphan', parent_id: 9999 })).status, 400);
+      const cycle = await api.put(`/categories/${parent.data.id}`, { name: 'Home', parent_id: child.data.id });
+      assert.equal(cycle.status, 400);
+    });
+
+    it('carries a rename over to transactions, splits, budgets, rules and recurring templates', async () => {
+      const { body: category } = await api.post('/categories', { name: 'Pets' });
+      const tx = await createTransaction(api, { budget_type: 'Pets', amount: 20 });
+      const split = await createTransaction(api, { budget_type: 'Groceries', amount: 20 });
+      await api.put(`/transactions/${split.id}/splits`, {
+        splits: [{ budget_type: 'Groceries', amount: 15 }, { budget_type: 'Pets', amount: 5 }]
+      });
+      await api.post('/budgets', { budget_type: 'Pets', monthly_limit: 50 });
+      const { body: rule } = await api.post('/rules', { budget_type: 'Pets', pattern: 'vet' });
+      const { body: template } = await api.post('/recurring', { name: 'Pet insurance', budget_type: 'Pets', amount: 12, next_due_date: '2099-01-01' });
+
+      const { body } = await api.put(`/categories/${category.data.id}`, { name: 'Animals' });
+      assert.equal(body.data.name, 'Animals');
+      assert.equal(body.renamed_transactions, 1);
+
+      assert.equal((await api.get(`/transactions/${tx.id}`)).body.data.budget_type, 'Animals');
+      const lines = await api.get(`/transactions/${split.id}/splits`);
+      assert.deepEqual(lines.body.data.map(line => line.budget_type), ['Groceries', 'Animals']);
+      const budgets = await api.get('/budgets');
+      assert.ok(budgets.body.data.some(budget => budget.budget_type === 'Animals'));
+      assert.equal((await api.get(`/rules/${rule.data.id}`)).body.data.budget_type, 'Animals');
+      await api.delete(`/rules/${rule.data.id}`);
+      assert.equal((await api.get(`/recurring/${template.data.id}`)).body.data.budget_type, 'Animals');
+
+      const taken = await api.put(`/categories/${category.data.id}`, { name: 'Dining' });
+      assert.equal(taken.status, 409);
+
+      // A budget already kept under the new name (an unmanaged category) would collide
+      await api.post('/budgets', { budget_type: 'Vet', monthly_limit: 80 });
+      const budgetTaken = await api.put(`/categories/${category.data.id}`, { name: 'Vet' });
+      assert.equal(budgetTaken.status, 409);
+      assert.equal((await api.get(`/categories/${category.data.id}`)).body.data.name, 'Animals');
+    });
+
+    it('merges a category into another', async () => {
+      const { body: source } = await api.post('/categories', { name: 'Take away' });
+      const { body: target } = await api.post('/categories', { name: 'Restaurants' });
+      const tx = await createTransaction(api, { budget_type: 'Take away' });
+      await api.post('/budgets', { budget_type: 'Take away', monthly_limit: 30 });
+      const { body: rule } = await api.post('/rules', { budget_type: 'Take away', pattern: 'pizza' });
+      const { body: template } = await api.post('/recurring', { name: 'Pizza club', budget_type: 'Take away', amount: 15, next_due_date: '2099-01-01' });
+
+      const { body } = await api.post(`/categories/${source.data.id}/merge`, { target_id: target.data.id });
+      assert.equal(body.moved_transactions, 1);
+      assert.equal((await api.get(`/transactions/${tx.id}`)).body.data.budget_type, 'Restaurants');
+      assert.equal((await api.get(`/categories/${source.data.id}`)).status, 404);
+      assert.equal((await api.get(`/rules/${rule.data.id}`)).body.data.budget_type, 'Restaurants');
+      await api.delete(`/rules/${rule.data.id}`);
+      assert.equal((await api.get(`/recurring/${template.data.id}`)).body.data.budget_type, 'Restaurants');
+
+      const budgets = await api.get('/budgets');
+      assert.equal(budgets.body.data.find(budget => budget.budget_type === 'Restaurants').monthly_limit, 30);
+
+      const self = await api.post(`/categories/${target.data.id}/merge`, { target_id: target.data.id });
+      assert.equal(self.status, 400);
+      const unknown = await api.post(`/categories/${target.data.id}/merge`, { target_id: 9999 });
+      assert.equal(unknown.status, 404);
+    });
+
+    it('only deletes categories that no transaction uses', async () => {
+      const { body: used } = await api.post('/categories', { name: 'Used' });
+      await createTransaction(api, { budget_type: 'Used' });
+      assert.equal((await api.delete(`/categories/${used.data.id}`)).status, 409);
+
+      const { body: unused } = await api.post('/categories', { name: 'Unused' });
+      assert.equal((await api.delete(`/categories/${unused.data.id}`)).status, 200);
+      assert.equal((await api.delete(`/categories/${unused.data.id}`)).status, 404);
+    });
+  });
+
+  describe('budgets', () => {
+    it('creates, updates and deletes one limit per category', async () => {
+      const created = await api.post('/budgets', { budget_type: 'Travel', monthly_limit: '200' });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.data.monthly_limit, 200);
+      const { id } = created.body.data;
+
+      assert.equal((await api.post('/budgets', { budget_type: 'Travel', monthly_limit: 100 })).status, 409);
+      assert.equal((await api.post('/budgets', { budget_type: 'Fun', monthly_limit: -1 })).status, 400);
+      assert.equal((await api.post('/budgets', { budget_type: 'Fun' })).status, 400);
+
+      const updated = await api.put(`/budgets/${id}`, { budget_type: 'Travel', monthly_limit: 250 });
+      assert.equal(updated.body.data.monthly_limit, 250);
+      assert.equal((await api.get(`/budgets/${id}`)).body.data.monthly_limit, 250);
+
+      assert.equal((await api.delete(`/budgets/${id}`)).status, 200);
+      assert.equal((await api.get(`/budgets/${id}`)).status, 404);
+      assert.equal((await api.put(`/budgets/${id}`, { budget_type: 'Travel', monthly_limit: 1 })).status, 404);
+    });
+  });
+
+  describe('rules', () => {
+    it('creates, lists by priority, updates and deletes rules', async () => {
+      const low = await api.post('/rules', { budget_type: 'Transport', pattern: 'lyft' });
+      const high = await api.post('/rules', { budget_type: 'Rent', amount_min: 1000, priority: 10 });
+      assert.equal(low.status, 201);
+      assert.equal(low.body.data.active, true);
+      assert.equal(low.body.data.match_field, 'any');
+
+      const listed = await api.get('/rules');
+      assert.deepEqual(listed.body.data.map(rule => rule.id), [high.body.data.id, low.body.data.id]);
+
+      const { id } = low.body.data;
+      const updated = await api.put(`/rules/${id}`, { budget_type: 'Rides', pattern: 'lyft', active: false });
+      assert.equal(updated.body.data.budget_type, 'Rides');
+      assert.equal(updated.body.data.active, false);
+
+      assert.equal((await api.delete(`/rules/${id}`)).status, 200);
+      assert.equal((await api.get(`/rules/${id}`)).status, 404);
+    });
+
+    it('validates patterns and amount ranges', async () => {
+      assert.equal((await api.post('/rules', { budget_type: 'X' })).status, 400);
+      assert.equal((await api.post('/rules', { pattern: 'x' })).status, 400);
+      assert.equal((await api.post('/rules', { budget_type: 'X', pattern: '(', match_type: 'regex' })).status, 400);
+      assert.equal((await api.post('/rules', { budget_type: 'X', amount_min: 10, amount_max: 5 })).status, 400);
+      assert.equal((await api.post('/rules', { budget_type: 'X', pattern: 'x', match_field: 'memo' })).status, 400);
+    });
+  });
+});
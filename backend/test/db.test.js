@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const { exec, insert, queryDB, transaction } = require('../db');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('transaction()', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+    await exec('CREATE TABLE lock_test (label VARCHAR(50))');
+  });
+
+  after(() => api.close());
+
+  it('runs concurrent transactions one after another', async () => {
+    const labels = ['a', 'b', 'c', 'd', 'e'];
+    await Promise.all(labels.map(label => transaction(async (tx) => {
+      await tx.insert('lock_test', { label });
+      await delay(5);
+      await tx.insert('lock_test', { label: `${label}2` });
+    })));
+
+    const rows = await queryDB('SELECT label FROM lock_test');
+    assert.equal(rows.length, 10);
+    await exec('DELETE FROM lock_test');
+  });
+
+  it('keeps writes outside a transaction out of one that rolls back', async () => {
+    const failing = transaction(async (tx) => {
+      await tx.insert('lock_test', { label: 'rolled back' });
+      await delay(10);
+      throw new Error('boom');
+    });
+    const queued = transaction(tx => tx.insert('lock_test', { label: 'committed' }));
+    const outside = insert('lock_test', { label: 'outside' });
+
+    await assert.rejects(failing, /boom/);
+    await queued;
+    assert.equal((await outside).label, 'outside');
+
+    const rows = await queryDB('SELECT label FROM lock_test ORDER BY label');
+    assert.deepEqual(rows.map(row => row.label), ['committed', 'outside']);
+  });
+});
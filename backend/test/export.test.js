@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startApi, createTransaction } = require('./helpers');
+const { formatRow } = require('../exporters/csv');
+
+// Read one entry out of a ZIP (XLSX) archive by walking its local file headers
+const readZipEntry = (buffer, name) => {
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const entryName = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    if (entryName === name) {
+      return zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    }
+    offset = start + compressedSize;
+  }
+  return null;
+};
+
+describe('export', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+    const { body: account } = await api.post('/accounts', { name: 'Card' });
+    await createTransaction(api, { date: '2025-09-15', name: 'Books, "used"', budget_type: 'Education', amount: 30, account_id: account.data.id });
+    await createTransaction(api, { date: '2025-10-01', name: 'Lunch', budget_type: 'Eat out', amount: 12.5, payedOff: false });
+    await createTransaction(api, { date: '2025-10-02', name: 'Dinner', budget_type: 'Eat out', amount: 40 });
+  });
+
+  after(() => api.close());
+
+  it('quotes CSV fields and defuses formulas', () => {
+    assert.equal(formatRow(['a,b', 'say "hi"', 3, true, null]), '"a,b","say ""hi""",3,true,\r\n');
+    assert.equal(formatRow(['=SUM(A1)', '-5']), '\'=SUM(A1),\'-5\r\n');
+  });
+
+  it('exports filtered transactions as CSV', async () => {
+    const { status, headers, body } = await api.download('/export?budget_type=Eat%20out&sort=amount&order=asc');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = body.toString('utf8').replace(/^\ufeff/, '').trim().split('\r\n');
+    assert.equal(lines[0], 'ID,Date,Name,Description,Category,Kind,Amount,Paid,Account,Owner,Visibility');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',').slice(1, 8)), [
+      ['2025-10-01', 'Lunch', '', 'Eat out', 'expense', '12.5', 'false'],
+      ['2025-10-02', 'Dinner', '', 'Eat out', 'expense', '40', 'true']
+    ]);
+  });
+
+  it('exports transactions as JSON with account and owner names', async () => {
+    const { body } = await api.download('/export?format=json&q=books');
+    const rows = JSON.parse(body.toString('utf8'));
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].name, 'Books, "used"');
+    assert.equal(rows[0].account, 'Card');
+    assert.equal(rows[0].owner, 'owner');
+
+    const empty = await api.download('/export?format=json&q=nothing-matches');
+    assert.deepEqual(JSON.parse(empty.body.toString('utf8')), []);
+  });
+
+  it('exports every matching transaction across batches', async () => {
+    for (let i = 0; i < 3; i++) {
+      await api.post('/transactions/import', {
+        transactions: Array.from({ length: 200 }, (_, n) => ({
+          date: '2024-01-01', name: `Bulk ${i}-${n}`, budget_type: 'Bulk', amount: 1
+        })),
+        on_duplicate: 'import'
+      });
+    }
+    const { body } = await api.download('/export?format=json&budget_type=Bulk');
+    const rows = JSON.parse(body.toString('utf8'));
+    assert.equal(rows.length, 600);
+    assert.equal(new Set(rows.map(row => row.id)).size, 600);
+  });
+
+  it('exports an Excel workbook', async () => {
+    const { headers, body } = await api.download('/export?format=xlsx&budget_type=Education');
+    assert.match(headers.get('content-type'), /spreadsheetml/);
+    assert.match(headers.get('content-disposition'), /\.xlsx"/);
+
+    const sheet = readZipEntry(body, 'xl/worksheets/sheet1.xml');
+    assert.match(sheet, /<t xml:space="preserve">Books, &quot;used&quot;<\/t>/);
+    assert.match(sheet, /<c r="G2"><v>30<\/v><\/c>/);
+    assert.ok(readZipEntry(body, 'xl/workbook.xml').includes('name="Transactions"'));
+  });
+
+  it('exports the monthly summary and category breakdown', async () => {
+    const monthly = await api.download('/export?report=monthly&format=json');
+    const summary = JSON.parse(monthly.body.toString('utf8'));
+    assert.deepEqual(summary.find(row => row.month === '2025-10'), {
+      month: '2025-10', budget_type: 'Eat out', transaction_count: 2, total_amount: 52.5, avg_amount: 26.25
+    });
+
+    const breakdown = await api.download('/export?report=category-breakdown&month=2025-09');
+    assert.match(breakdown.headers.get('content-disposition'), /category-breakdown-2025-09\.csv/);
+    assert.equal(breakdown.body.toString('utf8').replace(/^\ufeff/, ''), 'Category,Transactions,Total\r\nEducation,1,30\r\n');
+  });
+
+  it('rejects unknown formats, reports and bad filters', async () => {
+    assert.equal((await api.get('/export?format=pdf')).status, 400);
+    assert.equal((await api.get('/export?report=everything')).status, 400);
+    assert.equal((await api.get('/export?report=category-breakdown')).status, 400);
+    assert.equal((await api.get('/export?sort=color')).status, 400);
+    assert.equal((await api.get('/export?amount_min=lots')).status, 400);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+// Dated far ahead so the recurring scheduler has not posted the rent yet
+const FORECAST = '/analytics/forecast?as_of=2099-06-10';
+
+describe('spending forecast', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+
+    for (const [month, amount] of [['03', 400], ['04', 500], ['05', 600]]) {
+      await createTransaction(api, { date: `2099-${month}-15`, name: 'Corner Market', budget_type: 'Groceries', amount });
+      await createTransaction(api, { date: `2099-${month}-25`, name: 'Landlord', budget_type: 'Rent', amount: 1000 });
+    }
+    await api.post('/recurring', { name: 'Landlord', budget_type: 'Rent', amount: 1000, next_due_date: '2099-06-25' });
+
+    // A third of the way into June
+    await createTransaction(api, { date: '2099-06-02', name: 'Corner Market', budget_type: 'Groceries', amount: 100 });
+    await createTransaction(api, { date: '2099-06-09', name: 'Corner Market', budget_type: 'Groceries', amount: 100 });
+    await createTransaction(api, { date: '2099-06-05', name: 'Paint', budget_type: 'Hobbies', amount: 50 });
+    await createTransaction(api, { date: '2099-06-20', name: 'Later', budget_type: 'Hobbies', amount: 500 });
+  });
+
+  after(() => api.close());
+
+  it('projects month-end totals from the pace, the usual month and recurring charges', async () => {
+    const { status, body } = await api.get(FORECAST);
+    assert.equal(status, 200);
+    assert.equal(body.month, '2099-06');
+    assert.equal(body.days_elapsed, 10);
+    assert.equal(body.days_in_month, 30);
+    assert.equal(body.confidence, 0.8);
+    assert.deepEqual(body.data.map(item => item.budget_type), ['Rent', 'Groceries', 'Hobbies']);
+
+    // Nothing paid yet; the known charge is the whole month
+    const rent = body.data.find(item => item.budget_type === 'Rent');
+    assert.deepEqual([rent.actual, rent.recurring_remaining, rent.projected, rent.low, rent.high], [0, 1000, 1000, 1000, 1000]);
+
+    // 200 so far; the rest of the month runs at a rate between the pace (600) and the usual 500
+    const groceries = body.data.find(item => item.budget_type === 'Groceries');
+    assert.equal(groceries.actual, 200);
+    assert.equal(groceries.average, 500);
+    assert.equal(groceries.months_of_history, 3);
+    assert.equal(groceries.projected, 555.56);
+    assert.ok(groceries.low > 200 && groceries.low < groceries.projected && groceries.high > groceries.projected);
+
+    // No history: the pace alone, with a fixed share as the range; later charges are not counted yet
+    const hobbies = body.data.find(item => item.budget_type === 'Hobbies');
+    assert.deepEqual([hobbies.actual, hobbies.average, hobbies.projected, hobbies.low, hobbies.high], [50, null, 150, 125, 175]);
+
+    assert.equal(body.totals.actual, 250);
+    assert.equal(body.totals.recurring_remaining, 1000);
+    assert.equal(body.totals.projected, 1705.56);
+    assert.ok(body.totals.low < body.totals.projected && body.totals.high > body.totals.projected);
+  });
+
+  it('settles on the actual totals once the month is over', async () => {
+    const { body } = await api.get('/analytics/forecast?as_of=2099-05-31');
+    const groceries = body.data.find(item => item.budget_type === 'Groceries');
+    assert.deepEqual([groceries.actual, groceries.projected, groceries.low, groceries.high], [600, 600, 600, 600]);
+  });
+
+  it('leaves out other members with ?member_id= and validates as_of', async () => {
+    const memberToken = await api.addMember('partner');
+    const memberId = (await api.get('/auth/me', memberToken)).body.data.id;
+
+    const { body } = await api.get(`${FORECAST}&member_id=${memberId}`);
+    assert.deepEqual(body.data, []);
+    assert.equal((await api.get('/analytics/forecast?as_of=2099-02-30')).status, 400);
+  });
+});
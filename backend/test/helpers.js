@@ -0,0 +1,110 @@
+// test/helpers.js - Boot the API on a fresh database for one test file
+//
+// Tests use an in-memory SQLite database unless DATABASE_URL is set in the
+// environment, in which case they run against that PostgreSQL database. The
+// suite drops and recreates its schema, so only point it at a throwaway
+// database whose name contains "test".
+
+const USE_POSTGRES = Boolean(process.env.DATABASE_URL);
+
+// Must be decided before db.js loads (dotenv never overrides variables set here)
+if (USE_POSTGRES) {
+  process.env.DB_TYPE = 'postgres';
+} else {
+  process.env.DB_TYPE = 'sqlite';
+  process.env.SQLITE_PATH = ':memory:';
+}
+
+// The test runner reads results from this process's stdout, and server log lines
+// written in between can garble them; send logs to stderr instead
+console.log = console.error;
+
+const { once } = require('events');
+const { exec, closeDB } = require('../db');
+const { runMigrations } = require('../migrate');
+const app = require('../server');
+
+const resetPostgres = async () => {
+  const databaseName = new URL(process.env.DATABASE_URL).pathname.slice(1);
+  if (!/test/i.test(databaseName)) {
+    throw new Error(`Refusing to reset database "${databaseName}": the test database name must contain "test"`);
+  }
+  await exec('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+};
+
+// Start the app on a random port with a migrated, empty database and a first
+// user signed in. Call close() when the file is done.
+const startApi = async () => {
+  if (USE_POSTGRES) await resetPostgres();
+  await runMigrations();
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Send a request as `token` (default: the first user). JSON bodies are
+  // stringified; FormData is sent as multipart.
+  const request = async (method, path, body, token = api.token) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const api = {
+    token: null,
+    request,
+    get: (path, token) => request('GET', path, undefined, token),
+    post: (path, body, token) => request('POST', path, body, token),
+    put: (path, body, token) => request('PUT', path, body, token),
+    delete: (path, token) => request('DELETE', path, undefined, token),
+
+    // GET a file download, returning the raw body as a Buffer
+    download: async (path, token = api.token) => {
+      const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+      return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+    },
+
+    // Add a household member and return their session token
+    addMember: async (username, password = 'password123') => {
+      await api.post('/auth/register', { username, password });
+      const { body } = await api.post('/auth/login', { username, password }, null);
+      return body.token;
+    },
+
+    close: async () => {
+      server.close();
+      await once(server, 'close');
+      closeDB();
+    }
+  };
+
+  const { body } = await request('POST', '/auth/register', { username: 'owner', password: 'password123' });
+  api.token = body.token;
+  api.user = body.data;
+  return api;
+};
+
+// Create a transaction and return the stored row
+const createTransaction = async (api, values = {}) => {
+  const { body } = await api.post('/transactions', {
+    date: '2025-10-01',
+    name: 'Coffee',
+    budget_type: 'Eat out',
+    amount: 5,
+    ...values
+  });
+  return body.data;
+};
+
+module.exports = {
+  USE_POSTGRES,
+  startApi,
+  createTransaction
+};
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('household', () => {
+  let api;
+  let memberToken;
+  let memberId;
+
+  before(async () => {
+    api = await startApi();
+    memberToken = await api.addMember('partner');
+    memberId = (await api.get('/auth/me', memberToken)).body.data.id;
+  });
+
+  after(() => api.close());
+
+  it('lists the household with its members', async () => {
+    const { body } = await api.get('/household');
+    assert.equal(body.data.id, api.user.household_id);
+    assert.deepEqual(body.data.members.map(member => member.username), ['owner', 'partner']);
+  });
+
+  it('renames the household', async () => {
+    const { body } = await api.put('/household', { name: 'Home' });
+    assert.equal(body.data.name, 'Home');
+    assert.equal((await api.get('/household', memberToken)).body.data.name, 'Home');
+    assert.equal((await api.put('/household', { name: ' ' })).status, 400);
+  });
+
+  it('hides private transactions from other members', async () => {
+    const shared = await createTransaction(api, { name: 'Shared dinner' });
+    const secret = await createTransaction(api, { name: 'Surprise gift', visibility: 'private' });
+
+    const { body } = await api.get('/transactions', memberToken);
+    const names = body.data.map(tx => tx.name);
+    assert.ok(names.includes('Shared dinner'));
+    assert.ok(!names.includes('Surprise gift'));
+
+    assert.equal((await api.get(`/transactions/${shared.id}`, memberToken)).status, 200);
+    assert.equal((await api.get(`/transactions/${secret.id}`, memberToken)).status, 404);
+    assert.equal((await api.delete(`/transactions/${secret.id}`, memberToken)).status, 404);
+  });
+
+  it('hides private accounts and their transactions', async () => {
+    const { body: account } = await api.post('/accounts', { name: 'My card', visibility: 'private' });
+    await createTransaction(api, { name: 'On my card', account_id: account.data.id });
+
+    assert.equal((await api.get(`/accounts/${account.data.id}`, memberToken)).status, 404);
+    const { body } = await api.get('/transactions', memberToken);
+    assert.ok(!body.data.some(tx => tx.name === 'On my card'));
+  });
+
+  it('filters transactions and summaries by member', async () => {
+    await api.post('/transactions', { date: '2025-10-01', name: 'Partner lunch', budget_type: 'Lunch', amount: 12 }, memberToken);
+
+    const { body } = await api.get(`/transactions?member_id=${memberId}`);
+    assert.ok(body.data.length > 0);
+    assert.ok(body.data.every(tx => tx.owner_id === memberId));
+
+    const summary = await api.get(`/summary/budget-types?member_id=${memberId}`);
+    assert.deepEqual(summary.body.data.map(row => row.budget_type), ['Lunch']);
+  });
+
+  it('lets a member record a transaction for someone else in the household', async () => {
+    const { body } = await api.post('/transactions', {
+      date: '2025-10-01',
+      budget_type: 'Groceries',
+      amount: 10,
+      owner_id: api.user.id
+    }, memberToken);
+
+    assert.equal(body.data.owner_id, api.user.id);
+    assert.equal(body.data.created_by, memberId);
+  });
+
+  it('works out who owes whom for unpaid shared expenses', async () => {
+    await createTransaction(api, { amount: 100, payedOff: false });
+    await createTransaction(api, { amount: 999, payedOff: false, visibility: 'private' });
+    await api.post('/transactions', { date: '2025-10-01', budget_type: 'Food', amount: 20, payedOff: false }, memberToken);
+
+    const { body } = await api.get('/household/settle-up');
+    assert.equal(body.data.total, 120);
+    assert.equal(body.data.transaction_count, 2);
+    assert.deepEqual(body.data.members.map(member => [member.username, member.paid, member.share, member.balance]), [
+      ['owner', 100, 60, 40],
+      ['partner', 20, 60, -40]
+    ]);
+    assert.deepEqual(body.data.transfers.map(t => [t.from_username, t.to_username, t.amount]), [['partner', 'owner', 40]]);
+  });
+});
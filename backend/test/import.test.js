@@ -0,0 +1,323 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApi } = require('./helpers');
+
+const OFX_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20251012120000[-5:EST]
+<TRNAMT>-42.10
+<FITID>F100
+<NAME>WHOLE FOODS &amp; CO
+<MEMO>POS PURCHASE
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20251013
+<TRNAMT>500.00
+<FITID>F101
+<NAME>PAYROLL
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<TRNAMT>-1.00
+<FITID>F102
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+`;
+
+const QIF_STATEMENT = `!Type:Bank
+D10/14'25
+T-1,234.50
+PLANDLORD
+MRent Oct
+^
+D10/15/2025
+T-9.99
+PSPOTIFY
+^
+`;
+
+const statementForm = (text, filename, fields = {}) => {
+  const form = new FormData();
+  form.append('file', new Blob([text]), filename);
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  return form;
+};
+
+describe('imports', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  describe('POST /transactions/import', () => {
+    it('imports rows as unpaid expenses owned by the importer', async () => {
+      const { status, body } = await api.post('/transactions/import', {
+        transactions: [
+          { date: '2025-10-01', name: 'Trader Joes', budget_type: 'Groceries', amount: '54.20' },
+          { date: '2025-10-02', name: 'Shell', budget_type: 'Gas', amount: 40 }
+        ]
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.imported, 2);
+      assert.equal(body.errors, 0);
+      const [first] = body.details.imported;
+      assert.equal(first.amount, 54.2);
+      assert.equal(first.kind, 'expense');
+      assert.equal(first.payedOff, false);
+      assert.equal(first.owner_id, api.user.id);
+    });
+
+    it('stores negative amounts as paid income, or skips them', async () => {
+      const asIncome = await api.post('/transactions/import', {
+        transactions: [{ date: '2025-10-03', name: 'Refund', budget_type: 'Shopping', amount: '-15' }]
+      });
+      const [refund] = asIncome.body.details.imported;
+      assert.equal(refund.kind, 'income');
+      assert.equal(refund.amount, 15);
+      assert.equal(refund.payedOff, true);
+
+      const skipped = await api.post('/transactions/import', {
+        negative_amounts: 'skip',
+        transactions: [{ date: '2025-10-04', name: 'Refund 2', budget_type: 'Shopping', amount: '-20' }]
+      });
+      assert.equal(skipped.body.imported, 0);
+      assert.equal(skipped.body.errors, 0);
+    });
+
+    it('reports rows with missing fields or zero/invalid amounts', async () => {
+      const { body } = await api.post('/transactions/import', {
+        transactions: [
+          { name: 'No date', amount: 5 },
+          { date: '2025-10-05', name: 'Zero', amount: 0 },
+          { date: '2025-10-05', name: 'Text', amount: 'abc' }
+        ]
+      });
+
+      assert.equal(body.imported, 0);
+      assert.equal(body.errors, 3);
+      assert.deepEqual(body.details.errors.map(error => error.row), [1, 2, 3]);
+    });
+
+    it('skips likely duplicates unless asked to import them', async () => {
+      const rows = [{ date: '2025-10-06', name: 'Netflix', budget_type: 'Subscriptions', amount: 15.99 }];
+      await api.post('/transactions/import', { transactions: rows });
+
+      const skipped = await api.post('/transactions/import', { transactions: rows });
+      assert.equal(skipped.body.imported, 0);
+      assert.equal(skipped.body.duplicates, 1);
+      assert.equal(skipped.body.details.duplicates[0].reason, 'Same date, amount and name');
+
+      const forced = await api.post('/transactions/import', { transactions: rows, on_duplicate: 'import' });
+      assert.equal(forced.body.imported, 1);
+      assert.equal(forced.body.details.duplicates[0].imported, true);
+    });
+
+    it('only flags identical same-day rows beyond what already exists', async () => {
+      const coffee = { date: '2025-10-07', name: 'Blue Bottle', budget_type: 'Eat out', amount: 4.5 };
+      await api.post('/transactions/import', { transactions: [coffee] });
+
+      const { body } = await api.post('/transactions/import', { transactions: [coffee, coffee] });
+      assert.equal(body.duplicates, 1);
+      assert.equal(body.imported, 1);
+    });
+
+    it('uses bank transaction ids to detect duplicates', async () => {
+      const row = { date: '2025-10-08', name: 'Amazon', budget_type: 'Shopping', amount: 30, external_id: 'ABC-1' };
+      const first = await api.post('/transactions/import', { transactions: [row, { ...row, name: 'Amazon again' }] });
+      assert.equal(first.body.imported, 1);
+      assert.equal(first.body.details.duplicates[0].reason, 'Bank transaction id repeated in file');
+
+      const second = await api.post('/transactions/import', { transactions: [{ ...row, amount: 31 }] });
+      assert.equal(second.body.details.duplicates[0].reason, 'Same bank transaction id');
+    });
+
+    it('only matches bank transaction ids within the same account', async () => {
+      const { body: bankA } = await api.post('/accounts', { name: 'Bank A', type: 'checking' });
+      const { body: bankB } = await api.post('/accounts', { name: 'Bank B', type: 'checking' });
+      const row = { date: '2025-10-08', name: 'Transfer', budget_type: 'Savings', amount: 50, external_id: '1' };
+
+      const intoA = await api.post('/transactions/import', { account_id: bankA.data.id, transactions: [row] });
+      assert.equal(intoA.body.imported, 1);
+      const intoB = await api.post('/transactions/import', { account_id: bankB.data.id, transactions: [row] });
+      assert.equal(intoB.body.imported, 1);
+      assert.equal(intoB.body.duplicates, 0);
+
+      const againA = await api.post('/transactions/import', { account_id: bankA.data.id, transactions: [row] });
+      assert.equal(againA.body.details.duplicates[0].reason, 'Same bank transaction id');
+    });
+
+    it('categorizes uncategorized rows with the highest-priority matching rule', async () => {
+      await api.post('/rules', { name: 'Any Uber', budget_type: 'Transport', pattern: 'uber', priority: 1 });
+      await api.post('/rules', { name: 'Uber Eats', budget_type: 'Eat out', pattern: 'uber eats', priority: 5 });
+
+      const { body } = await api.post('/transactions/import', {
+        transactions: [
+          { date: '2025-10-09', name: 'UBER EATS 123', amount: 25 },
+          { date: '2025-10-09', name: 'UBER TRIP', amount: 12 },
+          { date: '2025-10-09', name: 'UBER TRIP', budget_type: 'Work', amount: 13 }
+        ]
+      });
+
+      assert.deepEqual(body.details.imported.map(tx => tx.budget_type), ['Eat out', 'Transport', 'Work']);
+      assert.equal(body.categorized, 2);
+      assert.equal(body.details.imported[0].matched_rule.name, 'Uber Eats');
+    });
+
+    it('gives imported rows the account and its visibility', async () => {
+      const { body: account } = await api.post('/accounts', { name: 'Private card', type: 'credit_card', visibility: 'private' });
+      const { body } = await api.post('/transactions/import', {
+        account_id: account.data.id,
+        transactions: [{ date: '2025-10-10', name: 'Secret', budget_type: 'Gifts', amount: 80 }]
+      });
+
+      assert.equal(body.details.imported[0].account_id, account.data.id);
+      assert.equal(body.details.imported[0].visibility, 'private');
+    });
+
+    it('validates the request', async () => {
+      assert.equal((await api.post('/transactions/import', {})).status, 400);
+      assert.equal((await api.post('/transactions/import', { transactions: [], on_duplicate: 'merge' })).status, 400);
+      assert.equal((await api.post('/transactions/import', { transactions: [], negative_amounts: 'expense' })).status, 400);
+      assert.equal((await api.post('/transactions/import', { transactions: [], account_id: 9999 })).status, 400);
+    });
+  });
+
+  describe('POST /transactions/import/statement', () => {
+    it('imports OFX statements and reports rows without a date', async () => {
+      const { status, body } = await api.post('/transactions/import/statement', statementForm(OFX_STATEMENT, 'october.ofx'));
+
+      assert.equal(status, 200);
+      assert.equal(body.format, 'ofx');
+      assert.equal(body.file, 'october.ofx');
+      assert.equal(body.imported, 2);
+      assert.equal(body.errors, 1);
+
+      const [purchase, payroll] = body.details.imported;
+      assert.equal(purchase.name, 'WHOLE FOODS & CO');
+      assert.equal(purchase.date, '2025-10-12');
+      assert.equal(purchase.amount, 42.1);
+      assert.equal(purchase.external_id, 'F100');
+      assert.equal(payroll.kind, 'income');
+
+      const again = await api.post('/transactions/import/statement', statementForm(OFX_STATEMENT, 'october.ofx'));
+      assert.equal(again.body.imported, 0);
+      assert.equal(again.body.duplicates, 2);
+
+      // The same FITIDs from another bank are different transactions
+      const { body: account } = await api.post('/accounts', { name: 'Other bank', type: 'checking' });
+      const other = await api.post('/transactions/import/statement', statementForm(OFX_STATEMENT, 'october.ofx', { account_id: account.data.id }));
+      assert.equal(other.body.imported, 2);
+    });
+
+    it('imports QIF statements with the given date format', async () => {
+      const { body } = await api.post('/transactions/import/statement', statementForm(QIF_STATEMENT, 'bank.qif', { date_format: 'MM/DD/YYYY' }));
+
+      assert.equal(body.format, 'qif');
+      assert.equal(body.imported, 2);
+      assert.deepEqual(body.details.imported.map(tx => [tx.date, tx.name, tx.amount]), [
+        ['2025-10-14', 'LANDLORD', 1234.5],
+        ['2025-10-15', 'SPOTIFY', 9.99]
+      ]);
+    });
+
+    it('skips the account lists of multi-account QIF exports', async () => {
+      const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'multi-account.qif'), 'utf8');
+      const { status, body } = await api.post('/transactions/import/statement', statementForm(text, 'export.qif'));
+
+      assert.equal(status, 200);
+      assert.equal(body.errors, 0);
+      assert.deepEqual(body.details.imported.map(tx => [tx.date, tx.name, tx.amount]), [
+        ['2025-10-16', 'CITY WATER', 45],
+        ['2025-10-17', 'BOOKSTORE', 12.5]
+      ]);
+    });
+
+    it('rejects missing, unsupported and empty files', async () => {
+      assert.equal((await api.post('/transactions/import/statement', new FormData())).status, 400);
+      assert.equal((await api.post('/transactions/import/statement', statementForm('a,b,c', 'export.csv'))).status, 400);
+      assert.equal((await api.post('/transactions/import/statement', statementForm('!Type:Bank\n', 'empty.qif'))).status, 400);
+    });
+  });
+
+  describe('POST /import/preview', () => {
+    it('maps CSV text with the default profile without saving anything', async () => {
+      const before = await api.get('/transactions?limit=1000');
+      const csv = 'Date,Name,Description,Category,Amount\n2025-10-11,Costco,Bulk,,120.00\nbad-date,X,,,1\n';
+      const { status, body } = await api.post('/import/preview', { csv });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.length, 1);
+      assert.equal(body.data[0].name, 'Costco');
+      assert.equal(body.errors.length, 1);
+      assert.deepEqual(body.headers, ['Date', 'Name', 'Description', 'Category', 'Amount']);
+
+      const after = await api.get('/transactions?limit=1000');
+      assert.equal(after.body.count, before.body.count);
+    });
+
+    it('uses a saved profile', async () => {
+      const { body: profile } = await api.post('/import-profiles', {
+        name: 'Semicolon bank',
+        delimiter: ';',
+        skip_rows: 0,
+        date_format: 'DD/MM/YYYY',
+        date_column: 0,
+        name_column: 1,
+        amount_column: 2,
+        amount_sign: 'expense_negative'
+      });
+
+      const { body } = await api.post('/import/preview', { csv: '31/10/2025;Bakery;-7,50\n', profile_id: profile.data.id });
+      assert.equal(body.data[0].date, '2025-10-31');
+      assert.equal(body.profile.name, 'Semicolon bank');
+    });
+
+    it('validates the request', async () => {
+      assert.equal((await api.post('/import/preview', { csv: '' })).status, 400);
+      assert.equal((await api.post('/import/preview', { csv: 'a', profile_id: 9999 })).status, 404);
+    });
+  });
+
+  describe('import profiles', () => {
+    it('creates, lists, updates and deletes profiles', async () => {
+      const created = await api.post('/import-profiles', { name: 'Chase', date_column: 0, name_column: 2, amount_column: 5 });
+      assert.equal(created.status, 201);
+      const { id } = created.body.data;
+
+      const listed = await api.get('/import-profiles');
+      assert.ok(listed.body.data.some(profile => profile.id === id));
+      assert.equal(listed.body.default_profile.name, 'Default');
+
+      const updated = await api.put(`/import-profiles/${id}`, { name: 'Chase checking', date_column: 1, amount_column: 5 });
+      assert.equal(updated.body.data.name, 'Chase checking');
+      assert.equal(updated.body.data.date_column, 1);
+
+      assert.equal((await api.delete(`/import-profiles/${id}`)).status, 200);
+      assert.equal((await api.delete(`/import-profiles/${id}`)).status, 404);
+      assert.equal((await api.put(`/import-profiles/${id}`, { name: 'Gone', date_column: 0, amount_column: 1 })).status, 404);
+    });
+
+    it('validates column indexes', async () => {
+      const { status } = await api.post('/import-profiles', { name: 'Bad', date_column: -1, amount_column: 1 });
+      assert.equal(status, 400);
+    });
+  });
+});
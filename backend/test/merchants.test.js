@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+const MERCHANTS = '/analytics/merchants?end_month=2025-10&months=3';
+
+describe('merchants', () => {
+  let api;
+  let blueBottle;
+
+  before(async () => {
+    api = await startApi();
+
+    // Raw bank names before any merchant exists
+    await createTransaction(api, { date: '2025-06-03', name: 'SQ *BLUE BOTTLE 1234 SF', amount: 4 });
+    await createTransaction(api, { date: '2025-08-03', name: 'SQ *BLUE BOTTLE 1234 SF', amount: 5 });
+    await createTransaction(api, { date: '2025-09-12', name: 'BLUE BOTTLE COFFEE #22', amount: 6 });
+  });
+
+  after(() => api.close());
+
+  it('normalizes existing transactions when a merchant is created', async () => {
+    const { status, body } = await api.post('/merchants', {
+      name: 'Blue Bottle',
+      aliases: ['blue bottle', { pattern: '^BB\\s*#\\d+', match_type: 'regex' }]
+    });
+    assert.equal(status, 201);
+    blueBottle = body.data;
+    assert.equal(blueBottle.transaction_count, 3);
+    assert.deepEqual(blueBottle.aliases.map(alias => [alias.pattern, alias.match_type]), [
+      ['blue bottle', 'contains'],
+      ['^BB\\s*#\\d+', 'regex']
+    ]);
+
+    const { body: list } = await api.get('/transactions');
+    assert.ok(list.data.every(tx => tx.merchant_id === blueBottle.id && tx.merchant_name === 'Blue Bottle'));
+  });
+
+  it('matches on create, import and edit', async () => {
+    const created = await createTransaction(api, { date: '2025-10-02', name: 'BB #7', amount: 7 });
+    assert.equal(created.merchant_id, blueBottle.id);
+
+    const { body: imported } = await api.post('/transactions/import', {
+      transactions: [
+        { date: '2025-10-05', name: 'POS', description: 'Blue Bottle Oakland', budget_type: 'Eat out', amount: '8' },
+        { date: '2025-10-06', name: 'Corner Market', budget_type: 'Groceries', amount: '30' }
+      ]
+    });
+    assert.deepEqual(imported.details.imported.map(tx => tx.merchant_id), [blueBottle.id, null]);
+
+    const corner = imported.details.imported[1];
+    const { body: renamed } = await api.request('PATCH', `/transactions/${corner.id}`, { name: 'Blue Bottle beans' });
+    assert.equal(renamed.data.merchant_id, blueBottle.id);
+
+    const { body: updated } = await api.put(`/transactions/${corner.id}`, {
+      date: '2025-10-06', name: 'Corner Market', budget_type: 'Groceries', amount: 30
+    });
+    assert.equal(updated.data.merchant_id, null);
+  });
+
+  it('reports top merchants with their trend', async () => {
+    await createTransaction(api, { date: '2025-10-07', name: 'Corner Market', budget_type: 'Groceries', amount: 40 });
+
+    const { status, body } = await api.get(MERCHANTS);
+    assert.equal(status, 200);
+    assert.equal(body.start_month, '2025-08');
+    assert.deepEqual(body.data.map(item => [item.merchant, item.transaction_count, item.total_amount]), [
+      ['Corner Market', 2, 70],
+      ['Blue Bottle', 4, 26]
+    ]);
+
+    const coffee = body.data.find(item => item.merchant_id === blueBottle.id);
+    assert.equal(coffee.avg_amount, 6.5);
+    assert.equal(coffee.last_date, '2025-10-05');
+    assert.equal(coffee.previous_amount, 4);
+    assert.equal(coffee.change_percent, 550);
+    assert.equal(coffee.trend, 'up');
+    assert.deepEqual(coffee.monthly.map(month => month.total_amount), [5, 6, 15]);
+    assert.equal(body.data.find(item => item.merchant === 'Corner Market').trend, 'new');
+
+    const { body: byFrequency } = await api.get(`${MERCHANTS}&sort=frequency&limit=1`);
+    assert.deepEqual(byFrequency.data.map(item => item.merchant), ['Blue Bottle']);
+    assert.equal(byFrequency.totals.merchant_count, 2);
+
+    assert.equal((await api.get(`${MERCHANTS}&sort=newest`)).status, 400);
+    assert.equal((await api.get('/analytics/merchants?months=0')).status, 400);
+    assert.equal((await api.get('/analytics/merchants?end_month=2025-13')).status, 400);
+  });
+
+  it('validates merchants and releases transactions on delete', async () => {
+    assert.equal((await api.post('/merchants', { name: 'Blue Bottle', aliases: ['bottle'] })).status, 409);
+    assert.equal((await api.post('/merchants', { name: 'Empty', aliases: [] })).status, 400);
+    assert.equal((await api.post('/merchants', { name: 'Bad', aliases: [{ pattern: '(', match_type: 'regex' }] })).status, 400);
+
+    // Narrowing the aliases releases transactions that no longer match
+    const { body: narrowed } = await api.put(`/merchants/${blueBottle.id}`, { name: 'Blue Bottle Coffee', aliases: ['blue bottle coffee'] });
+    assert.equal(narrowed.data.transaction_count, 1);
+
+    const { body: market } = await api.post('/merchants', { name: 'Corner Market', aliases: ['corner market', 'blue bottle'] });
+    // Both Corner Market charges and three of the released coffees; "BB #7" only matched the old regex
+    assert.equal(market.data.transaction_count, 5);
+
+    assert.equal((await api.delete(`/merchants/${blueBottle.id}`)).status, 200);
+    assert.equal((await api.get(`/merchants/${blueBottle.id}`)).status, 404);
+
+    // The remaining merchant picks up what the deleted one had
+    const { body: list } = await api.get('/transactions');
+    assert.deepEqual(list.data.filter(tx => tx.merchant_id !== market.data.id).map(tx => tx.name), ['BB #7']);
+  });
+});
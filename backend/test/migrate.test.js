@@ -0,0 +1,20 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+require('./helpers');
+const { listMigrations, buildPostgresSchema, POSTGRES_SCHEMA_FILE } = require('../migrate');
+
+describe('migrations', () => {
+  it('carries the same versions for both databases', () => {
+    const versions = dialect => listMigrations(dialect).map(migration => `${migration.version}_${migration.name}`);
+    assert.deepEqual(versions('sqlite'), versions('postgres'));
+  });
+
+  it('keeps database/postgres-schema.sql generated from the migrations', () => {
+    assert.equal(
+      fs.readFileSync(POSTGRES_SCHEMA_FILE, 'utf8'),
+      buildPostgresSchema(),
+      'Run npm run migrate:schema after changing a migration'
+    );
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('unpaid balance and payments', () => {
+  let api;
+  let card;
+
+  before(async () => {
+    api = await startApi();
+    card = (await api.post('/accounts', { name: 'Card', type: 'credit_card' })).body.data;
+  });
+
+  after(() => api.close());
+
+  it('groups unpaid expenses by category with totals', async () => {
+    await createTransaction(api, { budget_type: 'Groceries', amount: 10.1, payedOff: false, account_id: card.id });
+    await createTransaction(api, { budget_type: 'Groceries', amount: 20.2, payedOff: false, date: '2020-01-15' });
+    await createTransaction(api, { budget_type: 'Fuel', amount: 40, payedOff: false, account_id: card.id });
+    await createTransaction(api, { budget_type: 'Fuel', amount: 99 });
+    await createTransaction(api, { budget_type: 'Salary', amount: 500, payedOff: false, kind: 'income' });
+
+    const { body } = await api.get('/unpaid');
+    assert.deepEqual(body.data.categories.map(group => [group.budget_type, group.transaction_count, group.total_amount]), [
+      ['Fuel', 1, 40],
+      ['Groceries', 2, 30.3]
+    ]);
+    assert.deepEqual(body.data.totals, { transaction_count: 3, total_amount: 70.3 });
+    assert.deepEqual(body.data.categories[1].transactions.map(tx => tx.date), ['2025-10-01', '2020-01-15']);
+
+    const onCard = await api.get(`/unpaid?account_id=${card.id}`);
+    assert.deepEqual(onCard.body.data.totals, { transaction_count: 2, total_amount: 50.1 });
+  });
+
+  it('groups split transactions under each of their split categories', async () => {
+    const split = await createTransaction(api, { budget_type: 'Groceries', amount: 30, payedOff: false, date: '2025-10-02' });
+    await api.put(`/transactions/${split.id}/splits`, {
+      splits: [{ budget_type: 'Groceries', amount: 25 }, { budget_type: 'Household', amount: 5 }]
+    });
+
+    const { body } = await api.get('/unpaid');
+    assert.deepEqual(body.data.categories.map(group => [group.budget_type, group.transaction_count, group.total_amount]), [
+      ['Groceries', 3, 55.3],
+      ['Fuel', 1, 40],
+      ['Household', 1, 5]
+    ]);
+    assert.deepEqual(body.data.totals, { transaction_count: 4, total_amount: 100.3 });
+    const household = body.data.categories.find(group => group.budget_type === 'Household');
+    assert.deepEqual(household.transactions.map(tx => [tx.id, tx.amount, tx.category_amount]), [[split.id, 30, 5]]);
+
+    await api.delete(`/transactions/${split.id}`);
+  });
+
+  it('records a payment that settles the chosen transactions', async () => {
+    const unpaid = (await api.get(`/unpaid?account_id=${card.id}`)).body.data;
+    const ids = unpaid.categories.flatMap(group => group.transactions.map(tx => tx.id));
+
+    const { status, body } = await api.post('/payments', {
+      transaction_ids: ids,
+      paid_on: '2025-10-20',
+      account_id: card.id,
+      note: ' October statement '
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.amount, 50.1);
+    assert.equal(body.data.paid_on, '2025-10-20');
+    assert.equal(body.data.note, 'October statement');
+    assert.equal(body.data.transaction_count, 2);
+
+    for (const id of ids) {
+      const tx = (await api.get(`/transactions/${id}`)).body.data;
+      assert.equal(tx.payedOff, true);
+      assert.equal(tx.payment_id, body.data.id);
+    }
+    assert.equal((await api.get('/unpaid')).body.data.totals.total_amount, 20.2);
+
+    const listed = await api.get('/payments');
+    assert.deepEqual(listed.body.data.map(payment => [payment.id, payment.transaction_count]), [[body.data.id, 2]]);
+    const detail = await api.get(`/payments/${body.data.id}`);
+    assert.deepEqual(detail.body.data.transactions.map(tx => tx.id).sort(), [...ids].sort());
+  });
+
+  it('only settles visible, unpaid expenses', async () => {
+    const paid = await createTransaction(api, { amount: 3 });
+    const income = await createTransaction(api, { amount: 3, kind: 'income', payedOff: false });
+    const open = await createTransaction(api, { amount: 3, payedOff: false });
+
+    assert.equal((await api.post('/payments', { transaction_ids: [] })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [paid.id] })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [income.id] })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [9999] })).status, 404);
+    assert.equal((await api.post('/payments', { transaction_ids: [open.id], paid_on: '2025-02-30' })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [open.id], amount: -1 })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [open.id], account_id: 9999 })).status, 400);
+    assert.equal((await api.post('/payments', { transaction_ids: [open.id], note: 42 })).status, 400);
+
+    const memberToken = await api.addMember('partner');
+    const secret = await createTransaction(api, { amount: 3, payedOff: false, visibility: 'private' });
+    const hidden = await api.post('/payments', { transaction_ids: [secret.id] }, memberToken);
+    assert.equal(hidden.status, 404);
+  });
+
+  it('settles a transaction only once when two payments race for it', async () => {
+    const tx = await createTransaction(api, { amount: 12, payedOff: false });
+    const before = (await api.get('/payments')).body.data.length;
+
+    const responses = await Promise.all([
+      api.post('/payments', { transaction_ids: [tx.id] }),
+      api.post('/payments', { transaction_ids: [tx.id] })
+    ]);
+    // The loser sees the row already paid (400), or loses the update itself (409)
+    const statuses = responses.map(response => response.status);
+    assert.equal(statuses.filter(status => status === 201).length, 1);
+    assert.ok(statuses.some(status => status === 400 || status === 409));
+    assert.equal((await api.get('/payments')).body.data.length, before + 1);
+  });
+
+  it('unlinks a transaction from its payment when it is reopened', async () => {
+    const tx = await createTransaction(api, { amount: 8, payedOff: false });
+    const { body } = await api.post('/payments', { transaction_ids: [tx.id] });
+
+    const reopened = await api.request('PATCH', `/transactions/${tx.id}`, { payedOff: false });
+    assert.equal(reopened.body.data.payment_id, null);
+    assert.equal((await api.get(`/payments/${body.data.id}`)).body.data.transactions.length, 0);
+  });
+
+  it('deletes a payment and reopens its transactions', async () => {
+    const tx = await createTransaction(api, { amount: 6, payedOff: false });
+    const { body } = await api.post('/payments', { transaction_ids: [tx.id], amount: 5 });
+    assert.equal(body.data.amount, 5);
+
+    const deleted = await api.delete(`/payments/${body.data.id}`);
+    assert.equal(deleted.body.data.reopened, 1);
+    const reopened = (await api.get(`/transactions/${tx.id}`)).body.data;
+    assert.equal(reopened.payedOff, false);
+    assert.equal(reopened.payment_id, null);
+
+    assert.equal((await api.get(`/payments/${body.data.id}`)).status, 404);
+    assert.equal((await api.delete(`/payments/${body.data.id}`)).status, 404);
+  });
+});
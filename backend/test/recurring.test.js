@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const { run } = require('../db');
+
+// YYYY-MM-DD `days` from today (UTC), matching how the server dates occurrences
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+describe('recurring transactions', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  it('posts occurrences that are already due when the template is created', async () => {
+    const { status, body } = await api.post('/recurring', {
+      name: 'Gym',
+      budget_type: 'Health',
+      amount: 25,
+      cadence: 'weekly',
+      next_due_date: daysFromToday(-14)
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.posted, 3);
+    assert.equal(body.data.next_due_date, daysFromToday(7));
+
+    const { body: posted } = await api.get('/transactions?budget_type=Health');
+    assert.deepEqual(posted.data.map(tx => tx.date), [daysFromToday(0), daysFromToday(-7), daysFromToday(-14)]);
+    assert.ok(posted.data.every(tx => tx.recurring_id === body.data.id && tx.payedOff === false));
+
+    // Posted as entered by the template's owner
+    const me = (await api.get('/auth/me')).body.data;
+    assert.ok(posted.data.every(tx => tx.created_by === me.id && tx.owner_id === me.id));
+  });
+
+  it('never posts the same occurrence twice', async () => {
+    const { body } = await api.post('/recurring/run');
+    assert.deepEqual(body.data, []);
+  });
+
+  it('reports occurrences posted by a run already in progress', async () => {
+    const { body } = await api.post('/recurring', {
+      name: 'Paper', budget_type: 'News', amount: 3, cadence: 'weekly', next_due_date: daysFromToday(-7), active: false
+    });
+    await run('UPDATE recurring_transactions SET active = ? WHERE id = ?', [true, body.data.id]);
+
+    const runs = await Promise.all([api.post('/recurring/run'), api.post('/recurring/run')]);
+    for (const { body: result } of runs) {
+      assert.deepEqual(result.data.map(tx => tx.date), [daysFromToday(-7), daysFromToday(0)]);
+    }
+    assert.equal((await api.get('/transactions?budget_type=News')).body.data.length, 2);
+    await api.delete(`/recurring/${body.data.id}`);
+  });
+
+  it('lists upcoming occurrences with totals', async () => {
+    await api.post('/recurring', {
+      name: 'Salary',
+      budget_type: 'Income',
+      amount: 2000,
+      kind: 'income',
+      cadence: 'monthly',
+      next_due_date: daysFromToday(3)
+    });
+
+    const { body } = await api.get('/recurring/upcoming?days=14');
+    assert.equal(body.start, daysFromToday(0));
+    assert.equal(body.end, daysFromToday(14));
+    assert.deepEqual(body.data.map(item => [item.date, item.name]), [
+      [daysFromToday(3), 'Salary'],
+      [daysFromToday(7), 'Gym'],
+      [daysFromToday(14), 'Gym']
+    ]);
+    assert.deepEqual(body.totals, { count: 3, expenses: 50, income: 2000 });
+
+    assert.equal((await api.get('/recurring/upcoming?days=0')).status, 400);
+  });
+
+  it('stops at the end date and skips inactive templates', async () => {
+    const { body: ending } = await api.post('/recurring', {
+      name: 'Trial',
+      budget_type: 'Subscriptions',
+      amount: 1,
+      cadence: 'weekly',
+      next_due_date: daysFromToday(1),
+      end_date: daysFromToday(5)
+    });
+    await api.post('/recurring', {
+      name: 'Paused',
+      budget_type: 'Subscriptions',
+      amount: 1,
+      next_due_date: daysFromToday(1),
+      active: false
+    });
+
+    const { body } = await api.get('/recurring/upcoming?days=30');
+    const subscriptions = body.data.filter(item => item.budget_type === 'Subscriptions');
+    assert.deepEqual(subscriptions.map(item => item.recurring_id), [ending.data.id]);
+  });
+
+  it('validates templates', async () => {
+    const base = { name: 'Rent', budget_type: 'Housing', amount: 1500, next_due_date: daysFromToday(10) };
+    assert.equal((await api.post('/recurring', { ...base, name: '' })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, amount: 0 })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, cadence: 'daily' })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, next_due_date: '2025-02-30' })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, end_date: daysFromToday(1) })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, account_id: 9999 })).status, 400);
+    assert.equal((await api.post('/recurring', { ...base, active: 'false' })).status, 400);
+  });
+
+  it('updates and deletes templates, keeping posted transactions', async () => {
+    const { body: created } = await api.post('/recurring', {
+      name: 'Phone',
+      budget_type: 'Utilities',
+      amount: 40,
+      next_due_date: daysFromToday(0)
+    });
+    const { id } = created.data;
+    assert.equal(created.posted, 1);
+
+    const { body: updated } = await api.put(`/recurring/${id}`, { ...created.data, amount: 45 });
+    assert.equal(updated.data.amount, 45);
+    assert.equal(updated.posted, 0);
+
+    assert.equal((await api.delete(`/recurring/${id}`)).status, 200);
+    assert.equal((await api.get(`/recurring/${id}`)).status, 404);
+    assert.equal((await api.delete(`/recurring/${id}`)).status, 404);
+
+    const { body } = await api.get('/transactions?budget_type=Utilities');
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].recurring_id, null);
+  });
+
+  it('hides templates on another member\'s private account', async () => {
+    const memberToken = await api.addMember('partner');
+    const { body: account } = await api.post('/accounts', { name: 'My card', visibility: 'private' }, memberToken);
+    const base = { budget_type: 'Gifts', amount: 30, cadence: 'monthly', next_due_date: daysFromToday(5) };
+    const { body: hidden } = await api.post('/recurring', { ...base, name: 'Surprise', account_id: account.data.id }, memberToken);
+    const { body: shared } = await api.post('/recurring', { ...base, name: 'Streaming' }, memberToken);
+
+    const { body: list } = await api.get('/recurring');
+    const names = list.data.map(template => template.name);
+    assert.ok(names.includes('Streaming') && !names.includes('Surprise'));
+    assert.ok(!(await api.get('/recurring/upcoming')).body.data.some(item => item.recurring_id === hidden.data.id));
+
+    const path = `/recurring/${hidden.data.id}`;
+    assert.equal((await api.get(path)).status, 404);
+    assert.equal((await api.put(path, { ...base, name: 'Mine now' })).status, 404);
+    assert.equal((await api.delete(path)).status, 404);
+    assert.equal((await api.get(`/recurring/${shared.data.id}`)).status, 200);
+
+    // The owner still sees and manages it
+    assert.equal((await api.get(path, memberToken)).body.data.name, 'Surprise');
+    assert.equal((await api.delete(path, memberToken)).status, 200);
+  });
+});
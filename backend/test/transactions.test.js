@@ -0,0 +1,467 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createTransaction } = require('./helpers');
+
+describe('transactions', () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  describe('create', () => {
+    it('stores a transaction owned by the user who entered it', async () => {
+      const { status, body } = await api.post('/transactions', {
+        date: '2025-10-02',
+        name: 'Safeway',
+        description: 'Weekly shop',
+        budget_type: 'Groceries',
+        amount: '42.10'
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.data.name, 'Safeway');
+      assert.equal(body.data.amount, 42.1);
+      assert.equal(body.data.date, '2025-10-02');
+      assert.equal(body.data.kind, 'expense');
+      assert.equal(body.data.payedOff, true);
+      assert.equal(body.data.owner_id, api.user.id);
+      assert.equal(body.data.created_by, api.user.id);
+      assert.equal(body.data.visibility, 'shared');
+    });
+
+    it('returns payedOff as a boolean', async () => {
+      const unpaid = await createTransaction(api, { payedOff: false });
+      assert.equal(unpaid.payedOff, false);
+
+      const { body } = await api.get(`/transactions/${unpaid.id}`);
+      assert.equal(body.data.payedOff, false);
+    });
+
+    it('requires date, amount and budget_type', async () => {
+      const { status } = await api.post('/transactions', { date: '2025-10-02', amount: 5 });
+      assert.equal(status, 400);
+    });
+
+    it('rejects invalid amounts, kinds, visibility, accounts and owners', async () => {
+      const base = { date: '2025-10-02', budget_type: 'Misc', amount: 5 };
+
+      assert.equal((await api.post('/transactions', { ...base, amount: 'abc' })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, amount: -50 })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, amount: '0' })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, kind: 'transfer' })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, visibility: 'secret' })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, account_id: 9999 })).status, 400);
+      assert.equal((await api.post('/transactions', { ...base, owner_id: 9999 })).status, 400);
+    });
+  });
+
+  describe('read', () => {
+    before(async () => {
+      const { body: account } = await api.post('/accounts', { name: 'Visa', type: 'credit_card' });
+      await createTransaction(api, { date: '2025-09-15', name: 'Old', budget_type: 'Filter test', amount: 1 });
+      await createTransaction(api, { date: '2025-11-20', name: 'New', budget_type: 'Filter test', amount: 2, account_id: account.data.id });
+      await createTransaction(api, { date: '2025-11-21', name: 'Paycheck', budget_type: 'Salary', amount: 1000, kind: 'income' });
+    });
+
+    it('lists newest first', async () => {
+      const { body } = await api.get('/transactions');
+      assert.equal(body.count, body.data.length);
+      const dates = body.data.map(tx => tx.date);
+      assert.deepEqual(dates, [...dates].sort().reverse());
+    });
+
+    it('filters by category, account, kind and date range', async () => {
+      const byCategory = await api.get('/transactions?budget_type=Filter%20test');
+      assert.deepEqual(byCategory.body.data.map(tx => tx.name), ['New', 'Old']);
+
+      const accountId = byCategory.body.data[0].account_id;
+      const byAccount = await api.get(`/transactions?account_id=${accountId}`);
+      assert.deepEqual(byAccount.body.data.map(tx => tx.name), ['New']);
+
+      const income = await api.get('/transactions?kind=income');
+      assert.deepEqual(income.body.data.map(tx => tx.name), ['Paycheck']);
+
+      const september = await api.get('/transactions?start_date=2025-09-01&end_date=2025-09-30');
+      assert.deepEqual(september.body.data.map(tx => tx.name), ['Old']);
+    });
+
+    it('pages with limit and offset', async () => {
+      const all = await api.get('/transactions');
+      const page = await api.get('/transactions?limit=2&offset=1');
+      assert.deepEqual(page.body.data.map(tx => tx.id), all.body.data.slice(1, 3).map(tx => tx.id));
+    });
+
+    it('pages with a cursor and reports the total matching the filters', async () => {
+      // Several rows on one date so the id tie-breaker matters
+      for (const amount of [1, 2, 3, 4, 5]) {
+        await createTransaction(api, { date: '2025-12-01', budget_type: 'Paging', amount });
+      }
+      await createTransaction(api, { date: '2025-12-02', budget_type: 'Paging', amount: 3 });
+
+      for (const [sort, order] of [['date', 'desc'], ['amount', 'asc'], ['name', 'asc']]) {
+        const all = await api.get(`/transactions?budget_type=Paging&sort=${sort}&order=${order}`);
+        assert.equal(all.body.total, 6);
+
+        const ids = [];
+        let cursor = '';
+        do {
+          const { body } = await api.get(`/transactions?budget_type=Paging&sort=${sort}&order=${order}&limit=2${cursor}`);
+          assert.equal(body.total, 6);
+          assert.ok(body.count <= 2);
+          ids.push(...body.data.map(tx => tx.id));
+          cursor = body.next_cursor ? `&cursor=${body.next_cursor}` : '';
+        } while (cursor);
+
+        assert.deepEqual(ids, all.body.data.map(tx => tx.id), `${sort} ${order}`);
+      }
+    });
+
+    it('rejects cursors that are invalid or made for another sort', async () => {
+      const { body } = await api.get('/transactions?limit=1');
+      assert.ok(body.next_cursor);
+
+      assert.equal((await api.get('/transactions?cursor=not-a-cursor')).status, 400);
+      assert.equal((await api.get(`/transactions?sort=amount&cursor=${body.next_cursor}`)).status, 400);
+    });
+
+    it('returns one transaction with its splits, or 404', async () => {
+      const created = await createTransaction(api);
+      const { body } = await api.get(`/transactions/${created.id}`);
+      assert.equal(body.data.id, created.id);
+      assert.deepEqual(body.data.splits, []);
+
+      assert.equal((await api.get('/transactions/999999')).status, 404);
+    });
+  });
+
+  describe('search and sort', () => {
+    before(async () => {
+      await createTransaction(api, { date: '2025-04-12', name: 'UBER *TRIP', description: 'Airport ride', budget_type: 'Search test', amount: 42.5 });
+      await createTransaction(api, { date: '2025-05-02', name: 'Uber Eats', description: 'Late dinner', budget_type: 'Search test', amount: 18, payedOff: false });
+      await createTransaction(api, { date: '2025-05-20', name: 'Lyft', description: 'Ride to the airport', budget_type: 'Search test', amount: 25 });
+    });
+
+    const search = async (query) => {
+      const { status, body } = await api.get(`/transactions?budget_type=Search%20test&${query}`);
+      assert.equal(status, 200, body.error);
+      return body.data.map(tx => tx.name);
+    };
+
+    it('finds transactions by words in the name or description', async () => {
+      assert.deepEqual(await search('q=uber'), ['Uber Eats', 'UBER *TRIP']);
+      assert.deepEqual(await search('q=airport'), ['Lyft', 'UBER *TRIP']);
+      assert.deepEqual(await search('q=airp%20ride'), ['Lyft', 'UBER *TRIP']);
+      assert.deepEqual(await search('q=uber%20dinner'), ['Uber Eats']);
+      assert.deepEqual(await search('q=taxi'), []);
+    });
+
+    it('matches the start of words only, on every database', async () => {
+      assert.deepEqual(await search('q=eat'), ['Uber Eats']);
+      assert.deepEqual(await search('q=ats'), []);
+      assert.deepEqual(await search('q=irport'), []);
+    });
+
+    it('keeps the search index in step with edits and deletes', async () => {
+      const created = await createTransaction(api, { name: 'Zipcar', budget_type: 'Search test' });
+      assert.deepEqual(await search('q=zipcar'), ['Zipcar']);
+
+      await api.request('PATCH', `/transactions/${created.id}`, { name: 'Getaround' });
+      assert.deepEqual(await search('q=zipcar'), []);
+      assert.deepEqual(await search('q=getaround'), ['Getaround']);
+
+      await api.delete(`/transactions/${created.id}`);
+      assert.deepEqual(await search('q=getaround'), []);
+    });
+
+    it('filters by amount range and paid status', async () => {
+      assert.deepEqual(await search('amount_min=20&amount_max=30'), ['Lyft']);
+      assert.deepEqual(await search('payedOff=false'), ['Uber Eats']);
+      assert.deepEqual(await search('q=uber&payedOff=true'), ['UBER *TRIP']);
+    });
+
+    it('sorts in SQL', async () => {
+      assert.deepEqual(await search('sort=amount&order=asc'), ['Uber Eats', 'Lyft', 'UBER *TRIP']);
+      assert.deepEqual(await search('sort=name&order=asc'), ['Lyft', 'UBER *TRIP', 'Uber Eats']);
+      assert.deepEqual(await search('sort=date&order=asc'), ['UBER *TRIP', 'Uber Eats', 'Lyft']);
+    });
+
+    it('rejects bad filter and sort values', async () => {
+      assert.equal((await api.get('/transactions?amount_min=lots')).status, 400);
+      assert.equal((await api.get('/transactions?payedOff=maybe')).status, 400);
+      assert.equal((await api.get('/transactions?sort=id;DROP')).status, 400);
+      assert.equal((await api.get('/transactions?order=sideways')).status, 400);
+    });
+  });
+
+  describe('update', () => {
+    it('replaces the editable fields', async () => {
+      const created = await createTransaction(api);
+      const { status, body } = await api.put(`/transactions/${created.id}`, {
+        date: '2025-10-03',
+        name: 'Espresso',
+        budget_type: 'Eat out',
+        amount: 3.5,
+        payedOff: false
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.name, 'Espresso');
+      assert.equal(body.data.amount, 3.5);
+      assert.equal(body.data.payedOff, false);
+      assert.equal(body.data.owner_id, api.user.id);
+    });
+
+    it('keeps the stored kind when none is sent', async () => {
+      const paycheck = await createTransaction(api, { name: 'Paycheck', budget_type: 'Salary', amount: 2000, kind: 'income' });
+      const { body } = await api.put(`/transactions/${paycheck.id}`, {
+        date: '2025-10-03', name: 'Paycheck', budget_type: 'Salary', amount: 2100
+      });
+      assert.equal(body.data.kind, 'income');
+    });
+
+    it('validates like create and 404s on unknown ids', async () => {
+      const created = await createTransaction(api);
+      const missing = await api.put(`/transactions/${created.id}`, { date: '2025-10-03', amount: 3 });
+      assert.equal(missing.status, 400);
+
+      const base = { date: '2025-10-03', budget_type: 'Misc' };
+      assert.equal((await api.put(`/transactions/${created.id}`, { ...base, amount: -3 })).status, 400);
+      assert.equal((await api.put(`/transactions/${created.id}`, { ...base, amount: '0' })).status, 400);
+
+      const unknown = await api.put('/transactions/999999', { date: '2025-10-03', budget_type: 'Misc', amount: 3 });
+      assert.equal(unknown.status, 404);
+    });
+
+    it('keeps split lines in step with the amount', async () => {
+      const created = await createTransaction(api, { amount: 100 });
+      const splits = [
+        { budget_type: 'Groceries', amount: 60 },
+        { budget_type: 'Household', amount: 40 }
+      ];
+      const withSplits = await api.put(`/transactions/${created.id}`, { ...created, splits });
+      assert.equal(withSplits.status, 200);
+      assert.equal(withSplits.body.data.splits.length, 2);
+
+      const mismatch = await api.put(`/transactions/${created.id}`, { ...created, amount: 90 });
+      assert.equal(mismatch.status, 400);
+    });
+  });
+
+  describe('partial update', () => {
+    it('only changes the fields sent', async () => {
+      const created = await createTransaction(api, { name: 'Lunch', payedOff: false, description: 'With Sam' });
+      const { status, body } = await api.request('PATCH', `/transactions/${created.id}`, { budget_type: 'Work meals' });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.budget_type, 'Work meals');
+      assert.equal(body.data.name, 'Lunch');
+      assert.equal(body.data.description, 'With Sam');
+      assert.equal(body.data.payedOff, false);
+      assert.equal(body.data.amount, created.amount);
+    });
+
+    it('validates each field sent', async () => {
+      const created = await createTransaction(api);
+      const patch = body => api.request('PATCH', `/transactions/${created.id}`, body);
+
+      assert.equal((await patch({})).status, 400);
+      assert.equal((await patch({ amount: 'abc' })).status, 400);
+      assert.equal((await patch({ amount: 0 })).status, 400);
+      assert.equal((await patch({ date: '2025-13-01' })).status, 400);
+      assert.equal((await patch({ budget_type: '' })).status, 400);
+      assert.equal((await patch({ payedOff: 'no' })).status, 400);
+      assert.equal((await patch({ created_by: 1 })).status, 400);
+      assert.equal((await api.request('PATCH', '/transactions/999999', { amount: 1 })).status, 404);
+    });
+
+    it('keeps split lines in step with the amount', async () => {
+      const created = await createTransaction(api, { amount: 20 });
+      await api.put(`/transactions/${created.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 10 }, { budget_type: 'B', amount: 10 }]
+      });
+
+      assert.equal((await api.request('PATCH', `/transactions/${created.id}`, { amount: 30 })).status, 400);
+
+      const { body } = await api.request('PATCH', `/transactions/${created.id}`, {
+        amount: 30,
+        splits: [{ budget_type: 'A', amount: 10 }, { budget_type: 'B', amount: 20 }]
+      });
+      assert.equal(body.data.amount, 30);
+      assert.deepEqual(body.data.splits.map(line => line.amount), [10, 20]);
+    });
+
+    it('leaves payedOff alone on a full update that omits it', async () => {
+      const created = await createTransaction(api, { payedOff: false });
+      const { body } = await api.put(`/transactions/${created.id}`, {
+        date: created.date,
+        budget_type: created.budget_type,
+        amount: created.amount
+      });
+      assert.equal(body.data.payedOff, false);
+    });
+  });
+
+  describe('delete', () => {
+    it('removes the transaction and its splits', async () => {
+      const created = await createTransaction(api, { amount: 10 });
+      await api.put(`/transactions/${created.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 4 }, { budget_type: 'B', amount: 6 }]
+      });
+
+      const { status, body } = await api.delete(`/transactions/${created.id}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.id, created.id);
+      assert.equal((await api.get(`/transactions/${created.id}`)).status, 404);
+      assert.equal((await api.delete(`/transactions/${created.id}`)).status, 404);
+    });
+  });
+
+  describe('splits', () => {
+    it('saves split lines that add up to the amount', async () => {
+      const created = await createTransaction(api, { amount: 100 });
+      const { status, body } = await api.put(`/transactions/${created.id}/splits`, {
+        splits: [
+          { budget_type: 'Groceries', amount: 33.33 },
+          { budget_type: 'Household', amount: 33.33 },
+          { budget_type: 'Gifts', amount: 33.34, note: 'birthday' }
+        ]
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.length, 3);
+
+      const listed = await api.get(`/transactions/${created.id}/splits`);
+      assert.deepEqual(listed.body.data.map(line => line.budget_type), ['Groceries', 'Household', 'Gifts']);
+
+      const byLineCategory = await api.get('/transactions?budget_type=Gifts');
+      assert.ok(byLineCategory.body.data.some(tx => tx.id === created.id));
+    });
+
+    it('rejects lines that do not add up and single-line splits', async () => {
+      const created = await createTransaction(api, { amount: 100 });
+      const wrongTotal = await api.put(`/transactions/${created.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 10 }, { budget_type: 'B', amount: 20 }]
+      });
+      assert.equal(wrongTotal.status, 400);
+
+      const oneLine = await api.put(`/transactions/${created.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 100 }]
+      });
+      assert.equal(oneLine.status, 400);
+    });
+
+    it('removes the split with an empty list', async () => {
+      const created = await createTransaction(api, { amount: 10 });
+      await api.put(`/transactions/${created.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 5 }, { budget_type: 'B', amount: 5 }]
+      });
+
+      const { body } = await api.put(`/transactions/${created.id}/splits`, { splits: [] });
+      assert.deepEqual(body.data, []);
+    });
+
+    it('404s for unknown transactions', async () => {
+      assert.equal((await api.get('/transactions/999999/splits')).status, 404);
+      assert.equal((await api.put('/transactions/999999/splits', { splits: [] })).status, 404);
+    });
+  });
+
+  describe('bulk', () => {
+    it('updates the given ids in one request and reports unknown ids', async () => {
+      const first = await createTransaction(api, { payedOff: false });
+      const second = await createTransaction(api, { payedOff: false });
+
+      const { status, body } = await api.request('PATCH', '/transactions/bulk', {
+        ids: [first.id, second.id, 999999],
+        changes: { payedOff: true, budget_type: 'Bulk moved' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.updated, 2);
+      assert.equal(body.failed, 1);
+      assert.deepEqual(body.data.map(result => [result.id, result.success]), [[first.id, true], [second.id, true], [999999, false]]);
+      assert.equal(body.data[0].data.payedOff, true);
+      assert.equal(body.data[0].data.budget_type, 'Bulk moved');
+      assert.equal(body.data[0].data.name, 'Coffee');
+    });
+
+    it('refuses to recategorize split transactions in bulk', async () => {
+      const plain = await createTransaction(api, { budget_type: 'Before' });
+      const split = await createTransaction(api, { budget_type: 'Before', amount: 10 });
+      await api.put(`/transactions/${split.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 5 }, { budget_type: 'B', amount: 5 }]
+      });
+
+      const rejected = await api.request('PATCH', '/transactions/bulk', { ids: [plain.id, split.id], changes: { budget_type: 'After' } });
+      assert.equal(rejected.status, 400);
+      assert.match(rejected.body.error, new RegExp(`split transactions: ${split.id}$`));
+      assert.equal((await api.get(`/transactions/${plain.id}`)).body.data.budget_type, 'Before');
+
+      const recategorized = await api.request('PATCH', '/transactions/bulk', { ids: [plain.id], changes: { budget_type: 'After' } });
+      assert.equal(recategorized.body.data[0].data.budget_type, 'After');
+
+      // Other fields still change on split transactions
+      const paid = await api.request('PATCH', '/transactions/bulk', { ids: [split.id], changes: { payedOff: false } });
+      assert.equal(paid.status, 200);
+    });
+
+    it('updates everything matching a filter', async () => {
+      await createTransaction(api, { budget_type: 'Bulk filter', payedOff: false });
+      await createTransaction(api, { budget_type: 'Bulk filter', payedOff: false });
+      await createTransaction(api, { budget_type: 'Bulk filter', payedOff: true });
+
+      const { body } = await api.request('PATCH', '/transactions/bulk', {
+        filter: { budget_type: 'Bulk filter', payedOff: false },
+        changes: { payedOff: true }
+      });
+      assert.equal(body.updated, 2);
+
+      const unpaid = await api.get('/transactions?budget_type=Bulk%20filter&payedOff=false');
+      assert.equal(unpaid.body.data.length, 0);
+    });
+
+    it('rejects bad requests without changing anything', async () => {
+      const created = await createTransaction(api, { payedOff: false });
+      const patch = body => api.request('PATCH', '/transactions/bulk', body);
+
+      assert.equal((await patch({ ids: [created.id], changes: { amount: 1 } })).status, 400);
+      assert.equal((await patch({ ids: [created.id], changes: {} })).status, 400);
+      assert.equal((await patch({ ids: [created.id], changes: { payedOff: 'yes' } })).status, 400);
+      assert.equal((await patch({ ids: [created.id], changes: { account_id: 9999 } })).status, 400);
+      assert.equal((await patch({ ids: [], changes: { payedOff: true } })).status, 400);
+      assert.equal((await patch({ filter: {}, changes: { payedOff: true } })).status, 400);
+      assert.equal((await patch({ filter: { name: 'x' }, changes: { payedOff: true } })).status, 400);
+
+      const { body } = await api.get(`/transactions/${created.id}`);
+      assert.equal(body.data.payedOff, false);
+    });
+
+    it('deletes the given ids with their splits', async () => {
+      const plain = await createTransaction(api);
+      const split = await createTransaction(api, { amount: 10 });
+      await api.put(`/transactions/${split.id}/splits`, {
+        splits: [{ budget_type: 'A', amount: 5 }, { budget_type: 'B', amount: 5 }]
+      });
+
+      const { body } = await api.request('DELETE', '/transactions/bulk', { ids: [plain.id, split.id] });
+      assert.equal(body.deleted, 2);
+      assert.equal((await api.get(`/transactions/${plain.id}`)).status, 404);
+      assert.equal((await api.get(`/transactions/${split.id}/splits`)).status, 404);
+
+      assert.equal((await api.request('DELETE', '/transactions/bulk', {})).status, 400);
+    });
+
+    it('cannot touch other members\' private transactions', async () => {
+      const memberToken = await api.addMember('bulkmember');
+      const secret = await createTransaction(api, { visibility: 'private' });
+
+      const { body } = await api.request('DELETE', '/transactions/bulk', { ids: [secret.id] }, memberToken);
+      assert.equal(body.deleted, 0);
+      assert.equal(body.failed, 1);
+      assert.equal((await api.get(`/transactions/${secret.id}`)).status, 200);
+    });
+  });
+});
@@ -1,6 +1,10 @@
--- PostgreSQL Schema for Transactions Database
+-- PostgreSQL schema for a new database, loaded by docker-compose.
+-- Generated from backend/migrations/postgres by `npm run migrate:schema`;
+-- do not edit by hand.
 
--- Create transactions table
+-- 001_initial_schema (PostgreSQL)
+
+-- Transactions table the app started with
 CREATE TABLE IF NOT EXISTS transactions (
     id SERIAL PRIMARY KEY,
     date DATE NOT NULL,
@@ -12,41 +16,334 @@ CREATE TABLE IF NOT EXISTS transactions (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create indexes for better query performance
-CREATE INDEX idx_transactions_date ON transactions(date);
-CREATE INDEX idx_transactions_budget_type ON transactions(budget_type);
-CREATE INDEX idx_transactions_amount ON transactions(amount);
+CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+CREATE INDEX IF NOT EXISTS idx_transactions_budget_type ON transactions(budget_type);
+CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
+
+-- 002_budgets_and_categories (PostgreSQL)
+
+-- Monthly spending limit per category
+CREATE TABLE IF NOT EXISTS budgets (
+    id SERIAL PRIMARY KEY,
+    budget_type VARCHAR(100) NOT NULL UNIQUE,
+    monthly_limit DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Managed list of budget categories
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    color VARCHAR(20),
+    icon VARCHAR(50),
+    archived BOOLEAN DEFAULT FALSE,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+
+-- 003_imports (PostgreSQL)
+
+-- Auto-categorization rules for imported transactions
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255),
+    budget_type VARCHAR(100) NOT NULL,
+    match_field VARCHAR(20) NOT NULL DEFAULT 'any',
+    match_type VARCHAR(20) NOT NULL DEFAULT 'contains',
+    pattern TEXT,
+    amount_min DECIMAL(10, 2),
+    amount_max DECIMAL(10, 2),
+    priority INTEGER DEFAULT 0,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved CSV column mappings per bank export
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    delimiter VARCHAR(1) NOT NULL DEFAULT ',',
+    skip_rows INTEGER NOT NULL DEFAULT 1,
+    date_format VARCHAR(20) NOT NULL DEFAULT 'YYYY-MM-DD',
+    amount_sign VARCHAR(20) NOT NULL DEFAULT 'expense_positive',
+    date_column INTEGER NOT NULL,
+    name_column INTEGER,
+    description_column INTEGER,
+    category_column INTEGER,
+    amount_column INTEGER,
+    debit_column INTEGER,
+    credit_column INTEGER,
+    external_id_column INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bank-provided transaction ids, used to skip duplicates on re-import
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_transactions_external_id ON transactions(external_id);
+
+-- 004_accounts (PostgreSQL)
+
+-- Checking, credit cards, cash, ...
+CREATE TABLE IF NOT EXISTS accounts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'checking',
+    institution VARCHAR(100),
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    opening_balance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
+
+-- 005_transaction_kind (PostgreSQL)
+
+-- expense or income; amount is always stored as a positive value
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS kind VARCHAR(10) NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'income'));
+CREATE INDEX IF NOT EXISTS idx_transactions_kind ON transactions(kind);
+
+-- 006_recurring_transactions (PostgreSQL)
+
+-- Templates the scheduler turns into transactions on each due date
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    budget_type VARCHAR(100) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'income')),
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    cadence VARCHAR(20) NOT NULL DEFAULT 'monthly',
+    next_due_date DATE NOT NULL,
+    anchor_day INTEGER NOT NULL,
+    end_date DATE,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_next_due_date ON recurring_transactions(next_due_date);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+-- One posted transaction per template per due date keeps the scheduler idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_id, date);
+
+-- 007_transaction_splits (PostgreSQL)
+
+-- Category lines of a split transaction; amounts add up to the parent amount
+CREATE TABLE IF NOT EXISTS transaction_splits (
+    id SERIAL PRIMARY KEY,
+    transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    budget_type VARCHAR(100) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_budget_type ON transaction_splits(budget_type);
+
+-- 008_users_and_sessions (PostgreSQL)
+
+-- Local logins for the API
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bearer tokens issued at login; only a SHA-256 of each token is stored
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- 009_households (PostgreSQL)
+
+-- Members of a household share budgets and shared transactions
+CREATE TABLE IF NOT EXISTS households (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS household_id INTEGER REFERENCES households(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_users_household_id ON users(household_id);
+
+-- Ownership and shared/private visibility (rows without an owner stay shared)
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS visibility VARCHAR(10) NOT NULL DEFAULT 'shared' CHECK (visibility IN ('shared', 'private'));
+ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS visibility VARCHAR(10) NOT NULL DEFAULT 'shared' CHECK (visibility IN ('shared', 'private'));
+CREATE INDEX IF NOT EXISTS idx_transactions_owner_id ON transactions(owner_id);
+
+-- 010_reporting_views (PostgreSQL)
 
--- Create a view for monthly summaries
-CREATE OR REPLACE VIEW monthly_summary AS
-SELECT 
+-- Reporting views for ad-hoc queries (the API builds its own queries).
+-- Dropped first because databases created from the original schema have
+-- older versions of monthly_summary and budget_summary.
+DROP VIEW IF EXISTS monthly_summary;
+DROP VIEW IF EXISTS budget_summary;
+DROP VIEW IF EXISTS monthly_cash_flow;
+DROP VIEW IF EXISTS transaction_category_lines;
+
+-- One row per category line (split lines replace their parent)
+CREATE VIEW transaction_category_lines AS
+SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, t.budget_type, t.amount
+FROM transactions t
+WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT t.id as transaction_id, t.date, t.kind, t.account_id, t.owner_id, t.visibility, s.budget_type, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id;
+
+CREATE VIEW monthly_summary AS
+SELECT
     DATE_TRUNC('month', date) as month,
     budget_type,
     COUNT(*) as transaction_count,
     SUM(amount) as total_amount,
     AVG(amount) as avg_amount
-FROM transactions
+FROM transaction_category_lines
+WHERE kind = 'expense'
 GROUP BY DATE_TRUNC('month', date), budget_type
 ORDER BY month DESC, total_amount DESC;
 
--- Create a view for budget type summaries
-CREATE OR REPLACE VIEW budget_summary AS
-SELECT 
+CREATE VIEW budget_summary AS
+SELECT
     budget_type,
     COUNT(*) as transaction_count,
     SUM(amount) as total_amount,
     AVG(amount) as avg_amount,
     MIN(amount) as min_amount,
     MAX(amount) as max_amount
-FROM transactions
+FROM transaction_category_lines
+WHERE kind = 'expense'
 GROUP BY budget_type
 ORDER BY total_amount DESC;
 
--- Comments for documentation
-COMMENT ON TABLE transactions IS 'Stores all financial transactions from budget tracking';
-COMMENT ON COLUMN transactions.date IS 'Transaction date';
-COMMENT ON COLUMN transactions.name IS 'Transaction merchant/name';
-COMMENT ON COLUMN transactions.description IS 'Transaction description';
-COMMENT ON COLUMN transactions.budget_type IS 'Budget category (e.g., Personal eat out, Personal subscriptions)';
-COMMENT ON COLUMN transactions.amount IS 'Transaction amount in dollars';
-COMMENT ON COLUMN transactions."payedOff" IS 'Whether the transaction has been paid off (true/false)';
+CREATE VIEW monthly_cash_flow AS
+SELECT
+    DATE_TRUNC('month', date) as month,
+    COALESCE(SUM(CASE WHEN kind = 'income' THEN amount END), 0) as income,
+    COALESCE(SUM(CASE WHEN kind = 'expense' THEN amount END), 0) as expenses,
+    COALESCE(SUM(CASE WHEN kind = 'income' THEN amount ELSE -amount END), 0) as net
+FROM transactions
+GROUP BY DATE_TRUNC('month', date)
+ORDER BY month DESC;
+
+-- 011_transaction_search (PostgreSQL)
+
+-- Word search over names and descriptions (the query must use the same expression)
+CREATE INDEX IF NOT EXISTS idx_transactions_search ON transactions
+    USING GIN (to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(description, '')));
+
+-- Trigram indexes so substring matches (ILIKE '%uber%') can use an index too
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_transactions_name_trgm ON transactions USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_transactions_description_trgm ON transactions USING GIN (description gin_trgm_ops);
+
+-- 012_payments (PostgreSQL)
+
+-- A payment settles a set of unpaid transactions on a date (e.g. paying down a card)
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    paid_on DATE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_paid_on ON payments(paid_on);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_payment_id ON transactions(payment_id);
+
+-- 013_alert_states (PostgreSQL)
+
+-- Anomaly alerts are worked out on the fly; only a household's acknowledge or
+-- dismiss decision for each alert key is stored
+CREATE TABLE IF NOT EXISTS alert_states (
+    id SERIAL PRIMARY KEY,
+    household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+    alert_key VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'acknowledged',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_states_household_key ON alert_states(household_id, alert_key);
+
+-- 014_merchants (PostgreSQL)
+
+-- Canonical merchants; raw bank names and descriptions are mapped to them
+-- through alias patterns
+CREATE TABLE IF NOT EXISTS merchants (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS merchant_aliases (
+    id SERIAL PRIMARY KEY,
+    merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    pattern TEXT NOT NULL,
+    match_type VARCHAR(20) NOT NULL DEFAULT 'contains'
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_aliases_merchant_id ON merchant_aliases(merchant_id);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS merchant_id INTEGER REFERENCES merchants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant_id ON transactions(merchant_id);
+
+-- 015_drop_search_trigram_indexes (PostgreSQL)
+
+-- Search prefix-matches words on both databases now, so nothing runs
+-- substring (ILIKE) matches against these any more
+DROP INDEX IF EXISTS idx_transactions_name_trgm;
+DROP INDEX IF EXISTS idx_transactions_description_trgm;
+
+-- 016_drop_reporting_views (PostgreSQL)
+
+-- Nothing read these views, and they repeated the split-line logic the API
+-- keeps in CATEGORY_LINES_SQL; drop them so that logic lives in one place
+DROP VIEW IF EXISTS monthly_summary;
+DROP VIEW IF EXISTS budget_summary;
+DROP VIEW IF EXISTS monthly_cash_flow;
+DROP VIEW IF EXISTS transaction_category_lines;
+
+-- Record the migrations above as applied
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO schema_migrations (version, name) VALUES
+    ('001', 'initial_schema'),
+    ('002', 'budgets_and_categories'),
+    ('003', 'imports'),
+    ('004', 'accounts'),
+    ('005', 'transaction_kind'),
+    ('006', 'recurring_transactions'),
+    ('007', 'transaction_splits'),
+    ('008', 'users_and_sessions'),
+    ('009', 'households'),
+    ('010', 'reporting_views'),
+    ('011', 'transaction_search'),
+    ('012', 'payments'),
+    ('013', 'alert_states'),
+    ('014', 'merchants'),
+    ('015', 'drop_search_trigram_indexes'),
+    ('016', 'drop_reporting_views');
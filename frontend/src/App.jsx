@@ -1,28 +1,125 @@
 // App.jsx - React Frontend for Budget Tracker
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
-import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
+import { PieChart, Pie, Cell, BarChart, Bar, ErrorBar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Legend, Tooltip } from 'recharts';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://192.168.4.88:3001/api';
+const AUTH_TOKEN_KEY = 'authToken';
+
+// fetch wrapper that sends the session token and signals when it has expired
+const apiFetch = async (url, options = {}) => {
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && token) {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    window.dispatchEvent(new Event('auth-expired'));
+  }
+  return response;
+};
+
+// Query parameters for the Transactions tab filters, shared by the list and export
+const transactionQuery = (activeFilters) => {
+  const params = new URLSearchParams();
+  const [sort, order] = activeFilters.sort.split(':');
+  for (const key of ['q', 'budget_type', 'account_id', 'member_id', 'start_date', 'end_date', 'amount_min', 'amount_max']) {
+    if (activeFilters[key]) params.append(key, activeFilters[key]);
+  }
+  if (activeFilters.payedOff !== 'all') params.append('payedOff', activeFilters.payedOff === 'paid');
+  params.append('sort', sort);
+  params.append('order', order);
+  return params;
+};
+
+// Follow next_cursor until every page of a transaction query has been read
+const fetchAllTransactions = async (query) => {
+  const rows = [];
+  let cursor = null;
+  do {
+    const params = new URLSearchParams(query);
+    params.set('limit', '500');
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await apiFetch(`${API_URL}/transactions?${params}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || 'Failed to load transactions');
+    rows.push(...data.data);
+    cursor = data.next_cursor;
+  } while (cursor);
+  return rows;
+};
+
+// Download a file from /api/export. The session token goes in a header, so a
+// plain link would not be authorized; fetch it and save it through a blob URL.
+const downloadExport = async (query) => {
+  const response = await apiFetch(`${API_URL}/export?${new URLSearchParams(query)}`);
+  if (!response.ok) {
+    const data = await response.json();
+    throw new Error(data.error || 'Export failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : 'export';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'json', label: 'JSON' }
+];
+
+const ALERT_LABELS = {
+  merchant_outlier: 'Price jump',
+  category_outlier: 'Unusual amount',
+  duplicate: 'Possible duplicate',
+  new_merchant: 'New merchant'
+};
+
+// Transactions tab filters; sort is "column:direction" as the API expects it
+const DEFAULT_FILTERS = {
+  q: '',
+  budget_type: '',
+  account_id: '',
+  member_id: '',
+  start_date: '',
+  end_date: '',
+  amount_min: '',
+  amount_max: '',
+  sort: 'date:desc',
+  limit: 50,
+  payedOff: 'all'
+};
 
 const COLORS = ['#1E40AF', '#059669', '#D97706', '#DC2626', '#7C3AED', '#0891B2', '#BE185D', '#EA580C', '#15803D', '#6366F1'];
 
 function App() {
   const [transactions, setTransactions] = useState([]);
+  const [transactionsPage, setTransactionsPage] = useState({ total: 0, nextCursor: null, loadingMore: false });
+  const loadMoreRef = useRef(null);
   const [stats, setStats] = useState(null);
   const [trends, setTrends] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [authUser, setAuthUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [authForm, setAuthForm] = useState({ username: '', password: '' });
+  const [authMessage, setAuthMessage] = useState({ type: '', text: '' });
   const [activeTab, setActiveTab] = useState(() => {
     const saved = localStorage.getItem('activeTab');
     return saved || 'chart';
   });
-  const [filters, setFilters] = useState({
-    budget_type: '',
-    start_date: '',
-    end_date: '',
-    limit: 50,
-    payedOff: 'all'
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [globalSearch, setGlobalSearch] = useState('');
   const [budgetTypes, setBudgetTypes] = useState([]);
   const [categoryData, setCategoryData] = useState([]);
   const [availableMonths, setAvailableMonths] = useState([]);
@@ -38,22 +135,104 @@ function App() {
     name: '',
     description: '',
     budget_type: '',
+    account_id: '',
+    owner_id: '',
+    visibility: '',
+    kind: 'expense',
     amount: '',
     payedOff: false
   });
   const [formMessage, setFormMessage] = useState({ type: '', text: '' });
-  const [unpaidTransactions, setUnpaidTransactions] = useState([]);
+  const [unpaid, setUnpaid] = useState({ categories: [], totals: { transaction_count: 0, total_amount: 0 } });
+  const [payments, setPayments] = useState([]);
+  const [paymentForm, setPaymentForm] = useState(null); // { label, transaction_ids, paid_on, amount, account_id, note } while recording a payment
   const [editingTransaction, setEditingTransaction] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkCategory, setBulkCategory] = useState('');
+  const [inlineEdit, setInlineEdit] = useState(null); // { id, field, value } of the table cell being edited
   const [importFile, setImportFile] = useState(null);
   const [importMessage, setImportMessage] = useState({ type: '', text: '' });
   const [importResults, setImportResults] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [importNegativeAsIncome, setImportNegativeAsIncome] = useState(true);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState('');
+  const [importCsvText, setImportCsvText] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [showProfileForm, setShowProfileForm] = useState(false);
+  const [profileForm, setProfileForm] = useState({
+    id: null, name: '', delimiter: ',', skip_rows: 1, date_format: 'YYYY-MM-DD', amount_sign: 'expense_positive',
+    date_column: '1', name_column: '2', description_column: '', category_column: '',
+    amount_column: '3', debit_column: '', credit_column: '', external_id_column: ''
+  });
+  const [profileMessage, setProfileMessage] = useState({ type: '', text: '' });
+  const [budgets, setBudgets] = useState([]);
+  const [budgetStatus, setBudgetStatus] = useState([]);
+  const [budgetForm, setBudgetForm] = useState({ id: null, budget_type: '', monthly_limit: '' });
+  const [budgetMessage, setBudgetMessage] = useState({ type: '', text: '' });
+  const [categories, setCategories] = useState([]);
+  const [unmanagedCategories, setUnmanagedCategories] = useState([]);
+  const [categoryForm, setCategoryForm] = useState({ id: null, name: '', color: '#1E40AF', icon: '', parent_id: '', archived: false });
+  const [categoryMessage, setCategoryMessage] = useState({ type: '', text: '' });
+  const [mergeSelection, setMergeSelection] = useState({});
+  const [rules, setRules] = useState([]);
+  const [ruleForm, setRuleForm] = useState({
+    id: null, name: '', budget_type: '', match_field: 'any', match_type: 'contains',
+    pattern: '', amount_min: '', amount_max: '', priority: 0, active: true
+  });
+  const [ruleMessage, setRuleMessage] = useState({ type: '', text: '' });
+  const [merchants, setMerchants] = useState([]);
+  const [merchantForm, setMerchantForm] = useState({ id: null, name: '', aliases: '', match_type: 'contains' });
+  const [merchantMessage, setMerchantMessage] = useState({ type: '', text: '' });
+  const [merchantStats, setMerchantStats] = useState({ data: [], totals: null });
+  const [merchantView, setMerchantView] = useState({ months: 6, sort: 'spend' });
+  const [accounts, setAccounts] = useState([]);
+  const [accountForm, setAccountForm] = useState({
+    id: null, name: '', type: 'checking', institution: '', currency: 'USD', opening_balance: '', visibility: 'shared'
+  });
+  const [accountMessage, setAccountMessage] = useState({ type: '', text: '' });
+  const [accountRegister, setAccountRegister] = useState(null);
+  const [accountFilter, setAccountFilter] = useState('');
+  const [memberFilter, setMemberFilter] = useState('');
+  const [household, setHousehold] = useState({ name: '', members: [] });
+  const [householdName, setHouseholdName] = useState('');
+  const [memberForm, setMemberForm] = useState({ username: '', password: '' });
+  const [householdMessage, setHouseholdMessage] = useState({ type: '', text: '' });
+  const [settleUp, setSettleUp] = useState(null);
+  const [importAccountId, setImportAccountId] = useState('');
+  const [recurring, setRecurring] = useState([]);
+  const [recurringForm, setRecurringForm] = useState({
+    id: null, name: '', budget_type: '', amount: '', kind: 'expense', account_id: '',
+    cadence: 'monthly', next_due_date: new Date().toISOString().split('T')[0], end_date: '', active: true
+  });
+  const [recurringMessage, setRecurringMessage] = useState({ type: '', text: '' });
+  const [upcoming, setUpcoming] = useState({ data: [], totals: { count: 0, expenses: 0, income: 0 } });
+  const [alerts, setAlerts] = useState({ data: [], open: 0 });
+  const [forecast, setForecast] = useState(null); // month-end projection for the current month
 
-  // Fetch data on component mount
+  // Restore the saved session on mount and drop back to the login screen when it expires
   useEffect(() => {
-    fetchAllData();
+    checkAuth();
+
+    const handleAuthExpired = () => {
+      setAuthUser(null);
+      setAuthMessage({ type: 'error', text: 'Your session has expired. Please log in again.' });
+    };
+
+    window.addEventListener('auth-expired', handleAuthExpired);
+    return () => {
+      window.removeEventListener('auth-expired', handleAuthExpired);
+    };
   }, []);
 
+  // Fetch data once signed in
+  useEffect(() => {
+    if (authUser) {
+      fetchAllData();
+    }
+  }, [authUser]);
+
   // Apply dark mode class to body
   useEffect(() => {
     if (darkMode) {
@@ -94,6 +273,72 @@ function App() {
     setDarkMode(!darkMode);
   };
 
+  const checkAuth = async () => {
+    try {
+      if (localStorage.getItem(AUTH_TOKEN_KEY)) {
+        const response = await apiFetch(`${API_URL}/auth/me`);
+        const data = await response.json();
+        if (data.success) {
+          setAuthUser(data.data);
+          return;
+        }
+      }
+
+      const response = await apiFetch(`${API_URL}/auth/status`);
+      const data = await response.json();
+      if (data.success) {
+        setSetupRequired(data.data.setup_required);
+      }
+    } catch (error) {
+      console.error('Error checking session:', error);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const handleAuthInputChange = (e) => {
+    const { name, value } = e.target;
+    setAuthForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setAuthMessage({ type: '', text: '' });
+
+    try {
+      const response = await apiFetch(`${API_URL}/auth/${setupRequired ? 'register' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(authForm)
+      });
+      const data = await response.json();
+
+      if (data.success && data.token) {
+        localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+        setAuthForm({ username: '', password: '' });
+        setSetupRequired(false);
+        setAuthUser(data.data);
+      } else {
+        setAuthMessage({ type: 'error', text: data.error || 'Login failed' });
+      }
+    } catch (error) {
+      console.error('Error logging in:', error);
+      setAuthMessage({ type: 'error', text: 'Error connecting to server' });
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch(`${API_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    } finally {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+      setAuthMessage({ type: '', text: '' });
+      setAuthUser(null);
+    }
+  };
+
   const fetchAllData = async () => {
     try {
       setLoading(true);
@@ -103,7 +348,18 @@ function App() {
         fetchTrends(),
         fetchBudgetTypes(),
         fetchAvailableMonths(),
-        fetchUnpaidTransactions()
+        fetchUnpaidTransactions(),
+        fetchBudgets(),
+        fetchCategories(),
+        fetchRules(),
+        fetchMerchants(),
+        fetchImportProfiles(),
+        fetchAccounts(),
+        fetchRecurring(),
+        fetchUpcoming(),
+        fetchAlerts(),
+        fetchForecast(),
+        fetchHousehold()
       ]);
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -112,57 +368,129 @@ function App() {
     }
   };
 
-  const fetchTransactions = async () => {
-    const params = new URLSearchParams();
-    if (filters.budget_type) params.append('budget_type', filters.budget_type);
-    if (filters.start_date) params.append('start_date', filters.start_date);
-    if (filters.end_date) params.append('end_date', filters.end_date);
-    params.append('limit', filters.limit);
+  // Filtering, search and sorting all happen on the server. Pass a cursor to
+  // append the next page instead of starting over.
+  const fetchTransactions = useCallback(async (activeFilters = filters, cursor = null) => {
+    const params = transactionQuery(activeFilters);
+    params.append('limit', activeFilters.limit);
+    if (cursor) params.append('cursor', cursor);
 
-    const response = await fetch(`${API_URL}/transactions?${params}`);
+    const response = await apiFetch(`${API_URL}/transactions?${params}`);
     const data = await response.json();
     if (data.success) {
-      let filteredData = data.data;
-      // Client-side filter for payedOff status
-      if (filters.payedOff === 'paid') {
-        filteredData = filteredData.filter(t => t.payedOff === true || t.payedOff === 1);
-      } else if (filters.payedOff === 'unpaid') {
-        filteredData = filteredData.filter(t => t.payedOff === false || t.payedOff === 0);
+      if (cursor) {
+        setTransactions(previous => [...previous, ...data.data]);
+      } else {
+        setTransactions(data.data);
+        setSelectedIds([]);
       }
-      setTransactions(filteredData);
+      setTransactionsPage({ total: data.total, nextCursor: data.next_cursor, loadingMore: false });
+    } else {
+      setTransactionsPage(page => ({ ...page, loadingMore: false }));
+      alert(data.error || 'Failed to load transactions');
     }
-  };
+  }, [filters]);
+
+  const loadMoreTransactions = useCallback(() => {
+    if (!transactionsPage.nextCursor || transactionsPage.loadingMore) return;
+    setTransactionsPage({ ...transactionsPage, loadingMore: true });
+    fetchTransactions(filters, transactionsPage.nextCursor);
+  }, [transactionsPage, filters, fetchTransactions]);
+
+  // Infinite scroll: load the next page when the end of the table comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !transactionsPage.nextCursor || !window.IntersectionObserver) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreTransactions();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [transactionsPage, activeTab, loadMoreTransactions]);
+
+  // Query string for the account and household member picked in the Chart/Trends views
+  const filterQuery = useCallback((accountId = accountFilter, memberId = memberFilter) => {
+    const params = new URLSearchParams();
+    if (accountId) params.append('account_id', accountId);
+    if (memberId) params.append('member_id', memberId);
+    return params.toString();
+  }, [accountFilter, memberFilter]);
 
-  const fetchStats = async () => {
-    const response = await fetch(`${API_URL}/stats/overview`);
+  const fetchStats = useCallback(async (accountId) => {
+    const response = await apiFetch(`${API_URL}/stats/overview?${filterQuery(accountId)}`);
     const data = await response.json();
     if (data.success) setStats(data.data);
-  };
+  }, [filterQuery]);
 
-  const fetchTrends = async () => {
-    const response = await fetch(`${API_URL}/analytics/trends`);
+  const fetchTrends = useCallback(async (accountId) => {
+    const response = await apiFetch(`${API_URL}/analytics/trends?${filterQuery(accountId)}`);
     const data = await response.json();
     if (data.success) setTrends(data.data);
+  }, [filterQuery]);
+
+  const fetchAccounts = async () => {
+    const response = await apiFetch(`${API_URL}/accounts`);
+    const data = await response.json();
+    if (data.success) setAccounts(data.data);
   };
 
+  const fetchRecurring = async () => {
+    const response = await apiFetch(`${API_URL}/recurring`);
+    const data = await response.json();
+    if (data.success) setRecurring(data.data);
+  };
+
+  const fetchUpcoming = async () => {
+    const response = await apiFetch(`${API_URL}/recurring/upcoming?days=30`);
+    const data = await response.json();
+    if (data.success) setUpcoming({ data: data.data, totals: data.totals });
+  };
+
+  const fetchAlerts = async () => {
+    const response = await apiFetch(`${API_URL}/analytics/anomalies?days=30`);
+    const data = await response.json();
+    if (data.success) setAlerts({ data: data.data, open: data.open });
+  };
+
+  const fetchForecast = useCallback(async () => {
+    const response = await apiFetch(`${API_URL}/analytics/forecast?${filterQuery()}`);
+    const data = await response.json();
+    if (data.success) setForecast(data);
+  }, [filterQuery]);
+
   const fetchBudgetTypes = async () => {
-    const response = await fetch(`${API_URL}/budget-types`);
+    const response = await apiFetch(`${API_URL}/budget-types`);
     const data = await response.json();
     if (data.success) setBudgetTypes(data.data);
   };
 
   const fetchUnpaidTransactions = async () => {
-    const response = await fetch(`${API_URL}/transactions?limit=1000`);
+    // Unpaid expenses grouped by category, with totals worked out by the server
+    const [unpaidResponse, paymentsResponse, settleResponse] = await Promise.all([
+      apiFetch(`${API_URL}/unpaid`),
+      apiFetch(`${API_URL}/payments`),
+      apiFetch(`${API_URL}/household/settle-up`)
+    ]);
+    const unpaidData = await unpaidResponse.json();
+    if (unpaidData.success) setUnpaid(unpaidData.data);
+    const paymentsData = await paymentsResponse.json();
+    if (paymentsData.success) setPayments(paymentsData.data);
+    const settleData = await settleResponse.json();
+    if (settleData.success) setSettleUp(settleData.data);
+  };
+
+  const fetchHousehold = async () => {
+    const response = await apiFetch(`${API_URL}/household`);
     const data = await response.json();
     if (data.success) {
-      // Filter for unpaid transactions only (payedOff = false or 0)
-      const unpaid = data.data.filter(t => t.payedOff === false || t.payedOff === 0);
-      setUnpaidTransactions(unpaid);
+      setHousehold(data.data);
+      setHouseholdName(data.data.name);
     }
   };
 
   const fetchAvailableMonths = async () => {
-    const response = await fetch(`${API_URL}/available-months`);
+    const response = await apiFetch(`${API_URL}/available-months`);
     const data = await response.json();
     if (data.success) {
       setAvailableMonths(data.data);
@@ -172,9 +500,9 @@ function App() {
     }
   };
 
-  const fetchCategoryData = async (month) => {
+  const fetchCategoryData = useCallback(async (month) => {
     if (!month) return;
-    const response = await fetch(`${API_URL}/analytics/category-breakdown?month=${month}`);
+    const response = await apiFetch(`${API_URL}/analytics/category-breakdown?month=${month}&${filterQuery()}`);
     const data = await response.json();
     if (data.success) {
       setCategoryData(data.data.map(item => ({
@@ -183,9 +511,58 @@ function App() {
         count: item.transaction_count
       })));
     }
+  }, [filterQuery]);
+
+  const fetchCategories = async () => {
+    const response = await apiFetch(`${API_URL}/categories?include_archived=true`);
+    const data = await response.json();
+    if (data.success) {
+      setCategories(data.data);
+      setUnmanagedCategories(data.unmanaged || []);
+    }
+  };
+
+  // Use the category's stored color, falling back to the default palette
+  const getCategoryColor = (name, index) => {
+    const category = categories.find(c => c.name === name);
+    return (category && category.color) || COLORS[index % COLORS.length];
+  };
+
+  const fetchRules = async () => {
+    const response = await apiFetch(`${API_URL}/rules`);
+    const data = await response.json();
+    if (data.success) setRules(data.data);
+  };
+
+  const fetchMerchants = async () => {
+    const response = await apiFetch(`${API_URL}/merchants`);
+    const data = await response.json();
+    if (data.success) setMerchants(data.data);
+  };
+
+  const fetchMerchantStats = useCallback(async (view = merchantView) => {
+    const query = new URLSearchParams(filterQuery());
+    query.set('months', view.months);
+    query.set('sort', view.sort);
+    const response = await apiFetch(`${API_URL}/analytics/merchants?${query}`);
+    const data = await response.json();
+    if (data.success) setMerchantStats({ data: data.data, totals: data.totals });
+  }, [merchantView, filterQuery]);
+
+  const fetchBudgets = async () => {
+    const response = await apiFetch(`${API_URL}/budgets`);
+    const data = await response.json();
+    if (data.success) setBudgets(data.data);
   };
 
-  const fetchMonthlyTransactions = async (month) => {
+  const fetchBudgetStatus = useCallback(async (month) => {
+    if (!month) return;
+    const response = await apiFetch(`${API_URL}/analytics/budget-vs-actual?month=${month}&${filterQuery()}`);
+    const data = await response.json();
+    if (data.success) setBudgetStatus(data.data);
+  }, [filterQuery]);
+
+  const fetchMonthlyTransactions = useCallback(async (month) => {
     if (!month) return;
     // Get first and last day of the month
     const startDate = `${month}-01`;
@@ -198,22 +575,31 @@ function App() {
     const lastDay = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
     const endDate = `${month}-${String(lastDay).padStart(2, '0')}`;
 
-    console.log('Fetching transactions for:', { month, startDate, endDate });
-    const response = await fetch(`${API_URL}/transactions?start_date=${startDate}&end_date=${endDate}&limit=1000`);
-    const data = await response.json();
-    console.log('Received transactions:', data.data?.length, 'transactions');
-    if (data.success) {
-      setMonthlyTransactions(data.data);
-    }
-  };
+    const query = new URLSearchParams(filterQuery());
+    query.set('start_date', startDate);
+    query.set('end_date', endDate);
+    setMonthlyTransactions(await fetchAllTransactions(query));
+  }, [filterQuery]);
 
-  // Fetch category data when selected month changes
+  // Fetch category data when selected month or account changes
   useEffect(() => {
     if (selectedMonth) {
       fetchCategoryData(selectedMonth);
       fetchMonthlyTransactions(selectedMonth);
+      fetchBudgetStatus(selectedMonth);
     }
-  }, [selectedMonth]);
+  }, [selectedMonth, fetchCategoryData, fetchMonthlyTransactions, fetchBudgetStatus]);
+
+  // Refresh trends and overview stats when the account or member filter changes
+  useEffect(() => {
+    fetchTrends(accountFilter);
+    fetchStats(accountFilter);
+    fetchForecast();
+  }, [accountFilter, fetchTrends, fetchStats, fetchForecast]);
+
+  useEffect(() => {
+    fetchMerchantStats();
+  }, [fetchMerchantStats]);
 
   const handleSort = (key) => {
     let direction = 'asc';
@@ -248,17 +634,50 @@ function App() {
   };
 
   const resetFilters = () => {
-    setFilters({ budget_type: '', start_date: '', end_date: '', limit: 50, payedOff: 'all' });
-    setTimeout(fetchTransactions, 100);
+    setFilters(DEFAULT_FILTERS);
+    fetchTransactions(DEFAULT_FILTERS);
+  };
+
+  const handleFilterKeyDown = (e) => {
+    if (e.key === 'Enter') applyFilters();
+  };
+
+  // Sidebar search: open the Transactions tab with the search applied
+  const handleGlobalSearch = (e) => {
+    e.preventDefault();
+    const searchFilters = { ...filters, q: globalSearch.trim() };
+    setFilters(searchFilters);
+    setActiveTab('transactions');
+    fetchTransactions(searchFilters);
   };
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency
     }).format(amount);
   };
 
+  // Income is shown with a leading plus so it stands apart from spending
+  const formatTransactionAmount = (transaction) => {
+    return transaction.kind === 'income'
+      ? `+${formatCurrency(transaction.amount)}`
+      : formatCurrency(transaction.amount);
+  };
+
+  const getAccountName = (accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    return account ? account.name : '';
+  };
+
+  const getMemberName = (userId) => {
+    const member = household.members.find(m => m.id === userId);
+    return member ? member.username : '';
+  };
+
+  // Member pickers and columns only matter once someone else has joined
+  const hasHouseholdMembers = household.members.length > 1;
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -287,7 +706,7 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_URL}/transactions`, {
+      const response = await apiFetch(`${API_URL}/transactions`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -297,6 +716,10 @@ function App() {
           name: formData.name || null,
           description: formData.description || null,
           budget_type: formData.budget_type,
+          account_id: formData.account_id ? parseInt(formData.account_id) : null,
+          owner_id: formData.owner_id ? parseInt(formData.owner_id) : null,
+          visibility: formData.visibility || null,
+          kind: formData.kind,
           amount: parseFloat(formData.amount),
           payedOff: formData.payedOff
         })
@@ -311,6 +734,10 @@ function App() {
           name: '',
           description: '',
           budget_type: '',
+          account_id: '',
+          owner_id: '',
+          visibility: '',
+          kind: 'expense',
           amount: '',
           payedOff: false
         });
@@ -324,7 +751,7 @@ function App() {
     }
   };
 
-  const handleEdit = (transaction) => {
+  const handleEdit = async (transaction) => {
     // Save the current tab and scroll position before editing
     localStorage.setItem('previousTab', activeTab);
     localStorage.setItem('previousScrollPosition', window.scrollY.toString());
@@ -334,6 +761,55 @@ function App() {
       date: transaction.date.split('T')[0] // Ensure proper date format
     });
     setActiveTab('edit');
+
+    // Load split lines for the split editor
+    try {
+      const response = await apiFetch(`${API_URL}/transactions/${transaction.id}/splits`);
+      const data = await response.json();
+      if (data.success) {
+        const splits = data.data.map(line => ({ budget_type: line.budget_type, amount: line.amount, note: line.note || '' }));
+        setEditingTransaction(current => (current && current.id === transaction.id ? { ...current, splits } : current));
+      }
+    } catch (error) {
+      console.error('Error fetching splits:', error);
+    }
+  };
+
+  const getSplitRemaining = (transaction) => {
+    const total = (transaction.splits || []).reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+    return Math.round(((parseFloat(transaction.amount) || 0) - total) * 100) / 100;
+  };
+
+  // Start a split with the current category holding the full amount
+  const handleStartSplit = () => {
+    setEditingTransaction({
+      ...editingTransaction,
+      splits: [
+        { budget_type: editingTransaction.budget_type || '', amount: editingTransaction.amount, note: '' },
+        { budget_type: '', amount: '', note: '' }
+      ]
+    });
+  };
+
+  const handleSplitLineChange = (index, field, value) => {
+    const splits = editingTransaction.splits.map((line, i) => (i === index ? { ...line, [field]: value } : line));
+    setEditingTransaction({ ...editingTransaction, splits });
+  };
+
+  // New lines start with whatever is left to assign
+  const handleAddSplitLine = () => {
+    const remaining = getSplitRemaining(editingTransaction);
+    setEditingTransaction({
+      ...editingTransaction,
+      splits: [...editingTransaction.splits, { budget_type: '', amount: remaining > 0 ? String(remaining) : '', note: '' }]
+    });
+  };
+
+  const handleRemoveSplitLine = (index) => {
+    setEditingTransaction({
+      ...editingTransaction,
+      splits: editingTransaction.splits.filter((line, i) => i !== index)
+    });
   };
 
   const handleCancelEdit = () => {
@@ -364,8 +840,20 @@ function App() {
       return;
     }
 
+    const splits = editingTransaction.splits;
+    if (splits && splits.length > 0) {
+      if (splits.length < 2 || splits.some(line => !line.budget_type || !(parseFloat(line.amount) > 0))) {
+        alert('Each split line needs a category and an amount, and a split needs at least two lines');
+        return;
+      }
+      if (getSplitRemaining(editingTransaction) !== 0) {
+        alert(`Split lines must add up to ${formatCurrency(editingTransaction.amount)}`);
+        return;
+      }
+    }
+
     try {
-      const response = await fetch(`${API_URL}/transactions/${editingTransaction.id}`, {
+      const response = await apiFetch(`${API_URL}/transactions/${editingTransaction.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -375,8 +863,19 @@ function App() {
           name: editingTransaction.name || null,
           description: editingTransaction.description || null,
           budget_type: editingTransaction.budget_type,
+          account_id: editingTransaction.account_id ? parseInt(editingTransaction.account_id) : null,
+          owner_id: editingTransaction.owner_id ? parseInt(editingTransaction.owner_id) : null,
+          visibility: editingTransaction.visibility || null,
+          kind: editingTransaction.kind || 'expense',
           amount: parseFloat(editingTransaction.amount),
-          payedOff: editingTransaction.payedOff
+          payedOff: editingTransaction.payedOff,
+          ...(splits && {
+            splits: splits.map(line => ({
+              budget_type: line.budget_type,
+              amount: parseFloat(line.amount),
+              note: line.note || null
+            }))
+          })
         })
       });
 
@@ -414,7 +913,7 @@ function App() {
     if (!showDeleteConfirm) return;
 
     try {
-      const response = await fetch(`${API_URL}/transactions/${showDeleteConfirm.id}`, {
+      const response = await apiFetch(`${API_URL}/transactions/${showDeleteConfirm.id}`, {
         method: 'DELETE'
       });
 
@@ -436,573 +935,3405 @@ function App() {
     setShowDeleteConfirm(null);
   };
 
-  const handleMarkCategoryAsPaid = async (categoryTransactions, categoryName) => {
-    if (!window.confirm(`Mark all ${categoryTransactions.length} transactions in "${categoryName}" as paid?`)) {
-      return;
+  // Apply a bulk change or delete in one request. Returns the response body, or
+  // null after telling the user what went wrong.
+  const sendBulkRequest = async (method, body) => {
+    try {
+      const response = await apiFetch(`${API_URL}/transactions/bulk`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        alert(data.error || 'Failed to update transactions');
+        return null;
+      }
+      if (data.failed > 0) {
+        alert(`${data.failed} transaction(s) could not be found and were skipped.`);
+      }
+      return data;
+    } catch (error) {
+      console.error('Error sending bulk request:', error);
+      alert('Network error. Please try again.');
+      return null;
     }
+  };
+
+  // Open the payment form for a set of unpaid transactions, defaulting the amount
+  // to their total and the account to the one they share, if any. A split
+  // transaction can be listed under several categories but is paid once, in full.
+  const startPayment = (label, listedTransactions) => {
+    const paymentTransactions = [...new Map(listedTransactions.map(t => [t.id, t])).values()];
+    const totalCents = paymentTransactions.reduce((sum, t) => sum + Math.round(parseFloat(t.amount) * 100), 0);
+    const accountIds = [...new Set(paymentTransactions.map(t => t.account_id))];
+    setPaymentForm({
+      label,
+      transaction_ids: paymentTransactions.map(t => t.id),
+      paid_on: new Date().toISOString().split('T')[0],
+      amount: String(totalCents / 100),
+      account_id: accountIds.length === 1 && accountIds[0] ? String(accountIds[0]) : '',
+      note: ''
+    });
+  };
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault();
 
     try {
-      let successCount = 0;
-      let errorCount = 0;
-
-      for (const transaction of categoryTransactions) {
-        try {
-          const response = await fetch(`${API_URL}/transactions/${transaction.id}`, {
-            method: 'PUT',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              date: transaction.date.split('T')[0],
-              name: transaction.name,
-              description: transaction.description,
-              budget_type: transaction.budget_type,
-              amount: parseFloat(transaction.amount),
-              payedOff: true
-            })
-          });
-
-          const data = await response.json();
-          if (data.success) {
-            successCount++;
-          } else {
-            errorCount++;
-          }
-        } catch (error) {
-          errorCount++;
-        }
-      }
+      const response = await apiFetch(`${API_URL}/payments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          transaction_ids: paymentForm.transaction_ids,
+          paid_on: paymentForm.paid_on,
+          amount: parseFloat(paymentForm.amount),
+          account_id: paymentForm.account_id ? parseInt(paymentForm.account_id) : null,
+          note: paymentForm.note
+        })
+      });
 
-      if (errorCount > 0) {
-        alert(`Marked ${successCount} as paid. ${errorCount} failed.`);
+      const data = await response.json();
+      if (data.success) {
+        setPaymentForm(null);
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to record payment');
       }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      alert('Network error. Please try again.');
+    }
+  };
 
-      fetchAllData();
+  // Deleting a payment puts the transactions it settled back to unpaid
+  const handleDeletePayment = async (payment) => {
+    if (!window.confirm(`Undo the ${formatCurrency(payment.amount)} payment from ${formatDate(payment.paid_on)}? Its ${payment.transaction_count} transaction(s) will be unpaid again.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/payments/${payment.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to delete payment');
+      }
     } catch (error) {
-      console.error('Error marking category as paid:', error);
-      alert('Error updating transactions. Please try again.');
+      console.error('Error deleting payment:', error);
+      alert('Network error. Please try again.');
     }
   };
 
-  const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Acknowledge, dismiss or reopen an alert; the choice is shared with the household
+  const handleAlertStatus = async (anomaly, status) => {
+    try {
+      const response = await apiFetch(`${API_URL}/analytics/anomalies/${encodeURIComponent(anomaly.key)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ status })
+      });
 
-    setImportFile(file);
-    setImportMessage({ type: '', text: '' });
-    setImportResults(null);
+      const data = await response.json();
+      if (data.success) {
+        fetchAlerts();
+      } else {
+        alert(data.error || 'Failed to update alert');
+      }
+    } catch (error) {
+      console.error('Error updating alert:', error);
+      alert('Network error. Please try again.');
+    }
+  };
 
-    // Parse CSV file
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-      try {
-        const text = event.target.result;
-        const lines = text.split('\n');
+  const startInlineEdit = (transaction, field) => {
+    setInlineEdit({ id: transaction.id, field, value: String(transaction[field] ?? '') });
+  };
 
-        // Skip header row
-        const dataLines = lines.slice(1).filter(line => line.trim());
+  // Save the edited cell with a partial update, leaving the rest of the row alone
+  const saveInlineEdit = async () => {
+    if (!inlineEdit) return;
+    const { id, field, value } = inlineEdit;
+    const original = transactions.find(t => t.id === id);
+    setInlineEdit(null);
 
-        const transactions = [];
+    if (!original || String(original[field] ?? '') === value) return;
 
-        for (const line of dataLines) {
-          // Parse CSV line (handling quoted fields)
-          const matches = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g);
-          if (!matches || matches.length < 6) continue;
+    try {
+      const response = await apiFetch(`${API_URL}/transactions/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ [field]: field === 'amount' ? parseFloat(value) : value })
+      });
 
-          const [date, description, originalDescription, category, amount, status] = matches.map(m =>
-            m.replace(/^"|"$/g, '').trim()
-          );
+      const data = await response.json();
+      if (data.success) {
+        setTransactions(transactions.map(t => (t.id === id ? { ...t, ...data.data } : t)));
+        fetchStats();
+        fetchBudgetTypes();
+        fetchUnpaidTransactions();
+      } else {
+        alert(data.error || 'Failed to update transaction');
+      }
+    } catch (error) {
+      console.error('Error updating transaction:', error);
+      alert('Network error. Please try again.');
+    }
+  };
 
-          // Skip if invalid data
-          if (!date || !amount || !category) continue;
+  // Enter saves through the blur handler so the cell is only saved once
+  const handleInlineKeyDown = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+    if (e.key === 'Escape') setInlineEdit(null);
+  };
 
-          const parsedAmount = parseFloat(amount);
-          if (isNaN(parsedAmount) || parsedAmount === 0) continue;
+  const isInlineEditing = (transaction, field) => (
+    inlineEdit && inlineEdit.id === transaction.id && inlineEdit.field === field
+  );
 
-          // Skip credit card payments (negative amounts)
-          if (parsedAmount < 0) continue;
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(selected => selected !== id) : [...selectedIds, id]);
+  };
 
-          transactions.push({
-            date: date,
-            name: description || originalDescription || 'Unknown',
-            description: originalDescription || description || '',
-            budget_type: "",
-            amount: parsedAmount
-          });
-        }
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === transactions.length ? [] : transactions.map(t => t.id));
+  };
 
-        if (transactions.length === 0) {
-          setImportMessage({ type: 'error', text: 'No valid transactions found in CSV file' });
-          return;
-        }
+  const handleBulkUpdate = async (changes) => {
+    const data = await sendBulkRequest('PATCH', { ids: selectedIds, changes });
+    if (data) {
+      setBulkCategory('');
+      fetchAllData();
+    }
+  };
 
-        // Send to backend
-        setImportMessage({ type: 'info', text: `Processing ${transactions.length} transactions...` });
+  const handleBulkDelete = async () => {
+    if (!window.confirm(`Delete ${selectedIds.length} selected transaction(s)? This cannot be undone.`)) {
+      return;
+    }
 
-        const response = await fetch(`${API_URL}/transactions/import`, {
-          method: 'POST',
-          headers: {
+    const data = await sendBulkRequest('DELETE', { ids: selectedIds });
+    if (data) fetchAllData();
+  };
+
+  const handleBudgetSubmit = async (e) => {
+    e.preventDefault();
+    setBudgetMessage({ type: '', text: '' });
+
+    if (!budgetForm.budget_type || budgetForm.monthly_limit === '') {
+      setBudgetMessage({ type: 'error', text: 'Please select a category and enter a monthly limit' });
+      return;
+    }
+
+    if (isNaN(parseFloat(budgetForm.monthly_limit)) || parseFloat(budgetForm.monthly_limit) < 0) {
+      setBudgetMessage({ type: 'error', text: 'Please enter a valid limit of 0 or more' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        budgetForm.id ? `${API_URL}/budgets/${budgetForm.id}` : `${API_URL}/budgets`,
+        {
+          method: budgetForm.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            budget_type: budgetForm.budget_type,
+            monthly_limit: parseFloat(budgetForm.monthly_limit)
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setBudgetMessage({ type: 'success', text: budgetForm.id ? 'Budget updated!' : 'Budget added!' });
+        setBudgetForm({ id: null, budget_type: '', monthly_limit: '' });
+        fetchBudgets();
+        fetchBudgetStatus(selectedMonth);
+      } else {
+        setBudgetMessage({ type: 'error', text: data.error || 'Failed to save budget' });
+      }
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      setBudgetMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleDeleteBudget = async (budget) => {
+    if (!window.confirm(`Remove the monthly limit for "${budget.budget_type}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/budgets/${budget.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (budgetForm.id === budget.id) {
+          setBudgetForm({ id: null, budget_type: '', monthly_limit: '' });
+        }
+        fetchBudgets();
+        fetchBudgetStatus(selectedMonth);
+      } else {
+        alert(data.error || 'Failed to delete budget');
+      }
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const emptyCategoryForm = { id: null, name: '', color: '#1E40AF', icon: '', parent_id: '', archived: false };
+
+  const saveCategory = async (category) => {
+    const response = await apiFetch(
+      category.id ? `${API_URL}/categories/${category.id}` : `${API_URL}/categories`,
+      {
+        method: category.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: category.name,
+          color: category.color || null,
+          icon: category.icon || null,
+          parent_id: category.parent_id ? parseInt(category.parent_id) : null,
+          archived: category.archived
+        })
+      }
+    );
+    return response.json();
+  };
+
+  const handleCategorySubmit = async (e) => {
+    e.preventDefault();
+    setCategoryMessage({ type: '', text: '' });
+
+    if (!categoryForm.name.trim()) {
+      setCategoryMessage({ type: 'error', text: 'Please enter a category name' });
+      return;
+    }
+
+    try {
+      const data = await saveCategory(categoryForm);
+
+      if (data.success) {
+        const renamed = data.renamed_transactions > 0 ? ` (${data.renamed_transactions} transactions renamed)` : '';
+        setCategoryMessage({ type: 'success', text: `${categoryForm.id ? 'Category updated' : 'Category added'}!${renamed}` });
+        setCategoryForm(emptyCategoryForm);
+        fetchAllData();
+      } else {
+        setCategoryMessage({ type: 'error', text: data.error || 'Failed to save category' });
+      }
+    } catch (error) {
+      console.error('Error saving category:', error);
+      setCategoryMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleToggleArchiveCategory = async (category) => {
+    try {
+      const data = await saveCategory({ ...category, archived: !category.archived });
+      if (data.success) {
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to update category');
+      }
+    } catch (error) {
+      console.error('Error archiving category:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const handleAddUnmanagedCategory = async (name) => {
+    try {
+      const data = await saveCategory({ name, color: COLORS[categories.length % COLORS.length] });
+      if (data.success) {
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to add category');
+      }
+    } catch (error) {
+      console.error('Error adding category:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const handleMergeCategory = async (category) => {
+    const targetId = mergeSelection[category.id];
+    const target = categories.find(c => c.id === parseInt(targetId));
+    if (!target) return;
+
+    if (!window.confirm(`Merge "${category.name}" into "${target.name}"? All ${category.transaction_count} transactions will be moved and "${category.name}" will be removed.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/categories/${category.id}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ target_id: target.id })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setCategoryMessage({ type: 'success', text: `${data.message} (${data.moved_transactions} transactions moved)` });
+        setMergeSelection({ ...mergeSelection, [category.id]: '' });
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to merge categories');
+      }
+    } catch (error) {
+      console.error('Error merging categories:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/categories/${category.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to delete category');
+      }
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const emptyRuleForm = {
+    id: null, name: '', budget_type: '', match_field: 'any', match_type: 'contains',
+    pattern: '', amount_min: '', amount_max: '', priority: 0, active: true
+  };
+
+  const handleRuleSubmit = async (e) => {
+    e.preventDefault();
+    setRuleMessage({ type: '', text: '' });
+
+    if (!ruleForm.budget_type) {
+      setRuleMessage({ type: 'error', text: 'Please select the category this rule assigns' });
+      return;
+    }
+
+    if (!ruleForm.pattern && ruleForm.amount_min === '' && ruleForm.amount_max === '') {
+      setRuleMessage({ type: 'error', text: 'Please enter a pattern, an amount range, or both' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        ruleForm.id ? `${API_URL}/rules/${ruleForm.id}` : `${API_URL}/rules`,
+        {
+          method: ruleForm.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            name: ruleForm.name || null,
+            budget_type: ruleForm.budget_type,
+            match_field: ruleForm.match_field,
+            match_type: ruleForm.match_type,
+            pattern: ruleForm.pattern || null,
+            amount_min: ruleForm.amount_min === '' ? null : parseFloat(ruleForm.amount_min),
+            amount_max: ruleForm.amount_max === '' ? null : parseFloat(ruleForm.amount_max),
+            priority: parseInt(ruleForm.priority) || 0,
+            active: ruleForm.active
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setRuleMessage({ type: 'success', text: ruleForm.id ? 'Rule updated!' : 'Rule added!' });
+        setRuleForm(emptyRuleForm);
+        fetchRules();
+      } else {
+        setRuleMessage({ type: 'error', text: data.error || 'Failed to save rule' });
+      }
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      setRuleMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleEditRule = (rule) => {
+    setRuleForm({
+      id: rule.id,
+      name: rule.name || '',
+      budget_type: rule.budget_type,
+      match_field: rule.match_field,
+      match_type: rule.match_type,
+      pattern: rule.pattern || '',
+      amount_min: rule.amount_min === null ? '' : rule.amount_min,
+      amount_max: rule.amount_max === null ? '' : rule.amount_max,
+      priority: rule.priority || 0,
+      active: rule.active
+    });
+    setRuleMessage({ type: '', text: '' });
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name || rule.pattern || rule.budget_type}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/rules/${rule.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (ruleForm.id === rule.id) {
+          setRuleForm(emptyRuleForm);
+        }
+        fetchRules();
+      } else {
+        alert(data.error || 'Failed to delete rule');
+      }
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  // Prefill the rule form from the transaction being edited
+  const handleCreateRuleFromTransaction = () => {
+    if (!editingTransaction) return;
+
+    setRuleForm({
+      ...emptyRuleForm,
+      name: editingTransaction.name || '',
+      budget_type: editingTransaction.budget_type || '',
+      match_field: editingTransaction.name ? 'name' : 'description',
+      pattern: editingTransaction.name || editingTransaction.description || ''
+    });
+    setRuleMessage({ type: 'info', text: 'Review the pattern below, then save the rule.' });
+    setEditingTransaction(null);
+    setActiveTab('rules');
+  };
+
+  const emptyMerchantForm = { id: null, name: '', aliases: '', match_type: 'contains' };
+
+  const handleMerchantSubmit = async (e) => {
+    e.preventDefault();
+    setMerchantMessage({ type: '', text: '' });
+
+    // One alias pattern per line
+    const patterns = merchantForm.aliases.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!merchantForm.name.trim() || patterns.length === 0) {
+      setMerchantMessage({ type: 'error', text: 'Please enter a name and at least one alias pattern' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        merchantForm.id ? `${API_URL}/merchants/${merchantForm.id}` : `${API_URL}/merchants`,
+        {
+          method: merchantForm.id ? 'PUT' : 'POST',
+          headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({ transactions })
+          body: JSON.stringify({
+            name: merchantForm.name,
+            aliases: patterns.map(pattern => ({ pattern, match_type: merchantForm.match_type }))
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setMerchantMessage({
+          type: 'success',
+          text: `${merchantForm.id ? 'Merchant updated' : 'Merchant added'}: ${data.data.transaction_count} matching transaction(s)`
         });
+        setMerchantForm(emptyMerchantForm);
+        fetchMerchants();
+        fetchMerchantStats();
+        fetchTransactions();
+      } else {
+        setMerchantMessage({ type: 'error', text: data.error || 'Failed to save merchant' });
+      }
+    } catch (error) {
+      console.error('Error saving merchant:', error);
+      setMerchantMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleEditMerchant = (merchant) => {
+    setMerchantForm({
+      id: merchant.id,
+      name: merchant.name,
+      aliases: merchant.aliases.map(alias => alias.pattern).join('\n'),
+      match_type: merchant.aliases.some(alias => alias.match_type === 'regex') ? 'regex' : 'contains'
+    });
+    setMerchantMessage({ type: '', text: '' });
+  };
+
+  // Prefill the merchant form from a name that has no merchant yet
+  const handleCreateMerchantFrom = (name) => {
+    setMerchantForm({ ...emptyMerchantForm, name, aliases: name });
+    setMerchantMessage({ type: 'info', text: 'Shorten the alias to the part every variant shares, then save.' });
+  };
+
+  const handleDeleteMerchant = async (merchant) => {
+    if (!window.confirm(`Delete the merchant "${merchant.name}"? Its transactions keep their original names.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/merchants/${merchant.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (merchantForm.id === merchant.id) {
+          setMerchantForm(emptyMerchantForm);
+        }
+        fetchMerchants();
+        fetchMerchantStats();
+        fetchTransactions();
+      } else {
+        alert(data.error || 'Failed to delete merchant');
+      }
+    } catch (error) {
+      console.error('Error deleting merchant:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const emptyProfileForm = {
+    id: null, name: '', delimiter: ',', skip_rows: 1, date_format: 'YYYY-MM-DD', amount_sign: 'expense_positive',
+    date_column: '1', name_column: '2', description_column: '', category_column: '',
+    amount_column: '3', debit_column: '', credit_column: '', external_id_column: ''
+  };
+
+  const PROFILE_COLUMN_FIELDS = [
+    'date_column', 'name_column', 'description_column', 'category_column',
+    'amount_column', 'debit_column', 'credit_column', 'external_id_column'
+  ];
+
+  const fetchImportProfiles = async () => {
+    const response = await apiFetch(`${API_URL}/import-profiles`);
+    const data = await response.json();
+    if (data.success) setImportProfiles(data.data);
+  };
+
+  // Parse the loaded CSV on the server with the chosen profile, without saving
+  const previewImport = async (csvText, profileId) => {
+    setImportMessage({ type: '', text: '' });
+    setImportResults(null);
+
+    try {
+      const response = await apiFetch(`${API_URL}/import/preview`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ csv: csvText, profile_id: profileId || null })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setImportPreview(data);
+        if (data.data.length === 0) {
+          setImportMessage({ type: 'error', text: 'No valid transactions found with this profile. Check the column mapping.' });
+        }
+      } else {
+        setImportPreview(null);
+        setImportMessage({ type: 'error', text: data.error || 'Failed to preview CSV file' });
+      }
+    } catch (error) {
+      console.error('Error previewing CSV:', error);
+      setImportMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  // OFX/QFX and QIF statements are parsed and imported on the server in one step
+  const importStatementFile = async (file) => {
+    setImportMessage({ type: 'info', text: `Processing ${file.name}...` });
+    setImportResults(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('on_duplicate', skipDuplicates ? 'skip' : 'import');
+      formData.append('negative_amounts', importNegativeAsIncome ? 'income' : 'skip');
+      if (importAccountId) formData.append('account_id', importAccountId);
+
+      const response = await apiFetch(`${API_URL}/transactions/import/statement`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setImportMessage({
+          type: 'success',
+          text: `Successfully imported ${data.imported} transactions from ${data.format.toUpperCase()}! ${data.categorized > 0 ? `${data.categorized} categorized by rules. ` : ''}${data.duplicates > 0 ? `${data.duplicates} likely duplicates ${skipDuplicates ? 'skipped' : 'flagged'}. ` : ''}${data.errors > 0 ? `(${data.errors} errors)` : ''}`
+        });
+        setImportResults(data.details);
+        fetchAllData();
+      } else {
+        setImportMessage({ type: 'error', text: data.error || 'Failed to import statement' });
+      }
+    } catch (error) {
+      console.error('Error importing statement:', error);
+      setImportMessage({ type: 'error', text: 'Network error. Please try again.' });
+    } finally {
+      setImportFile(null);
+    }
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setImportFile(file);
+    setImportPreview(null);
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (['ofx', 'qfx', 'qif'].includes(extension)) {
+      setImportCsvText('');
+      importStatementFile(file);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setImportCsvText(event.target.result);
+      previewImport(event.target.result, selectedProfileId);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleProfileSelect = (profileId) => {
+    setSelectedProfileId(profileId);
+    if (importCsvText) {
+      previewImport(importCsvText, profileId);
+    }
+  };
+
+  // Zero amounts are never imported; negative amounts only when kept as income
+  const isImportableRow = (tx) => tx.amount > 0 || (tx.amount < 0 && importNegativeAsIncome);
+
+  const handleConfirmImport = async () => {
+    if (!importPreview) return;
+
+    const transactions = importPreview.data
+      .filter(isImportableRow)
+      .map(({ row, ...tx }) => tx);
+
+    if (transactions.length === 0) {
+      setImportMessage({ type: 'error', text: 'No valid transactions found in CSV file' });
+      return;
+    }
+
+    setImportMessage({ type: 'info', text: `Processing ${transactions.length} transactions...` });
+
+    try {
+      const response = await apiFetch(`${API_URL}/transactions/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          transactions,
+          on_duplicate: skipDuplicates ? 'skip' : 'import',
+          negative_amounts: importNegativeAsIncome ? 'income' : 'skip',
+          account_id: importAccountId ? parseInt(importAccountId) : null
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setImportMessage({
+          type: 'success',
+          text: `Successfully imported ${data.imported} transactions! ${data.categorized > 0 ? `${data.categorized} categorized by rules. ` : ''}${data.duplicates > 0 ? `${data.duplicates} likely duplicates ${skipDuplicates ? 'skipped' : 'flagged'}. ` : ''}${data.errors > 0 ? `(${data.errors} errors)` : ''}`
+        });
+        setImportResults(data.details);
+        setImportPreview(null);
+        setImportCsvText('');
+        setImportFile(null);
+        fetchAllData();
+      } else {
+        setImportMessage({ type: 'error', text: data.error || 'Failed to import transactions' });
+      }
+    } catch (error) {
+      console.error('Error importing transactions:', error);
+      setImportMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleCancelImport = () => {
+    setImportPreview(null);
+    setImportCsvText('');
+    setImportFile(null);
+    setImportMessage({ type: '', text: '' });
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setProfileMessage({ type: '', text: '' });
+
+    // The form shows 1-based column numbers; the API stores 0-based indexes
+    const payload = {
+      name: profileForm.name,
+      delimiter: profileForm.delimiter || ',',
+      skip_rows: parseInt(profileForm.skip_rows) || 0,
+      date_format: profileForm.date_format,
+      amount_sign: profileForm.amount_sign
+    };
+    for (const field of PROFILE_COLUMN_FIELDS) {
+      payload[field] = profileForm[field] === '' ? null : parseInt(profileForm[field]) - 1;
+    }
+
+    try {
+      const response = await apiFetch(
+        profileForm.id ? `${API_URL}/import-profiles/${profileForm.id}` : `${API_URL}/import-profiles`,
+        {
+          method: profileForm.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(payload)
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setProfileMessage({ type: 'success', text: profileForm.id ? 'Profile updated!' : 'Profile saved!' });
+        setProfileForm(emptyProfileForm);
+        await fetchImportProfiles();
+        handleProfileSelect(String(data.data.id));
+      } else {
+        setProfileMessage({ type: 'error', text: data.error || 'Failed to save profile' });
+      }
+    } catch (error) {
+      console.error('Error saving import profile:', error);
+      setProfileMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleEditProfile = () => {
+    const profile = importProfiles.find(p => String(p.id) === String(selectedProfileId));
+    if (!profile) return;
+
+    const form = {
+      id: profile.id,
+      name: profile.name,
+      delimiter: profile.delimiter,
+      skip_rows: profile.skip_rows,
+      date_format: profile.date_format,
+      amount_sign: profile.amount_sign
+    };
+    for (const field of PROFILE_COLUMN_FIELDS) {
+      form[field] = profile[field] === null ? '' : String(profile[field] + 1);
+    }
+    setProfileForm(form);
+    setShowProfileForm(true);
+  };
+
+  const handleDeleteProfile = async () => {
+    const profile = importProfiles.find(p => String(p.id) === String(selectedProfileId));
+    if (!profile || !window.confirm(`Delete the import profile "${profile.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/import-profiles/${profile.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        fetchImportProfiles();
+        handleProfileSelect('');
+      } else {
+        alert(data.error || 'Failed to delete profile');
+      }
+    } catch (error) {
+      console.error('Error deleting import profile:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const emptyAccountForm = { id: null, name: '', type: 'checking', institution: '', currency: 'USD', opening_balance: '', visibility: 'shared' };
+
+  const ACCOUNT_TYPE_LABELS = {
+    checking: 'Checking',
+    savings: 'Savings',
+    credit_card: 'Credit Card',
+    cash: 'Cash',
+    other: 'Other'
+  };
+
+  const handleAccountSubmit = async (e) => {
+    e.preventDefault();
+    setAccountMessage({ type: '', text: '' });
+
+    if (!accountForm.name.trim()) {
+      setAccountMessage({ type: 'error', text: 'Please enter an account name' });
+      return;
+    }
+
+    if (accountForm.opening_balance !== '' && isNaN(parseFloat(accountForm.opening_balance))) {
+      setAccountMessage({ type: 'error', text: 'Please enter a valid opening balance' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        accountForm.id ? `${API_URL}/accounts/${accountForm.id}` : `${API_URL}/accounts`,
+        {
+          method: accountForm.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            name: accountForm.name,
+            type: accountForm.type,
+            institution: accountForm.institution || null,
+            currency: accountForm.currency || 'USD',
+            opening_balance: accountForm.opening_balance === '' ? 0 : parseFloat(accountForm.opening_balance),
+            visibility: accountForm.visibility
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setAccountMessage({ type: 'success', text: accountForm.id ? 'Account updated!' : 'Account added!' });
+        setAccountForm(emptyAccountForm);
+        fetchAccounts();
+        if (accountRegister && accountRegister.account.id === data.data.id) {
+          handleViewRegister(data.data);
+        }
+      } else {
+        setAccountMessage({ type: 'error', text: data.error || 'Failed to save account' });
+      }
+    } catch (error) {
+      console.error('Error saving account:', error);
+      setAccountMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleEditAccount = (account) => {
+    setAccountForm({
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      institution: account.institution || '',
+      currency: account.currency,
+      opening_balance: account.opening_balance,
+      visibility: account.visibility || 'shared'
+    });
+    setAccountMessage({ type: '', text: '' });
+  };
+
+  const handleDeleteAccount = async (account) => {
+    if (!window.confirm(`Delete the account "${account.name}"? Its ${account.transaction_count} transactions will be kept without an account.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/accounts/${account.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (accountForm.id === account.id) {
+          setAccountForm(emptyAccountForm);
+        }
+        if (accountRegister && accountRegister.account.id === account.id) {
+          setAccountRegister(null);
+        }
+        fetchAllData();
+      } else {
+        alert(data.error || 'Failed to delete account');
+      }
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const handleViewRegister = async (account) => {
+    try {
+      const response = await apiFetch(`${API_URL}/accounts/${account.id}/register`);
+      const data = await response.json();
+
+      if (data.success) {
+        setAccountRegister(data);
+      } else {
+        alert(data.error || 'Failed to load account register');
+      }
+    } catch (error) {
+      console.error('Error fetching account register:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  const emptyRecurringForm = {
+    id: null, name: '', budget_type: '', amount: '', kind: 'expense', account_id: '',
+    cadence: 'monthly', next_due_date: new Date().toISOString().split('T')[0], end_date: '', active: true
+  };
+
+  const CADENCE_LABELS = {
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly'
+  };
+
+  const handleRecurringSubmit = async (e) => {
+    e.preventDefault();
+    setRecurringMessage({ type: '', text: '' });
+
+    if (!recurringForm.name || !recurringForm.budget_type || !recurringForm.amount || !recurringForm.next_due_date) {
+      setRecurringMessage({ type: 'error', text: 'Please fill in all required fields (Name, Category, Amount, Next Due Date)' });
+      return;
+    }
+
+    if (isNaN(parseFloat(recurringForm.amount)) || parseFloat(recurringForm.amount) <= 0) {
+      setRecurringMessage({ type: 'error', text: 'Please enter a valid amount greater than 0' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        recurringForm.id ? `${API_URL}/recurring/${recurringForm.id}` : `${API_URL}/recurring`,
+        {
+          method: recurringForm.id ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            name: recurringForm.name,
+            budget_type: recurringForm.budget_type,
+            amount: parseFloat(recurringForm.amount),
+            kind: recurringForm.kind,
+            account_id: recurringForm.account_id ? parseInt(recurringForm.account_id) : null,
+            cadence: recurringForm.cadence,
+            next_due_date: recurringForm.next_due_date,
+            end_date: recurringForm.end_date || null,
+            active: recurringForm.active
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        const posted = data.posted > 0 ? ` ${data.posted} past-due occurrence${data.posted === 1 ? '' : 's'} posted.` : '';
+        setRecurringMessage({ type: 'success', text: `${recurringForm.id ? 'Recurring transaction updated!' : 'Recurring transaction added!'}${posted}` });
+        setRecurringForm(emptyRecurringForm);
+        fetchAllData();
+      } else {
+        setRecurringMessage({ type: 'error', text: data.error || 'Failed to save recurring transaction' });
+      }
+    } catch (error) {
+      console.error('Error saving recurring transaction:', error);
+      setRecurringMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleEditRecurring = (template) => {
+    setRecurringForm({
+      id: template.id,
+      name: template.name,
+      budget_type: template.budget_type,
+      amount: template.amount,
+      kind: template.kind,
+      account_id: template.account_id || '',
+      cadence: template.cadence,
+      next_due_date: template.next_due_date.split('T')[0],
+      end_date: template.end_date ? template.end_date.split('T')[0] : '',
+      active: template.active
+    });
+    setRecurringMessage({ type: '', text: '' });
+  };
+
+  const handleDeleteRecurring = async (template) => {
+    if (!window.confirm(`Stop "${template.name}" from recurring? Transactions already posted are kept.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/recurring/${template.id}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        if (recurringForm.id === template.id) {
+          setRecurringForm(emptyRecurringForm);
+        }
+        fetchRecurring();
+        fetchUpcoming();
+      } else {
+        alert(data.error || 'Failed to delete recurring transaction');
+      }
+    } catch (error) {
+      console.error('Error deleting recurring transaction:', error);
+      alert('Network error. Please try again.');
+    }
+  };
+
+  // Prefill the recurring form from the transaction being edited
+  const handleMakeRecurring = () => {
+    if (!editingTransaction) return;
+
+    setRecurringForm({
+      ...emptyRecurringForm,
+      name: editingTransaction.name || editingTransaction.budget_type || '',
+      budget_type: editingTransaction.budget_type || '',
+      amount: editingTransaction.amount,
+      kind: editingTransaction.kind || 'expense',
+      account_id: editingTransaction.account_id || ''
+    });
+    setRecurringMessage({ type: 'info', text: 'Pick how often this repeats and when it is next due, then save.' });
+    setEditingTransaction(null);
+    setActiveTab('recurring');
+  };
+
+  const handleRenameHousehold = async (e) => {
+    e.preventDefault();
+    setHouseholdMessage({ type: '', text: '' });
+
+    if (!householdName.trim()) {
+      setHouseholdMessage({ type: 'error', text: 'Please enter a household name' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/household`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: householdName })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setHouseholdMessage({ type: 'success', text: 'Household renamed!' });
+        fetchHousehold();
+      } else {
+        setHouseholdMessage({ type: 'error', text: data.error || 'Failed to rename household' });
+      }
+    } catch (error) {
+      console.error('Error renaming household:', error);
+      setHouseholdMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    setHouseholdMessage({ type: '', text: '' });
+
+    if (!memberForm.username.trim() || !memberForm.password) {
+      setHouseholdMessage({ type: 'error', text: 'Please enter a username and a password' });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`${API_URL}/auth/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(memberForm)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setHouseholdMessage({ type: 'success', text: `${data.data.username} can now log in with the password you set.` });
+        setMemberForm({ username: '', password: '' });
+        fetchHousehold();
+      } else {
+        setHouseholdMessage({ type: 'error', text: data.error || 'Failed to add member' });
+      }
+    } catch (error) {
+      console.error('Error adding member:', error);
+      setHouseholdMessage({ type: 'error', text: 'Network error. Please try again.' });
+    }
+  };
+
+  // Account and member pickers shared by the Chart and Trends views
+  // Download the data behind a tab with the filters it is showing
+  const handleExport = async (report, format) => {
+    const query = report === 'transactions' ? transactionQuery(filters) : new URLSearchParams(filterQuery());
+    if (report === 'category-breakdown') query.append('month', selectedMonth);
+    query.append('report', report);
+    query.append('format', format);
+
+    try {
+      await downloadExport(query);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      alert(error.message);
+    }
+  };
+
+  const renderExportButtons = (report) => (
+    <div className="export-buttons">
+      <span>Export:</span>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <button key={format} type="button" className="btn-secondary" onClick={() => handleExport(report, format)}>
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderViewFilters = () => (
+    <>
+      {accounts.length > 0 && (
+        <>
+          <label htmlFor="account-filter">Account: </label>
+          <select
+            id="account-filter"
+            value={accountFilter}
+            onChange={(e) => setAccountFilter(e.target.value)}
+            className="month-selector"
+          >
+            <option value="">All Accounts</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </>
+      )}
+      {hasHouseholdMembers && (
+        <>
+          <label htmlFor="member-filter">Member: </label>
+          <select
+            id="member-filter"
+            value={memberFilter}
+            onChange={(e) => setMemberFilter(e.target.value)}
+            className="month-selector"
+          >
+            <option value="">Everyone</option>
+            {household.members.map(member => (
+              <option key={member.id} value={member.id}>{member.username}</option>
+            ))}
+          </select>
+        </>
+      )}
+    </>
+  );
+
+  if (!authChecked) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Checking your session...</p>
+      </div>
+    );
+  }
+
+  if (!authUser) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h1>💰 Budget Tracker</h1>
+          <p className="form-hint">
+            {setupRequired
+              ? 'Create the first account to get started.'
+              : 'Log in to view your budget.'}
+          </p>
+
+          {authMessage.text && (
+            <div className={`form-message ${authMessage.type}`}>
+              {authMessage.text}
+            </div>
+          )}
+
+          <form onSubmit={handleLogin}>
+            <div className="form-group">
+              <label htmlFor="auth-username">Username</label>
+              <input
+                type="text"
+                id="auth-username"
+                name="username"
+                value={authForm.username}
+                onChange={handleAuthInputChange}
+                autoComplete="username"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="auth-password">Password</label>
+              <input
+                type="password"
+                id="auth-password"
+                name="password"
+                value={authForm.password}
+                onChange={handleAuthInputChange}
+                autoComplete={setupRequired ? 'new-password' : 'current-password'}
+                minLength={setupRequired ? 8 : undefined}
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn-primary">
+              {setupRequired ? 'Create Account' : 'Log In'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading your budget data...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="App">
+      {/* Sidebar Navigation */}
+      <aside className="sidebar">
+        <nav className="sidebar-nav">
+          <form className="sidebar-search" onSubmit={handleGlobalSearch}>
+            <input
+              type="search"
+              value={globalSearch}
+              onChange={(e) => setGlobalSearch(e.target.value)}
+              placeholder="🔍 Search transactions"
+              aria-label="Search transactions"
+            />
+          </form>
+          <button
+            className={activeTab === 'chart' ? 'active' : ''}
+            onClick={() => setActiveTab('chart')}
+          >
+            📊 Category Chart
+          </button>
+          <button
+            className={activeTab === 'transactions' ? 'active' : ''}
+            onClick={() => setActiveTab('transactions')}
+          >
+            💳 Transactions
+          </button>
+          <button
+            className={activeTab === 'trends' ? 'active' : ''}
+            onClick={() => setActiveTab('trends')}
+          >
+            📈 Trends
+          </button>
+          <button
+            className={activeTab === 'merchants' ? 'active' : ''}
+            onClick={() => setActiveTab('merchants')}
+          >
+            🏪 Merchants
+          </button>
+          <button
+            className={activeTab === 'unpaid' ? 'active' : ''}
+            onClick={() => setActiveTab('unpaid')}
+          >
+            💰 Unpaid
+          </button>
+          <button
+            className={activeTab === 'upcoming' ? 'active' : ''}
+            onClick={() => setActiveTab('upcoming')}
+          >
+            📅 Upcoming
+          </button>
+          <button
+            className={activeTab === 'accounts' ? 'active' : ''}
+            onClick={() => setActiveTab('accounts')}
+          >
+            🏦 Accounts
+          </button>
+          <button
+            className={activeTab === 'household' ? 'active' : ''}
+            onClick={() => setActiveTab('household')}
+          >
+            👥 Household
+          </button>
+          <button
+            className={activeTab === 'budgets' ? 'active' : ''}
+            onClick={() => setActiveTab('budgets')}
+          >
+            🎯 Budgets
+          </button>
+          <button
+            className={activeTab === 'categories' ? 'active' : ''}
+            onClick={() => setActiveTab('categories')}
+          >
+            🏷️ Categories
+          </button>
+          <button
+            className={activeTab === 'rules' ? 'active' : ''}
+            onClick={() => setActiveTab('rules')}
+          >
+            🧩 Rules
+          </button>
+          <button
+            className={activeTab === 'recurring' ? 'active' : ''}
+            onClick={() => setActiveTab('recurring')}
+          >
+            🔁 Recurring
+          </button>
+          <button
+            className={activeTab === 'add' ? 'active' : ''}
+            onClick={() => setActiveTab('add')}
+          >
+            ➕ Add Transaction
+          </button>
+          <button
+            className={activeTab === 'import' ? 'active' : ''}
+            onClick={() => setActiveTab('import')}
+          >
+            📂 Import
+          </button>
+        </nav>
+
+        <div className="sidebar-footer">
+          <div className="sidebar-user">
+            <span>👤 {authUser.username}</span>
+            <button className="logout-button" onClick={handleLogout}>
+              Log Out
+            </button>
+          </div>
+          <button className="dark-mode-toggle" onClick={toggleDarkMode} aria-label="Toggle dark mode">
+            {darkMode ? '☀️ Light' : '🌙 Dark'}
+          </button>
+        </div>
+      </aside>
+
+      {/* Main Content */}
+      <main className="main-content">
+
+      {/* Category Chart Tab */}
+      {activeTab === 'chart' && (
+        <div className="tab-content">
+          <h2>Spending by Category</h2>
+          <div className="chart-controls">
+            <label htmlFor="month-select">Select Month: </label>
+            <select
+              id="month-select"
+              value={selectedMonth}
+              onChange={(e) => setSelectedMonth(e.target.value)}
+              className="month-selector"
+            >
+              {availableMonths.map((month) => {
+                const [year, monthNum] = month.split('-');
+                const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+                const displayName = `${monthNames[parseInt(monthNum) - 1]} ${year}`;
+                return (
+                  <option key={month} value={month}>
+                    {displayName}
+                  </option>
+                );
+              })}
+            </select>
+            {renderViewFilters()}
+            {categoryData.length > 0 && renderExportButtons('category-breakdown')}
+          </div>
+
+          {alerts.data.length > 0 && (
+            <div className="alerts-panel">
+              <h3>
+                ⚠️ Alerts
+                {alerts.open > 0 && <span className="alerts-count">{alerts.open} new</span>}
+              </h3>
+              <ul>
+                {alerts.data.map(anomaly => (
+                  <li key={anomaly.key} className={`alert-item ${anomaly.status}`}>
+                    <span className={`alert-type ${anomaly.type}`}>{ALERT_LABELS[anomaly.type]}</span>
+                    <span className="alert-message">{anomaly.message}</span>
+                    <span className="alert-date">{formatDate(anomaly.date)}</span>
+                    <span className="alert-actions">
+                      {anomaly.status === 'open' ? (
+                        <button className="btn-secondary" onClick={() => handleAlertStatus(anomaly, 'acknowledged')}>
+                          Acknowledge
+                        </button>
+                      ) : (
+                        <button className="btn-secondary" onClick={() => handleAlertStatus(anomaly, 'open')}>
+                          Reopen
+                        </button>
+                      )}
+                      <button
+                        className="btn-icon btn-delete"
+                        onClick={() => handleAlertStatus(anomaly, 'dismissed')}
+                        title="Dismiss alert"
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {categoryData.length > 0 ? (
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={400}>
+                <PieChart>
+                  <Pie
+                    data={categoryData}
+                    cx="50%"
+                    cy="50%"
+                    labelLine={false}
+                    label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(1)}%`}
+                    outerRadius={120}
+                    fill="#8884d8"
+                    dataKey="value"
+                  >
+                    {categoryData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={getCategoryColor(entry.name, index)} />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    formatter={(value) => formatCurrency(value)}
+                    contentStyle={{ backgroundColor: '#f5f5f5', border: '1px solid #ccc' }}
+                  />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+
+              <div className="chart-summary">
+                <h3>Category Details</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Amount</th>
+                      <th>Transactions</th>
+                      <th>Percentage</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {categoryData.map((item, index) => {
+                      const total = categoryData.reduce((sum, i) => sum + i.value, 0);
+                      const percentage = ((item.value / total) * 100).toFixed(1);
+                      return (
+                        <tr key={index}>
+                          <td>
+                            <span
+                              className="color-indicator"
+                              style={{ backgroundColor: getCategoryColor(item.name, index) }}
+                            ></span>
+                            {item.name}
+                          </td>
+                          <td className="amount">{formatCurrency(item.value)}</td>
+                          <td>{item.count}</td>
+                          <td>{percentage}%</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>No data available for the selected month.</p>
+            </div>
+          )}
+
+          {/* Month-end Forecast */}
+          {forecast && forecast.month === selectedMonth && forecast.days_elapsed < forecast.days_in_month && forecast.data.length > 0 && (
+            <div className="forecast-panel">
+              <h3>Month-end Forecast</h3>
+              <p className="forecast-summary">
+                Projected <strong>{formatCurrency(forecast.totals.projected)}</strong>
+                {' '}({formatCurrency(forecast.totals.low)} – {formatCurrency(forecast.totals.high)}, {Math.round(forecast.confidence * 100)}% range)
+                {' '}· {formatCurrency(forecast.totals.actual)} spent in the first {forecast.days_elapsed} of {forecast.days_in_month} days
+                {forecast.totals.recurring_remaining > 0 && `, ${formatCurrency(forecast.totals.recurring_remaining)} in recurring charges still to come`}
+              </p>
+              <ResponsiveContainer width="100%" height={320}>
+                <BarChart
+                  data={forecast.data.map(item => ({
+                    ...item,
+                    range: [item.projected - item.low, item.high - item.projected]
+                  }))}
+                  margin={{ top: 10, right: 20, left: 10, bottom: 10 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="budget_type" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                  <Tooltip
+                    formatter={(value, name, entry) => (name === 'Projected'
+                      ? [`${formatCurrency(value)} (${formatCurrency(entry.payload.low)} – ${formatCurrency(entry.payload.high)})`, name]
+                      : [formatCurrency(value), name])}
+                    contentStyle={{ backgroundColor: '#f5f5f5', border: '1px solid #ccc' }}
+                  />
+                  <Legend />
+                  <Bar dataKey="actual" name="Spent so far" fill="#667eea" />
+                  <Bar dataKey="projected" name="Projected" fill="#f59e0b" fillOpacity={0.6}>
+                    <ErrorBar dataKey="range" width={6} strokeWidth={2} stroke="#92400e" />
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {/* Budget vs Actual */}
+          {budgetStatus.some(item => item.monthly_limit !== null) && (
+            <div className="budget-progress">
+              <h3>Budget vs Actual</h3>
+              {budgetStatus.filter(item => item.monthly_limit !== null).map((item) => {
+                const percent = item.monthly_limit > 0 ? (item.spent / item.monthly_limit) * 100 : (item.spent > 0 ? 100 : 0);
+                return (
+                  <div key={item.budget_type} className="budget-progress-row">
+                    <div className="budget-progress-label">
+                      <span className="category-name">{item.budget_type}</span>
+                      <span className={`budget-progress-amount ${item.status}`}>
+                        {formatCurrency(item.spent)} of {formatCurrency(item.monthly_limit)}
+                        {item.status === 'over'
+                          ? ` (${formatCurrency(-item.remaining)} over)`
+                          : ` (${formatCurrency(item.remaining)} left)`}
+                      </span>
+                    </div>
+                    <div className="budget-progress-track">
+                      <div
+                        className={`budget-progress-fill ${item.status === 'over' ? 'over' : percent >= 80 ? 'warning' : 'under'}`}
+                        style={{ width: `${Math.min(percent, 100)}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Monthly Transactions Detail */}
+          <div className="monthly-transactions">
+            <h3>All Transactions for {(() => {
+              const [year, monthNum] = selectedMonth.split('-');
+              const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+              return `${monthNames[parseInt(monthNum) - 1]} ${year}`;
+            })()}</h3>
+            <p className="transaction-count">Total: {monthlyTransactions.length} transactions</p>
+
+            {sortedTransactions.length > 0 ? (
+              <div className="transactions-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th onClick={() => handleSort('date')} className="sortable">
+                        Date {sortConfig.key === 'date' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                      </th>
+                      <th onClick={() => handleSort('name')} className="sortable">
+                        Name {sortConfig.key === 'name' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                      </th>
+                      <th onClick={() => handleSort('budget_type')} className="sortable">
+                        Category {sortConfig.key === 'budget_type' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                      </th>
+                      <th onClick={() => handleSort('amount')} className="sortable">
+                        Amount {sortConfig.key === 'amount' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                      </th>
+                      <th onClick={() => handleSort('payedOff')} className="sortable">
+                        Status {sortConfig.key === 'payedOff' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedTransactions.map((transaction) => (
+                      <tr key={transaction.id}>
+                        <td>{formatDate(transaction.date)}</td>
+                        <td>{transaction.name}</td>
+                        <td>
+                          <span className="badge">{transaction.budget_type}</span>
+                        </td>
+                        <td className={`amount ${transaction.kind === 'income' ? 'income-amount' : ''}`}>{formatTransactionAmount(transaction)}</td>
+                        <td>
+                          <span className={`status-badge ${transaction.payedOff ? 'paid' : 'unpaid'}`}>
+                            {transaction.payedOff ? '✓ Paid' : '✗ Unpaid'}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p>No transactions found for this month.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Transactions Tab */}
+      {activeTab === 'transactions' && (
+        <div className="tab-content">
+          <div className="filters-section">
+            <h2>Filter Transactions</h2>
+            <div className="filters">
+              <input
+                type="search"
+                name="q"
+                value={filters.q}
+                onChange={handleFilterChange}
+                onKeyDown={handleFilterKeyDown}
+                placeholder="Search name or description"
+              />
+
+              <select name="budget_type" value={filters.budget_type} onChange={handleFilterChange}>
+                <option value="">All Budget Types</option>
+                {budgetTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+
+              {accounts.length > 0 && (
+                <select name="account_id" value={filters.account_id} onChange={handleFilterChange}>
+                  <option value="">All Accounts</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              )}
+
+              {hasHouseholdMembers && (
+                <select name="member_id" value={filters.member_id} onChange={handleFilterChange}>
+                  <option value="">All Members</option>
+                  {household.members.map(member => (
+                    <option key={member.id} value={member.id}>{member.username}</option>
+                  ))}
+                </select>
+              )}
+
+              <input
+                type="date"
+                name="start_date"
+                value={filters.start_date}
+                onChange={handleFilterChange}
+                placeholder="Start Date"
+              />
+
+              <input
+                type="date"
+                name="end_date"
+                value={filters.end_date}
+                onChange={handleFilterChange}
+                placeholder="End Date"
+              />
+
+              <select name="payedOff" value={filters.payedOff} onChange={handleFilterChange}>
+                <option value="all">All Status</option>
+                <option value="paid">Paid Only</option>
+                <option value="unpaid">Unpaid Only</option>
+              </select>
+
+              <input
+                type="number"
+                name="amount_min"
+                value={filters.amount_min}
+                onChange={handleFilterChange}
+                onKeyDown={handleFilterKeyDown}
+                placeholder="Min amount"
+                step="0.01"
+                className="amount-filter"
+              />
+
+              <input
+                type="number"
+                name="amount_max"
+                value={filters.amount_max}
+                onChange={handleFilterChange}
+                onKeyDown={handleFilterKeyDown}
+                placeholder="Max amount"
+                step="0.01"
+                className="amount-filter"
+              />
+
+              <select name="sort" value={filters.sort} onChange={handleFilterChange}>
+                <option value="date:desc">Newest first</option>
+                <option value="date:asc">Oldest first</option>
+                <option value="amount:desc">Largest amount</option>
+                <option value="amount:asc">Smallest amount</option>
+                <option value="name:asc">Name A-Z</option>
+                <option value="budget_type:asc">Category A-Z</option>
+              </select>
+
+              <select name="limit" value={filters.limit} onChange={handleFilterChange}>
+                <option value="25">25 results</option>
+                <option value="50">50 results</option>
+                <option value="100">100 results</option>
+                <option value="200">200 results</option>
+              </select>
+
+              <button onClick={applyFilters} className="btn-primary">Apply Filters</button>
+              <button onClick={resetFilters} className="btn-secondary">Reset</button>
+              {renderExportButtons('transactions')}
+            </div>
+          </div>
+
+          <div className="transactions-table">
+            <h2>
+              Transactions
+              <span className="results-count">
+                {transactions.length < transactionsPage.total
+                  ? ` (showing ${transactions.length} of ${transactionsPage.total})`
+                  : ` (${transactionsPage.total})`}
+              </span>
+            </h2>
+            {selectedIds.length > 0 && (
+              <div className="bulk-actions">
+                <span className="bulk-count">{selectedIds.length} selected</span>
+                <select value={bulkCategory} onChange={(e) => setBulkCategory(e.target.value)}>
+                  <option value="">Move to category...</option>
+                  {budgetTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn-secondary"
+                  onClick={() => handleBulkUpdate({ budget_type: bulkCategory })}
+                  disabled={!bulkCategory}
+                >
+                  Recategorize
+                </button>
+                <button className="btn-secondary" onClick={() => handleBulkUpdate({ payedOff: true })}>✓ Mark Paid</button>
+                <button className="btn-secondary" onClick={() => handleBulkUpdate({ payedOff: false })}>✗ Mark Unpaid</button>
+                <button className="btn-secondary bulk-delete" onClick={handleBulkDelete}>🗑️ Delete</button>
+                <button className="btn-secondary" onClick={() => setSelectedIds([])}>Clear</button>
+              </div>
+            )}
+            <table>
+              <thead>
+                <tr>
+                  <th className="select-cell">
+                    <input
+                      type="checkbox"
+                      checked={transactions.length > 0 && selectedIds.length === transactions.length}
+                      onChange={toggleSelectAll}
+                      title="Select all"
+                    />
+                  </th>
+                  <th>Date</th>
+                  <th>Name</th>
+                  <th>Budget Type</th>
+                  <th>Account</th>
+                  {hasHouseholdMembers && <th>Member</th>}
+                  <th>Amount</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((transaction) => (
+                  <tr key={transaction.id} className={selectedIds.includes(transaction.id) ? 'selected-row' : ''}>
+                    <td className="select-cell">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(transaction.id)}
+                        onChange={() => toggleSelected(transaction.id)}
+                      />
+                    </td>
+                    <td>{formatDate(transaction.date)}</td>
+                    <td>
+                      {transaction.name}
+                      {transaction.merchant_name && transaction.merchant_name !== transaction.name && (
+                        <span className="merchant-tag" title="Merchant">{transaction.merchant_name}</span>
+                      )}
+                      {transaction.visibility === 'private' && (
+                        <span className="private-badge" title="Private: only the owner can see this">🔒</span>
+                      )}
+                    </td>
+                    <td>
+                      {isInlineEditing(transaction, 'budget_type') ? (
+                        <select
+                          className="inline-edit"
+                          value={inlineEdit.value}
+                          onChange={(e) => setInlineEdit({ ...inlineEdit, value: e.target.value })}
+                          onBlur={saveInlineEdit}
+                          onKeyDown={handleInlineKeyDown}
+                          autoFocus
+                        >
+                          {!budgetTypes.includes(inlineEdit.value) && (
+                            <option value={inlineEdit.value}>{inlineEdit.value}</option>
+                          )}
+                          {budgetTypes.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span
+                          className="badge inline-editable"
+                          onClick={() => startInlineEdit(transaction, 'budget_type')}
+                          title="Click to change the category"
+                        >
+                          {transaction.budget_type}
+                        </span>
+                      )}
+                      {transaction.split_count > 0 && (
+                        <span className="badge split-badge" title={`Split across ${transaction.split_count} categories`}>
+                          Split ({transaction.split_count})
+                        </span>
+                      )}
+                    </td>
+                    <td>{getAccountName(transaction.account_id)}</td>
+                    {hasHouseholdMembers && <td>{getMemberName(transaction.owner_id)}</td>}
+                    {isInlineEditing(transaction, 'amount') ? (
+                      <td className="amount">
+                        <input
+                          className="inline-edit"
+                          type="number"
+                          step="0.01"
+                          min="0.01"
+                          value={inlineEdit.value}
+                          onChange={(e) => setInlineEdit({ ...inlineEdit, value: e.target.value })}
+                          onBlur={saveInlineEdit}
+                          onKeyDown={handleInlineKeyDown}
+                          autoFocus
+                        />
+                      </td>
+                    ) : (
+                      <td
+                        className={`amount inline-editable ${transaction.kind === 'income' ? 'income-amount' : ''}`}
+                        onClick={() => startInlineEdit(transaction, 'amount')}
+                        title="Click to change the amount"
+                      >
+                        {formatTransactionAmount(transaction)}
+                      </td>
+                    )}
+                    <td>
+                      <span className={`status-badge ${transaction.payedOff ? 'paid' : 'unpaid'}`}>
+                        {transaction.payedOff ? '✓ Paid' : '✗ Unpaid'}
+                      </span>
+                    </td>
+                    <td className="actions-cell">
+                      <button
+                        className="btn-icon btn-edit"
+                        onClick={() => handleEdit(transaction)}
+                        title="Edit transaction"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        className="btn-icon btn-delete"
+                        onClick={() => handleDelete(transaction)}
+                        title="Delete transaction"
+                      >
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {transactionsPage.nextCursor && (
+              <div className="load-more" ref={loadMoreRef}>
+                <button className="btn-secondary" onClick={loadMoreTransactions} disabled={transactionsPage.loadingMore}>
+                  {transactionsPage.loadingMore ? 'Loading...' : `Load more (${transactionsPage.total - transactions.length} left)`}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Trends Tab */}
+      {activeTab === 'trends' && (
+        <div className="tab-content">
+          <h2>Monthly Spending Trends</h2>
+          <div className="chart-controls">
+            {renderViewFilters()}
+            {renderExportButtons('monthly')}
+          </div>
+          <div className="trends-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  <th>Total Spending</th>
+                  <th>Income</th>
+                  <th>Net Savings</th>
+                  <th>Savings Rate</th>
+                  <th>Transactions</th>
+                  <th>Avg per Transaction</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trends.map((trend, index) => (
+                  <tr key={index}>
+                    <td>{formatDate(trend.month)}</td>
+                    <td className="amount">{formatCurrency(trend.total_spending)}</td>
+                    <td className="amount">{formatCurrency(trend.total_income)}</td>
+                    <td className={`amount ${trend.net_savings < 0 ? 'negative-balance' : 'positive-balance'}`}>
+                      {formatCurrency(trend.net_savings)}
+                    </td>
+                    <td>{trend.savings_rate === null ? '—' : `${trend.savings_rate}%`}</td>
+                    <td>{trend.transaction_count}</td>
+                    <td>{formatCurrency(trend.avg_transaction)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Merchants Tab */}
+      {activeTab === 'merchants' && (
+        <div className="tab-content">
+          <h2>Top Merchants</h2>
+          <div className="chart-controls">
+            <label htmlFor="merchant-months">Period: </label>
+            <select
+              id="merchant-months"
+              value={merchantView.months}
+              onChange={(e) => setMerchantView({ ...merchantView, months: parseInt(e.target.value) })}
+              className="month-selector"
+            >
+              <option value={1}>This month</option>
+              <option value={3}>Last 3 months</option>
+              <option value={6}>Last 6 months</option>
+              <option value={12}>Last 12 months</option>
+            </select>
+            <label htmlFor="merchant-sort">Rank by: </label>
+            <select
+              id="merchant-sort"
+              value={merchantView.sort}
+              onChange={(e) => setMerchantView({ ...merchantView, sort: e.target.value })}
+              className="month-selector"
+            >
+              <option value="spend">Spend</option>
+              <option value="frequency">Number of charges</option>
+            </select>
+            {renderViewFilters()}
+          </div>
+
+          {merchantStats.data.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Merchant</th>
+                    <th>Spend</th>
+                    <th>Charges</th>
+                    <th>Average</th>
+                    <th>Last Charge</th>
+                    <th>Trend</th>
+                    <th>By Month</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merchantStats.data.map((item) => {
+                    const peak = Math.max(...item.monthly.map(month => month.total_amount), 0);
+                    return (
+                      <tr key={item.merchant_id ? `id-${item.merchant_id}` : `name-${item.merchant}`}>
+                        <td>
+                          {item.merchant}
+                          {!item.merchant_id && <span className="merchant-unmatched" title="No merchant alias matches this name yet">raw</span>}
+                        </td>
+                        <td className="amount">{formatCurrency(item.total_amount)}</td>
+                        <td>{item.transaction_count}</td>
+                        <td>{formatCurrency(item.avg_amount)}</td>
+                        <td>{formatDate(item.last_date)}</td>
+                        <td className={`merchant-trend ${item.trend}`}>
+                          {item.trend === 'new'
+                            ? 'New'
+                            : `${{ up: '▲', down: '▼', flat: '▬' }[item.trend]} ${item.change_percent > 0 ? '+' : ''}${item.change_percent}%`}
+                        </td>
+                        <td>
+                          <div className="merchant-sparkline">
+                            {item.monthly.map(month => (
+                              <span
+                                key={month.month}
+                                style={{ height: `${peak > 0 ? Math.max((month.total_amount / peak) * 100, 4) : 4}%` }}
+                                title={`${formatDate(month.month)}: ${formatCurrency(month.total_amount)}`}
+                              ></span>
+                            ))}
+                          </div>
+                        </td>
+                        <td className="actions-cell">
+                          {!item.merchant_id && (
+                            <button
+                              className="btn-icon btn-edit"
+                              onClick={() => handleCreateMerchantFrom(item.merchant)}
+                              title="Create a merchant from this name"
+                            >
+                              ➕
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {merchantStats.totals && (
+                <p className="transaction-count">
+                  {merchantStats.totals.merchant_count} merchant(s), {merchantStats.totals.transaction_count} charge(s), {formatCurrency(merchantStats.totals.total_amount)} in total
+                </p>
+              )}
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>No spending in this period.</p>
+            </div>
+          )}
+
+          <h3>Manage Merchants</h3>
+          <div className="add-transaction-form">
+            <form onSubmit={handleMerchantSubmit}>
+              {merchantMessage.text && (
+                <div className={`form-message ${merchantMessage.type}`}>
+                  {merchantMessage.text}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="merchant-name">Merchant Name <span className="required">*</span></label>
+                <input
+                  type="text"
+                  id="merchant-name"
+                  value={merchantForm.name}
+                  onChange={(e) => setMerchantForm({ ...merchantForm, name: e.target.value })}
+                  placeholder="e.g., Blue Bottle"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="merchant-match_type">Match Type</label>
+                <select
+                  id="merchant-match_type"
+                  value={merchantForm.match_type}
+                  onChange={(e) => setMerchantForm({ ...merchantForm, match_type: e.target.value })}
+                >
+                  <option value="contains">Contains</option>
+                  <option value="regex">Regular Expression</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="merchant-aliases">Alias Patterns <span className="required">*</span></label>
+                <textarea
+                  id="merchant-aliases"
+                  value={merchantForm.aliases}
+                  onChange={(e) => setMerchantForm({ ...merchantForm, aliases: e.target.value })}
+                  placeholder={merchantForm.match_type === 'regex' ? 'e.g., ^SQ \\*BLUE BOTTLE' : 'e.g., blue bottle'}
+                  rows={3}
+                />
+                <p className="form-hint">One pattern per line, tested against the name and description (case-insensitive). Imported and edited transactions that match are assigned to this merchant.</p>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {merchantForm.id ? 'Update Merchant' : 'Add Merchant'}
+                </button>
+                {(merchantForm.id || merchantForm.name) && (
+                  <button type="button" className="btn-secondary" onClick={() => setMerchantForm(emptyMerchantForm)}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {merchants.length > 0 && (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Merchant</th>
+                    <th>Aliases</th>
+                    <th>Transactions</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merchants.map((merchant) => (
+                    <tr key={merchant.id}>
+                      <td>{merchant.name}</td>
+                      <td>
+                        {merchant.aliases.map(alias => (
+                          <span key={alias.id} className="badge" title={alias.match_type === 'regex' ? 'Regular expression' : 'Contains'}>
+                            {alias.match_type === 'regex' ? `/${alias.pattern}/` : alias.pattern}
+                          </span>
+                        ))}
+                      </td>
+                      <td>{merchant.transaction_count}</td>
+                      <td className="actions-cell">
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => handleEditMerchant(merchant)}
+                          title="Edit merchant"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="btn-icon btn-delete"
+                          onClick={() => handleDeleteMerchant(merchant)}
+                          title="Delete merchant"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Unpaid Tab */}
+      {activeTab === 'unpaid' && (
+        <div className="tab-content">
+          <h2>Unpaid Transactions</h2>
+          <p className="unpaid-summary">
+            Total Unpaid: <strong>{unpaid.totals.transaction_count}</strong> transactions -
+            <strong className="amount-highlight"> {formatCurrency(unpaid.totals.total_amount)}</strong>
+            {unpaid.totals.transaction_count > 0 && (
+              <button
+                className="btn-mark-paid"
+                onClick={() => startPayment(
+                  'all unpaid transactions',
+                  unpaid.categories.flatMap(group => group.transactions)
+                )}
+                title="Record one payment that settles every unpaid transaction"
+              >
+                💳 Pay All
+              </button>
+            )}
+          </p>
+
+          {hasHouseholdMembers && settleUp && (
+            <div className="settle-up">
+              <h3>Settle Up</h3>
+              <p className="form-hint">
+                Unpaid shared expenses ({settleUp.transaction_count}, {formatCurrency(settleUp.total)}) split evenly across the household.
+                Private transactions are not included.
+              </p>
+              <div className="settle-up-members">
+                {settleUp.members.map(member => (
+                  <div key={member.user_id} className="settle-up-member">
+                    <strong>{member.username}</strong>
+                    <span>Paid {formatCurrency(member.paid)} · Share {formatCurrency(member.share)}</span>
+                    <span className={member.balance < 0 ? 'negative-balance' : 'income-amount'}>
+                      {member.balance < 0 ? 'Owes ' : 'Is owed '}{formatCurrency(Math.abs(member.balance))}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              {settleUp.transfers.length > 0 ? (
+                <ul className="settle-up-transfers">
+                  {settleUp.transfers.map(transfer => (
+                    <li key={`${transfer.from_user_id}-${transfer.to_user_id}`}>
+                      <strong>{transfer.from_username}</strong> pays <strong>{transfer.to_username}</strong>{' '}
+                      <span className="amount-highlight">{formatCurrency(transfer.amount)}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="settle-up-square">✓ Everyone is square.</p>
+              )}
+            </div>
+          )}
+
+          {unpaid.categories.length > 0 ? (
+            <div className="unpaid-by-category">
+              {unpaid.categories.map((group) => {
+                const category = group.budget_type || 'Uncategorized';
+
+                return (
+                  <div key={category} className="category-group">
+                    <div className="category-header-row">
+                      <h3 className="category-header">
+                        <span className="category-name">{category}</span>
+                        <span className="category-count">({group.transaction_count} transactions)</span>
+                      </h3>
+                      <button
+                        className="btn-mark-paid"
+                        onClick={() => startPayment(`"${category}"`, group.transactions)}
+                        title="Record a payment that settles this category"
+                      >
+                        💳 Record Payment
+                      </button>
+                    </div>
+
+                    <table className="unpaid-table">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Name</th>
+                          {hasHouseholdMembers && <th>Paid By</th>}
+                          <th>Amount</th>
+                          <th>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {group.transactions.map((transaction) => (
+                          <tr key={transaction.id}>
+                            <td>{formatDate(transaction.date)}</td>
+                            <td>{transaction.name}</td>
+                            {hasHouseholdMembers && <td>{getMemberName(transaction.owner_id)}</td>}
+                            <td className="amount">
+                              {formatCurrency(transaction.category_amount)}
+                              {transaction.category_amount !== transaction.amount && (
+                                <span className="split-share" title="This category's share of a split transaction">
+                                  {' '}of {formatCurrency(transaction.amount)}
+                                </span>
+                              )}
+                            </td>
+                            <td className="actions-cell">
+                              <button
+                                className="btn-icon btn-edit"
+                                onClick={() => handleEdit(transaction)}
+                                title="Edit transaction"
+                              >
+                                ✏️
+                              </button>
+                              <button
+                                className="btn-icon btn-delete"
+                                onClick={() => handleDelete(transaction)}
+                                title="Delete transaction"
+                              >
+                                🗑️
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                        <tr className="category-total-row">
+                          <td colSpan={hasHouseholdMembers ? 4 : 3} className="total-label">
+                            <strong>{category} Total:</strong>
+                          </td>
+                          <td className="amount total-amount">
+                            <strong>{formatCurrency(group.total_amount)}</strong>
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>🎉 No unpaid transactions! All caught up!</p>
+            </div>
+          )}
+
+          {payments.length > 0 && (
+            <div className="payment-history">
+              <h3>Payment History</h3>
+              <table className="unpaid-table">
+                <thead>
+                  <tr>
+                    <th>Paid On</th>
+                    <th>Account</th>
+                    <th>Note</th>
+                    <th>Transactions</th>
+                    <th>Amount</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payments.map((payment) => (
+                    <tr key={payment.id}>
+                      <td>{formatDate(payment.paid_on)}</td>
+                      <td>{payment.account_id ? getAccountName(payment.account_id) : '—'}</td>
+                      <td>{payment.note || '—'}</td>
+                      <td>{payment.transaction_count}</td>
+                      <td className="amount">{formatCurrency(payment.amount)}</td>
+                      <td className="actions-cell">
+                        <button
+                          className="btn-icon btn-delete"
+                          onClick={() => handleDeletePayment(payment)}
+                          title="Undo payment and mark its transactions unpaid"
+                        >
+                          ↩️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Upcoming Tab */}
+      {activeTab === 'upcoming' && (
+        <div className="tab-content">
+          <h2>Upcoming (Next 30 Days)</h2>
+          <p className="unpaid-summary">
+            Expected charges: <strong>{upcoming.data.filter(item => item.kind === 'expense').length}</strong> -
+            <strong className="amount-highlight"> {formatCurrency(upcoming.totals.expenses)}</strong>
+            {upcoming.totals.income > 0 && (
+              <> · Expected income: <strong className="income-amount">{formatCurrency(upcoming.totals.income)}</strong></>
+            )}
+          </p>
+
+          {upcoming.data.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Due Date</th>
+                    <th>Name</th>
+                    <th>Category</th>
+                    <th>Account</th>
+                    <th>Repeats</th>
+                    <th>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {upcoming.data.map((item) => (
+                    <tr key={`${item.recurring_id}-${item.date}`}>
+                      <td>{formatDate(`${item.date}T00:00:00`)}</td>
+                      <td>{item.name}</td>
+                      <td>
+                        <span className="badge">{item.budget_type}</span>
+                      </td>
+                      <td>{getAccountName(item.account_id)}</td>
+                      <td>{CADENCE_LABELS[item.cadence] || item.cadence}</td>
+                      <td className={`amount ${item.kind === 'income' ? 'income-amount' : ''}`}>{formatTransactionAmount(item)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>Nothing due in the next 30 days. Set up rent, bills and subscriptions in the Recurring tab.</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Recurring Tab */}
+      {activeTab === 'recurring' && (
+        <div className="tab-content">
+          <h2>Recurring Transactions</h2>
+          <div className="add-transaction-form">
+            <form onSubmit={handleRecurringSubmit}>
+              {recurringMessage.text && (
+                <div className={`form-message ${recurringMessage.type}`}>
+                  {recurringMessage.text}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="recurring-name">Name <span className="required">*</span></label>
+                <input
+                  type="text"
+                  id="recurring-name"
+                  value={recurringForm.name}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, name: e.target.value })}
+                  placeholder="e.g., Rent, Electric Bill, Netflix"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-kind">Type</label>
+                <select
+                  id="recurring-kind"
+                  value={recurringForm.kind}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, kind: e.target.value })}
+                >
+                  <option value="expense">Expense</option>
+                  <option value="income">Income</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-category">Category <span className="required">*</span></label>
+                <select
+                  id="recurring-category"
+                  value={recurringForm.budget_type}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, budget_type: e.target.value })}
+                  required
+                >
+                  <option value="">Select a category</option>
+                  {budgetTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-amount">Amount <span className="required">*</span></label>
+                <input
+                  type="number"
+                  id="recurring-amount"
+                  value={recurringForm.amount}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, amount: e.target.value })}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-account">Account</label>
+                <select
+                  id="recurring-account"
+                  value={recurringForm.account_id}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, account_id: e.target.value })}
+                >
+                  <option value="">No account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-cadence">Repeats</label>
+                <select
+                  id="recurring-cadence"
+                  value={recurringForm.cadence}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, cadence: e.target.value })}
+                >
+                  {Object.entries(CADENCE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-next">Next Due Date <span className="required">*</span></label>
+                <input
+                  type="date"
+                  id="recurring-next"
+                  value={recurringForm.next_due_date}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, next_due_date: e.target.value })}
+                  required
+                />
+                <p className="form-hint">Occurrences are posted automatically on their due date. A past date posts the missed occurrences when saved.</p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="recurring-end">End Date</label>
+                <input
+                  type="date"
+                  id="recurring-end"
+                  value={recurringForm.end_date}
+                  onChange={(e) => setRecurringForm({ ...recurringForm, end_date: e.target.value })}
+                />
+              </div>
+
+              <div className="form-group checkbox-group">
+                <label htmlFor="recurring-active" className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    id="recurring-active"
+                    checked={recurringForm.active}
+                    onChange={(e) => setRecurringForm({ ...recurringForm, active: e.target.checked })}
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {recurringForm.id ? 'Update Recurring' : 'Add Recurring'}
+                </button>
+                {recurringForm.id && (
+                  <button type="button" className="btn-secondary" onClick={() => setRecurringForm(emptyRecurringForm)}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {recurring.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Category</th>
+                    <th>Amount</th>
+                    <th>Repeats</th>
+                    <th>Next Due</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recurring.map((template) => (
+                    <tr key={template.id} className={template.active ? '' : 'archived-row'}>
+                      <td>{template.name}</td>
+                      <td>
+                        <span className="badge">{template.budget_type}</span>
+                      </td>
+                      <td className={`amount ${template.kind === 'income' ? 'income-amount' : ''}`}>{formatTransactionAmount(template)}</td>
+                      <td>{CADENCE_LABELS[template.cadence] || template.cadence}</td>
+                      <td>
+                        {formatDate(`${template.next_due_date.split('T')[0]}T00:00:00`)}
+                        {template.end_date && ` (until ${formatDate(`${template.end_date.split('T')[0]}T00:00:00`)})`}
+                      </td>
+                      <td className="actions-cell">
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => handleEditRecurring(template)}
+                          title="Edit recurring transaction"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="btn-icon btn-delete"
+                          onClick={() => handleDeleteRecurring(template)}
+                          title="Delete recurring transaction"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>No recurring transactions yet. Add rent, utilities or subscriptions above.</p>
+            </div>
+          )}
+        </div>
+      )}
 
-        const data = await response.json();
+      {/* Accounts Tab */}
+      {activeTab === 'accounts' && (
+        <div className="tab-content">
+          <h2>Accounts</h2>
+          <div className="add-transaction-form">
+            <form onSubmit={handleAccountSubmit}>
+              {accountMessage.text && (
+                <div className={`form-message ${accountMessage.type}`}>
+                  {accountMessage.text}
+                </div>
+              )}
 
-        if (data.success) {
-          setImportMessage({
-            type: 'success',
-            text: `Successfully imported ${data.imported} transactions! ${data.errors > 0 ? `(${data.errors} errors)` : ''}`
-          });
-          setImportResults(data.details);
-          fetchAllData();
-
-          // Clear file input
-          e.target.value = '';
-          setImportFile(null);
-        } else {
-          setImportMessage({ type: 'error', text: data.error || 'Failed to import transactions' });
-        }
-      } catch (error) {
-        console.error('Error parsing CSV:', error);
-        setImportMessage({ type: 'error', text: 'Error parsing CSV file. Please check the format.' });
-      }
-    };
+              <div className="form-group">
+                <label htmlFor="account-name">Name <span className="required">*</span></label>
+                <input
+                  type="text"
+                  id="account-name"
+                  value={accountForm.name}
+                  onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+                  placeholder="e.g., Everyday Checking, Visa"
+                  required
+                />
+              </div>
 
-    reader.readAsText(file);
-  };
+              <div className="form-group">
+                <label htmlFor="account-type">Type</label>
+                <select
+                  id="account-type"
+                  value={accountForm.type}
+                  onChange={(e) => setAccountForm({ ...accountForm, type: e.target.value })}
+                >
+                  {Object.entries(ACCOUNT_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
 
-  if (loading) {
-    return (
-      <div className="loading-container">
-        <div className="spinner"></div>
-        <p>Loading your budget data...</p>
-      </div>
-    );
-  }
+              <div className="form-group">
+                <label htmlFor="account-institution">Institution</label>
+                <input
+                  type="text"
+                  id="account-institution"
+                  value={accountForm.institution}
+                  onChange={(e) => setAccountForm({ ...accountForm, institution: e.target.value })}
+                  placeholder="e.g., Chase"
+                />
+              </div>
 
-  return (
-    <div className="App">
-      {/* Sidebar Navigation */}
-      <aside className="sidebar">
-        <nav className="sidebar-nav">
-          <button
-            className={activeTab === 'chart' ? 'active' : ''}
-            onClick={() => setActiveTab('chart')}
-          >
-            📊 Category Chart
-          </button>
-          <button
-            className={activeTab === 'transactions' ? 'active' : ''}
-            onClick={() => setActiveTab('transactions')}
-          >
-            💳 Transactions
-          </button>
-          <button
-            className={activeTab === 'trends' ? 'active' : ''}
-            onClick={() => setActiveTab('trends')}
-          >
-            📈 Trends
-          </button>
-          <button
-            className={activeTab === 'unpaid' ? 'active' : ''}
-            onClick={() => setActiveTab('unpaid')}
-          >
-            💰 Unpaid
-          </button>
-          <button
-            className={activeTab === 'add' ? 'active' : ''}
-            onClick={() => setActiveTab('add')}
-          >
-            ➕ Add Transaction
-          </button>
-          <button
-            className={activeTab === 'import' ? 'active' : ''}
-            onClick={() => setActiveTab('import')}
-          >
-            📂 Import CSV
-          </button>
-        </nav>
+              <div className="form-group">
+                <label htmlFor="account-currency">Currency</label>
+                <input
+                  type="text"
+                  id="account-currency"
+                  value={accountForm.currency}
+                  maxLength="3"
+                  onChange={(e) => setAccountForm({ ...accountForm, currency: e.target.value.toUpperCase() })}
+                  placeholder="USD"
+                />
+              </div>
 
-        <button className="dark-mode-toggle" onClick={toggleDarkMode} aria-label="Toggle dark mode">
-          {darkMode ? '☀️ Light' : '🌙 Dark'}
-        </button>
-      </aside>
+              <div className="form-group">
+                <label htmlFor="account-opening">Opening Balance</label>
+                <input
+                  type="number"
+                  id="account-opening"
+                  value={accountForm.opening_balance}
+                  onChange={(e) => setAccountForm({ ...accountForm, opening_balance: e.target.value })}
+                  placeholder="0.00"
+                  step="0.01"
+                />
+                <p className="form-hint">Use a negative balance for money owed on a credit card</p>
+              </div>
 
-      {/* Main Content */}
-      <main className="main-content">
+              <div className="form-group">
+                <label htmlFor="account-visibility">Visibility</label>
+                <select
+                  id="account-visibility"
+                  value={accountForm.visibility}
+                  onChange={(e) => setAccountForm({ ...accountForm, visibility: e.target.value })}
+                >
+                  <option value="shared">Shared with household</option>
+                  <option value="private">Private</option>
+                </select>
+                <p className="form-hint">Private accounts are hidden from other members; new transactions in them default to private</p>
+              </div>
 
-      {/* Category Chart Tab */}
-      {activeTab === 'chart' && (
-        <div className="tab-content">
-          <h2>Spending by Category</h2>
-          <div className="chart-controls">
-            <label htmlFor="month-select">Select Month: </label>
-            <select
-              id="month-select"
-              value={selectedMonth}
-              onChange={(e) => setSelectedMonth(e.target.value)}
-              className="month-selector"
-            >
-              {availableMonths.map((month) => {
-                const [year, monthNum] = month.split('-');
-                const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-                const displayName = `${monthNames[parseInt(monthNum) - 1]} ${year}`;
-                return (
-                  <option key={month} value={month}>
-                    {displayName}
-                  </option>
-                );
-              })}
-            </select>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {accountForm.id ? 'Update Account' : 'Add Account'}
+                </button>
+                {accountForm.id && (
+                  <button type="button" className="btn-secondary" onClick={() => setAccountForm(emptyAccountForm)}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
           </div>
 
-          {categoryData.length > 0 ? (
-            <div className="chart-container">
-              <ResponsiveContainer width="100%" height={400}>
-                <PieChart>
-                  <Pie
-                    data={categoryData}
-                    cx="50%"
-                    cy="50%"
-                    labelLine={false}
-                    label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(1)}%`}
-                    outerRadius={120}
-                    fill="#8884d8"
-                    dataKey="value"
-                  >
-                    {categoryData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                    ))}
-                  </Pie>
-                  <Tooltip
-                    formatter={(value) => formatCurrency(value)}
-                    contentStyle={{ backgroundColor: '#f5f5f5', border: '1px solid #ccc' }}
-                  />
-                  <Legend />
-                </PieChart>
-              </ResponsiveContainer>
-
-              <div className="chart-summary">
-                <h3>Category Details</h3>
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Category</th>
-                      <th>Amount</th>
-                      <th>Transactions</th>
-                      <th>Percentage</th>
+          {accounts.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Type</th>
+                    <th>Institution</th>
+                    <th>Opening Balance</th>
+                    <th>Current Balance</th>
+                    <th>Transactions</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {accounts.map((account) => (
+                    <tr key={account.id}>
+                      <td>
+                        {account.name}
+                        {account.visibility === 'private' && (
+                          <span className="private-badge" title="Private: only you can see this account">🔒</span>
+                        )}
+                      </td>
+                      <td>
+                        <span className="badge">{ACCOUNT_TYPE_LABELS[account.type] || account.type}</span>
+                      </td>
+                      <td>{account.institution}</td>
+                      <td className="amount">{formatCurrency(account.opening_balance, account.currency)}</td>
+                      <td className={`amount ${account.current_balance < 0 ? 'negative-balance' : ''}`}>
+                        {formatCurrency(account.current_balance, account.currency)}
+                      </td>
+                      <td>{account.transaction_count}</td>
+                      <td className="actions-cell">
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => handleViewRegister(account)}
+                          title="View register"
+                        >
+                          📒
+                        </button>
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => handleEditAccount(account)}
+                          title="Edit account"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="btn-icon btn-delete"
+                          onClick={() => handleDeleteAccount(account)}
+                          title="Delete account"
+                        >
+                          🗑️
+                        </button>
+                      </td>
                     </tr>
-                  </thead>
-                  <tbody>
-                    {categoryData.map((item, index) => {
-                      const total = categoryData.reduce((sum, i) => sum + i.value, 0);
-                      const percentage = ((item.value / total) * 100).toFixed(1);
-                      return (
-                        <tr key={index}>
-                          <td>
-                            <span
-                              className="color-indicator"
-                              style={{ backgroundColor: COLORS[index % COLORS.length] }}
-                            ></span>
-                            {item.name}
-                          </td>
-                          <td className="amount">{formatCurrency(item.value)}</td>
-                          <td>{item.count}</td>
-                          <td>{percentage}%</td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
-              </div>
+                  ))}
+                </tbody>
+              </table>
             </div>
           ) : (
             <div className="no-data">
-              <p>No data available for the selected month.</p>
+              <p>No accounts yet. Add a checking account, credit card or cash wallet above.</p>
             </div>
           )}
 
-          {/* Monthly Transactions Detail */}
-          <div className="monthly-transactions">
-            <h3>All Transactions for {(() => {
-              const [year, monthNum] = selectedMonth.split('-');
-              const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-              return `${monthNames[parseInt(monthNum) - 1]} ${year}`;
-            })()}</h3>
-            <p className="transaction-count">Total: {monthlyTransactions.length} transactions</p>
-
-            {sortedTransactions.length > 0 ? (
-              <div className="transactions-table">
-                <table>
-                  <thead>
-                    <tr>
-                      <th onClick={() => handleSort('date')} className="sortable">
-                        Date {sortConfig.key === 'date' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                      </th>
-                      <th onClick={() => handleSort('name')} className="sortable">
-                        Name {sortConfig.key === 'name' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                      </th>
-                      <th onClick={() => handleSort('budget_type')} className="sortable">
-                        Category {sortConfig.key === 'budget_type' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                      </th>
-                      <th onClick={() => handleSort('amount')} className="sortable">
-                        Amount {sortConfig.key === 'amount' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                      </th>
-                      <th onClick={() => handleSort('payedOff')} className="sortable">
-                        Status {sortConfig.key === 'payedOff' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {sortedTransactions.map((transaction) => (
-                      <tr key={transaction.id}>
-                        <td>{formatDate(transaction.date)}</td>
-                        <td>{transaction.name}</td>
-                        <td>
-                          <span className="badge">{transaction.budget_type}</span>
-                        </td>
-                        <td className="amount">{formatCurrency(transaction.amount)}</td>
-                        <td>
-                          <span className={`status-badge ${transaction.payedOff || transaction.payedOff === 1 ? 'paid' : 'unpaid'}`}>
-                            {transaction.payedOff || transaction.payedOff === 1 ? '✓ Paid' : '✗ Unpaid'}
-                          </span>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            ) : (
-              <p>No transactions found for this month.</p>
-            )}
-          </div>
+          {accountRegister && (
+            <div className="transactions-table account-register">
+              <h2>
+                {accountRegister.account.name} Register
+                <button type="button" className="btn-secondary" onClick={() => setAccountRegister(null)}>
+                  Close
+                </button>
+              </h2>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Name</th>
+                    <th>Category</th>
+                    <th>Amount</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="category-total-row">
+                    <td colSpan="4" className="total-label">Opening Balance</td>
+                    <td className="amount">{formatCurrency(accountRegister.opening_balance, accountRegister.account.currency)}</td>
+                  </tr>
+                  {accountRegister.data.map((transaction) => (
+                    <tr key={transaction.id}>
+                      <td>{formatDate(transaction.date)}</td>
+                      <td>{transaction.name}</td>
+                      <td>
+                        <span className="badge">{transaction.budget_type}</span>
+                      </td>
+                      <td className="amount">
+                        {formatCurrency(transaction.kind === 'income' ? transaction.amount : -transaction.amount, accountRegister.account.currency)}
+                      </td>
+                      <td className={`amount ${transaction.running_balance < 0 ? 'negative-balance' : ''}`}>
+                        {formatCurrency(transaction.running_balance, accountRegister.account.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
 
-      {/* Transactions Tab */}
-      {activeTab === 'transactions' && (
+      {/* Household Tab */}
+      {activeTab === 'household' && (
         <div className="tab-content">
-          <div className="filters-section">
-            <h2>Filter Transactions</h2>
-            <div className="filters">
-              <select name="budget_type" value={filters.budget_type} onChange={handleFilterChange}>
-                <option value="">All Budget Types</option>
-                {budgetTypes.map(type => (
-                  <option key={type} value={type}>{type}</option>
-                ))}
-              </select>
-
-              <input
-                type="date"
-                name="start_date"
-                value={filters.start_date}
-                onChange={handleFilterChange}
-                placeholder="Start Date"
-              />
-
-              <input
-                type="date"
-                name="end_date"
-                value={filters.end_date}
-                onChange={handleFilterChange}
-                placeholder="End Date"
-              />
-
-              <select name="payedOff" value={filters.payedOff} onChange={handleFilterChange}>
-                <option value="all">All Status</option>
-                <option value="paid">Paid Only</option>
-                <option value="unpaid">Unpaid Only</option>
-              </select>
+          <h2>Household</h2>
+          <div className="add-transaction-form">
+            {householdMessage.text && (
+              <div className={`form-message ${householdMessage.type}`}>
+                {householdMessage.text}
+              </div>
+            )}
 
-              <select name="limit" value={filters.limit} onChange={handleFilterChange}>
-                <option value="25">25 results</option>
-                <option value="50">50 results</option>
-                <option value="100">100 results</option>
-                <option value="200">200 results</option>
-              </select>
+            <form onSubmit={handleRenameHousehold}>
+              <div className="form-group">
+                <label htmlFor="household-name">Household Name</label>
+                <input
+                  type="text"
+                  id="household-name"
+                  value={householdName}
+                  onChange={(e) => setHouseholdName(e.target.value)}
+                />
+              </div>
 
-              <button onClick={applyFilters} className="btn-primary">Apply Filters</button>
-              <button onClick={resetFilters} className="btn-secondary">Reset</button>
-            </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">Rename</button>
+              </div>
+            </form>
           </div>
 
           <div className="transactions-table">
-            <h2>Recent Transactions ({transactions.length})</h2>
+            <h2>Members ({household.members.length})</h2>
             <table>
               <thead>
                 <tr>
-                  <th>Date</th>
-                  <th>Name</th>
-                  <th>Budget Type</th>
-                  <th>Amount</th>
-                  <th>Status</th>
-                  <th>Actions</th>
+                  <th>Username</th>
+                  <th>Member Since</th>
                 </tr>
               </thead>
               <tbody>
-                {transactions.map((transaction) => (
-                  <tr key={transaction.id}>
-                    <td>{formatDate(transaction.date)}</td>
-                    <td>{transaction.name}</td>
-                    <td>
-                      <span className="badge">{transaction.budget_type}</span>
-                    </td>
-                    <td className="amount">{formatCurrency(transaction.amount)}</td>
+                {household.members.map((member) => (
+                  <tr key={member.id}>
                     <td>
-                      <span className={`status-badge ${transaction.payedOff || transaction.payedOff === 1 ? 'paid' : 'unpaid'}`}>
-                        {transaction.payedOff || transaction.payedOff === 1 ? '✓ Paid' : '✗ Unpaid'}
-                      </span>
-                    </td>
-                    <td className="actions-cell">
-                      <button
-                        className="btn-icon btn-edit"
-                        onClick={() => handleEdit(transaction)}
-                        title="Edit transaction"
-                      >
-                        ✏️
-                      </button>
-                      <button
-                        className="btn-icon btn-delete"
-                        onClick={() => handleDelete(transaction)}
-                        title="Delete transaction"
-                      >
-                        🗑️
-                      </button>
+                      {member.username}
+                      {member.id === authUser.id && <span className="badge">You</span>}
                     </td>
+                    <td>{formatDate(member.created_at)}</td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
+
+          <div className="add-transaction-form">
+            <h3>Add a Member</h3>
+            <p className="form-hint">
+              Members see shared accounts and transactions, can filter reports by member, and settle up in the Unpaid tab.
+            </p>
+            <form onSubmit={handleAddMember}>
+              <div className="form-group">
+                <label htmlFor="member-username">Username <span className="required">*</span></label>
+                <input
+                  type="text"
+                  id="member-username"
+                  value={memberForm.username}
+                  onChange={(e) => setMemberForm({ ...memberForm, username: e.target.value })}
+                  autoComplete="off"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="member-password">Password <span className="required">*</span></label>
+                <input
+                  type="password"
+                  id="member-password"
+                  value={memberForm.password}
+                  onChange={(e) => setMemberForm({ ...memberForm, password: e.target.value })}
+                  autoComplete="new-password"
+                  minLength={8}
+                />
+                <p className="form-hint">At least 8 characters. They can change it after logging in.</p>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">Add Member</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Budgets Tab */}
+      {activeTab === 'budgets' && (
+        <div className="tab-content">
+          <h2>Monthly Budgets</h2>
+          <div className="add-transaction-form">
+            <form onSubmit={handleBudgetSubmit}>
+              {budgetMessage.text && (
+                <div className={`form-message ${budgetMessage.type}`}>
+                  {budgetMessage.text}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="budget-category">Category <span className="required">*</span></label>
+                <select
+                  id="budget-category"
+                  value={budgetForm.budget_type}
+                  onChange={(e) => setBudgetForm({ ...budgetForm, budget_type: e.target.value })}
+                  required
+                >
+                  <option value="">Select a category</option>
+                  {budgetTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="budget-limit">Monthly Limit <span className="required">*</span></label>
+                <input
+                  type="number"
+                  id="budget-limit"
+                  value={budgetForm.monthly_limit}
+                  onChange={(e) => setBudgetForm({ ...budgetForm, monthly_limit: e.target.value })}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  required
+                />
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {budgetForm.id ? 'Update Budget' : 'Add Budget'}
+                </button>
+                {budgetForm.id && (
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setBudgetForm({ id: null, budget_type: '', monthly_limit: '' })}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {budgets.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Monthly Limit</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {budgets.map((budget) => (
+                    <tr key={budget.id}>
+                      <td>
+                        <span className="badge">{budget.budget_type}</span>
+                      </td>
+                      <td className="amount">{formatCurrency(budget.monthly_limit)}</td>
+                      <td className="actions-cell">
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => setBudgetForm({
+                            id: budget.id,
+                            budget_type: budget.budget_type,
+                            monthly_limit: budget.monthly_limit
+                          })}
+                          title="Edit budget"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="btn-icon btn-delete"
+                          onClick={() => handleDeleteBudget(budget)}
+                          title="Delete budget"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>No budgets set yet. Add a monthly limit for a category above.</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Categories Tab */}
+      {activeTab === 'categories' && (
+        <div className="tab-content">
+          <h2>Manage Categories</h2>
+          <div className="add-transaction-form">
+            <form onSubmit={handleCategorySubmit}>
+              {categoryMessage.text && (
+                <div className={`form-message ${categoryMessage.type}`}>
+                  {categoryMessage.text}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="category-name">Name <span className="required">*</span></label>
+                <input
+                  type="text"
+                  id="category-name"
+                  value={categoryForm.name}
+                  onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+                  placeholder="e.g., Groceries"
+                  required
+                />
+                {categoryForm.id && (
+                  <p className="form-hint">Renaming updates every transaction and budget in this category</p>
+                )}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="category-color">Color</label>
+                <input
+                  type="color"
+                  id="category-color"
+                  value={categoryForm.color || '#1E40AF'}
+                  onChange={(e) => setCategoryForm({ ...categoryForm, color: e.target.value })}
+                  className="color-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="category-icon">Icon</label>
+                <input
+                  type="text"
+                  id="category-icon"
+                  value={categoryForm.icon || ''}
+                  onChange={(e) => setCategoryForm({ ...categoryForm, icon: e.target.value })}
+                  placeholder="e.g., 🛒"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="category-parent">Parent Category</label>
+                <select
+                  id="category-parent"
+                  value={categoryForm.parent_id || ''}
+                  onChange={(e) => setCategoryForm({ ...categoryForm, parent_id: e.target.value })}
+                >
+                  <option value="">None</option>
+                  {categories.filter(c => c.id !== categoryForm.id).map(c => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {categoryForm.id ? 'Update Category' : 'Add Category'}
+                </button>
+                {categoryForm.id && (
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setCategoryForm(emptyCategoryForm)}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {unmanagedCategories.length > 0 && (
+            <div className="import-instructions">
+              <h3>Unmanaged Labels</h3>
+              <p>These labels are used on transactions but are not managed categories yet.</p>
+              <ul>
+                {unmanagedCategories.map(item => (
+                  <li key={item.budget_type}>
+                    <strong>{item.budget_type}</strong> ({item.transaction_count} transactions){' '}
+                    <button className="btn-secondary" onClick={() => handleAddUnmanagedCategory(item.budget_type)}>
+                      Add as Category
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {categories.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Parent</th>
+                    <th>Transactions</th>
+                    <th>Status</th>
+                    <th>Merge Into</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map((category, index) => {
+                    const parent = categories.find(c => c.id === category.parent_id);
+                    const isArchived = category.archived;
+                    return (
+                      <tr key={category.id} className={isArchived ? 'archived-row' : ''}>
+                        <td>
+                          <span
+                            className="color-indicator"
+                            style={{ backgroundColor: getCategoryColor(category.name, index) }}
+                          ></span>
+                          {category.icon && <span className="category-icon">{category.icon}</span>}
+                          {category.name}
+                        </td>
+                        <td>{parent ? parent.name : '—'}</td>
+                        <td>{category.transaction_count}</td>
+                        <td>
+                          <button className="btn-secondary" onClick={() => handleToggleArchiveCategory(category)}>
+                            {isArchived ? 'Unarchive' : 'Archive'}
+                          </button>
+                        </td>
+                        <td>
+                          <select
+                            value={mergeSelection[category.id] || ''}
+                            onChange={(e) => setMergeSelection({ ...mergeSelection, [category.id]: e.target.value })}
+                          >
+                            <option value="">Select target</option>
+                            {categories.filter(c => c.id !== category.id).map(c => (
+                              <option key={c.id} value={c.id}>{c.name}</option>
+                            ))}
+                          </select>
+                          <button
+                            className="btn-secondary"
+                            onClick={() => handleMergeCategory(category)}
+                            disabled={!mergeSelection[category.id]}
+                          >
+                            Merge
+                          </button>
+                        </td>
+                        <td className="actions-cell">
+                          <button
+                            className="btn-icon btn-edit"
+                            onClick={() => setCategoryForm({
+                              id: category.id,
+                              name: category.name,
+                              color: category.color || COLORS[index % COLORS.length],
+                              icon: category.icon || '',
+                              parent_id: category.parent_id || '',
+                              archived: isArchived
+                            })}
+                            title="Edit category"
+                          >
+                            ✏️
+                          </button>
+                          <button
+                            className="btn-icon btn-delete"
+                            onClick={() => handleDeleteCategory(category)}
+                            title="Delete category"
+                          >
+                            🗑️
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="no-data">
+              <p>No categories yet. Add one above or promote an existing label.</p>
+            </div>
+          )}
         </div>
       )}
 
-      {/* Trends Tab */}
-      {activeTab === 'trends' && (
-        <div className="tab-content">
-          <h2>Monthly Spending Trends</h2>
-          <div className="trends-table">
-            <table>
-              <thead>
-                <tr>
-                  <th>Month</th>
-                  <th>Total Spending</th>
-                  <th>Transactions</th>
-                  <th>Avg per Transaction</th>
-                </tr>
-              </thead>
-              <tbody>
-                {trends.map((trend, index) => (
-                  <tr key={index}>
-                    <td>{formatDate(trend.month)}</td>
-                    <td className="amount">{formatCurrency(trend.total_spending)}</td>
-                    <td>{trend.transaction_count}</td>
-                    <td>{formatCurrency(trend.avg_transaction)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
-      )}
+      {/* Rules Tab */}
+      {activeTab === 'rules' && (
+        <div className="tab-content">
+          <h2>Categorization Rules</h2>
+          <div className="add-transaction-form">
+            <form onSubmit={handleRuleSubmit}>
+              {ruleMessage.text && (
+                <div className={`form-message ${ruleMessage.type}`}>
+                  {ruleMessage.text}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="rule-name">Rule Name</label>
+                <input
+                  type="text"
+                  id="rule-name"
+                  value={ruleForm.name}
+                  onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                  placeholder="e.g., Coffee shops"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-budget_type">Assign Category <span className="required">*</span></label>
+                <select
+                  id="rule-budget_type"
+                  value={ruleForm.budget_type}
+                  onChange={(e) => setRuleForm({ ...ruleForm, budget_type: e.target.value })}
+                  required
+                >
+                  <option value="">Select a category</option>
+                  {budgetTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-match_field">Match On</label>
+                <select
+                  id="rule-match_field"
+                  value={ruleForm.match_field}
+                  onChange={(e) => setRuleForm({ ...ruleForm, match_field: e.target.value })}
+                >
+                  <option value="any">Name or Description</option>
+                  <option value="name">Name</option>
+                  <option value="description">Description</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-match_type">Match Type</label>
+                <select
+                  id="rule-match_type"
+                  value={ruleForm.match_type}
+                  onChange={(e) => setRuleForm({ ...ruleForm, match_type: e.target.value })}
+                >
+                  <option value="contains">Contains</option>
+                  <option value="regex">Regular Expression</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-pattern">Pattern</label>
+                <input
+                  type="text"
+                  id="rule-pattern"
+                  value={ruleForm.pattern}
+                  onChange={(e) => setRuleForm({ ...ruleForm, pattern: e.target.value })}
+                  placeholder={ruleForm.match_type === 'regex' ? 'e.g., ^(UBER|LYFT)' : 'e.g., starbucks'}
+                />
+                <p className="form-hint">Matching is case-insensitive</p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-amount_min">Amount Range</label>
+                <div className="range-inputs">
+                  <input
+                    type="number"
+                    id="rule-amount_min"
+                    value={ruleForm.amount_min}
+                    onChange={(e) => setRuleForm({ ...ruleForm, amount_min: e.target.value })}
+                    placeholder="Min"
+                    step="0.01"
+                  />
+                  <input
+                    type="number"
+                    id="rule-amount_max"
+                    value={ruleForm.amount_max}
+                    onChange={(e) => setRuleForm({ ...ruleForm, amount_max: e.target.value })}
+                    placeholder="Max"
+                    step="0.01"
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rule-priority">Priority</label>
+                <input
+                  type="number"
+                  id="rule-priority"
+                  value={ruleForm.priority}
+                  onChange={(e) => setRuleForm({ ...ruleForm, priority: e.target.value })}
+                  step="1"
+                />
+                <p className="form-hint">Higher priority rules are checked first; the first match wins</p>
+              </div>
 
-      {/* Unpaid Tab */}
-      {activeTab === 'unpaid' && (
-        <div className="tab-content">
-          <h2>Unpaid Transactions</h2>
-          <p className="unpaid-summary">
-            Total Unpaid: <strong>{unpaidTransactions.length}</strong> transactions -
-            <strong className="amount-highlight"> {formatCurrency(unpaidTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0))}</strong>
-          </p>
+              <div className="form-group checkbox-group">
+                <label htmlFor="rule-active" className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    id="rule-active"
+                    checked={ruleForm.active}
+                    onChange={(e) => setRuleForm({ ...ruleForm, active: e.target.checked })}
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
 
-          {unpaidTransactions.length > 0 ? (
-            <div className="unpaid-by-category">
-              {(() => {
-                // Group transactions by budget_type
-                const grouped = unpaidTransactions.reduce((acc, transaction) => {
-                  const category = transaction.budget_type || 'Uncategorized';
-                  if (!acc[category]) {
-                    acc[category] = [];
-                  }
-                  acc[category].push(transaction);
-                  return acc;
-                }, {});
-
-                // Sort categories alphabetically
-                const sortedCategories = Object.keys(grouped).sort();
-
-                return sortedCategories.map((category) => {
-                  const categoryTransactions = grouped[category];
-                  const categoryTotal = categoryTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-
-                  return (
-                    <div key={category} className="category-group">
-                      <div className="category-header-row">
-                        <h3 className="category-header">
-                          <span className="category-name">{category}</span>
-                          <span className="category-count">({categoryTransactions.length} transactions)</span>
-                        </h3>
-                        <button
-                          className="btn-mark-paid"
-                          onClick={() => handleMarkCategoryAsPaid(categoryTransactions, category)}
-                          title="Mark all transactions in this category as paid"
-                        >
-                          ✓ Mark as Paid
-                        </button>
-                      </div>
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">
+                  {ruleForm.id ? 'Update Rule' : 'Add Rule'}
+                </button>
+                {(ruleForm.id || ruleForm.pattern) && (
+                  <button type="button" className="btn-secondary" onClick={() => setRuleForm(emptyRuleForm)}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
 
-                      <table className="unpaid-table">
-                        <thead>
-                          <tr>
-                            <th>Date</th>
-                            <th>Name</th>
-                            <th>Amount</th>
-                            <th>Actions</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {categoryTransactions.map((transaction) => (
-                            <tr key={transaction.id}>
-                              <td>{formatDate(transaction.date)}</td>
-                              <td>{transaction.name}</td>
-                              <td className="amount">{formatCurrency(transaction.amount)}</td>
-                              <td className="actions-cell">
-                                <button
-                                  className="btn-icon btn-edit"
-                                  onClick={() => handleEdit(transaction)}
-                                  title="Edit transaction"
-                                >
-                                  ✏️
-                                </button>
-                                <button
-                                  className="btn-icon btn-delete"
-                                  onClick={() => handleDelete(transaction)}
-                                  title="Delete transaction"
-                                >
-                                  🗑️
-                                </button>
-                              </td>
-                            </tr>
-                          ))}
-                          <tr className="category-total-row">
-                            <td colSpan="3" className="total-label">
-                              <strong>{category} Total:</strong>
-                            </td>
-                            <td className="amount total-amount">
-                              <strong>{formatCurrency(categoryTotal)}</strong>
-                            </td>
-                          </tr>
-                        </tbody>
-                      </table>
-                    </div>
-                  );
-                });
-              })()}
+          {rules.length > 0 ? (
+            <div className="transactions-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Rule</th>
+                    <th>Condition</th>
+                    <th>Category</th>
+                    <th>Priority</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((rule) => {
+                    const conditions = [];
+                    if (rule.pattern) {
+                      const field = rule.match_field === 'any' ? 'name/description' : rule.match_field;
+                      conditions.push(`${field} ${rule.match_type === 'regex' ? 'matches' : 'contains'} "${rule.pattern}"`);
+                    }
+                    if (rule.amount_min !== null) conditions.push(`amount ≥ ${formatCurrency(rule.amount_min)}`);
+                    if (rule.amount_max !== null) conditions.push(`amount ≤ ${formatCurrency(rule.amount_max)}`);
+                    const isActive = rule.active;
+                    return (
+                      <tr key={rule.id} className={isActive ? '' : 'archived-row'}>
+                        <td>{rule.name || '—'}</td>
+                        <td>{conditions.join(' and ')}</td>
+                        <td>
+                          <span className="badge">{rule.budget_type}</span>
+                        </td>
+                        <td>{rule.priority}</td>
+                        <td>{isActive ? 'Active' : 'Disabled'}</td>
+                        <td className="actions-cell">
+                          <button
+                            className="btn-icon btn-edit"
+                            onClick={() => handleEditRule(rule)}
+                            title="Edit rule"
+                          >
+                            ✏️
+                          </button>
+                          <button
+                            className="btn-icon btn-delete"
+                            onClick={() => handleDeleteRule(rule)}
+                            title="Delete rule"
+                          >
+                            🗑️
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
             </div>
           ) : (
             <div className="no-data">
-              <p>🎉 No unpaid transactions! All caught up!</p>
+              <p>No rules yet. Add one above, or use "Create Rule from This" when editing a transaction.</p>
             </div>
           )}
         </div>
@@ -1032,6 +4363,19 @@ function App() {
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="kind">Type</label>
+                <select
+                  id="kind"
+                  name="kind"
+                  value={formData.kind}
+                  onChange={handleFormChange}
+                >
+                  <option value="expense">Expense</option>
+                  <option value="income">Income (paycheck, refund, reimbursement)</option>
+                </select>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="budget_type">Category <span className="required">*</span></label>
                 <select
@@ -1048,6 +4392,53 @@ function App() {
                 </select>
               </div>
 
+              <div className="form-group">
+                <label htmlFor="account_id">Account</label>
+                <select
+                  id="account_id"
+                  name="account_id"
+                  value={formData.account_id}
+                  onChange={handleFormChange}
+                >
+                  <option value="">No account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {hasHouseholdMembers && (
+                <div className="form-group">
+                  <label htmlFor="owner_id">Paid By</label>
+                  <select
+                    id="owner_id"
+                    name="owner_id"
+                    value={formData.owner_id}
+                    onChange={handleFormChange}
+                  >
+                    <option value="">Me ({authUser.username})</option>
+                    {household.members.filter(member => member.id !== authUser.id).map(member => (
+                      <option key={member.id} value={member.id}>{member.username}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="visibility">Visibility</label>
+                <select
+                  id="visibility"
+                  name="visibility"
+                  value={formData.visibility}
+                  onChange={handleFormChange}
+                >
+                  <option value="">Same as account</option>
+                  <option value="shared">Shared with household</option>
+                  <option value="private">Private</option>
+                </select>
+                <p className="form-hint">Private transactions are only visible to the member who paid</p>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="amount">Amount <span className="required">*</span></label>
                 <input
@@ -1112,6 +4503,10 @@ function App() {
                       name: '',
                       description: '',
                       budget_type: '',
+                      account_id: '',
+                      owner_id: '',
+                      visibility: '',
+                      kind: 'expense',
                       amount: '',
                       payedOff: false
                     });
@@ -1143,6 +4538,18 @@ function App() {
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="edit-kind">Type</label>
+                <select
+                  id="edit-kind"
+                  value={editingTransaction.kind || 'expense'}
+                  onChange={(e) => setEditingTransaction({ ...editingTransaction, kind: e.target.value })}
+                >
+                  <option value="expense">Expense</option>
+                  <option value="income">Income (paycheck, refund, reimbursement)</option>
+                </select>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="edit-budget_type">Category <span className="required">*</span></label>
                 <select
@@ -1158,6 +4565,48 @@ function App() {
                 </select>
               </div>
 
+              <div className="form-group">
+                <label htmlFor="edit-account_id">Account</label>
+                <select
+                  id="edit-account_id"
+                  value={editingTransaction.account_id || ''}
+                  onChange={(e) => setEditingTransaction({ ...editingTransaction, account_id: e.target.value })}
+                >
+                  <option value="">No account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {hasHouseholdMembers && (
+                <div className="form-group">
+                  <label htmlFor="edit-owner_id">Paid By</label>
+                  <select
+                    id="edit-owner_id"
+                    value={editingTransaction.owner_id || ''}
+                    onChange={(e) => setEditingTransaction({ ...editingTransaction, owner_id: e.target.value })}
+                  >
+                    {!editingTransaction.owner_id && <option value="">Unassigned</option>}
+                    {household.members.map(member => (
+                      <option key={member.id} value={member.id}>{member.username}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="edit-visibility">Visibility</label>
+                <select
+                  id="edit-visibility"
+                  value={editingTransaction.visibility || 'shared'}
+                  onChange={(e) => setEditingTransaction({ ...editingTransaction, visibility: e.target.value })}
+                >
+                  <option value="shared">Shared with household</option>
+                  <option value="private">Private</option>
+                </select>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="edit-amount">Amount <span className="required">*</span></label>
                 <input
@@ -1194,12 +4643,82 @@ function App() {
                 />
               </div>
 
+              <div className="form-group split-editor">
+                <label>Split</label>
+                {editingTransaction.splits && editingTransaction.splits.length > 0 ? (
+                  <>
+                    {editingTransaction.splits.map((line, index) => (
+                      <div key={index} className="split-line">
+                        <select
+                          value={line.budget_type}
+                          onChange={(e) => handleSplitLineChange(index, 'budget_type', e.target.value)}
+                          aria-label={`Split line ${index + 1} category`}
+                        >
+                          <option value="">Select a category</option>
+                          {budgetTypes.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          value={line.amount}
+                          onChange={(e) => handleSplitLineChange(index, 'amount', e.target.value)}
+                          placeholder="0.00"
+                          step="0.01"
+                          min="0"
+                          aria-label={`Split line ${index + 1} amount`}
+                        />
+                        <input
+                          type="text"
+                          value={line.note}
+                          onChange={(e) => handleSplitLineChange(index, 'note', e.target.value)}
+                          placeholder="Note (optional)"
+                          aria-label={`Split line ${index + 1} note`}
+                        />
+                        <button
+                          type="button"
+                          className="btn-icon btn-delete"
+                          onClick={() => handleRemoveSplitLine(index)}
+                          title="Remove line"
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    ))}
+                    <p className={`split-remaining ${getSplitRemaining(editingTransaction) === 0 ? 'balanced' : 'unbalanced'}`}>
+                      {getSplitRemaining(editingTransaction) === 0
+                        ? '✓ Split lines add up to the transaction amount'
+                        : `${formatCurrency(getSplitRemaining(editingTransaction))} left to assign`}
+                    </p>
+                    <div className="form-actions">
+                      <button type="button" className="btn-secondary" onClick={handleAddSplitLine}>
+                        Add Line
+                      </button>
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => setEditingTransaction({ ...editingTransaction, splits: [] })}
+                      >
+                        Remove Split
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <p className="form-hint">Spread this charge across several categories (e.g., groceries, household and gifts)</p>
+                    <button type="button" className="btn-secondary" onClick={handleStartSplit}>
+                      Split Transaction
+                    </button>
+                  </>
+                )}
+              </div>
+
               <div className="form-group checkbox-group">
                 <label htmlFor="edit-payedOff" className="checkbox-label">
                   <input
                     type="checkbox"
                     id="edit-payedOff"
-                    checked={editingTransaction.payedOff || editingTransaction.payedOff === 1}
+                    checked={editingTransaction.payedOff}
                     onChange={(e) => setEditingTransaction({ ...editingTransaction, payedOff: e.target.checked })}
                   />
                   <span>Paid Off</span>
@@ -1209,6 +4728,12 @@ function App() {
 
               <div className="form-actions">
                 <button type="submit" className="btn-primary">Update Transaction</button>
+                <button type="button" className="btn-secondary" onClick={handleCreateRuleFromTransaction}>
+                  Create Rule from This
+                </button>
+                <button type="button" className="btn-secondary" onClick={handleMakeRecurring}>
+                  Make Recurring
+                </button>
                 <button type="button" className="btn-secondary" onClick={handleCancelEdit}>
                   Cancel
                 </button>
@@ -1221,11 +4746,16 @@ function App() {
       {/* Import CSV Tab */}
       {activeTab === 'import' && (
         <div className="tab-content">
-          <h2>Import Transactions from CSV</h2>
+          <h2>Import Transactions</h2>
           <div className="add-transaction-form">
             <div className="import-instructions">
               <h3>Instructions</h3>
-              <p>Upload a CSV file with the following format:</p>
+              <p>Pick the import profile for your bank, then upload a CSV file to preview it before importing.</p>
+              <p>
+                <strong>OFX/QFX</strong> and <strong>QIF</strong> statements are imported directly; the bank's
+                transaction id (FITID) is kept so re-importing the same statement skips rows already saved.
+              </p>
+              <p>The <strong>Default</strong> profile expects these columns:</p>
               <ul>
                 <li><strong>Date</strong> - Transaction date (YYYY-MM-DD)</li>
                 <li><strong>Description</strong> - Transaction name</li>
@@ -1234,10 +4764,11 @@ function App() {
                 <li><strong>Amount</strong> - Transaction amount</li>
                 <li><strong>Status</strong> - Transaction status (Pending/Posted)</li>
               </ul>
+              <p>Other layouts (debit/credit columns, MM/DD/YYYY dates, negative charges) can be saved as a profile below.</p>
               <p className="import-note">
-                ⚠️ All imported transactions will be marked as <strong>unpaid</strong>.
+                ⚠️ All imported expenses will be marked as <strong>unpaid</strong>.
                 <br />
-                💡 Negative amounts (payments) and zero amounts will be skipped.
+                💡 Negative amounts (paychecks, refunds, reimbursements) are saved as income; zero amounts are skipped.
               </p>
             </div>
 
@@ -1248,16 +4779,288 @@ function App() {
             )}
 
             <div className="form-group">
-              <label htmlFor="csv-file">Select CSV File</label>
+              <label htmlFor="import-profile">Import Profile</label>
+              <div className="profile-picker">
+                <select
+                  id="import-profile"
+                  value={selectedProfileId}
+                  onChange={(e) => handleProfileSelect(e.target.value)}
+                >
+                  <option value="">Default</option>
+                  {importProfiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+                {selectedProfileId && (
+                  <>
+                    <button type="button" className="btn-secondary" onClick={handleEditProfile}>Edit</button>
+                    <button type="button" className="btn-secondary" onClick={handleDeleteProfile}>Delete</button>
+                  </>
+                )}
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => {
+                    setProfileForm(emptyProfileForm);
+                    setShowProfileForm(!showProfileForm || profileForm.id !== null);
+                  }}
+                >
+                  New Profile
+                </button>
+              </div>
+            </div>
+
+            {showProfileForm && (
+              <form className="profile-form" onSubmit={handleProfileSubmit}>
+                <h3>{profileForm.id ? 'Edit Import Profile' : 'New Import Profile'}</h3>
+                {profileMessage.text && (
+                  <div className={`form-message ${profileMessage.type}`}>
+                    {profileMessage.text}
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label htmlFor="profile-name">Profile Name <span className="required">*</span></label>
+                  <input
+                    type="text"
+                    id="profile-name"
+                    value={profileForm.name}
+                    onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+                    placeholder="e.g., Chase Checking"
+                    required
+                  />
+                </div>
+
+                <div className="profile-grid">
+                  <div className="form-group">
+                    <label htmlFor="profile-delimiter">Delimiter</label>
+                    <input
+                      type="text"
+                      id="profile-delimiter"
+                      value={profileForm.delimiter}
+                      maxLength="1"
+                      onChange={(e) => setProfileForm({ ...profileForm, delimiter: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="profile-skip_rows">Header Rows to Skip</label>
+                    <input
+                      type="number"
+                      id="profile-skip_rows"
+                      min="0"
+                      value={profileForm.skip_rows}
+                      onChange={(e) => setProfileForm({ ...profileForm, skip_rows: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="profile-date_format">Date Format</label>
+                    <select
+                      id="profile-date_format"
+                      value={profileForm.date_format}
+                      onChange={(e) => setProfileForm({ ...profileForm, date_format: e.target.value })}
+                    >
+                      <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                      <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                      <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="profile-amount_sign">Amount Sign</label>
+                    <select
+                      id="profile-amount_sign"
+                      value={profileForm.amount_sign}
+                      onChange={(e) => setProfileForm({ ...profileForm, amount_sign: e.target.value })}
+                    >
+                      <option value="expense_positive">Charges are positive</option>
+                      <option value="expense_negative">Charges are negative</option>
+                    </select>
+                  </div>
+                </div>
+
+                <p className="form-hint">Column numbers start at 1. Leave a column blank if the file does not have it.</p>
+                <div className="profile-grid">
+                  {[
+                    ['date_column', 'Date'],
+                    ['name_column', 'Name'],
+                    ['description_column', 'Description'],
+                    ['category_column', 'Category'],
+                    ['amount_column', 'Amount'],
+                    ['debit_column', 'Debit'],
+                    ['credit_column', 'Credit'],
+                    ['external_id_column', 'Bank Transaction ID']
+                  ].map(([field, label]) => (
+                    <div className="form-group" key={field}>
+                      <label htmlFor={`profile-${field}`}>
+                        {label}
+                        {importPreview && importPreview.headers[parseInt(profileForm[field]) - 1] && (
+                          <span className="form-hint"> ({importPreview.headers[parseInt(profileForm[field]) - 1]})</span>
+                        )}
+                      </label>
+                      <input
+                        type="number"
+                        id={`profile-${field}`}
+                        min="1"
+                        value={profileForm[field]}
+                        onChange={(e) => setProfileForm({ ...profileForm, [field]: e.target.value })}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className="form-hint">Use either Amount, or Debit and Credit for banks that split them.</p>
+
+                <div className="form-actions">
+                  <button type="submit" className="btn-primary">
+                    {profileForm.id ? 'Update Profile' : 'Save Profile'}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => {
+                      setShowProfileForm(false);
+                      setProfileForm(emptyProfileForm);
+                      setProfileMessage({ type: '', text: '' });
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="import-account">Account</label>
+              <select
+                id="import-account"
+                value={importAccountId}
+                onChange={(e) => setImportAccountId(e.target.value)}
+              >
+                <option value="">No account</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+              <p className="form-hint">Imported transactions are assigned to this account</p>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="csv-file">Select CSV, OFX, QFX or QIF File</label>
               <input
                 type="file"
                 id="csv-file"
-                accept=".csv"
+                accept=".csv,.ofx,.qfx,.qif"
                 onChange={handleFileUpload}
+                onClick={(e) => { e.target.value = ''; }}
                 className="file-input"
               />
             </div>
 
+            {importPreview && importPreview.data.length > 0 && (
+              <div className="import-preview">
+                <h3>Preview{importFile ? `: ${importFile.name}` : ''} ({importPreview.data.length} rows)</h3>
+                <p className="form-hint">
+                  Parsed with the <strong>{importPreview.profile.name}</strong> profile.
+                  {' '}{importPreview.data.filter(tx => tx.amount <= 0).length > 0 &&
+                    `${importPreview.data.filter(tx => tx.amount <= 0).length} payments or zero amounts will be skipped.`}
+                </p>
+                <div className="transactions-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Date</th>
+                        <th>Name</th>
+                        <th>Category</th>
+                        <th>Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importPreview.data.slice(0, 20).map((tx) => (
+                        <tr key={tx.row} className={isImportableRow(tx) ? '' : 'archived-row'}>
+                          <td>{tx.row}</td>
+                          <td>{formatDate(tx.date)}</td>
+                          <td>{tx.name}</td>
+                          <td>{tx.budget_type && <span className="badge">{tx.budget_type}</span>}</td>
+                          <td className="amount">
+                            {tx.amount < 0 ? `+${formatCurrency(-tx.amount)}` : formatCurrency(tx.amount)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {importPreview.data.length > 20 && (
+                    <p>...and {importPreview.data.length - 20} more rows</p>
+                  )}
+                </div>
+
+                {importPreview.errors.length > 0 && (
+                  <div className="import-errors">
+                    <h3>Rows That Could Not Be Parsed ({importPreview.errors.length})</h3>
+                    <div className="error-list">
+                      {importPreview.errors.slice(0, 10).map((error, index) => (
+                        <div key={index} className="error-item">
+                          <strong>Row {error.row}:</strong> {error.error}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="form-actions">
+                  <button type="button" className="btn-primary" onClick={handleConfirmImport}>
+                    Import {importPreview.data.filter(isImportableRow).length} Transactions
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancelImport}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="form-group checkbox-group">
+              <label htmlFor="negative-as-income" className="checkbox-label">
+                <input
+                  type="checkbox"
+                  id="negative-as-income"
+                  checked={importNegativeAsIncome}
+                  onChange={(e) => setImportNegativeAsIncome(e.target.checked)}
+                />
+                <span>Import negative amounts as income</span>
+              </label>
+              <p className="form-hint">Uncheck to skip credit card payments and transfers that show up as negative amounts</p>
+            </div>
+
+            <div className="form-group checkbox-group">
+              <label htmlFor="skip-duplicates" className="checkbox-label">
+                <input
+                  type="checkbox"
+                  id="skip-duplicates"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                />
+                <span>Skip likely duplicates</span>
+              </label>
+              <p className="form-hint">Rows matching an existing transaction's date, amount and name (or bank id) are skipped instead of imported</p>
+            </div>
+
+            {importResults && importResults.duplicates && importResults.duplicates.length > 0 && (
+              <div className="import-duplicates">
+                <h3>
+                  {importResults.duplicates[0].imported ? 'Flagged as Possible Duplicate' : 'Skipped as Duplicate'} ({importResults.duplicates.length})
+                </h3>
+                <div className="error-list">
+                  {importResults.duplicates.slice(0, 10).map((duplicate, index) => (
+                    <div key={index} className="duplicate-item">
+                      <strong>Row {duplicate.row}:</strong> {duplicate.data.date} · {duplicate.data.name} · {formatCurrency(duplicate.data.amount)}
+                      {' '}— {duplicate.reason}{duplicate.existing_id ? ` (matches #${duplicate.existing_id})` : ''}
+                    </div>
+                  ))}
+                  {importResults.duplicates.length > 10 && (
+                    <p>...and {importResults.duplicates.length - 10} more duplicates</p>
+                  )}
+                </div>
+              </div>
+            )}
+
             {importResults && importResults.errors && importResults.errors.length > 0 && (
               <div className="import-errors">
                 <h3>Import Errors ({importResults.errors.length})</h3>
@@ -1286,6 +5089,7 @@ function App() {
                         <th>Name</th>
                         <th>Category</th>
                         <th>Amount</th>
+                        <th>Matched Rule</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -1294,7 +5098,8 @@ function App() {
                           <td>{formatDate(tx.date)}</td>
                           <td>{tx.name}</td>
                           <td><span className="badge">{tx.budget_type}</span></td>
-                          <td className="amount">{formatCurrency(tx.amount)}</td>
+                          <td className="amount">{formatTransactionAmount(tx)}</td>
+                          <td>{tx.matched_rule ? (tx.matched_rule.name || `Rule #${tx.matched_rule.id}`) : '—'}</td>
                         </tr>
                       ))}
                     </tbody>
@@ -1309,6 +5114,75 @@ function App() {
         </div>
       )}
 
+      {/* Record Payment Modal */}
+      {paymentForm && (
+        <div className="modal-overlay" onClick={() => setPaymentForm(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>Record Payment</h2>
+            <p>Settle {paymentForm.transaction_ids.length} transaction(s) in {paymentForm.label}.</p>
+            <form onSubmit={handleRecordPayment}>
+              <div className="form-group">
+                <label htmlFor="payment-date">Paid On <span className="required">*</span></label>
+                <input
+                  type="date"
+                  id="payment-date"
+                  value={paymentForm.paid_on}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, paid_on: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="payment-amount">Amount <span className="required">*</span></label>
+                <input
+                  type="number"
+                  id="payment-amount"
+                  value={paymentForm.amount}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })}
+                  step="0.01"
+                  min="0.01"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="payment-account">Paid From</label>
+                <select
+                  id="payment-account"
+                  value={paymentForm.account_id}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, account_id: e.target.value })}
+                >
+                  <option value="">No account</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="payment-note">Note</label>
+                <input
+                  type="text"
+                  id="payment-note"
+                  value={paymentForm.note}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, note: e.target.value })}
+                  placeholder="e.g., October card statement"
+                />
+              </div>
+
+              <div className="modal-actions">
+                <button type="submit" className="btn-primary">
+                  Record Payment
+                </button>
+                <button type="button" className="btn-secondary" onClick={() => setPaymentForm(null)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="modal-overlay" onClick={cancelDelete}>